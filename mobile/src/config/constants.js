@@ -16,19 +16,21 @@ export const APP_CONFIG = {
   FACEBOOK: 'LockJawDiscGolf',
 };
 
-// Point calculation configuration
+// Point calculation configuration. Mirrors version 1 of POINTS_FORMULAS in
+// web/js/config/constants.js (the formula stored activities record in
+// pointsVersion): makes × distance/10 × accuracy/100 × 10 and nothing else.
+// Change it only together with a new web formula version.
 export const POINTS_CONFIG = {
+  VERSION: 1,
   DISTANCE_MULTIPLIER: 0.1,
   ACCURACY_MULTIPLIER: 0.01,
   BASE_MULTIPLIER: 10,
-  CHALLENGE_BONUS: 50,
-  STREAK_BONUS_PER_DAY: 5,
 };
 
 // Validation limits
 export const LIMITS = {
   MAX_DISTANCE: 100, // feet
-  MIN_DISTANCE: 5,   // feet
+  MIN_DISTANCE: 1,   // feet, as on the web
   MAX_ATTEMPTS: 100,
   MIN_ATTEMPTS: 1,
   MAX_MAKES: 100,
@@ -4,15 +4,34 @@
  */
 
 import { initializeFirebase } from './config/firebase.js';
+import { getStorageMode, setStorageMode, STORAGE_MODES } from './config/storageMode.js';
 import { authManager } from './modules/auth.js';
 import { userManager } from './modules/user.js';
-import { storageManager } from './modules/storage.js';
+import { storageManager, increment } from './modules/storage.js';
 import { achievementManager } from './modules/achievements.js';
 import { challengeManager } from './modules/challenges.js';
 import { routineTracker } from './modules/routineTracker.js';
 import { gameTracker } from './modules/gameTracker.js';
-import { MOTIVATIONAL_QUOTES, SUGGESTED_ROUTINES, PUTTING_GAMES } from './config/constants.js';
-import { calculateRoutinePoints } from './utils/calculations.js';
+import { liveSessionTracker } from './modules/liveSession.js';
+import { discBagManager } from './modules/discBag.js';
+import { reconciliationManager } from './modules/reconciliation.js';
+import { rescoringManager } from './modules/rescoring.js';
+import { ActivityFeed, ACTIVITY_TYPES } from './modules/activityFeed.js';
+import { dataExportManager } from './modules/dataExport.js';
+import { dataImportManager } from './modules/dataImport.js';
+import { accountDeletionManager } from './modules/accountDeletion.js';
+import { communityStatsManager } from './modules/communityStats.js';
+import { LocalBackend } from './modules/backends/localBackend.js';
+import { LocalAuth } from './modules/backends/localAuth.js';
+import { MOTIVATIONAL_QUOTES, SUGGESTED_ROUTINES, PUTTING_GAMES, MISS_DIRECTIONS, PUTTING_STYLES, WIND_DIRECTIONS, PRACTICE_SETTINGS, ELEVATIONS, BASKET_MODELS, DISC_TYPES, DISTANCE_UNITS, PUTTING_CIRCLES, POINTS_FORMULAS, CURRENT_POINTS_VERSION, CONSTANTS } from './config/constants.js';
+import { calculateRoutinePoints, calculateActivityPoints, getActivityPutts, getLongestMakeStreak, calculateMissPatterns, calculateStyleBreakdown, calculateDiscBreakdown, getSessionStations, calculateStats, getDistanceBand, getDistanceBands, calculateCircleStats, getCircleAccuracy } from './utils/calculations.js';
+import { getSessionFilters, summarizeSessionFilter, getUsedTags, getActivityNotes, matchesActivitySearch } from './utils/filters.js';
+import { escapeHtml, validateDate, parseTags } from './utils/validation.js';
+import { toLocalDate, toLocalTime, fromLocalDateTime, isValidTimeZone, getTimeZoneOptions, formatDate, formatTime } from './utils/dates.js';
+import { fitMakeCurve, fitRollingCurves, collectCurvePutts, getMakeProbability, getFiftyPercentDistance, getExpectedMakes, MIN_CURVE_ATTEMPTS, CURVE_WINDOW_DAYS } from './utils/curveFit.js';
+import { calculateStrokesGained, calculateMonthlyStrokesGained, getSessionStrokesGained, distanceStatsToPutts, formatStrokesGained, SG_MIN_ATTEMPTS, SG_RATE_PUTTS } from './utils/strokesGained.js';
+import { formatRating, RATING_MAX_RD } from './utils/rating.js';
+import { FEET_PER_METER, isValidUnits, getDistanceUnit, toDisplayDistance, fromDisplayDistance, formatDistance, formatDistanceRange, toDistanceInputValue, getDistanceInputLimits, localizeDistanceText } from './utils/units.js';
 
 class App {
     constructor() {
@@ -20,8 +39,9 @@ class App {
             loading: true,
             error: null,
             currentView: 'practice', // practice, leaderboard, friends, achievements, games
-            leaderboardCategory: 'points', // points, sessions, routines, games
+            leaderboardCategory: 'points', // points, sessions, routines, games, strokesGained, rating, or a PUTTING_CIRCLES id
             leaderboardGenderFilter: 'both', // male, female, both
+            leaderboardStyleFilter: 'all', // all, or a PUTTING_STYLES id (points and sessions boards only)
             showAddSession: false,
             showRoutines: false,
             currentQuote: this.getRandomQuote(),
@@ -74,11 +94,34 @@ class App {
             bulkSelectedGame: null, // Selected game for bulk logging
             showPermissionsModal: false,
             bulkLogPlayers: [], // Players selected for bulk logging
-            permissionRequests: [] // Pending permission requests
+            permissionRequests: [], // Pending permission requests
+            syncStatus: { online: true, syncing: false, pending: [] }, // Offline write queue status
+            reconciling: false, // Admin reconciliation in progress
+            reconciliationReports: null, // Results of the last admin reconciliation
+            rescoring: false, // Admin rescore preview or apply in progress
+            rescorePreview: null, // Rank and points changes a rescore would make
+            recomputingCommunityStats: false, // Admin community stats recompute in progress
+            rankings: [], // Top players on the selected leaderboard (queried by its own field)
+            historyFilters: { types: [...ACTIVITY_TYPES], from: '', to: '', minDistance: '', maxDistance: '', name: '', search: '' },
+            historyItems: [], // Loaded pages of the full history view
+            historyLoading: false,
+            historyHasMore: true,
+            statsHistoryLoading: false, // Your full history being read for the Stats view
+            exportingData: false, // Account export in progress
+            importPreview: null, // { fileName, rows, readyCount } while reviewing an import
+            importProgress: null, // { saved, total } while an import is being written
+            accountDeletion: null, // { summary, deleting } while the delete-account dialog is open
+            savingLiveSession: false, // Live putt-by-putt session being saved
+            conditionComparison: null, // { a, b } session filters compared in the Stats view (null = pick from the data)
+            statsSearch: '' // Notes/tags search narrowing your own Stats
         };
 
+        this.historyFeed = null; // ActivityFeed for the history view (null = needs reloading)
+        this.statsHistory = null; // Your routines and games for the Stats view, as { routines, games } (null = needs reloading)
+        this.historyObserver = null; // Infinite scroll observer
+        this.recentPracticeCache = null; // Merged recent practice list, rebuilt only when its sources change
+
         this.newSession = {
-            date: new Date().toISOString().split('T')[0],
             distance: '10',
             makes: '',
             attempts: '',
@@ -93,11 +136,22 @@ class App {
         try {
             console.log('🚀 Initializing Putting Improver...');
 
-            // Initialize Firebase (waits for SDK to load)
-            await initializeFirebase();
+            if (getStorageMode() === STORAGE_MODES.LOCAL) {
+                // Demo mode: data stays in this browser, no Firebase project needed
+                console.log('🧪 Running in local demo mode');
+                storageManager.init(new LocalBackend({ persist: true }));
+                authManager.init(this.onAuthStateChange.bind(this), new LocalAuth());
+            } else {
+                // Initialize Firebase (waits for SDK to load)
+                await initializeFirebase();
+
+                // Initialize storage and auth manager with callback
+                storageManager.init();
+                authManager.init(this.onAuthStateChange.bind(this));
+            }
 
-            // Initialize auth manager with callback
-            authManager.init(this.onAuthStateChange.bind(this));
+            // Watch the offline write queue
+            storageManager.onSyncChange(status => this.handleSyncChange(status));
 
             // Initial render
             this.render();
@@ -123,8 +177,15 @@ class App {
                 // User is signed in
                 await userManager.initializeUser(firebaseUser);
                 await challengeManager.loadWeeklyChallenge();
+                if (getStorageMode() === STORAGE_MODES.LOCAL) {
+                    // Demo mode has no admin to keep the community stats current
+                    await communityStatsManager.recompute();
+                } else {
+                    await communityStatsManager.loadCommunityStats();
+                }
                 await this.loadLeaderboard();
                 await this.loadRecentPractice();
+                // Catches achievements earned on another device (only reads the newest sessions)
                 await achievementManager.checkAchievements();
 
                 this.state.error = null;
@@ -133,7 +194,11 @@ class App {
                 // User is signed out
                 userManager.clearUser();
                 this.state.leaderboard = [];
+                this.state.rankings = [];
                 this.state.friends = [];
+                this.state.historyItems = [];
+                this.historyFeed = null;
+                liveSessionTracker.cancel();
             }
 
             this.state.loading = false;
@@ -148,7 +213,37 @@ class App {
     }
 
     /**
-     * Load leaderboard data
+     * Handle changes to the offline write queue
+     * @param {Object} status - Sync status from the storage manager
+     */
+    async handleSyncChange(status) {
+        const previousPending = this.state.syncStatus.pending.length;
+        this.state.syncStatus = status;
+
+        if (this.state.loading || !userManager.getCurrentUser()) return;
+
+        // Queued writes just reached the server - refresh from the source of truth
+        if (status.online && status.pending.length < previousPending) {
+            await userManager.refreshSessions();
+            await this.loadRecentPractice();
+            await this.loadLeaderboard();
+        }
+
+        this.render();
+    }
+
+    /**
+     * Check if an activity is still waiting to sync
+     * @param {string} id - Session, routine or game completion ID
+     * @returns {boolean} True if a queued write targets this item
+     */
+    isPendingSync(id) {
+        return this.state.syncStatus.pending.some(write => write.id === id);
+    }
+
+    /**
+     * Load leaderboard data: the top players by points (also used to look
+     * players up) and the top players on the selected leaderboard
      */
     async loadLeaderboard() {
         try {
@@ -156,23 +251,76 @@ class App {
         } catch (error) {
             console.error('Error loading leaderboard:', error);
         }
+        await this.loadRankings();
+    }
+    
+    /**
+     * User field the selected leaderboard ranks by, so each one is queried
+     * for its own top players rather than filtered from the points leaders
+     * @returns {string} Field path (see storageManager.getLeaderboard)
+     */
+    getLeaderboardField() {
+        const category = this.state.leaderboardCategory || 'points';
+        const styleFilter = this.state.leaderboardStyleFilter || 'all';
+        if (PUTTING_CIRCLES.some(circle => circle.id === category)) {
+            return `leaderboardStats.${category}`;
+        }
+        switch (category) {
+            case 'sessions':
+                return styleFilter === 'all' ? 'totalSessions' : `styleStats.${styleFilter}.sessions`;
+            case 'routines':
+                return 'totalRoutines';
+            case 'games':
+                return 'totalGames';
+            case 'strokesGained':
+                return 'leaderboardStats.strokesGained';
+            case 'rating':
+                return 'rating';
+            case 'points':
+            default:
+                return styleFilter === 'all' ? 'totalPoints' : `styleStats.${styleFilter}.points`;
+        }
+    }
+    
+    /**
+     * Load the top players on the selected leaderboard
+     */
+    async loadRankings() {
+        const field = this.getLeaderboardField();
+        this.state.rankings = field === 'totalPoints'
+            ? this.state.leaderboard
+            : await storageManager.getLeaderboard(field);
+    }
+    
+    /**
+     * Show the newly selected leaderboard tab or style, then its players
+     */
+    async handleLeaderboardChange() {
+        this.render();
+        await this.loadRankings();
+        this.render();
     }
     
     /**
-     * Load recent practice activities (routines and games)
+     * Load recent practice activities (the newest routines and games; the
+     * newest sessions are kept by the user manager)
      */
     async loadRecentPractice() {
         try {
             const user = userManager.getCurrentUser();
             if (!user) return;
             
-            // Load routines
-            const routines = await storageManager.getRoutineCompletions(user.id);
-            this.state.recentRoutines = routines || [];
+            const limit = CONSTANTS.UI.RECENT_PRACTICE_ITEMS;
+            const [routines, games] = await Promise.all([
+                storageManager.getRoutineCompletionsPage(user.id, { limit }),
+                storageManager.getGameCompletionsPage(user.id, { limit })
+            ]);
+            this.state.recentRoutines = routines.items;
+            this.state.recentGames = games.items;
             
-            // Load games
-            const games = await storageManager.getGameCompletions(user.id);
-            this.state.recentGames = games || [];
+            // Activities changed, so the history and stats views reload next time they're shown
+            this.historyFeed = null;
+            this.statsHistory = null;
             
         } catch (error) {
             console.error('Error loading recent practice:', error);
@@ -181,12 +329,78 @@ class App {
         }
     }
 
+    /**
+     * Load the next page of the full history view
+     * @param {boolean} reset - Start over from the newest activity (e.g. after filters change)
+     */
+    async loadHistory(reset = false) {
+        const user = userManager.getCurrentUser();
+        if (!user || (this.state.historyLoading && !reset)) return;
+        
+        if (reset || !this.historyFeed) {
+            this.historyFeed = new ActivityFeed(user.id, this.state.historyFilters);
+            this.state.historyItems = [];
+        }
+        
+        const feed = this.historyFeed;
+        this.state.historyLoading = true;
+        this.render();
+        
+        try {
+            await feed.loadMore();
+            
+            // Ignore the result if the feed was replaced while this page was loading
+            if (feed !== this.historyFeed) return;
+            
+            this.state.historyItems = [...feed.items];
+            this.state.historyHasMore = feed.hasMore();
+            this.state.historyLoading = false;
+            this.render();
+        } catch (error) {
+            console.error('Error loading history:', error);
+            if (feed !== this.historyFeed) return;
+            
+            // Stop infinite scroll from retrying in a loop; applying filters starts over
+            this.state.historyHasMore = false;
+            this.state.historyLoading = false;
+            this.showCustomAlert('Error loading history: ' + error.message, 'error');
+        }
+    }
+    
+    /**
+     * Read the history filter form and reload the history view
+     */
+    applyHistoryFilters() {
+        const types = Array.from(document.querySelectorAll('input[name="historyType"]:checked'))
+            .map(input => input.value);
+        // Distance filters are typed in the player's units and kept in feet
+        const readDistance = (id) => {
+            const value = document.getElementById(id)?.value || '';
+            return value === '' ? '' : fromDisplayDistance(value, userManager.getUnits());
+        };
+        
+        this.state.historyFilters = {
+            types: types.length > 0 ? types : [...ACTIVITY_TYPES],
+            from: document.getElementById('historyFrom')?.value || '',
+            to: document.getElementById('historyTo')?.value || '',
+            minDistance: readDistance('historyMinDistance'),
+            maxDistance: readDistance('historyMaxDistance'),
+            name: document.getElementById('historyName')?.value || '',
+            search: document.getElementById('historySearch')?.value || ''
+        };
+        this.loadHistory(true);
+    }
+    
     /**
      * Handle user login
      */
     async handleLogin() {
         try {
-            await authManager.signInWithGoogle();
+            if (authManager.isLocal()) {
+                await authManager.signInLocal();
+            } else {
+                await authManager.signInWithGoogle();
+            }
             // onAuthStateChange will handle the rest
         } catch (error) {
             console.error('Login error:', error);
@@ -207,19 +421,27 @@ class App {
         }
     }
 
+    /**
+     * Switch between demo mode and the real (Firestore) app
+     * @param {string} mode - One of STORAGE_MODES
+     */
+    switchStorageMode(mode) {
+        setStorageMode(mode);
+        window.location.href = window.location.pathname;
+    }
+
     /**
      * Add a new practice session
      */
     async addSession() {
         try {
-            await userManager.addSession(this.newSession);
+            const session = await userManager.addSession(this.newSession);
 
             // Check for challenge completion
-            const latestSession = userManager.sessions[0];
-            await challengeManager.checkChallengeCompletion(latestSession);
+            await challengeManager.checkChallengeCompletion(session);
 
             // Check for new achievements
-            await achievementManager.checkAchievements();
+            await achievementManager.checkAchievements([session]);
 
             // Reload leaderboard
             await this.loadLeaderboard();
@@ -227,7 +449,6 @@ class App {
             // Reset form and close modal
             this.state.showAddSession = false;
             this.newSession = {
-                date: new Date().toISOString().split('T')[0],
                 distance: '10',
                 makes: '',
                 attempts: '',
@@ -249,15 +470,15 @@ class App {
     async deleteSession(sessionId) {
         try {
             // Confirm deletion
-            const session = userManager.sessions.find(s => s.id === sessionId);
+            const session = this.findLoadedActivity('session', sessionId);
             if (!session) {
                 throw new Error('Session not found');
             }
 
             const confirmed = confirm(
                 `Are you sure you want to delete this session?\n\n` +
-                `Date: ${new Date(session.date).toLocaleDateString()}\n` +
-                `Distance: ${session.distance}ft\n` +
+                `Date: ${formatDate(session.date)}\n` +
+                `Distance: ${this.formatSessionDistance(session)}\n` +
                 `Score: ${session.makes}/${session.attempts} (${session.percentage.toFixed(1)}%)\n` +
                 `Points: ${session.points}`
             );
@@ -288,7 +509,7 @@ class App {
      * @param {string} sessionId - ID of session to edit
      */
     editSession(sessionId) {
-        const session = userManager.sessions.find(s => s.id === sessionId);
+        const session = this.findLoadedActivity('session', sessionId);
         if (!session) {
             this.showCustomAlert('Session not found', 'error');
             return;
@@ -300,11 +521,18 @@ class App {
         
         // Pre-fill form with session data
         this.newSession = {
-            date: session.date,
+            timestamp: session.timestamp,
             distance: session.distance.toString(),
             makes: session.makes.toString(),
             attempts: session.attempts.toString(),
-            routineName: session.routineName
+            stations: session.stations ? session.stations.map(({ distance, makes, attempts }) => ({ distance, makes, attempts })) : null,
+            routineName: session.routineName,
+            misses: session.misses || null,
+            style: session.style || null,
+            conditions: session.conditions || null,
+            discIds: session.discIds || null,
+            notes: session.notes || '',
+            tags: session.tags || null
         };
         
         this.render();
@@ -316,7 +544,7 @@ class App {
      */
     async deleteRoutine(routineId) {
         try {
-            const routine = this.state.recentRoutines.find(r => r.id === routineId);
+            const routine = this.findLoadedActivity('routine', routineId);
             if (!routine) {
                 throw new Error('Routine not found');
             }
@@ -335,13 +563,14 @@ class App {
 
             const user = userManager.getCurrentUser();
             
-            // Remove points from user
-            user.totalPoints = Math.max(0, user.totalPoints - (routine.points || 0));
-            user.totalRoutines = Math.max(0, (user.totalRoutines || 0) - 1);
-            await storageManager.saveUser(user);
-            
-            // Delete routine
-            await storageManager.deleteRoutineCompletion(user.id, routineId);
+            // Delete routine and remove its points from the user together
+            // (pending routines were never counted)
+            await storageManager.deleteRoutineCompletion(user.id, routineId, routine.pending ? null : {
+                totalPoints: increment(-(routine.points || 0)),
+                totalRoutines: increment(-1),
+                ...userManager.getPuttStatsUpdate('routine', routine, -1)
+            });
+            await userManager.reloadUser();
 
             // Reload data
             await this.loadRecentPractice();
@@ -356,12 +585,85 @@ class App {
         }
     }
     
+    /**
+     * Accept an activity another player logged for us, adding it to our stats
+     * @param {string} type - 'session', 'routine' or 'game'
+     * @param {string} id - Activity ID
+     */
+    async acceptPending(type, id) {
+        try {
+            const user = userManager.getCurrentUser();
+            
+            if (type === 'session') {
+                await userManager.acceptSession(id);
+            } else if (type === 'routine') {
+                const routine = this.findLoadedActivity('routine', id);
+                if (!routine) throw new Error('Routine not found');
+                await storageManager.updateRoutineCompletion(user.id, id, { pending: false }, {
+                    totalPoints: increment(routine.points || 0),
+                    totalRoutines: increment(1),
+                    ...userManager.getPuttStatsUpdate('routine', routine)
+                });
+            } else {
+                const game = this.findLoadedActivity('game', id);
+                if (!game) throw new Error('Game not found');
+                await storageManager.updateGameCompletion(user.id, id, { pending: false }, {
+                    totalPoints: increment(game.points || 0),
+                    totalGames: increment(1),
+                    ...userManager.getPuttStatsUpdate('game', game)
+                });
+            }
+            
+            await userManager.reloadUser();
+            await this.loadRecentPractice();
+            await this.loadLeaderboard();
+            await achievementManager.checkAchievements();
+            
+            this.render();
+            this.showCustomAlert('Added to your stats', 'success');
+        } catch (error) {
+            console.error(`Error accepting ${type}:`, error);
+            this.showCustomAlert(`Failed to accept ${type}: ` + error.message, 'error');
+        }
+    }
+    
+    /**
+     * Reject an activity another player logged for us (it was never counted)
+     * @param {string} type - 'session', 'routine' or 'game'
+     * @param {string} id - Activity ID
+     */
+    async rejectPending(type, id) {
+        if (!confirm(`Reject this ${type}? It will be removed from your history.`)) {
+            return;
+        }
+        
+        try {
+            const user = userManager.getCurrentUser();
+            
+            if (type === 'session') {
+                await userManager.deleteSession(id);
+            } else if (type === 'routine') {
+                await storageManager.deleteRoutineCompletion(user.id, id, null);
+            } else {
+                await storageManager.deleteGameCompletion(user.id, id, null);
+            }
+            
+            await this.loadRecentPractice();
+            
+            this.render();
+            this.showCustomAlert(`${type.charAt(0).toUpperCase() + type.slice(1)} rejected`, 'success');
+        } catch (error) {
+            console.error(`Error rejecting ${type}:`, error);
+            this.showCustomAlert(`Failed to reject ${type}: ` + error.message, 'error');
+        }
+    }
+    
     /**
      * Edit a routine
      * @param {string} routineId - ID of routine to edit
      */
     editRoutine(routineId) {
-        const routine = this.state.recentRoutines.find(r => r.id === routineId);
+        const routine = this.findLoadedActivity('routine', routineId);
         if (!routine) {
             this.showCustomAlert('Routine not found', 'error');
             return;
@@ -378,7 +680,7 @@ class App {
      */
     async deleteGame(gameId) {
         try {
-            const game = this.state.recentGames.find(g => g.id === gameId);
+            const game = this.findLoadedActivity('game', gameId);
             if (!game) {
                 throw new Error('Game not found');
             }
@@ -386,7 +688,7 @@ class App {
             const confirmed = confirm(
                 `Are you sure you want to delete this game?\n\n` +
                 `Game: ${game.gameName}\n` +
-                `Score: ${game.score}\n` +
+                `Score: ${this.formatGameScore(game)}\n` +
                 `Points: ${game.points || 0}`
             );
 
@@ -396,13 +698,14 @@ class App {
 
             const user = userManager.getCurrentUser();
             
-            // Remove points from user
-            user.totalPoints = Math.max(0, user.totalPoints - (game.points || 0));
-            user.totalGames = Math.max(0, (user.totalGames || 0) - 1);
-            await storageManager.saveUser(user);
-            
-            // Delete game
-            await storageManager.deleteGameCompletion(user.id, gameId);
+            // Delete game and remove its points from the user together
+            // (pending games were never counted)
+            await storageManager.deleteGameCompletion(user.id, gameId, game.pending ? null : {
+                totalPoints: increment(-(game.points || 0)),
+                totalGames: increment(-1),
+                ...userManager.getPuttStatsUpdate('game', game, -1)
+            });
+            await userManager.reloadUser();
 
             // Reload data
             await this.loadRecentPractice();
@@ -422,7 +725,7 @@ class App {
      * @param {string} gameId - ID of game to edit
      */
     editGame(gameId) {
-        const game = this.state.recentGames.find(g => g.id === gameId);
+        const game = this.findLoadedActivity('game', gameId);
         if (!game) {
             this.showCustomAlert('Game not found', 'error');
             return;
@@ -568,6 +871,15 @@ class App {
                     <p style="color: #6b7280; margin-bottom: 2rem; font-size: 1.1rem;">
                         Track your disc golf putting practice and compete with friends
                     </p>
+                    ${authManager.isLocal() ? `
+                    <button id="googleSignInBtn" class="btn btn-primary" style="width: 100%; padding: 1rem; font-size: 1.1rem;">
+                        🧪 Start Demo
+                    </button>
+                    <p style="margin-top: 1.5rem; color: #9ca3af; font-size: 0.875rem;">
+                        Demo data is saved in this browser only.
+                        <a href="#" id="exitDemoBtn">Use the real app</a>
+                    </p>
+                    ` : `
                     <button id="googleSignInBtn" class="btn btn-primary" style="width: 100%; padding: 1rem; font-size: 1.1rem; display: flex; align-items: center; justify-content: center; gap: 0.5rem;">
                         <svg width="24" height="24" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
                             <path d="M22.56 12.25c0-.78-.07-1.53-.2-2.25H12v4.26h5.92c-.26 1.37-1.04 2.53-2.21 3.31v2.77h3.57c2.08-1.92 3.28-4.74 3.28-8.09z" fill="#4285F4"/>
@@ -580,6 +892,10 @@ class App {
                     <p style="margin-top: 1.5rem; color: #9ca3af; font-size: 0.875rem;">
                         By signing in, you agree to our terms of service
                     </p>
+                    <p style="margin-top: 0.5rem; color: #9ca3af; font-size: 0.875rem;">
+                        <a href="#" id="tryDemoBtn">Try the demo without an account</a>
+                    </p>
+                    `}
                 </div>
             </div>
         `;
@@ -592,7 +908,6 @@ class App {
     renderApp() {
         const user = userManager.getCurrentUser();
         const stats = userManager.getStatistics();
-        const sessions = userManager.sessions;
         
         return `
             <!-- Header -->
@@ -623,11 +938,21 @@ class App {
 
             <!-- Main Content -->
             <main class="container main-content">
+                ${authManager.isLocal() ? `
+                <div class="demo-banner">
+                    🧪 Demo mode - your data is saved in this browser only.
+                    <a href="#" id="exitDemoBtn">Use the real app</a>
+                </div>
+                ` : ''}
+
                 <!-- Navigation Tabs -->
                 <div class="tabs">
                     <button class="tab ${this.state.currentView === 'practice' ? 'active' : ''}" data-view="practice">
                         📊 Practice
                     </button>
+                    <button class="tab ${this.state.currentView === 'history' ? 'active' : ''}" data-view="history">
+                        📜 History
+                    </button>
                     <button class="tab ${this.state.currentView === 'routines' ? 'active' : ''}" data-view="routines">
                         📋 Routines
                     </button>
@@ -645,6 +970,9 @@ class App {
                     </button>
                 </div>
 
+                <!-- Offline Sync Status -->
+                ${this.renderSyncStatus()}
+
                 <!-- Practice View -->
                 <div class="view ${this.state.currentView === 'practice' ? 'active' : ''}" id="practice-view">
                     <!-- Statistics Cards -->
@@ -665,6 +993,12 @@ class App {
                             <div class="stat-value">${stats.accuracy ? stats.accuracy.toFixed(1) : 0}%</div>
                             <div class="stat-label">Accuracy</div>
                         </div>
+                        ${PUTTING_CIRCLES.filter(circle => circle.id !== 'c1').map(circle => `
+                            <div class="stat-card" title="${circle.name}: ${this.formatCircleRange(circle)}">
+                                <div class="stat-value">${this.formatCircleAccuracy(user.circleStats, circle)}</div>
+                                <div class="stat-label">${circle.label} Accuracy</div>
+                            </div>
+                        `).join('')}
                     </div>
 
                     <!-- Add Session Form (Hidden by default) -->
@@ -678,6 +1012,9 @@ class App {
                                 <button id="bulkLogBtn" class="btn btn-secondary btn-small">
                                     📋 Bulk Log
                                 </button>
+                                <button id="liveSessionBtn" class="btn btn-secondary btn-small">
+                                    🎯 Live Session
+                                </button>
                                 <button id="addSessionBtn" class="btn btn-primary">
                                     ➕ Add Practice Session
                                 </button>
@@ -689,6 +1026,11 @@ class App {
                     </div>
                 </div>
 
+                <!-- History View -->
+                <div class="view ${this.state.currentView === 'history' ? 'active' : ''}" id="history-view">
+                    ${this.state.currentView === 'history' ? this.renderHistoryView() : ''}
+                </div>
+
                 <!-- Routines View -->
                 <div class="view ${this.state.currentView === 'routines' ? 'active' : ''}" id="routines-view">
                     ${this.renderRoutines()}
@@ -722,8 +1064,34 @@ class App {
                                     data-category="games">
                                 🎮 Games Leader
                             </button>
+                            <button class="leaderboard-tab ${this.state.leaderboardCategory === 'strokesGained' ? 'active' : ''}" 
+                                    data-category="strokesGained">
+                                ⛳ Strokes Gained
+                            </button>
+                            <button class="leaderboard-tab ${this.state.leaderboardCategory === 'rating' ? 'active' : ''}" 
+                                    data-category="rating">
+                                ♟️ Skill Rating
+                            </button>
+                            ${PUTTING_CIRCLES.map(circle => `
+                                <button class="leaderboard-tab ${this.state.leaderboardCategory === circle.id ? 'active' : ''}" 
+                                        data-category="${circle.id}">
+                                    🥅 ${circle.label} %
+                                </button>
+                            `).join('')}
                         </div>
                         
+                        ${PUTTING_CIRCLES.filter(circle => circle.id === this.state.leaderboardCategory).map(circle => `
+                            <p class="form-hint circle-leaderboard-hint">Make percentage from ${this.formatCircleRange(circle)} across sessions, routine drills and Putt 100. Players need ${circle.minAttempts}+ putts there to rank.</p>
+                        `).join('')}
+                        ${this.state.leaderboardCategory === 'strokesGained' ? `
+                            <p class="form-hint circle-leaderboard-hint">Makes above (or below) what the community makes from the same distances, per ${SG_RATE_PUTTS} putts. Players need ${SG_MIN_ATTEMPTS}+ putts to rank.</p>
+                            ${this.renderCommunityStatsUpdated()}
+                        ` : ''}
+                        ${this.state.leaderboardCategory === 'rating' ? `
+                            <p class="form-hint circle-leaderboard-hint">Glicko-style rating from head-to-head games and weekly practice against the community baseline. The ± uncertainty shrinks with more results; players rank once it's ±${RATING_MAX_RD} or less.</p>
+                            ${this.renderCommunityStatsUpdated()}
+                        ` : ''}
+                        
                         <!-- Gender Filter Toggles -->
                         <div class="gender-filter-container">
                             <span class="filter-label">Filter by gender:</span>
@@ -743,6 +1111,19 @@ class App {
                             </div>
                         </div>
                         
+                        <!-- Putting Style Filter (style totals are only kept for sessions) -->
+                        ${['points', 'sessions'].includes(this.state.leaderboardCategory || 'points') ? `
+                            <div class="style-filter-container">
+                                <label for="leaderboardStyleFilter" class="filter-label">Putting style:</label>
+                                <select id="leaderboardStyleFilter" class="form-input">
+                                    <option value="all">All styles</option>
+                                    ${PUTTING_STYLES.map(style => `
+                                        <option value="${style.id}" ${this.state.leaderboardStyleFilter === style.id ? 'selected' : ''}>${style.icon} ${style.label}</option>
+                                    `).join('')}
+                                </select>
+                            </div>
+                        ` : ''}
+                        
                         <div class="leaderboard-list">
                             ${this.renderLeaderboardList()}
                         </div>
@@ -800,6 +1181,11 @@ class App {
             
             <!-- Profile Modal -->
             ${this.state.showProfileModal ? this.renderProfileModal() : ''}
+            ${this.state.importPreview ? this.renderImportPreviewModal() : ''}
+            ${this.state.accountDeletion ? this.renderDeleteAccountModal() : ''}
+            
+            <!-- Live Session Modal -->
+            ${liveSessionTracker.isActive() ? this.renderLiveSessionModal() : ''}
             
             <!-- Edit Routine Modal -->
             ${this.state.showEditRoutineModal ? this.renderEditRoutineModal() : ''}
@@ -868,6 +1254,47 @@ class App {
         `;
     }
     
+    /**
+     * Render offline status and the list of items waiting to sync
+     * @returns {string} HTML string
+     */
+    renderSyncStatus() {
+        const { online, syncing, pending } = this.state.syncStatus;
+        if (online && pending.length === 0) return '';
+
+        const labels = {
+            sessions: write => `🎯 Session: ${formatDistance(write.data?.distance, userManager.getUnits())} - ${write.data?.makes}/${write.data?.attempts}`,
+            routineCompletions: write => `📋 Routine: ${write.data?.routineName || 'Routine completion'}`,
+            gameCompletions: write => `🎮 Game: ${write.data?.gameName || 'Game score'}`
+        };
+
+        const activityWrites = pending.filter(write => write.type !== 'delete' && labels[write.path.split('/').pop()]);
+        const otherCount = pending.length - activityWrites.length;
+
+        return `
+            <div class="sync-status ${online ? '' : 'offline'}">
+                <div class="sync-status-header">
+                    <span>${online ? (syncing ? '🔄 Syncing...' : '☁️ Waiting to sync') : '📡 Offline - changes are saved on this device'}</span>
+                    ${online && !syncing && pending.length > 0 ? '<button class="btn btn-secondary btn-small" id="syncNowBtn">Sync Now</button>' : ''}
+                </div>
+                ${pending.length > 0 ? `
+                    <ul class="sync-pending-list">
+                        ${activityWrites.map(write => `
+                            <li class="${write.error ? 'sync-failed' : ''}">
+                                ${labels[write.path.split('/').pop()](write)}
+                                ${write.error ? `
+                                    <span class="sync-error">⚠️ Not synced: ${write.error}</span>
+                                    <button class="btn btn-danger btn-small discard-write-btn" data-seq="${write.seq}">Discard</button>
+                                ` : ''}
+                            </li>
+                        `).join('')}
+                        ${otherCount > 0 ? `<li>🔧 ${otherCount} other update${otherCount !== 1 ? 's' : ''}</li>` : ''}
+                    </ul>
+                ` : ''}
+            </div>
+        `;
+    }
+
     renderAddSessionForm() {
         const isEditing = this.state.editingSession !== null;
         return `
@@ -887,20 +1314,29 @@ class App {
                         <p class="form-hint">Choose who this session is for</p>
                     </div>
                     ` : ''}
-                    <div class="form-row">
-                        <div class="form-group">
-                            <label for="distance">Distance (feet)</label>
-                            <input type="number" id="distance" min="5" max="100" value="${this.newSession.distance}" required>
-                        </div>
-                        <div class="form-group">
-                            <label for="makes">Makes</label>
-                            <input type="number" id="makes" min="0" max="100" value="${this.newSession.makes}" required>
-                        </div>
-                        <div class="form-group">
-                            <label for="attempts">Attempts</label>
-                            <input type="number" id="attempts" min="1" max="100" value="${this.newSession.attempts}" required>
-                        </div>
+                    ${this.renderPlayedAtFields('session', this.newSession.timestamp, this.newSession.playedAtInput)}
+                    ${this.renderStationRows()}
+                    ${this.renderStyleSelect('sessionStyle', 'style' in this.newSession ? this.newSession.style : this.getDefaultPuttingStyle())}
+                    ${this.renderDiscPicker('session', this.newSession.discIds)}
+                    ${this.renderConditionsFields('session', this.newSession.conditions)}
+                    ${this.renderTagsField('session', this.newSession.tags)}
+                    <div class="form-group">
+                        <label for="sessionNotes">Notes (optional)</label>
+                        <textarea id="sessionNotes" rows="2" maxlength="${CONSTANTS.VALIDATION.MAX_NOTES_LENGTH}" placeholder="What did you work on?">${escapeHtml(this.newSession.notes || '')}</textarea>
                     </div>
+                    ${!this.newSession.stations ? `
+                    <details class="miss-breakdown" ${this.newSession.misses ? 'open' : ''}>
+                        <summary>Where did your misses go? (optional)</summary>
+                        <div class="miss-breakdown-grid">
+                            ${MISS_DIRECTIONS.map(direction => `
+                                <div class="form-group">
+                                    <label for="miss_${direction.id}">${direction.icon} ${direction.label}</label>
+                                    <input type="number" id="miss_${direction.id}" class="miss-count-input" data-direction="${direction.id}" min="0" max="100" value="${this.newSession.misses?.[direction.id] || ''}">
+                                </div>
+                            `).join('')}
+                        </div>
+                    </details>
+                    ` : ''}
                     <div class="form-actions">
                         <button type="submit" class="btn btn-primary">${isEditing ? 'Update Session' : 'Save Session'}</button>
                         <button type="button" id="cancelSessionBtn" class="btn btn-secondary">Cancel</button>
@@ -911,98 +1347,460 @@ class App {
     }
     
     /**
-     * Render combined recent practice (sessions, routines, and games)
+     * Render the distance/makes/attempts rows of the add-session form.
+     * One row is a regular session; more rows make a multi-station session.
+     * @returns {string} HTML string
      */
-    renderRecentPractice() {
-        const sessions = userManager.sessions || [];
-        const routines = this.state.recentRoutines || [];
-        const games = this.state.recentGames || [];
-        
-        // Get all practice activities
-        const allActivities = [];
-        
-        // Add sessions
-        sessions.forEach(session => {
-            // Use timestamp if available, otherwise use date
-            const dateToUse = session.timestamp ? new Date(session.timestamp) : new Date(session.date);
-            allActivities.push({
-                type: 'session',
-                data: session,
-                date: dateToUse,
-                id: session.id
-            });
-        });
-        
-        // Add routines
-        routines.forEach(routine => {
-            allActivities.push({
-                type: 'routine',
-                data: routine,
-                date: new Date(routine.endTime),
-                id: routine.id
-            });
-        });
-        
-        // Add games
-        games.forEach(game => {
-            allActivities.push({
-                type: 'game',
-                data: game,
-                date: new Date(game.endTime),
-                id: game.id
-            });
-        });
-        
-        // Sort by date (newest first)
-        allActivities.sort((a, b) => b.date - a.date);
+    renderStationRows() {
+        const stations = this.newSession.stations || [{
+            distance: this.newSession.distance,
+            makes: this.newSession.makes,
+            attempts: this.newSession.attempts
+        }];
+        const isMultiStation = stations.length > 1;
+        const units = userManager.getUnits();
         
-        // Take most recent 20
-        const recent = allActivities.slice(0, 20);
-        
-        if (recent.length === 0) {
-            return '<p class="empty-state">No practice activities yet. Start practicing!</p>';
-        }
+        return `
+            <div class="station-rows">
+                ${stations.map((station, idx) => `
+                    <div class="form-row station-row">
+                        ${isMultiStation ? `<span class="station-label">Station ${idx + 1}</span>` : ''}
+                        <div class="form-group">
+                            <label for="station${idx}Distance">Distance (${getDistanceUnit(units).long})</label>
+                            <input type="number" id="station${idx}Distance" class="station-distance" ${this.renderDistanceInputLimits(units, 5)} value="${toDistanceInputValue(station.distance, units)}" required>
+                        </div>
+                        <div class="form-group">
+                            <label for="station${idx}Makes">Makes</label>
+                            <input type="number" id="station${idx}Makes" class="station-makes" min="0" max="100" value="${station.makes ?? ''}" required>
+                        </div>
+                        <div class="form-group">
+                            <label for="station${idx}Attempts">Attempts</label>
+                            <input type="number" id="station${idx}Attempts" class="station-attempts" min="1" max="100" value="${station.attempts ?? ''}" required>
+                        </div>
+                        ${isMultiStation ? `
+                            <button type="button" class="btn btn-secondary btn-small remove-station-btn" data-station="${idx}" title="Remove station">✕</button>
+                        ` : ''}
+                    </div>
+                `).join('')}
+            </div>
+            ${stations.length < CONSTANTS.VALIDATION.MAX_STATIONS ? `
+                <button type="button" id="addStationBtn" class="btn btn-secondary btn-small">➕ Add Station</button>
+                ${!isMultiStation ? `<p class="form-hint">${localizeDistanceText('Putted from several distances? Add a station for each (e.g. 10 at 15ft, 10 at 20ft, 10 at 25ft)', units)}</p>` : ''}
+            ` : ''}
+        `;
+    }
+    
+    /**
+     * Read the station rows of the add-session form
+     * @returns {Array} Stations as { distance, makes, attempts } (distance in feet)
+     */
+    readStationRows() {
+        const units = userManager.getUnits();
+        return [...document.querySelectorAll('#sessionForm .station-row')].map(row => ({
+            distance: fromDisplayDistance(row.querySelector('.station-distance').value, units),
+            makes: parseInt(row.querySelector('.station-makes').value),
+            attempts: parseInt(row.querySelector('.station-attempts').value)
+        }));
+    }
+    
+    /**
+     * Keep what's been typed in the add-session form before it is redrawn
+     * (e.g. when a station is added or removed)
+     */
+    captureSessionForm() {
+        const stations = this.readStationRows().map(station => ({
+            distance: isNaN(station.distance) ? '' : station.distance,
+            makes: isNaN(station.makes) ? '' : station.makes,
+            attempts: isNaN(station.attempts) ? '' : station.attempts
+        }));
         
-        return recent.map(activity => {
-            switch (activity.type) {
-                case 'session':
-                    return this.renderSessionItem(activity.data);
-                case 'routine':
-                    return this.renderRoutineItem(activity.data);
-                case 'game':
-                    return this.renderGameItem(activity.data);
-                default:
-                    return '';
+        this.newSession = {
+            ...this.newSession,
+            distance: stations[0]?.distance ?? this.newSession.distance,
+            makes: stations[0]?.makes ?? this.newSession.makes,
+            attempts: stations[0]?.attempts ?? this.newSession.attempts,
+            stations: stations.length > 1 ? stations : null,
+            misses: document.querySelector('.miss-breakdown') ? this.readMissBreakdown() : null,
+            style: document.getElementById('sessionStyle')?.value || null,
+            discIds: this.readDiscPicker('session'),
+            conditions: this.readConditions('session'),
+            tags: parseTags(this.readTags('session')),
+            notes: document.getElementById('sessionNotes')?.value || '',
+            playedAtInput: {
+                date: document.getElementById('sessionPlayedDate')?.value || '',
+                time: document.getElementById('sessionPlayedTime')?.value || ''
             }
-        }).join('');
+        };
     }
     
     /**
-     * Render routine item for recent practice list
+     * Format a session's distance in the player's units, e.g. "20ft" or
+     * "15-25ft" for a multi-station session
+     * @param {Object} session - Session
+     * @returns {string} Distance label
      */
-    renderRoutineItem(routine) {
-        const dateObj = new Date(routine.endTime);
-        const date = dateObj.toLocaleDateString();
-        const time = dateObj.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
-        const currentUserId = userManager.getCurrentUser()?.id;
-        const loggedByOther = routine.loggedBy && routine.loggedBy !== currentUserId;
-        const needsAccept = routine.pending && loggedByOther;
-        
-        return `
-            <div class="session-item routine-item ${needsAccept ? 'pending-session' : ''}">
-                <div class="session-header">
-                    <div>
-                        <span class="session-date">${date}</span>
-                        <span class="session-time">${time}</span>
-                        <span class="routine-tag">📋 ${routine.routineName}</span>
-                        ${loggedByOther ? `<span class="logged-by-badge">📝 Logged by ${routine.loggedByName || 'Another user'}</span>` : ''}
-                        ${needsAccept ? `<span class="pending-badge">⏳ Pending</span>` : ''}
-                    </div>
-                    <div class="session-actions">
-                        ${needsAccept ? `
-                            <button class="btn btn-success btn-small accept-routine-btn" data-routine-id="${routine.id}">
-                                ✓ Accept
-                            </button>
+    formatSessionDistance(session) {
+        const distances = getSessionStations(session).map(station => station.distance);
+        return formatDistanceRange(Math.min(...distances), Math.max(...distances), userManager.getUnits());
+    }
+    
+    /**
+     * Check whether a game completion's score is a distance (e.g. Distance Ladder)
+     * @param {Object} game - Game completion
+     * @returns {boolean} True if the score is stored in feet
+     */
+    isDistanceGame(game) {
+        const definition = PUTTING_GAMES.find(g => g.id === game.gameId || g.name === game.gameName);
+        return definition?.scoring.type === 'distance';
+    }
+    
+    /**
+     * Format a game completion's score, in the player's units for distance games
+     * @param {Object} game - Game completion
+     * @returns {string} Score label
+     */
+    formatGameScore(game) {
+        return this.isDistanceGame(game) ? formatDistance(game.score, userManager.getUnits()) : `${game.score}`;
+    }
+    
+    /**
+     * Describe the distances a putting circle covers in the player's units
+     * @param {Object} circle - PUTTING_CIRCLES entry
+     * @returns {string} e.g. "11-33ft"
+     */
+    formatCircleRange(circle) {
+        return formatDistanceRange(circle.minDistance, circle.maxDistance, userManager.getUnits());
+    }
+    
+    /**
+     * Format a player's make percentage in a putting circle
+     * @param {Object} circleStats - circleStats aggregate (or calculateCircleStats result)
+     * @param {Object} circle - PUTTING_CIRCLES entry
+     * @returns {string} e.g. "84.2%", or "—" with no putts from that circle
+     */
+    formatCircleAccuracy(circleStats, circle) {
+        const accuracy = getCircleAccuracy(circleStats?.[circle.id]);
+        return accuracy === null ? '—' : `${accuracy}%`;
+    }
+    
+    /**
+     * Render min/max/step attributes for a distance input in the player's units
+     * @param {string} units - Unit system id
+     * @param {number} minFeet - Shortest allowed distance in feet
+     * @param {number} maxFeet - Longest allowed distance in feet
+     * @param {number} feetStep - Step when entering feet
+     * @returns {string} Attribute string
+     */
+    renderDistanceInputLimits(units, minFeet = CONSTANTS.VALIDATION.MIN_DISTANCE, maxFeet = CONSTANTS.VALIDATION.MAX_DISTANCE, feetStep = 1) {
+        const limits = getDistanceInputLimits(units, minFeet, maxFeet);
+        return `min="${limits.min}" max="${limits.max}" step="${units === 'metric' ? limits.step : feetStep}"`;
+    }
+    
+    /**
+     * Render the live putt-by-putt session modal
+     * @returns {string} HTML string
+     */
+    renderLiveSessionModal() {
+        const live = liveSessionTracker.getCurrent();
+        const summary = liveSessionTracker.getSummary();
+        const saving = this.state.savingLiveSession;
+        const target = live.game ? 10 : null;
+        
+        // Only the most recent putts fit on screen
+        const recentPutts = live.sequence.slice(-30);
+        
+        // Practice sessions can tag where the last miss went
+        const lastIndex = live.sequence.length - 1;
+        const canTagMiss = !live.game && lastIndex >= 0 && !live.sequence[lastIndex];
+        const lastMissDirection = canTagMiss ? live.missDirections[lastIndex] : null;
+        const units = userManager.getUnits();
+        
+        return `
+            <div class="modal-overlay" id="liveSessionModal">
+                <div class="modal live-session-modal">
+                    <div class="modal-header">
+                        <h3>🎯 ${live.game ? escapeHtml(live.game.name) : 'Live Session'}</h3>
+                        <button type="button" class="close-modal-btn" id="closeLiveSessionBtn" ${saving ? 'disabled' : ''}>✕</button>
+                    </div>
+                    <div class="modal-body">
+                        ${summary.attempts === 0 ? `
+                            <div class="form-group">
+                                <label for="liveDistance">Distance (${getDistanceUnit(units).long})</label>
+                                <input type="number" id="liveDistance" ${this.renderDistanceInputLimits(units, 5)} value="${toDistanceInputValue(live.distance, units)}">
+                            </div>
+                            ${this.renderStyleSelect('liveStyle', live.style)}
+                            ${!live.game ? this.renderDiscPicker('live', live.discIds) : ''}
+                            ${this.renderConditionsFields('live', live.conditions)}
+                        ` : `
+                            <p class="live-distance">📏 ${formatDistance(live.distance, units)} ${this.renderStyleBadge(live.style)} ${this.renderSessionDiscs(live.discIds)}</p>
+                            ${live.conditions ? `<p class="live-conditions">${this.renderConditionsSummary(live.conditions)}</p>` : ''}
+                        `}
+                        
+                        <div class="live-stats">
+                            <div class="live-stat">
+                                <div class="stat-value">${summary.makes}/${summary.attempts}</div>
+                                <div class="stat-label">Makes</div>
+                            </div>
+                            <div class="live-stat">
+                                <div class="stat-value">${summary.percentage.toFixed(1)}%</div>
+                                <div class="stat-label">Accuracy</div>
+                            </div>
+                            <div class="live-stat">
+                                <div class="stat-value">${summary.currentStreak}</div>
+                                <div class="stat-label">Streak</div>
+                            </div>
+                            <div class="live-stat">
+                                <div class="stat-value">${summary.longestStreak}${target ? `/${target}` : ''}</div>
+                                <div class="stat-label">Best Streak</div>
+                            </div>
+                        </div>
+                        
+                        ${target && summary.longestStreak >= target ? `
+                            <p class="live-goal-reached">🎉 ${target} in a row!</p>
+                        ` : ''}
+                        
+                        <div class="live-sequence" aria-label="Recent putts">
+                            ${live.sequence.length > recentPutts.length ? '<span class="live-putt-more">…</span>' : ''}
+                            ${recentPutts.map(made => `<span class="live-putt ${made ? 'make' : 'miss'}">${made ? '●' : '○'}</span>`).join('')}
+                        </div>
+                        
+                        <div class="live-buttons">
+                            <button type="button" class="btn live-make-btn" id="liveMakeBtn" ${saving ? 'disabled' : ''}>✅ Make</button>
+                            <button type="button" class="btn live-miss-btn" id="liveMissBtn" ${saving ? 'disabled' : ''}>❌ Miss</button>
+                        </div>
+                        
+                        ${canTagMiss ? `
+                            <div class="live-miss-directions">
+                                <p class="form-hint">Where did it miss? (optional)</p>
+                                ${MISS_DIRECTIONS.map(direction => `
+                                    <button type="button" class="btn btn-small live-miss-direction-btn ${lastMissDirection === direction.id ? 'selected' : ''}" data-direction="${direction.id}" ${saving ? 'disabled' : ''}>
+                                        ${direction.icon} ${direction.label}
+                                    </button>
+                                `).join('')}
+                            </div>
+                        ` : ''}
+                        
+                        <div class="form-actions">
+                            <button type="button" class="btn btn-secondary" id="liveUndoBtn" ${summary.attempts === 0 || saving ? 'disabled' : ''}>↩️ Undo</button>
+                            <button type="button" class="btn btn-primary" id="finishLiveSessionBtn" ${summary.attempts === 0 || saving ? 'disabled' : ''}>
+                                ${saving ? '⏳ Saving...' : (live.game ? 'Save Score' : 'Save Session')}
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+    
+    /**
+     * Find one of your own activities among those loaded: recent practice,
+     * the History view or (for sessions) the full session history
+     * @param {string} type - 'session', 'routine' or 'game'
+     * @param {string} id - Activity ID
+     * @returns {Object|null} Activity, or null if it isn't loaded
+     */
+    findLoadedActivity(type, id) {
+        const loaded = {
+            session: [...userManager.recentSessions, ...userManager.sessions],
+            routine: this.state.recentRoutines,
+            game: this.state.recentGames
+        }[type];
+        return loaded.find(item => item.id === id)
+            || this.state.historyItems.find(item => item.type === type && item.id === id)?.data
+            || null;
+    }
+    
+    /**
+     * Get sessions, routines and games merged newest first.
+     * Only rebuilt when one of the source arrays is replaced, not on every render.
+     * @returns {Array} Activities as { type, data, date, id }
+     */
+    getMergedPractice() {
+        const sessions = userManager.recentSessions;
+        const routines = this.state.recentRoutines || [];
+        const games = this.state.recentGames || [];
+        
+        const cache = this.recentPracticeCache;
+        if (cache && cache.sessions === sessions && cache.routines === routines && cache.games === games) {
+            return cache.activities;
+        }
+        
+        // Get all practice activities
+        const allActivities = [];
+        
+        // Add sessions
+        sessions.forEach(session => {
+            // Use timestamp if available, otherwise use date
+            const dateToUse = session.timestamp ? new Date(session.timestamp) : new Date(session.date);
+            allActivities.push({
+                type: 'session',
+                data: session,
+                date: dateToUse,
+                id: session.id
+            });
+        });
+        
+        // Add routines
+        routines.forEach(routine => {
+            allActivities.push({
+                type: 'routine',
+                data: routine,
+                date: new Date(routine.endTime),
+                id: routine.id
+            });
+        });
+        
+        // Add games
+        games.forEach(game => {
+            allActivities.push({
+                type: 'game',
+                data: game,
+                date: new Date(game.endTime),
+                id: game.id
+            });
+        });
+        
+        // Sort by date (newest first)
+        allActivities.sort((a, b) => b.date - a.date);
+        
+        this.recentPracticeCache = { sessions, routines, games, activities: allActivities };
+        return allActivities;
+    }
+    
+    /**
+     * Render one activity from a merged practice list
+     * @param {Object} activity - { type, data }
+     * @returns {string} HTML
+     */
+    renderActivityItem(activity) {
+        switch (activity.type) {
+            case 'session':
+                return this.renderSessionItem(activity.data);
+            case 'routine':
+                return this.renderRoutineItem(activity.data);
+            case 'game':
+                return this.renderGameItem(activity.data);
+            default:
+                return '';
+        }
+    }
+    
+    /**
+     * Render combined recent practice (sessions, routines, and games)
+     */
+    renderRecentPractice() {
+        // Take most recent 20
+        const recent = this.getMergedPractice().slice(0, CONSTANTS.UI.RECENT_PRACTICE_ITEMS);
+        
+        if (recent.length === 0) {
+            return '<p class="empty-state">No practice activities yet. Start practicing!</p>';
+        }
+        
+        return recent.map(activity => this.renderActivityItem(activity)).join('') + `
+            <div class="view-history-link">
+                <a href="#" id="viewHistoryLink">View full history →</a>
+            </div>
+        `;
+    }
+    
+    /**
+     * Render the full history view with filters and infinite scroll
+     */
+    renderHistoryView() {
+        const filters = this.state.historyFilters;
+        const items = this.state.historyItems;
+        const typeLabels = { session: '🎯 Sessions', routine: '📋 Routines', game: '🎮 Games' };
+        const units = userManager.getUnits();
+        const unit = getDistanceUnit(units);
+        
+        return `
+            <div class="card">
+                <h2>📜 Practice History</h2>
+                
+                <form id="historyFilterForm" class="history-filters">
+                    <div class="history-filter-types">
+                        ${ACTIVITY_TYPES.map(type => `
+                            <label class="history-type-toggle">
+                                <input type="checkbox" name="historyType" value="${type}" ${filters.types.includes(type) ? 'checked' : ''}>
+                                ${typeLabels[type]}
+                            </label>
+                        `).join('')}
+                    </div>
+                    <div class="form-row history-filter-row">
+                        <div class="form-group">
+                            <label for="historyFrom">From</label>
+                            <input type="date" id="historyFrom" value="${filters.from}">
+                        </div>
+                        <div class="form-group">
+                            <label for="historyTo">To</label>
+                            <input type="date" id="historyTo" value="${filters.to}">
+                        </div>
+                        <div class="form-group">
+                            <label for="historyMinDistance">Min distance (${unit.short})</label>
+                            <input type="number" id="historyMinDistance" ${this.renderDistanceInputLimits(units)} value="${toDistanceInputValue(filters.minDistance, units)}">
+                        </div>
+                        <div class="form-group">
+                            <label for="historyMaxDistance">Max distance (${unit.short})</label>
+                            <input type="number" id="historyMaxDistance" ${this.renderDistanceInputLimits(units)} value="${toDistanceInputValue(filters.maxDistance, units)}">
+                        </div>
+                        <div class="form-group">
+                            <label for="historyName">Routine / game name</label>
+                            <input type="text" id="historyName" placeholder="e.g. Circle 1" value="${filters.name.replace(/"/g, '&quot;')}">
+                        </div>
+                        <div class="form-group">
+                            <label for="historySearch">Notes / tags</label>
+                            <input type="search" id="historySearch" placeholder="e.g. new grip" value="${escapeHtml(filters.search)}">
+                        </div>
+                    </div>
+                    <div class="form-actions">
+                        <button type="submit" class="btn btn-primary btn-small">Apply Filters</button>
+                        <button type="button" id="clearHistoryFiltersBtn" class="btn btn-secondary btn-small">Clear</button>
+                    </div>
+                </form>
+                
+                <div class="sessions-list history-list">
+                    ${items.length > 0
+                        ? items.map(activity => this.renderActivityItem(activity)).join('')
+                        : (this.state.historyLoading || !this.historyFeed ? '' : '<p class="empty-state">No activities match these filters.</p>')}
+                </div>
+                
+                ${this.state.historyLoading ? '<p class="history-loading">Loading...</p>' : ''}
+                ${this.state.historyHasMore && !this.state.historyLoading ? `
+                    <div id="historySentinel" class="history-load-more">
+                        <button id="loadMoreHistoryBtn" class="btn btn-secondary btn-small">Load More</button>
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    }
+    
+    /**
+     * Render routine item for recent practice list
+     */
+    renderRoutineItem(routine) {
+        const date = routine.date ? formatDate(routine.date) : new Date(routine.endTime).toLocaleDateString();
+        const time = formatTime(routine.endTime, routine.timeZone);
+        const currentUserId = userManager.getCurrentUser()?.id;
+        const loggedByOther = routine.loggedBy && routine.loggedBy !== currentUserId;
+        const needsAccept = routine.pending && loggedByOther;
+        
+        return `
+            <div class="session-item routine-item ${needsAccept ? 'pending-session' : ''}">
+                <div class="session-header">
+                    <div>
+                        <span class="session-date">${date}</span>
+                        <span class="session-time">${time}</span>
+                        <span class="routine-tag">📋 ${routine.routineName}</span>
+                        ${this.renderLoggedLaterBadge(routine)}
+                        ${loggedByOther ? `<span class="logged-by-badge">📝 Logged by ${routine.loggedByName || 'Another user'}</span>` : ''}
+                        ${needsAccept ? `<span class="pending-badge">⏳ Pending</span>` : ''}
+                        ${this.isPendingSync(routine.id) ? `<span class="sync-badge">☁️ Waiting to sync</span>` : ''}
+                    </div>
+                    <div class="session-actions">
+                        ${needsAccept ? `
+                            <button class="btn btn-success btn-small accept-routine-btn" data-routine-id="${routine.id}">
+                                ✓ Accept
+                            </button>
                             <button class="btn btn-danger btn-small reject-routine-btn" data-routine-id="${routine.id}">
                                 ✕ Reject
                             </button>
@@ -1021,7 +1819,12 @@ class App {
                     <span>${routine.duration} min</span>
                     <span>${routine.totalStats.totalMakes}/${routine.totalStats.totalAttempts}</span>
                     <span>${routine.totalStats.overallPercentage.toFixed(1)}%</span>
+                    ${[...new Set((routine.drills || []).map(drill => drill.style).filter(Boolean))]
+                        .map(style => this.renderStyleBadge(style))
+                        .join('')}
+                    ${this.renderConditionsSummary(routine.conditions)}
                 </div>
+                ${this.renderNotesAndTags(routine)}
             </div>
         `;
     }
@@ -1030,9 +1833,8 @@ class App {
      * Render game item for recent practice list
      */
     renderGameItem(game) {
-        const dateObj = new Date(game.endTime);
-        const date = dateObj.toLocaleDateString();
-        const time = dateObj.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+        const date = game.date ? formatDate(game.date) : new Date(game.endTime).toLocaleDateString();
+        const time = formatTime(game.endTime, game.timeZone);
         
         const currentUserId = userManager.getCurrentUser()?.id;
         const loggedByOther = game.loggedBy && game.loggedBy !== currentUserId;
@@ -1045,8 +1847,10 @@ class App {
                         <span class="session-date">${date}</span>
                         <span class="session-time">${time}</span>
                         <span class="game-tag">🎮 ${game.gameName}</span>
+                        ${this.renderLoggedLaterBadge(game)}
                         ${loggedByOther ? `<span class="logged-by-badge">📝 Logged by ${game.loggedByName || 'Another user'}</span>` : ''}
                         ${needsAccept ? `<span class="pending-badge">⏳ Pending</span>` : ''}
+                        ${this.isPendingSync(game.id) ? `<span class="sync-badge">☁️ Waiting to sync</span>` : ''}
                     </div>
                     <div class="session-actions">
                         ${needsAccept ? `
@@ -1068,17 +1872,56 @@ class App {
                     </div>
                 </div>
                 <div class="session-stats">
-                    <span>Score: ${game.score}</span>
+                    <span>Score: ${this.formatGameScore(game)}</span>
                     ${game.goalAchieved ? '<span class="goal-badge">🎯 Goal!</span>' : ''}
+                    ${this.renderStyleBadge(game.style)}
+                    ${this.renderConditionsSummary(game.conditions)}
                 </div>
+                ${this.renderNotesAndTags(game)}
+            </div>
+        `;
+    }
+    
+    /**
+     * Render an activity's tags and notes under its stats
+     * @param {Object} activity - Session, routine or game completion
+     * @returns {string} HTML string (empty if it has neither)
+     */
+    renderNotesAndTags(activity) {
+        const notes = getActivityNotes(activity);
+        const tags = activity.tags || [];
+        if (!notes && tags.length === 0) return '';
+        
+        return `
+            <div class="activity-notes">
+                ${tags.length > 0 ? `
+                    <div class="activity-tags">
+                        ${tags.map(tag => `<span class="tag-chip">#${escapeHtml(tag)}</span>`).join('')}
+                    </div>
+                ` : ''}
+                ${notes ? `<p class="activity-notes-text">${escapeHtml(notes)}</p>` : ''}
             </div>
         `;
     }
     
+    /**
+     * Badge for practice that was logged on a later day than it was played
+     * @param {Object} activity - Session, routine or game completion
+     * @returns {string} HTML string (empty if it was logged the same day)
+     */
+    renderLoggedLaterBadge(activity) {
+        if (!activity.loggedAt || !activity.date) return '';
+        
+        const loggedDate = toLocalDate(activity.loggedAt, activity.timeZone || userManager.getTimeZone());
+        if (loggedDate === activity.date) return '';
+        
+        return `<span class="logged-later-badge" title="Logged ${formatDate(loggedDate)}">🗓️ Logged later</span>`;
+    }
+    
     renderSessionItem(session) {
-        const dateObj = new Date(session.timestamp || session.date);
-        const date = dateObj.toLocaleDateString();
-        const time = session.timestamp ? dateObj.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' }) : '';
+        // The day and time where the session was played
+        const date = formatDate(session.date);
+        const time = session.timestamp ? formatTime(session.timestamp, session.timeZone) : '';
         const routineTag = session.routineName ? `<span class="routine-tag">📋 ${session.routineName}</span>` : '';
         
         // Check if logged by someone else
@@ -1093,8 +1936,10 @@ class App {
                         <span class="session-date">${date}</span>
                         ${time ? `<span class="session-time">${time}</span>` : ''}
                         ${routineTag}
+                        ${this.renderLoggedLaterBadge(session)}
                         ${loggedByOther ? `<span class="logged-by-badge">📝 Logged by ${session.loggedByName || 'Another user'}</span>` : ''}
                         ${needsAccept ? `<span class="pending-badge">⏳ Pending</span>` : ''}
+                        ${this.isPendingSync(session.id) ? `<span class="sync-badge">☁️ Waiting to sync</span>` : ''}
                     </div>
                     <div class="session-actions">
                         ${needsAccept ? `
@@ -1106,6 +1951,7 @@ class App {
                             </button>
                         ` : `
                             <span class="session-points">${session.points} pts</span>
+                            ${this.renderStrokesGainedBadge(session)}
                             <button class="btn-edit-session" data-session-id="${session.id}" title="Edit session">
                                 ✏️
                             </button>
@@ -1116,33 +1962,138 @@ class App {
                     </div>
                 </div>
                 <div class="session-stats">
-                    <span>${session.distance}ft</span>
+                    <span>${this.formatSessionDistance(session)}</span>
                     <span>${session.makes}/${session.attempts}</span>
                     <span>${session.percentage.toFixed(1)}%</span>
+                    ${this.renderStyleBadge(session.style)}
+                    ${this.renderSessionDiscs(session.discIds)}
+                    ${this.renderConditionsSummary(session.conditions)}
+                    ${session.sequence ? `<span class="session-streak">🔥 Best streak ${getLongestMakeStreak(session)}</span>` : ''}
+                    ${session.misses ? `<span class="session-misses" title="Where misses went">${MISS_DIRECTIONS
+                        .filter(direction => session.misses[direction.id])
+                        .map(direction => `${direction.icon}${session.misses[direction.id]}`)
+                        .join(' ')}</span>` : ''}
                 </div>
+                ${session.stations ? `
+                    <div class="session-stations">
+                        ${session.stations.map(station => `
+                            <span class="station-chip" title="${station.points} pts">${formatDistance(station.distance, userManager.getUnits())} ${station.makes}/${station.attempts}</span>
+                        `).join('')}
+                    </div>
+                ` : ''}
+                ${this.renderNotesAndTags(session)}
             </div>
         `;
     }
     
-    renderLeaderboardList() {
-        if (this.state.leaderboard.length === 0) {
-            return '<p class="empty-state">No players yet</p>';
-        }
+    /**
+     * Community make curve that strokes gained is measured against, fit to
+     * every player's per-distance totals (see communityStats.js)
+     * @returns {Object|null} Make curve, or null until there's enough data
+     */
+    getCommunityBaseline() {
+        return communityStatsManager.getBaseline();
+    }
+    
+    /**
+     * Render when the community stats behind the strokes gained and rating
+     * leaderboards were last recomputed (they don't update as activities
+     * are logged)
+     * @returns {string} HTML string (empty if they've never been computed)
+     */
+    renderCommunityStatsUpdated() {
+        const updatedAt = communityStatsManager.getUpdatedAt();
+        if (!updatedAt) return '';
+        
+        const date = toLocalDate(updatedAt, userManager.getTimeZone());
+        return `<p class="form-hint community-stats-updated">Ranks last updated ${formatDate(date, { month: 'short', day: 'numeric', year: 'numeric' })}</p>`;
+    }
+    
+    /**
+     * Render a session's strokes gained against the community baseline
+     * @param {Object} session - Session
+     * @returns {string} HTML string (empty without a baseline)
+     */
+    renderStrokesGainedBadge(session) {
+        const baseline = this.getCommunityBaseline();
+        if (!baseline) return '';
         
+        const { strokesGained } = getSessionStrokesGained(session, baseline);
+        return `<span class="session-sg ${strokesGained >= 0 ? 'positive' : 'negative'}" title="Strokes gained vs the community">${formatStrokesGained(strokesGained)} SG</span>`;
+    }
+    
+    renderLeaderboardList() {
         const category = this.state.leaderboardCategory || 'points';
         const genderFilter = this.state.leaderboardGenderFilter || 'both';
         
+        // Strokes gained needs a baseline before anyone can rank
+        const baseline = category === 'strokesGained' ? this.getCommunityBaseline() : null;
+        if (category === 'strokesGained' && !baseline) {
+            return '<p class="empty-state">Not enough putts logged across the community for a baseline yet</p>';
+        }
+        
+        if (this.state.rankings.length === 0 && this.state.leaderboard.length === 0) {
+            return '<p class="empty-state">No players yet</p>';
+        }
+        
         // Filter out users who opted out of leaderboard
-        let filteredPlayers = this.state.leaderboard.filter(player => !player.hideFromLeaderboard);
+        let filteredPlayers = this.state.rankings.filter(player => !player.hideFromLeaderboard);
         
         // Filter by gender
         if (genderFilter !== 'both') {
             filteredPlayers = filteredPlayers.filter(player => player.gender === genderFilter);
         }
         
+        // Filter by putting style: rank on that style's session totals only
+        const styleFilter = ['points', 'sessions'].includes(category) ? (this.state.leaderboardStyleFilter || 'all') : 'all';
+        if (styleFilter !== 'all') {
+            filteredPlayers = filteredPlayers
+                .filter(player => player.styleStats?.[styleFilter]?.sessions > 0)
+                .map(player => ({
+                    ...player,
+                    totalPoints: player.styleStats[styleFilter].points || 0,
+                    totalSessions: player.styleStats[styleFilter].sessions
+                }));
+        }
+        
+        // Circle categories only rank players with enough putts from that circle
+        const circle = PUTTING_CIRCLES.find(c => c.id === category);
+        if (circle) {
+            filteredPlayers = filteredPlayers.filter(player =>
+                (player.circleStats?.[circle.id]?.attempts || 0) >= circle.minAttempts
+            );
+        }
+        
+        // Strokes gained ranks players with enough putts per 100 putts, so volume doesn't count
+        if (category === 'strokesGained') {
+            filteredPlayers = filteredPlayers
+                .map(player => ({
+                    ...player,
+                    strokesGained: calculateStrokesGained(distanceStatsToPutts(player.distanceStats), baseline)
+                }))
+                .filter(player => player.strokesGained.attempts >= SG_MIN_ATTEMPTS);
+            if (filteredPlayers.length === 0) {
+                return `<p class="empty-state">No players with ${SG_MIN_ATTEMPTS}+ putts yet</p>`;
+            }
+        }
+        
+        // Provisional ratings are too uncertain to rank
+        if (category === 'rating') {
+            filteredPlayers = filteredPlayers.filter(player =>
+                typeof player.rating === 'number' && player.ratingDeviation <= RATING_MAX_RD
+            );
+            if (filteredPlayers.length === 0) {
+                return `<p class="empty-state">No players with an established rating yet</p>`;
+            }
+        }
+        
         // Check if any players after filtering
+        if (filteredPlayers.length === 0 && circle) {
+            return `<p class="empty-state">No players with ${circle.minAttempts}+ ${circle.label} putts yet</p>`;
+        }
         if (filteredPlayers.length === 0) {
-            return `<p class="empty-state">No ${genderFilter === 'male' ? 'male' : genderFilter === 'female' ? 'female' : ''} players yet</p>`;
+            const style = PUTTING_STYLES.find(s => s.id === styleFilter);
+            return `<p class="empty-state">No ${genderFilter === 'male' ? 'male' : genderFilter === 'female' ? 'female' : ''} players ${style ? `with ${style.label.toLowerCase()} sessions ` : ''}yet</p>`;
         }
         
         // Sort based on category
@@ -1157,6 +2108,22 @@ class App {
             case 'games':
                 sortedPlayers.sort((a, b) => (b.totalGames || 0) - (a.totalGames || 0));
                 break;
+            case 'strokesGained':
+                sortedPlayers.sort((a, b) => b.strokesGained.rate - a.strokesGained.rate);
+                break;
+            case 'rating':
+                sortedPlayers.sort((a, b) => b.rating - a.rating || a.ratingDeviation - b.ratingDeviation);
+                break;
+            case 'c1':
+            case 'c1x':
+            case 'c2':
+                sortedPlayers.sort((a, b) => {
+                    const circleA = a.circleStats[circle.id];
+                    const circleB = b.circleStats[circle.id];
+                    return circleB.makes / circleB.attempts - circleA.makes / circleA.attempts
+                        || circleB.attempts - circleA.attempts;
+                });
+                break;
             case 'points':
             default:
                 sortedPlayers.sort((a, b) => (b.totalPoints || 0) - (a.totalPoints || 0));
@@ -1195,6 +2162,26 @@ class App {
                 stat2Value = player.totalPoints || 0;
                 stat2Label = 'Points';
                 break;
+            case 'strokesGained':
+                stat1Value = formatStrokesGained(player.strokesGained.rate);
+                stat1Label = `SG/${SG_RATE_PUTTS}`;
+                stat2Value = player.strokesGained.attempts;
+                stat2Label = 'Putts';
+                break;
+            case 'rating':
+                stat1Value = player.rating;
+                stat1Label = 'Rating';
+                stat2Value = `±${player.ratingDeviation}`;
+                stat2Label = 'Uncertainty';
+                break;
+            case 'c1':
+            case 'c1x':
+            case 'c2':
+                stat1Value = this.formatCircleAccuracy(player.circleStats, PUTTING_CIRCLES.find(c => c.id === category));
+                stat1Label = PUTTING_CIRCLES.find(c => c.id === category).label;
+                stat2Value = `${player.circleStats[category].makes}/${player.circleStats[category].attempts}`;
+                stat2Label = 'Putts';
+                break;
             case 'points':
             default:
                 stat1Value = player.totalPoints || 0;
@@ -1287,7 +2274,7 @@ class App {
                             <div class="achievement-card ${achievement.isUnlocked ? 'unlocked' : 'locked'}">
                                 <div class="achievement-icon">${achievement.icon}</div>
                                 <div class="achievement-name">${achievement.name}</div>
-                                <div class="achievement-description">${achievement.desc}</div>
+                                <div class="achievement-description">${localizeDistanceText(achievement.desc, userManager.getUnits())}</div>
                                 <div class="achievement-points">${achievement.points} pts</div>
                                 ${achievement.isUnlocked ? '<div class="achievement-badge">✓ Unlocked</div>' : ''}
                             </div>
@@ -1338,6 +2325,30 @@ class App {
             }
         }
         
+        // Narrow your own stats to the sessions whose notes or tags match the search
+        const isOwnStats = displayPlayer === user;
+        const statsSearch = isOwnStats ? this.state.statsSearch : '';
+        if (statsSearch) {
+            displaySessions = displaySessions.filter(s => matchesActivitySearch(s, statsSearch));
+            displayStats = {
+                ...calculateStats(displaySessions, userManager.getTimeZone(), userManager.getUnits()),
+                totalPoints: displaySessions.reduce((sum, s) => sum + (s.points || 0), 0),
+                circleStats: calculateCircleStats({ sessions: displaySessions }),
+                achievements: displayStats.achievements
+            };
+        }
+        
+        // The make curve and monthly strokes gained need putt-level history, so
+        // they only use your own (matching sessions only while searching, like
+        // the rest of the stats)
+        const historyPutts = isOwnStats
+            ? collectCurvePutts({
+                sessions: displaySessions,
+                routines: statsSearch ? [] : this.statsHistory?.routines || [],
+                games: statsSearch ? [] : this.statsHistory?.games || []
+            })
+            : [];
+        
         return `
             <div class="card">
                 <h2>📈 Player Statistics</h2>
@@ -1353,9 +2364,25 @@ class App {
                     <button class="btn btn-secondary" id="viewMyStatsBtn">My Stats</button>
                 </div>
                 
+                ${isOwnStats ? `
+                    <form id="statsSearchForm" class="stats-search-container">
+                        <input type="search" 
+                               id="statsSearch" 
+                               class="stats-search-input" 
+                               placeholder="Search your notes and tags..."
+                               value="${escapeHtml(statsSearch)}">
+                        <button type="submit" class="btn btn-primary">Filter</button>
+                        ${statsSearch ? '<button type="button" class="btn btn-secondary" id="clearStatsSearchBtn">Clear</button>' : ''}
+                    </form>
+                    ${this.state.statsHistoryLoading ? '<p class="form-hint">Loading your full history...</p>' : ''}
+                    ${statsSearch ? `<p class="form-hint">Stats for the ${displaySessions.length} session${displaySessions.length !== 1 ? 's' : ''} matching "${escapeHtml(statsSearch)}"</p>` : ''}
+                ` : ''}
+                
                 <!-- Stats Display -->
                 <div id="statsDisplay">
                     ${this.renderPlayerStats(displayPlayer, displaySessions, displayStats)}
+                    ${this.renderStrokesGained(isOwnStats ? historyPutts : distanceStatsToPutts(displayPlayer?.distanceStats))}
+                    ${this.renderMakeCurve(historyPutts)}
                 </div>
             </div>
         `;
@@ -1372,8 +2399,11 @@ class App {
         // Calculate additional stats (use stored stats if sessions aren't available)
         let avgDistance, bestAccuracy;
         
+        // Per-distance stats count each station of a multi-station session at its own distance
+        const stations = sessions.flatMap(getSessionStations);
+        
         if (sessions.length > 0) {
-            const totalDistance = sessions.reduce((sum, s) => sum + (s.distance * s.attempts), 0);
+            const totalDistance = stations.reduce((sum, s) => sum + (s.distance * s.attempts), 0);
             avgDistance = (totalDistance / sessions.reduce((sum, s) => sum + s.attempts, 0)).toFixed(1);
             bestAccuracy = Math.max(...sessions.map(s => s.percentage)).toFixed(1);
         } else {
@@ -1387,86 +2417,21 @@ class App {
             : (stats.accuracy || 0);
         
         // Distance breakdown with accuracy (only for own stats with sessions)
-        const distanceRanges = sessions.length > 0 ? {
-            '0-5ft': {
-                sessions: sessions.filter(s => s.distance >= 0 && s.distance < 5),
-                get makes() { return this.sessions.reduce((sum, s) => sum + s.makes, 0); },
-                get attempts() { return this.sessions.reduce((sum, s) => sum + s.attempts, 0); },
-                get percentage() { return this.attempts > 0 ? (this.makes / this.attempts * 100).toFixed(1) : 0; }
-            },
-            '5-10ft': {
-                sessions: sessions.filter(s => s.distance >= 5 && s.distance < 10),
-                get makes() { return this.sessions.reduce((sum, s) => sum + s.makes, 0); },
-                get attempts() { return this.sessions.reduce((sum, s) => sum + s.attempts, 0); },
-                get percentage() { return this.attempts > 0 ? (this.makes / this.attempts * 100).toFixed(1) : 0; }
-            },
-            '10-15ft': {
-                sessions: sessions.filter(s => s.distance >= 10 && s.distance < 15),
-                get makes() { return this.sessions.reduce((sum, s) => sum + s.makes, 0); },
-                get attempts() { return this.sessions.reduce((sum, s) => sum + s.attempts, 0); },
-                get percentage() { return this.attempts > 0 ? (this.makes / this.attempts * 100).toFixed(1) : 0; }
-            },
-            '15-20ft': {
-                sessions: sessions.filter(s => s.distance >= 15 && s.distance < 20),
-                get makes() { return this.sessions.reduce((sum, s) => sum + s.makes, 0); },
-                get attempts() { return this.sessions.reduce((sum, s) => sum + s.attempts, 0); },
-                get percentage() { return this.attempts > 0 ? (this.makes / this.attempts * 100).toFixed(1) : 0; }
-            },
-            '20-25ft': {
-                sessions: sessions.filter(s => s.distance >= 20 && s.distance < 25),
-                get makes() { return this.sessions.reduce((sum, s) => sum + s.makes, 0); },
-                get attempts() { return this.sessions.reduce((sum, s) => sum + s.attempts, 0); },
-                get percentage() { return this.attempts > 0 ? (this.makes / this.attempts * 100).toFixed(1) : 0; }
-            },
-            '25-30ft': {
-                sessions: sessions.filter(s => s.distance >= 25 && s.distance < 30),
-                get makes() { return this.sessions.reduce((sum, s) => sum + s.makes, 0); },
-                get attempts() { return this.sessions.reduce((sum, s) => sum + s.attempts, 0); },
-                get percentage() { return this.attempts > 0 ? (this.makes / this.attempts * 100).toFixed(1) : 0; }
-            },
-            '30-35ft': {
-                sessions: sessions.filter(s => s.distance >= 30 && s.distance < 35),
-                get makes() { return this.sessions.reduce((sum, s) => sum + s.makes, 0); },
-                get attempts() { return this.sessions.reduce((sum, s) => sum + s.attempts, 0); },
-                get percentage() { return this.attempts > 0 ? (this.makes / this.attempts * 100).toFixed(1) : 0; }
-            },
-            '35-40ft': {
-                sessions: sessions.filter(s => s.distance >= 35 && s.distance < 40),
-                get makes() { return this.sessions.reduce((sum, s) => sum + s.makes, 0); },
-                get attempts() { return this.sessions.reduce((sum, s) => sum + s.attempts, 0); },
-                get percentage() { return this.attempts > 0 ? (this.makes / this.attempts * 100).toFixed(1) : 0; }
-            },
-            '40-45ft': {
-                sessions: sessions.filter(s => s.distance >= 40 && s.distance < 45),
-                get makes() { return this.sessions.reduce((sum, s) => sum + s.makes, 0); },
-                get attempts() { return this.sessions.reduce((sum, s) => sum + s.attempts, 0); },
-                get percentage() { return this.attempts > 0 ? (this.makes / this.attempts * 100).toFixed(1) : 0; }
-            },
-            '45-50ft': {
-                sessions: sessions.filter(s => s.distance >= 45 && s.distance < 50),
-                get makes() { return this.sessions.reduce((sum, s) => sum + s.makes, 0); },
-                get attempts() { return this.sessions.reduce((sum, s) => sum + s.attempts, 0); },
-                get percentage() { return this.attempts > 0 ? (this.makes / this.attempts * 100).toFixed(1) : 0; }
-            },
-            '50-55ft': {
-                sessions: sessions.filter(s => s.distance >= 50 && s.distance < 55),
-                get makes() { return this.sessions.reduce((sum, s) => sum + s.makes, 0); },
-                get attempts() { return this.sessions.reduce((sum, s) => sum + s.attempts, 0); },
-                get percentage() { return this.attempts > 0 ? (this.makes / this.attempts * 100).toFixed(1) : 0; }
-            },
-            '55-60ft': {
-                sessions: sessions.filter(s => s.distance >= 55 && s.distance < 60),
-                get makes() { return this.sessions.reduce((sum, s) => sum + s.makes, 0); },
-                get attempts() { return this.sessions.reduce((sum, s) => sum + s.attempts, 0); },
-                get percentage() { return this.attempts > 0 ? (this.makes / this.attempts * 100).toFixed(1) : 0; }
-            },
-            '60ft+': {
-                sessions: sessions.filter(s => s.distance >= 60),
-                get makes() { return this.sessions.reduce((sum, s) => sum + s.makes, 0); },
-                get attempts() { return this.sessions.reduce((sum, s) => sum + s.attempts, 0); },
-                get percentage() { return this.attempts > 0 ? (this.makes / this.attempts * 100).toFixed(1) : 0; }
-            }
-        } : {}; // Empty object when no sessions
+        const units = userManager.getUnits();
+        const distanceRanges = {};
+        if (sessions.length > 0) {
+            getDistanceBands(units).forEach(band => {
+                distanceRanges[band] = { makes: 0, attempts: 0 };
+            });
+            stations.forEach(station => {
+                const range = distanceRanges[getDistanceBand(station.distance, units)];
+                range.makes += station.makes;
+                range.attempts += station.attempts;
+            });
+            Object.values(distanceRanges).forEach(range => {
+                range.percentage = range.attempts > 0 ? (range.makes / range.attempts * 100).toFixed(1) : 0;
+            });
+        }
         
         return `
             <!-- Player Header -->
@@ -1526,12 +2491,12 @@ class App {
                     <h3 class="stats-section-title">🌟 Best Session</h3>
                     <div class="best-session-card">
                         <div class="best-session-stats">
-                            <span>${stats.bestSession.distance}ft</span>
+                            <span>${this.formatSessionDistance(stats.bestSession)}</span>
                             <span>${stats.bestSession.makes}/${stats.bestSession.attempts}</span>
                             <span>${stats.bestSession.percentage.toFixed(1)}%</span>
                         </div>
                         <div class="best-session-points">${stats.bestSession.points} points</div>
-                        <div class="best-session-date">${new Date(stats.bestSession.date).toLocaleDateString()}</div>
+                        <div class="best-session-date">${formatDate(stats.bestSession.date)}</div>
                     </div>
                 </div>
             ` : ''}
@@ -1557,7 +2522,7 @@ class App {
                     </div>
                     <div class="stat-card-detailed">
                         <div class="stat-icon">📏</div>
-                        <div class="stat-value">${avgDistance}ft</div>
+                        <div class="stat-value">${toDisplayDistance(avgDistance, units, { step: 0.1 })}${getDistanceUnit(units).short}</div>
                         <div class="stat-label">Avg Distance</div>
                     </div>
                     <div class="stat-card-detailed">
@@ -1578,6 +2543,8 @@ class App {
                 </div>
             </div>
             
+            ${this.renderCircleStats(stats.circleStats || player.circleStats)}
+            
             <!-- Distance Breakdown (only show for own stats) -->
             ${sessions.length > 0 ? `
             <div class="stats-section">
@@ -1600,9 +2567,372 @@ class App {
                 </div>
             </div>
             ` : ''}
+            
+            ${this.renderStyleBreakdown(stats.styleBreakdown)}
+            
+            ${this.renderDiscBreakdown(player, sessions)}
+            
+            ${this.renderConditionComparison(sessions)}
+            
+            ${this.renderMissPatterns(sessions)}
+        `;
+    }
+    
+    /**
+     * Render C1, C1X and C2 make percentages
+     * @param {Object} circleStats - Makes and attempts per circle
+     * @returns {string} HTML string
+     */
+    renderCircleStats(circleStats) {
+        return `
+            <div class="stats-section">
+                <h3 class="stats-section-title">🥅 Circle Putting</h3>
+                <div class="stats-grid-detailed">
+                    ${PUTTING_CIRCLES.map(circle => {
+                        const totals = circleStats?.[circle.id] || { makes: 0, attempts: 0 };
+                        const remaining = circle.minAttempts - totals.attempts;
+                        return `
+                        <div class="stat-card-detailed" title="${circle.name}">
+                            <div class="stat-value">${this.formatCircleAccuracy(circleStats, circle)}</div>
+                            <div class="stat-label">${circle.label} (${this.formatCircleRange(circle)})</div>
+                            <div class="circle-stat-detail">${totals.makes}/${totals.attempts}</div>
+                            ${remaining > 0 ? `<div class="circle-stat-detail">${remaining} more to rank</div>` : ''}
+                        </div>
+                    `}).join('')}
+                </div>
+            </div>
+        `;
+    }
+    
+    /**
+     * Render make percentage per disc, overall and at each distance band
+     * @param {Object} player - Player whose bag names the discs
+     * @param {Array} sessions - Player's sessions
+     * @returns {string} HTML string (empty when no session records its discs)
+     */
+    renderDiscBreakdown(player, sessions) {
+        const breakdown = calculateDiscBreakdown(sessions, userManager.getUnits());
+        const discs = discBagManager.getDiscs(player).filter(disc => breakdown[disc.id]);
+        if (discs.length === 0) return '';
+        
+        return `
+            <div class="stats-section">
+                <h3 class="stats-section-title">🥏 Accuracy by Disc</h3>
+                <div class="style-breakdown">
+                    ${discs.map(disc => {
+                        const data = breakdown[disc.id];
+                        return `
+                        <div class="style-breakdown-row">
+                            <div class="style-breakdown-header">
+                                <span class="disc-name">${escapeHtml(discBagManager.getDiscLabel(disc))}${disc.retired ? ' <span class="disc-type">(retired)</span>' : ''}</span>
+                                <span class="distance-percentage">${data.accuracy}%</span>
+                                <span class="distance-makes">${data.makes}/${data.attempts}</span>
+                            </div>
+                            <div class="style-breakdown-distances">
+                                ${Object.entries(data.distances).map(([band, bandData]) => `
+                                    <span class="style-distance-chip" title="${bandData.makes}/${bandData.attempts}">${band}: ${bandData.accuracy}%</span>
+                                `).join('')}
+                            </div>
+                        </div>
+                    `}).join('')}
+                </div>
+                <p class="form-hint">Sessions with more than one putter count toward each of them</p>
+            </div>
+        `;
+    }
+    
+    /**
+     * Render a side-by-side accuracy comparison of two session filters
+     * (e.g. windy vs calm, or tagged vs untagged)
+     * @param {Array} sessions - Player's sessions
+     * @returns {string} HTML string (empty when no session has conditions or tags recorded)
+     */
+    renderConditionComparison(sessions) {
+        const hasConditions = sessions.some(s => s.conditions);
+        if (!hasConditions && !sessions.some(s => s.tags?.length > 0)) return '';
+        
+        const filters = getSessionFilters(sessions);
+        const { a, b } = this.state.conditionComparison ||
+            (hasConditions ? { a: 'windy', b: 'calm' } : { a: 'tagged', b: 'untagged' });
+        const groups = [summarizeSessionFilter(sessions, a), summarizeSessionFilter(sessions, b)];
+        const bothHaveData = groups.every(group => group.attempts > 0);
+        const difference = bothHaveData ? parseFloat((groups[0].accuracy - groups[1].accuracy).toFixed(1)) : null;
+        
+        return `
+            <div class="stats-section">
+                <h3 class="stats-section-title">🌤️ Compare Sessions</h3>
+                <div class="condition-comparison">
+                    ${groups.map((group, index) => `
+                        <div class="condition-group">
+                            <select class="form-input condition-filter-select" id="conditionFilter${index === 0 ? 'A' : 'B'}" data-slot="${index === 0 ? 'a' : 'b'}">
+                                ${filters.map(filter => `
+                                    <option value="${escapeHtml(filter.id)}" ${filter.id === group.filterId ? 'selected' : ''}>${escapeHtml(filter.label)}</option>
+                                `).join('')}
+                            </select>
+                            <div class="stat-value">${group.attempts > 0 ? `${group.accuracy}%` : '—'}</div>
+                            <div class="distance-makes">${group.makes}/${group.attempts} in ${group.sessions} session${group.sessions !== 1 ? 's' : ''}</div>
+                        </div>
+                    `).join('')}
+                </div>
+                ${difference !== null ? `
+                    <p class="condition-difference">
+                        ${difference > 0 ? '📈' : difference < 0 ? '📉' : '➖'}
+                        ${escapeHtml(groups[0].label)} is ${Math.abs(difference)} points ${difference >= 0 ? 'higher' : 'lower'} than ${escapeHtml(groups[1].label).toLowerCase()}
+                    </p>
+                ` : '<p class="form-hint">Record conditions or tags on more sessions to compare these groups</p>'}
+            </div>
+        `;
+    }
+    
+    /**
+     * Render accuracy per putting style, overall and at each distance band
+     * @param {Object} styleBreakdown - Result of calculateStyleBreakdown
+     * @returns {string} HTML string (empty when no sessions are tagged with a style)
+     */
+    renderStyleBreakdown(styleBreakdown) {
+        const styles = PUTTING_STYLES.filter(style => styleBreakdown?.[style.id]);
+        if (styles.length === 0) return '';
+        
+        return `
+            <div class="stats-section">
+                <h3 class="stats-section-title">🥏 Accuracy by Style</h3>
+                <div class="style-breakdown">
+                    ${styles.map(style => {
+                        const data = styleBreakdown[style.id];
+                        return `
+                        <div class="style-breakdown-row">
+                            <div class="style-breakdown-header">
+                                ${this.renderStyleBadge(style.id)}
+                                <span class="distance-percentage">${data.accuracy}%</span>
+                                <span class="distance-makes">${data.makes}/${data.attempts}</span>
+                            </div>
+                            <div class="style-breakdown-distances">
+                                ${Object.entries(data.distances).map(([band, bandData]) => `
+                                    <span class="style-distance-chip" title="${bandData.makes}/${bandData.attempts}">${band}: ${bandData.accuracy}%</span>
+                                `).join('')}
+                            </div>
+                        </div>
+                    `}).join('')}
+                </div>
+            </div>
+        `;
+    }
+    
+    /**
+     * Render where a player's misses go at each distance band
+     * @param {Array} sessions - Player's sessions
+     * @returns {string} HTML string (empty when no misses have been tagged)
+     */
+    renderMissPatterns(sessions) {
+        const patterns = calculateMissPatterns(sessions, userManager.getUnits());
+        if (patterns.length === 0) return '';
+        
+        return `
+            <div class="stats-section">
+                <h3 class="stats-section-title">🧭 Miss Patterns</h3>
+                <div class="miss-legend">
+                    ${MISS_DIRECTIONS.map(direction => `
+                        <span class="miss-legend-item"><span class="miss-swatch miss-${direction.id}"></span>${direction.icon} ${direction.label}</span>
+                    `).join('')}
+                </div>
+                <div class="miss-patterns">
+                    ${patterns.map(pattern => {
+                        const [topId, topCount] = Object.entries(pattern.counts).sort((a, b) => b[1] - a[1])[0];
+                        const top = MISS_DIRECTIONS.find(direction => direction.id === topId);
+                        return `
+                        <div class="miss-pattern-row">
+                            <div class="distance-label">${pattern.band}</div>
+                            <div class="miss-pattern-bar">
+                                ${MISS_DIRECTIONS.filter(direction => pattern.counts[direction.id] > 0).map(direction => {
+                                    const share = pattern.counts[direction.id] / pattern.tagged * 100;
+                                    return `<div class="miss-segment miss-${direction.id}" style="width: ${share}%" title="${direction.label}: ${pattern.counts[direction.id]} (${share.toFixed(0)}%)"></div>`;
+                                }).join('')}
+                            </div>
+                            <div class="miss-pattern-summary">
+                                ${top.icon} ${Math.round(topCount / pattern.tagged * 100)}% ${top.label.toLowerCase()}
+                                <span class="distance-makes">${pattern.tagged} tagged</span>
+                            </div>
+                        </div>
+                    `}).join('')}
+                </div>
+            </div>
+        `;
+    }
+    
+    /**
+     * Render the fitted make-probability curve: the putts it was fit to, the
+     * 50% distance, expected makes for any distance, and rolling-window fits
+     * @param {Array} putts - Result of collectCurvePutts
+     * @returns {string} HTML string
+     */
+    renderMakeCurve(putts) {
+        const curve = fitMakeCurve(putts);
+        this.makeCurve = curve;
+        if (putts.length === 0) return '';
+        
+        if (!curve) {
+            return `
+                <div class="stats-section">
+                    <h3 class="stats-section-title">📉 Make Curve</h3>
+                    <p class="empty-state">Log ${MIN_CURVE_ATTEMPTS}+ putts from at least two distances to fit your make curve</p>
+                </div>
+            `;
+        }
+        
+        const units = userManager.getUnits();
+        const unit = getDistanceUnit(units);
+        const formatCurveDistance = (feet) => `${toDisplayDistance(feet, units, { step: 0.1 })}${unit.short}`;
+        const fiftyPercent = getFiftyPercentDistance(curve);
+        const windows = fitRollingCurves(putts);
+        const firstFifty = windows.length > 1 ? getFiftyPercentDistance(windows[0].curve) : null;
+        const lastFifty = windows.length > 1 ? getFiftyPercentDistance(windows[windows.length - 1].curve) : null;
+        
+        // Chart coordinates: distance runs to a round number past the longest putt
+        const width = 320;
+        const height = 180;
+        const pad = { top: 10, right: 10, bottom: 22, left: 34 };
+        const maxDistance = Math.max(40, Math.ceil(Math.max(...curve.points.map(point => point.distance)) / 10) * 10);
+        const x = (feet) => (pad.left + feet / maxDistance * (width - pad.left - pad.right)).toFixed(1);
+        const y = (probability) => (pad.top + (1 - probability) * (height - pad.top - pad.bottom)).toFixed(1);
+        const curvePath = (fit) => Array.from({ length: 61 }, (_, i) => {
+            const feet = maxDistance * i / 60;
+            return `${i === 0 ? 'M' : 'L'}${x(feet)},${y(getMakeProbability(fit, feet))}`;
+        }).join(' ');
+        
+        const tickStep = units === 'metric' ? 5 : 10;
+        const ticks = Array.from({ length: Math.floor(toDisplayDistance(maxDistance, units, { step: 0.1 }) / tickStep) + 1 }, (_, i) => i * tickStep);
+        
+        return `
+            <div class="stats-section">
+                <h3 class="stats-section-title">📉 Make Curve</h3>
+                <svg class="make-curve-chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="Make percentage by distance">
+                    ${[0, 0.5, 1].map(probability => `
+                        <line class="make-curve-grid" x1="${pad.left}" x2="${width - pad.right}" y1="${y(probability)}" y2="${y(probability)}"></line>
+                        <text class="make-curve-axis" x="${pad.left - 4}" y="${y(probability)}" dy="3" text-anchor="end">${probability * 100}%</text>
+                    `).join('')}
+                    ${ticks.map(tick => `
+                        <text class="make-curve-axis" x="${x(units === 'metric' ? tick * FEET_PER_METER : tick)}" y="${height - 6}" text-anchor="middle">${tick}${unit.short}</text>
+                    `).join('')}
+                    ${windows.map((period, i) => `
+                        <path class="make-curve-window" d="${curvePath(period.curve)}" style="opacity: ${((i + 1) / windows.length * 0.5).toFixed(2)}">
+                            <title>${formatDate(period.from, { month: 'short', day: 'numeric' })} – ${formatDate(period.to, { month: 'short', day: 'numeric' })}</title>
+                        </path>
+                    `).join('')}
+                    <path class="make-curve-line" d="${curvePath(curve)}"></path>
+                    ${fiftyPercent !== null && fiftyPercent <= maxDistance ? `
+                        <line class="make-curve-fifty" x1="${x(fiftyPercent)}" x2="${x(fiftyPercent)}" y1="${y(0.5)}" y2="${y(0)}"></line>
+                    ` : ''}
+                    ${curve.points.map(point => `
+                        <circle class="make-curve-point" cx="${x(point.distance)}" cy="${y(point.makes / point.attempts)}" r="${Math.min(2 + Math.sqrt(point.attempts) / 3, 8).toFixed(1)}">
+                            <title>${formatCurveDistance(point.distance)}: ${point.makes}/${point.attempts}</title>
+                        </circle>
+                    `).join('')}
+                </svg>
+                <p class="form-hint">Fit to ${curve.attempts} putts from ${curve.points.length} distances. Dots are your logged putts (bigger means more putts); faded lines are earlier ${CURVE_WINDOW_DAYS}-day windows.</p>
+                
+                <div class="stats-grid-detailed">
+                    <div class="stat-card-detailed">
+                        <div class="stat-icon">⚖️</div>
+                        <div class="stat-value">${fiftyPercent !== null ? formatCurveDistance(fiftyPercent) : '—'}</div>
+                        <div class="stat-label">50% Distance</div>
+                    </div>
+                    ${firstFifty !== null && lastFifty !== null ? `
+                        <div class="stat-card-detailed">
+                            <div class="stat-icon">${lastFifty >= firstFifty ? '📈' : '📉'}</div>
+                            <div class="stat-value">${lastFifty >= firstFifty ? '+' : '-'}${formatCurveDistance(Math.abs(lastFifty - firstFifty))}</div>
+                            <div class="stat-label">Since ${formatDate(windows[0].to, { month: 'short', day: 'numeric' })}</div>
+                        </div>
+                    ` : ''}
+                </div>
+                
+                <form id="makeCurveForm" class="make-curve-projection">
+                    <label for="curveDistance">Expected makes from</label>
+                    <input type="number" id="curveDistance" class="make-curve-input" value="${toDistanceInputValue(20, units)}" ${this.renderDistanceInputLimits(units)}>
+                    <span>${unit.short}, over</span>
+                    <input type="number" id="curveAttempts" class="make-curve-input" value="10" min="1" max="1000">
+                    <span>putts:</span>
+                    <strong id="curveExpected">${this.formatExpectedMakes(curve, 20, 10)}</strong>
+                </form>
+                
+                ${windows.length > 1 ? `
+                    <div class="make-curve-windows">
+                        ${windows.map(period => {
+                            const periodFifty = getFiftyPercentDistance(period.curve);
+                            return `
+                            <div class="make-curve-window-row">
+                                <span>${formatDate(period.from, { month: 'short', day: 'numeric' })} – ${formatDate(period.to, { month: 'short', day: 'numeric' })}</span>
+                                <span>50% at ${periodFifty !== null ? formatCurveDistance(periodFifty) : '—'}</span>
+                                <span class="distance-makes">${period.curve.attempts} putts</span>
+                            </div>
+                        `}).join('')}
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    }
+    
+    /**
+     * Render strokes gained against the community baseline, overall and per
+     * month when the putts are dated
+     * @param {Array} putts - Groups of putts as { distance, makes, attempts } (and date)
+     * @returns {string} HTML string
+     */
+    renderStrokesGained(putts) {
+        const baseline = this.getCommunityBaseline();
+        if (!baseline || putts.length === 0) return '';
+        
+        const overall = calculateStrokesGained(putts, baseline);
+        const months = calculateMonthlyStrokesGained(putts, baseline).slice(-6);
+        const maxRate = Math.max(...months.map(month => Math.abs(month.rate)), 1);
+        
+        return `
+            <div class="stats-section">
+                <h3 class="stats-section-title">⛳ Strokes Gained</h3>
+                <div class="stats-grid-detailed">
+                    <div class="stat-card-detailed">
+                        <div class="stat-icon">📐</div>
+                        <div class="stat-value">${formatStrokesGained(overall.rate)}</div>
+                        <div class="stat-label">Per ${SG_RATE_PUTTS} Putts</div>
+                    </div>
+                    <div class="stat-card-detailed">
+                        <div class="stat-icon">➕</div>
+                        <div class="stat-value">${formatStrokesGained(overall.strokesGained)}</div>
+                        <div class="stat-label">Total (${overall.attempts} putts)</div>
+                    </div>
+                </div>
+                ${months.length > 1 ? `
+                    <div class="distance-breakdown">
+                        ${months.map(month => `
+                            <div class="distance-bar-container">
+                                <div class="distance-label">${formatDate(`${month.month}-01`, { month: 'short', year: 'numeric' })}</div>
+                                <div class="distance-bar-bg">
+                                    <div class="distance-bar sg-bar ${month.rate >= 0 ? 'positive' : 'negative'}" style="width: ${Math.abs(month.rate) / maxRate * 100}%"></div>
+                                </div>
+                                <div class="distance-stats">
+                                    <span class="distance-percentage">${formatStrokesGained(month.rate)}</span>
+                                    <span class="distance-makes">${month.attempts} putts</span>
+                                </div>
+                            </div>
+                        `).join('')}
+                    </div>
+                ` : ''}
+                <p class="form-hint">Each make counts what the community misses from that distance, each miss what it makes, so tough putts count for more than tap-ins.</p>
+            </div>
         `;
     }
     
+    /**
+     * Describe the makes a fitted curve expects from a distance
+     * @param {Object} curve - Result of fitMakeCurve
+     * @param {number} distance - Distance in feet
+     * @param {number} attempts - Putts thrown
+     * @returns {string} e.g. "7.3 (73%)"
+     */
+    formatExpectedMakes(curve, distance, attempts) {
+        const expected = getExpectedMakes(curve, distance, attempts);
+        return `${expected} (${Math.round(expected / attempts * 100)}%)`;
+    }
+    
     /**
      * Render game score modal
      */
@@ -1610,6 +2940,9 @@ class App {
         const game = PUTTING_GAMES.find(g => g.id === this.state.selectedGameForScore);
         if (!game) return '';
         
+        const units = userManager.getUnits();
+        const unit = getDistanceUnit(units);
+        const goal = localizeDistanceText(game.scoring.goal, units);
         let formHTML = '';
         
         // Create form based on game type
@@ -1619,7 +2952,7 @@ class App {
                     <div class="form-group">
                         <label for="gameTime">Completion Time (minutes)</label>
                         <input type="number" id="gameTime" min="1" max="120" step="0.5" required>
-                        <p class="form-hint">Goal: ${game.scoring.goal}</p>
+                        <p class="form-hint">Goal: ${goal}</p>
                     </div>
                 `;
                 break;
@@ -1628,7 +2961,7 @@ class App {
                     <div class="form-group">
                         <label for="gameStrokes">Total Strokes</label>
                         <input type="number" id="gameStrokes" min="1" max="100" required>
-                        <p class="form-hint">Goal: ${game.scoring.goal}</p>
+                        <p class="form-hint">Goal: ${goal}</p>
                     </div>
                 `;
                 break;
@@ -1637,7 +2970,7 @@ class App {
                     <div class="form-group">
                         <label for="gamePoints">Points Scored</label>
                         <input type="number" id="gamePoints" min="0" max="500" required>
-                        <p class="form-hint">Goal: ${game.scoring.goal}</p>
+                        <p class="form-hint">Goal: ${goal}</p>
                     </div>
                     <div class="form-group">
                         <label for="totalPutts">Total Putts Attempted</label>
@@ -1648,9 +2981,9 @@ class App {
             case 'distance':
                 formHTML = `
                     <div class="form-group">
-                        <label for="maxDistance">Maximum Distance Reached (feet)</label>
-                        <input type="number" id="maxDistance" min="10" max="100" step="5" required>
-                        <p class="form-hint">Goal: ${game.scoring.goal}</p>
+                        <label for="maxDistance">Maximum Distance Reached (${unit.long})</label>
+                        <input type="number" id="maxDistance" ${this.renderDistanceInputLimits(units, 10, 100, 5)} required>
+                        <p class="form-hint">Goal: ${goal}</p>
                     </div>
                     <div class="form-group">
                         <label for="totalRounds">Total Rounds Attempted</label>
@@ -1660,10 +2993,14 @@ class App {
                 break;
             case 'streak':
                 formHTML = `
+                    <div class="form-group">
+                        <button type="button" class="btn btn-secondary" id="playGameLiveBtn">🎯 Track Putt by Putt</button>
+                        <p class="form-hint">Tap make or miss as you go and your real best streak is recorded</p>
+                    </div>
                     <div class="form-group">
                         <label for="bestStreak">Best Streak Achieved</label>
                         <input type="number" id="bestStreak" min="0" max="50" required>
-                        <p class="form-hint">Goal: ${game.scoring.goal}</p>
+                        <p class="form-hint">Goal: ${goal}</p>
                     </div>
                     <div class="form-group">
                         <label for="totalAttempts">Total Attempts</label>
@@ -1686,7 +3023,13 @@ class App {
                     </div>
                     <div class="form-group">
                         <label for="opponentName">Opponent Name (optional)</label>
-                        <input type="text" id="opponentName" placeholder="Who did you play against?">
+                        <input type="text" id="opponentName" list="opponentPlayers" maxlength="50" placeholder="Who did you play against?">
+                        <datalist id="opponentPlayers">
+                            ${this.state.leaderboard
+                                .filter(player => player.id !== userManager.getCurrentUser()?.id && player.displayName)
+                                .map(player => `<option value="${escapeHtml(player.displayName)}"></option>`).join('')}
+                        </datalist>
+                        <p class="form-hint">Pick a player from the list to rate the result against their skill rating</p>
                     </div>
                 `;
                 break;
@@ -1727,9 +3070,9 @@ class App {
                     </div>
                     
                     <div class="form-group">
-                        <label for="puttingDistance">Putting Distance (feet)</label>
-                        <input type="number" id="puttingDistance" min="10" max="50" value="20" required>
-                        <p class="form-hint">Goal: ${game.scoring.goal}</p>
+                        <label for="puttingDistance">Putting Distance (${unit.long})</label>
+                        <input type="number" id="puttingDistance" ${this.renderDistanceInputLimits(units, 10, 50)} value="${toDistanceInputValue(20, units)}" required>
+                        <p class="form-hint">Goal: ${goal}</p>
                     </div>
                 `;
                 break;
@@ -1755,8 +3098,16 @@ class App {
                                 </select>
                             </div>
                             
+                            ${this.renderPlayedAtFields('game')}
+                            
                             ${formHTML}
                             
+                            ${this.renderStyleSelect('gameStyle', this.getDefaultPuttingStyle())}
+                            
+                            ${this.renderConditionsFields('game')}
+                            
+                            ${this.renderTagsField('game')}
+                            
                             <div class="form-group">
                                 <label for="gameNotes">Notes (optional)</label>
                                 <textarea id="gameNotes" rows="3" placeholder="How did it go?"></textarea>
@@ -1779,6 +3130,7 @@ class App {
     renderRoutines() {
         // Group routines by difficulty level
         const difficultyLevels = ['Beginner', 'Intermediate', 'Advanced', 'Expert'];
+        const units = userManager.getUnits();
         
         let html = `
             <div class="card routines-panel">
@@ -1815,7 +3167,7 @@ class App {
                                     <h4>${routine.name}</h4>
                                     <span class="routine-badge">${routine.level}</span>
                                 </div>
-                                <p class="routine-description">${routine.description}</p>
+                                <p class="routine-description">${localizeDistanceText(routine.description, units)}</p>
                                 <div class="routine-meta">
                                     <span>⏱️ ${routine.duration}</span>
                                     <span>📍 ${routine.drills.length} drills</span>
@@ -1823,8 +3175,8 @@ class App {
                                 <div class="routine-drills">
                                     ${routine.drills.map((drill, idx) => `
                                         <div class="drill-item">
-                                            <strong>${idx + 1}. ${drill.distance}ft - ${drill.attempts} attempts</strong>
-                                            <p>${drill.description}</p>
+                                            <strong>${idx + 1}. ${formatDistance(drill.distance, units)} - ${drill.attempts} attempts</strong>
+                                            <p>${localizeDistanceText(drill.description, units)}</p>
                                         </div>
                                     `).join('')}
                                 </div>
@@ -1851,13 +3203,14 @@ class App {
      * Render games grid
      */
     renderGames() {
+        const units = userManager.getUnits();
         return PUTTING_GAMES.map(game => `
             <div class="game-card">
                 <div class="game-header">
                     <h3>${game.name}</h3>
                     <span class="game-badge ${game.difficulty.toLowerCase()}">${game.difficulty}</span>
                 </div>
-                <p class="game-description">${game.description}</p>
+                <p class="game-description">${localizeDistanceText(game.description, units)}</p>
                 <div class="game-meta">
                     <span>⏱️ ${game.duration}</span>
                 </div>
@@ -1865,14 +3218,14 @@ class App {
                 <div class="game-details ${this.state.selectedGame === game.id ? 'expanded' : ''}">
                     <h4>📋 Instructions:</h4>
                     <ol class="game-instructions">
-                        ${game.instructions.map(instruction => `<li>${instruction}</li>`).join('')}
+                        ${game.instructions.map(instruction => `<li>${localizeDistanceText(instruction, units)}</li>`).join('')}
                     </ol>
                     
                     <h4>🎯 Scoring:</h4>
                     <div class="game-scoring">
                         <p><strong>Type:</strong> ${game.scoring.type}</p>
-                        <p><strong>Goal:</strong> ${game.scoring.goal}</p>
-                        <p><strong>Points:</strong> ${game.scoring.points}</p>
+                        <p><strong>Goal:</strong> ${localizeDistanceText(game.scoring.goal, units)}</p>
+                        <p><strong>Points:</strong> ${localizeDistanceText(game.scoring.points, units)}</p>
                     </div>
                 </div>
                 
@@ -1896,12 +3249,92 @@ class App {
         if (loginBtn) {
             loginBtn.addEventListener('click', () => this.handleLogin());
         }
+
+        this.attachDemoListeners();
+    }
+
+    /**
+     * Attach listeners for switching demo mode on and off
+     */
+    attachDemoListeners() {
+        const tryDemoBtn = document.getElementById('tryDemoBtn');
+        if (tryDemoBtn) {
+            tryDemoBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.switchStorageMode(STORAGE_MODES.LOCAL);
+            });
+        }
+
+        const exitDemoBtn = document.getElementById('exitDemoBtn');
+        if (exitDemoBtn) {
+            exitDemoBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.switchStorageMode(STORAGE_MODES.FIRESTORE);
+            });
+        }
     }
 
+    /**
+     * Attach history filter and infinite scroll listeners
+     */
+    attachHistoryListeners() {
+        // First visit, or activities changed since the history was loaded
+        if (!this.historyFeed && !this.state.historyLoading) {
+            // Deferred so it doesn't re-render while this render is still attaching listeners
+            this.state.historyLoading = true;
+            setTimeout(() => this.loadHistory(true), 0);
+            return;
+        }
+        
+        const historyFilterForm = document.getElementById('historyFilterForm');
+        if (historyFilterForm) {
+            historyFilterForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.applyHistoryFilters();
+            });
+        }
+        
+        const clearHistoryFiltersBtn = document.getElementById('clearHistoryFiltersBtn');
+        if (clearHistoryFiltersBtn) {
+            clearHistoryFiltersBtn.addEventListener('click', () => {
+                this.state.historyFilters = { types: [...ACTIVITY_TYPES], from: '', to: '', minDistance: '', maxDistance: '', name: '', search: '' };
+                this.loadHistory(true);
+            });
+        }
+        
+        const loadMoreHistoryBtn = document.getElementById('loadMoreHistoryBtn');
+        if (loadMoreHistoryBtn) {
+            loadMoreHistoryBtn.addEventListener('click', () => this.loadHistory());
+        }
+        
+        // Infinite scroll: load the next page when the bottom of the list comes into view
+        if (this.historyObserver) {
+            this.historyObserver.disconnect();
+            this.historyObserver = null;
+        }
+        const sentinel = document.getElementById('historySentinel');
+        if (sentinel && 'IntersectionObserver' in window) {
+            this.historyObserver = new IntersectionObserver((entries) => {
+                if (entries.some(entry => entry.isIntersecting)) {
+                    this.loadHistory();
+                }
+            }, { rootMargin: '200px' });
+            this.historyObserver.observe(sentinel);
+        }
+    }
+    
     /**
      * Attach event listeners for main app
      */
     attachEventListeners() {
+        // Demo mode banner
+        this.attachDemoListeners();
+
+        // Profile modal (re-attached on every render so alerts don't break it)
+        if (this.state.showProfileModal) {
+            this.attachProfileModalListeners();
+        }
+
         // Logout button
         const logoutBtn = document.getElementById('logoutBtn');
         if (logoutBtn) {
@@ -1916,12 +3349,51 @@ class App {
             });
         });
         
+        // Full history link in recent practice
+        const viewHistoryLink = document.getElementById('viewHistoryLink');
+        if (viewHistoryLink) {
+            viewHistoryLink.addEventListener('click', async (e) => {
+                e.preventDefault();
+                await this.changeView('history');
+            });
+        }
+        
+        // Import preview modal
+        if (this.state.importPreview) {
+            this.attachImportPreviewListeners();
+        }
+        
+        // Delete account modal
+        if (this.state.accountDeletion) {
+            this.attachDeleteAccountListeners();
+        }
+        
+        // Live session modal
+        if (liveSessionTracker.isActive()) {
+            this.attachLiveSessionListeners();
+        }
+        
+        // Your stats need your full history; read it on first visit, or once activities changed
+        if (this.state.currentView === 'stats' && !this.statsHistory && !this.state.statsHistoryLoading) {
+            // Deferred so it doesn't re-render while this render is still attaching listeners
+            this.state.statsHistoryLoading = true;
+            setTimeout(() => this.loadStatsHistory(), 0);
+        }
+        
+        // History view
+        if (this.state.currentView === 'history') {
+            this.attachHistoryListeners();
+        } else if (this.historyObserver) {
+            this.historyObserver.disconnect();
+            this.historyObserver = null;
+        }
+        
         // Leaderboard category tabs
         const leaderboardTabs = document.querySelectorAll('.leaderboard-tab');
         leaderboardTabs.forEach(tab => {
             tab.addEventListener('click', (e) => {
                 this.state.leaderboardCategory = e.target.dataset.category;
-                this.render();
+                this.handleLeaderboardChange();
             });
         });
         
@@ -1934,6 +3406,15 @@ class App {
             });
         });
         
+        // Putting style filter
+        const styleFilter = document.getElementById('leaderboardStyleFilter');
+        if (styleFilter) {
+            styleFilter.addEventListener('change', (e) => {
+                this.state.leaderboardStyleFilter = e.target.value;
+                this.handleLeaderboardChange();
+            });
+        }
+        
         // Add session button
         const addSessionBtn = document.getElementById('addSessionBtn');
         if (addSessionBtn) {
@@ -1943,6 +3424,15 @@ class App {
             });
         }
         
+        // Live session button
+        const liveSessionBtn = document.getElementById('liveSessionBtn');
+        if (liveSessionBtn) {
+            liveSessionBtn.addEventListener('click', () => {
+                liveSessionTracker.start({ distance: this.newSession.distance, style: this.getDefaultPuttingStyle() });
+                this.render();
+            });
+        }
+        
         // Bulk log button
         const bulkLogBtn = document.getElementById('bulkLogBtn');
         if (bulkLogBtn) {
@@ -2024,6 +3514,22 @@ class App {
             });
         });
         
+        // Accept/reject activities other players logged for us
+        ['session', 'routine', 'game'].forEach(type => {
+            document.querySelectorAll(`.accept-${type}-btn`).forEach(btn => {
+                btn.addEventListener('click', async (e) => {
+                    e.stopPropagation();
+                    await this.acceptPending(type, e.currentTarget.dataset[`${type}Id`]);
+                });
+            });
+            document.querySelectorAll(`.reject-${type}-btn`).forEach(btn => {
+                btn.addEventListener('click', async (e) => {
+                    e.stopPropagation();
+                    await this.rejectPending(type, e.currentTarget.dataset[`${type}Id`]);
+                });
+            });
+        });
+        
         // Edit routine buttons
         const editRoutineBtns = document.querySelectorAll('.btn-edit-routine');
         editRoutineBtns.forEach(btn => {
@@ -2125,7 +3631,6 @@ class App {
                 this.state.showAddSession = false;
                 this.state.editingSession = null;
                 this.newSession = {
-                    date: new Date().toISOString().split('T')[0],
                     distance: '10',
                     makes: '',
                     attempts: '',
@@ -2144,6 +3649,42 @@ class App {
             });
         }
         
+        // Multi-station sessions: add or remove distance rows
+        const addStationBtn = document.getElementById('addStationBtn');
+        if (addStationBtn) {
+            addStationBtn.addEventListener('click', () => {
+                this.captureSessionForm();
+                const stations = this.newSession.stations || [{
+                    distance: this.newSession.distance,
+                    makes: this.newSession.makes,
+                    attempts: this.newSession.attempts
+                }];
+                const last = stations[stations.length - 1];
+                // Next station starts 5ft further back with the same number of putts
+                this.newSession.stations = [...stations, {
+                    distance: last.distance ? Math.min(last.distance + 5, CONSTANTS.VALIDATION.MAX_DISTANCE) : '',
+                    makes: '',
+                    attempts: last.attempts
+                }];
+                this.newSession.misses = null;
+                this.render();
+            });
+        }
+        
+        document.querySelectorAll('.remove-station-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                this.captureSessionForm();
+                const index = parseInt(e.currentTarget.dataset.station);
+                const stations = this.newSession.stations.filter((_, idx) => idx !== index);
+                this.newSession = {
+                    ...this.newSession,
+                    ...stations[0],
+                    stations: stations.length > 1 ? stations : null
+                };
+                this.render();
+            });
+        });
+        
         // Stats page search
         const searchPlayerBtn = document.getElementById('searchPlayerBtn');
         if (searchPlayerBtn) {
@@ -2167,6 +3708,48 @@ class App {
             });
         }
         
+        // Notes/tags search over your own stats
+        const statsSearchForm = document.getElementById('statsSearchForm');
+        if (statsSearchForm) {
+            statsSearchForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.state.statsSearch = document.getElementById('statsSearch').value.trim();
+                this.render();
+            });
+        }
+        
+        const clearStatsSearchBtn = document.getElementById('clearStatsSearchBtn');
+        if (clearStatsSearchBtn) {
+            clearStatsSearchBtn.addEventListener('click', () => {
+                this.state.statsSearch = '';
+                this.render();
+            });
+        }
+        
+        // Session comparison filters
+        document.querySelectorAll('.condition-filter-select').forEach(select => {
+            select.addEventListener('change', () => {
+                this.state.conditionComparison = {
+                    a: document.getElementById('conditionFilterA').value,
+                    b: document.getElementById('conditionFilterB').value
+                };
+                this.render();
+            });
+        });
+        
+        // Make curve projection updates in place so the inputs keep focus
+        const makeCurveForm = document.getElementById('makeCurveForm');
+        if (makeCurveForm && this.makeCurve) {
+            makeCurveForm.addEventListener('submit', (e) => e.preventDefault());
+            makeCurveForm.addEventListener('input', () => {
+                const distance = fromDisplayDistance(document.getElementById('curveDistance').value, userManager.getUnits());
+                const attempts = parseInt(document.getElementById('curveAttempts').value);
+                document.getElementById('curveExpected').textContent = distance > 0 && attempts > 0
+                    ? this.formatExpectedMakes(this.makeCurve, distance, attempts)
+                    : '—';
+            });
+        }
+        
         // Share Performance button
         const sharePerformanceBtn = document.getElementById('sharePerformanceBtn');
         if (sharePerformanceBtn) {
@@ -2194,6 +3777,22 @@ class App {
         if (editGameForm) {
             editGameForm.addEventListener('submit', (e) => this.handleGameUpdate(e));
         }
+        
+        // Offline sync controls
+        const syncNowBtn = document.getElementById('syncNowBtn');
+        if (syncNowBtn) {
+            syncNowBtn.addEventListener('click', () => storageManager.syncNow());
+        }
+        
+        const discardWriteBtns = document.querySelectorAll('.discard-write-btn');
+        discardWriteBtns.forEach(btn => {
+            btn.addEventListener('click', async (e) => {
+                const seq = parseInt(e.target.dataset.seq);
+                if (confirm('Discard this change? It was rejected by the server and will not be saved.')) {
+                    await storageManager.discardPendingWrite(seq);
+                }
+            });
+        });
     }
     
     /**
@@ -2215,7 +3814,7 @@ class App {
             this.newSession.routineName = routine.name;
             
             this.render();
-            alert(`Starting ${routine.name}!\n\nDrill 1: ${firstDrill.description}\nDistance: ${firstDrill.distance}ft\nAttempts: ${firstDrill.attempts}`);
+            alert(`Starting ${routine.name}!\n\nDrill 1: ${firstDrill.description}\nDistance: ${formatDistance(firstDrill.distance, userManager.getUnits())}\nAttempts: ${firstDrill.attempts}`);
         }
     }
     
@@ -2223,24 +3822,47 @@ class App {
      * Handle adding a new session
      */
     async handleAddSession(e) {
-        const distance = parseInt(document.getElementById('distance').value);
-        const makes = parseInt(document.getElementById('makes').value);
-        const attempts = parseInt(document.getElementById('attempts').value);
-        
-        if (makes > attempts) {
+        const stationRows = this.readStationRows();
+        const { distance, makes, attempts } = stationRows[0];
+        const stations = stationRows.length > 1 ? stationRows : null;
+        const misses = stations ? null : this.readMissBreakdown();
+        const style = document.getElementById('sessionStyle')?.value || null;
+        const conditions = this.readConditions('session');
+        const discIds = this.readDiscPicker('session');
+        const notes = document.getElementById('sessionNotes')?.value || '';
+        const tags = this.readTags('session');
+        
+        if (stationRows.some(station => station.makes > station.attempts)) {
             this.showCustomAlert('Makes cannot be greater than attempts!', 'warning');
             return;
         }
         
+        // When it was played, checked against the account it's being logged to
+        const playedAt = this.readPlayedAt('session', document.getElementById('logForUser')?.value || undefined);
+        if (!playedAt.isValid) {
+            this.showCustomAlert(playedAt.error, 'warning');
+            return;
+        }
+        const timestamp = playedAt.timestamp;
+        
         try {
             const isEditing = this.state.editingSession !== null;
+            let savedSession = null; // The current user's, for the achievement check
             
             if (isEditing) {
                 // Update existing session (always for current user)
-                await userManager.updateSession(this.state.editingSession, {
+                savedSession = await userManager.updateSession(this.state.editingSession, {
+                    timestamp,
                     distance,
                     makes,
-                    attempts
+                    attempts,
+                    stations,
+                    misses,
+                    style,
+                    conditions,
+                    discIds,
+                    notes,
+                    tags
                 });
                 this.showCustomAlert('Session updated successfully!', 'success');
             } else {
@@ -2250,16 +3872,24 @@ class App {
                 const currentUser = userManager.getCurrentUser();
                 
                 if (targetUserId !== currentUser.id) {
-                    // Logging for another user
-                    await this.addSessionForUser(targetUserId, { distance, makes, attempts });
+                    // Logging for another user (counts once they accept it)
+                    await this.addSessionForUser(targetUserId, { timestamp, distance, makes, attempts, stations, misses, style, conditions, notes, tags }, true);
                     const targetUser = this.state.leaderboard.find(p => p.id === targetUserId);
-                    this.showCustomAlert(`Session added for ${targetUser?.displayName || 'user'}!`, 'success');
+                    this.showCustomAlert(`Session sent to ${targetUser?.displayName || 'user'} for approval!`, 'success');
                 } else {
                     // Logging for self
-                    await userManager.addSession({
+                    savedSession = await userManager.addSession({
+                        timestamp,
                         distance,
                         makes,
-                        attempts
+                        attempts,
+                        stations,
+                        misses,
+                        style,
+                        conditions,
+                        discIds,
+                        notes,
+                        tags
                     });
                     this.showCustomAlert('Session added successfully!', 'success');
                 }
@@ -2269,7 +3899,6 @@ class App {
             this.state.showAddSession = false;
             this.state.editingSession = null;
             this.newSession = {
-                date: new Date().toISOString().split('T')[0],
                 distance: '10',
                 makes: '',
                 attempts: '',
@@ -2281,7 +3910,7 @@ class App {
             await this.loadRecentPractice();
             
             // Check achievements and show splash (only for current user's sessions)
-            const newAchievements = await achievementManager.checkAchievements();
+            const newAchievements = await achievementManager.checkAchievements(savedSession ? [savedSession] : []);
             if (newAchievements && newAchievements.length > 0) {
                 this.showAchievementSplash(newAchievements[0]);
             }
@@ -2295,65 +3924,480 @@ class App {
         }
     }
     
+    /**
+     * Read the optional miss breakdown from the add-session form
+     * @returns {Object|null} Miss counts keyed by direction, or null if none were entered
+     */
+    readMissBreakdown() {
+        const misses = {};
+        document.querySelectorAll('.miss-count-input').forEach(input => {
+            const count = parseInt(input.value);
+            if (count > 0) misses[input.dataset.direction] = count;
+        });
+        return Object.keys(misses).length > 0 ? misses : null;
+    }
+    
+    /**
+     * Get the current user's preferred putting style (pre-selected when logging)
+     * @returns {string|null} PUTTING_STYLES id, or null if none is set
+     */
+    getDefaultPuttingStyle() {
+        return userManager.getCurrentUser()?.defaultPuttingStyle || null;
+    }
+    
+    /**
+     * Render a putting style select
+     * @param {string} id - Select element ID
+     * @param {string|null} selected - Selected PUTTING_STYLES id
+     * @param {string} label - Field label
+     * @returns {string} HTML string
+     */
+    renderStyleSelect(id, selected, label = 'Putting Style') {
+        return `
+            <div class="form-group">
+                <label for="${id}">${label}</label>
+                <select id="${id}" class="form-input style-select">
+                    <option value="">Not tagged</option>
+                    ${PUTTING_STYLES.map(style => `
+                        <option value="${style.id}" ${selected === style.id ? 'selected' : ''}>${style.icon} ${style.label}</option>
+                    `).join('')}
+                </select>
+            </div>
+        `;
+    }
+    
+    /**
+     * Render a small badge for a tagged putting style
+     * @param {string|null} styleId - PUTTING_STYLES id
+     * @returns {string} HTML string (empty if untagged)
+     */
+    renderStyleBadge(styleId) {
+        const style = PUTTING_STYLES.find(s => s.id === styleId);
+        return style ? `<span class="style-badge style-${style.id}">${style.icon} ${style.label}</span>` : '';
+    }
+    
+    /**
+     * Render checkboxes to pick the putters used in a session
+     * @param {string} prefix - Element ID prefix
+     * @param {Array|null} selectedIds - Disc IDs to pre-check
+     * @returns {string} HTML string
+     */
+    renderDiscPicker(prefix, selectedIds = null) {
+        const selected = selectedIds || [];
+        // Active putting discs, plus any retired disc this session already used
+        const discs = discBagManager.getDiscs()
+            .filter(disc => ['putter', 'approach'].includes(disc.type))
+            .filter(disc => !disc.retired || selected.includes(disc.id));
+        
+        if (discs.length === 0) {
+            return '<p class="form-hint">🥏 Add putters to your disc bag in your profile to track which ones you used</p>';
+        }
+        
+        return `
+            <div class="form-group disc-picker" id="${prefix}Discs">
+                <label>Putter(s) Used</label>
+                <div class="disc-picker-options">
+                    ${discs.map(disc => `
+                        <label class="checkbox-label disc-pick">
+                            <input type="checkbox" class="disc-pick-input" data-disc-id="${disc.id}" ${selected.includes(disc.id) ? 'checked' : ''}>
+                            <span>${escapeHtml(discBagManager.getDiscLabel(disc))}</span>
+                        </label>
+                    `).join('')}
+                </div>
+            </div>
+        `;
+    }
+    
+    /**
+     * Read the putters picked with renderDiscPicker
+     * @param {string} prefix - Element ID prefix
+     * @returns {Array|null} Disc IDs, or null if none were picked
+     */
+    readDiscPicker(prefix) {
+        const ids = [...document.querySelectorAll(`#${prefix}Discs .disc-pick-input:checked`)]
+            .map(input => input.dataset.discId);
+        return ids.length > 0 ? ids : null;
+    }
+    
+    /**
+     * Render the names of the discs a session used
+     * @param {Array|null} discIds - Disc IDs
+     * @returns {string} HTML string (empty if none are in the bag)
+     */
+    renderSessionDiscs(discIds) {
+        const names = (discIds || [])
+            .map(id => discBagManager.getDisc(id))
+            .filter(Boolean)
+            .map(disc => escapeHtml(disc.mold));
+        return names.length > 0 ? `<span class="session-discs">🥏 ${names.join(', ')}</span>` : '';
+    }
+    
+    /**
+     * Render the date and time pickers for when something was played, so
+     * practice can be logged after the fact (e.g. a weekend's on Monday)
+     * @param {string} prefix - Element ID prefix (one form can't reuse another's IDs)
+     * @param {string|null} timestamp - When it was played (defaults to now)
+     * @param {Object|null} entered - { date, time } typed before the form was redrawn
+     * @returns {string} HTML string
+     */
+    renderPlayedAtFields(prefix, timestamp = null, entered = null) {
+        const timeZone = userManager.getTimeZone();
+        const playedAt = timestamp || new Date().toISOString();
+        const createdAt = userManager.getCurrentUser()?.createdAt;
+        const date = entered ? entered.date : toLocalDate(playedAt, timeZone);
+        const time = entered ? entered.time : toLocalTime(playedAt, timeZone);
+        
+        return `
+            <div class="form-row played-at-fields" data-played-at="${playedAt}">
+                <div class="form-group">
+                    <label for="${prefix}PlayedDate">Date Played</label>
+                    <input type="date" id="${prefix}PlayedDate" value="${date}" max="${userManager.getToday()}" ${createdAt ? `min="${toLocalDate(createdAt, timeZone)}"` : ''} required>
+                </div>
+                <div class="form-group">
+                    <label for="${prefix}PlayedTime">Time</label>
+                    <input type="time" id="${prefix}PlayedTime" value="${time}" required>
+                </div>
+            </div>
+            <p class="form-hint">Logging earlier practice? Set when you played so streaks and weekly challenges count the right day</p>
+        `;
+    }
+    
+    /**
+     * Read and validate the pickers rendered by renderPlayedAtFields. The date and
+     * time are on the logging player's clock; the practice can't be in the future
+     * or before the account it's logged to was created.
+     * @param {string} prefix - Element ID prefix
+     * @param {string} userId - Player it's being logged for (defaults to the current user)
+     * @returns {Object} { isValid, error, timestamp }
+     */
+    readPlayedAt(prefix, userId = userManager.getCurrentUser()?.id) {
+        const timeZone = userManager.getTimeZone();
+        const date = document.getElementById(`${prefix}PlayedDate`)?.value;
+        const time = document.getElementById(`${prefix}PlayedTime`)?.value || '12:00';
+        const original = document.getElementById(`${prefix}PlayedDate`)?.closest('.played-at-fields')?.dataset.playedAt;
+        
+        if (!date) {
+            return { isValid: false, error: 'Please choose the date you played' };
+        }
+        
+        // Left as it was: keep the exact time rather than rounding it to the minute
+        // (an edited session imported from before the account existed stays valid too)
+        if (original && date === toLocalDate(original, timeZone) && time === toLocalTime(original, timeZone)) {
+            return { isValid: true, timestamp: original };
+        }
+        
+        const timestamp = fromLocalDateTime(date, time, timeZone);
+        const player = userId === userManager.getCurrentUser()?.id
+            ? userManager.getCurrentUser()
+            : this.state.leaderboard.find(p => p.id === userId);
+        const check = validateDate(timestamp, { timeZone: this.getPlayerTimeZone(userId), earliest: player?.createdAt });
+        
+        return { isValid: check.isValid, error: check.error, timestamp };
+    }
+    
+    /**
+     * Render the optional tags field, suggesting tags already in use
+     * @param {string} prefix - Element ID prefix (one form can't reuse another's IDs)
+     * @param {Array|null} tags - Tags to pre-fill
+     * @returns {string} HTML string
+     */
+    renderTagsField(prefix, tags = null) {
+        return `
+            <div class="form-group">
+                <label for="${prefix}Tags">Tags (optional)</label>
+                <input type="text" id="${prefix}Tags" list="${prefix}TagOptions" value="${escapeHtml((tags || []).join(', '))}" placeholder="e.g. new grip, tournament prep">
+                <datalist id="${prefix}TagOptions">
+                    ${getUsedTags(userManager.sessionsLoaded ? userManager.sessions : userManager.recentSessions).map(tag => `<option value="${escapeHtml(tag)}">`).join('')}
+                </datalist>
+                <p class="form-hint">Separate tags with commas</p>
+            </div>
+        `;
+    }
+    
+    /**
+     * Read the tags field rendered by renderTagsField
+     * @param {string} prefix - Element ID prefix
+     * @returns {string} Tags as typed (userManager.normalizeTags splits and checks them)
+     */
+    readTags(prefix) {
+        return document.getElementById(`${prefix}Tags`)?.value || '';
+    }
+    
+    /**
+     * Render the optional practice conditions fields
+     * @param {string} prefix - Element ID prefix (one form can't reuse another's IDs)
+     * @param {Object|null} conditions - Conditions to pre-fill
+     * @returns {string} HTML string
+     */
+    renderConditionsFields(prefix, conditions = null) {
+        const c = conditions || {};
+        const options = (list, selected) => `
+            <option value="">—</option>
+            ${list.map(option => `<option value="${option.id}" ${selected === option.id ? 'selected' : ''}>${option.icon} ${option.label}</option>`).join('')}
+        `;
+        
+        return `
+            <details class="conditions-fields" id="${prefix}Conditions" ${conditions ? 'open' : ''}>
+                <summary>🌤️ Conditions (optional)</summary>
+                <div class="conditions-grid">
+                    <div class="form-group">
+                        <label for="${prefix}WindSpeed">Wind (mph)</label>
+                        <input type="number" id="${prefix}WindSpeed" min="0" max="${CONSTANTS.VALIDATION.MAX_WIND_SPEED}" value="${c.windSpeed ?? ''}">
+                    </div>
+                    <div class="form-group">
+                        <label for="${prefix}WindDirection">Wind Direction</label>
+                        <select id="${prefix}WindDirection" class="form-input">${options(WIND_DIRECTIONS, c.windDirection)}</select>
+                    </div>
+                    <div class="form-group">
+                        <label for="${prefix}Temperature">Temperature (°F)</label>
+                        <input type="number" id="${prefix}Temperature" min="${CONSTANTS.VALIDATION.MIN_TEMPERATURE}" max="${CONSTANTS.VALIDATION.MAX_TEMPERATURE}" value="${c.temperature ?? ''}">
+                    </div>
+                    <div class="form-group">
+                        <label for="${prefix}Setting">Indoor / Outdoor</label>
+                        <select id="${prefix}Setting" class="form-input">${options(PRACTICE_SETTINGS, c.setting)}</select>
+                    </div>
+                    <div class="form-group">
+                        <label for="${prefix}Elevation">Elevation</label>
+                        <select id="${prefix}Elevation" class="form-input">${options(ELEVATIONS, c.elevation)}</select>
+                    </div>
+                    <div class="form-group">
+                        <label for="${prefix}BasketModel">Basket</label>
+                        <input type="text" id="${prefix}BasketModel" list="${prefix}BasketModels" maxlength="${CONSTANTS.VALIDATION.MAX_BASKET_MODEL_LENGTH}" value="${escapeHtml(c.basketModel || '')}" placeholder="e.g. DGA Mach III">
+                        <datalist id="${prefix}BasketModels">
+                            ${BASKET_MODELS.map(model => `<option value="${model}">`).join('')}
+                        </datalist>
+                    </div>
+                </div>
+            </details>
+        `;
+    }
+    
+    /**
+     * Read the practice conditions fields rendered by renderConditionsFields
+     * @param {string} prefix - Element ID prefix
+     * @returns {Object|null} Conditions, or null if nothing was filled in
+     */
+    readConditions(prefix) {
+        const value = (field) => document.getElementById(`${prefix}${field}`)?.value.trim() || '';
+        const number = (field) => value(field) === '' ? null : parseFloat(value(field));
+        
+        const conditions = {
+            windSpeed: number('WindSpeed'),
+            windDirection: value('WindDirection') || null,
+            temperature: number('Temperature'),
+            setting: value('Setting') || null,
+            basketModel: value('BasketModel') || null,
+            elevation: value('Elevation') || null
+        };
+        return Object.values(conditions).some(v => v !== null) ? conditions : null;
+    }
+    
+    /**
+     * Render a one-line summary of recorded practice conditions
+     * @param {Object|null} conditions - Recorded conditions
+     * @returns {string} HTML string (empty if none were recorded)
+     */
+    renderConditionsSummary(conditions) {
+        if (!conditions) return '';
+        
+        const find = (list, id) => list.find(option => option.id === id);
+        const wind = find(WIND_DIRECTIONS, conditions.windDirection);
+        const setting = find(PRACTICE_SETTINGS, conditions.setting);
+        const elevation = find(ELEVATIONS, conditions.elevation);
+        
+        const parts = [
+            conditions.windSpeed != null || wind
+                ? `💨 ${conditions.windSpeed != null ? `${conditions.windSpeed} mph` : ''} ${wind ? wind.label.toLowerCase() : ''}`.trim()
+                : null,
+            conditions.temperature != null ? `🌡️ ${conditions.temperature}°F` : null,
+            setting ? `${setting.icon} ${setting.label}` : null,
+            elevation ? `${elevation.icon} ${elevation.label}` : null,
+            conditions.basketModel ? `🥅 ${escapeHtml(conditions.basketModel)}` : null
+        ].filter(Boolean);
+        
+        return parts.length > 0 ? `<span class="conditions-summary">${parts.join(' · ')}</span>` : '';
+    }
+    
+    /**
+     * Get the time zone activities logged for a player are dated in
+     * @param {string} userId - Player ID
+     * @returns {string} Their configured time zone (or the current user's if unknown)
+     */
+    getPlayerTimeZone(userId) {
+        const player = this.state.leaderboard.find(p => p.id === userId);
+        return userId !== userManager.getCurrentUser()?.id && isValidTimeZone(player?.timeZone)
+            ? player.timeZone
+            : userManager.getTimeZone();
+    }
+    
     /**
      * Add session for another user
      */
     async addSessionForUser(userId, sessionData, requireApproval = false) {
-        const { makes, attempts, distance } = sessionData;
+        const { misses, style, conditions, notes, tags } = sessionData;
+        
+        // Validate and calculate points and percentage (per station for multi-station sessions)
+        const { distance, makes, attempts, percentage, points, stations } = userManager.scoreSession(sessionData);
         
-        // Calculate points and percentage
-        const { calculateSessionPoints } = await import('./utils/calculations.js');
-        const { points, percentage } = calculateSessionPoints(makes, attempts, distance);
+        // Dated in the time zone of the player it's logged for, on the day it was played
+        const loggedAt = new Date().toISOString();
+        const timestamp = sessionData.timestamp || loggedAt;
+        const timeZone = this.getPlayerTimeZone(userId);
         
         // Create session object
         const session = {
             id: `session_${Date.now()}`,
-            date: new Date().toISOString().split('T')[0],
-            timestamp: new Date().toISOString(),
+            date: toLocalDate(timestamp, timeZone),
+            timestamp,
+            timeZone,
+            loggedAt,
             distance,
             makes,
             attempts,
             percentage,
             points,
+            pointsVersion: CURRENT_POINTS_VERSION,
+            stations,
+            misses: userManager.normalizeMisses(misses, makes, attempts),
+            style: style || null,
+            conditions: userManager.normalizeConditions(conditions),
+            notes: userManager.normalizeNotes(notes),
+            tags: userManager.normalizeTags(tags),
             loggedBy: userManager.getCurrentUser().id,
             loggedByName: userManager.getCurrentUser().displayName,
             pending: requireApproval // If true, requires user acceptance
         };
         
-        // Save session for target user
-        await storageManager.saveSession(userId, session);
-        
-        // Only update stats if not requiring approval
-        if (!requireApproval) {
-            const targetUser = await storageManager.getUser(userId);
-            if (targetUser) {
-                targetUser.totalPoints = (targetUser.totalPoints || 0) + points;
-                targetUser.totalSessions = (targetUser.totalSessions || 0) + 1;
-                targetUser.totalPutts = (targetUser.totalPutts || 0) + attempts;
-                targetUser.totalMakes = (targetUser.totalMakes || 0) + makes;
-                
-                // Update best session if needed
-                if (!targetUser.bestSession || points > (targetUser.bestSession.points || 0)) {
-                    targetUser.bestSession = {
-                        distance,
-                        makes,
-                        attempts,
-                        percentage,
-                        points,
-                        date: session.date
-                    };
-                }
-                
-                // Update best accuracy
-                if (!targetUser.bestAccuracy || percentage > targetUser.bestAccuracy) {
-                    targetUser.bestAccuracy = percentage;
+        // Save session for target user, updating their stats in the same commit
+        // unless it still needs their approval
+        await storageManager.saveSession(
+            userId,
+            session,
+            requireApproval ? null : userManager.getSessionTotalsUpdate(session)
+        );
+        
+        return session;
+    }
+    
+    /**
+     * Attach live session modal listeners
+     */
+    attachLiveSessionListeners() {
+        const distanceInput = document.getElementById('liveDistance');
+        if (distanceInput) {
+            distanceInput.addEventListener('change', (e) => {
+                liveSessionTracker.setDistance(fromDisplayDistance(e.target.value, userManager.getUnits()));
+            });
+        }
+        
+        const styleSelect = document.getElementById('liveStyle');
+        if (styleSelect) {
+            styleSelect.addEventListener('change', (e) => {
+                liveSessionTracker.setStyle(e.target.value || null);
+            });
+        }
+        
+        const discPicker = document.getElementById('liveDiscs');
+        if (discPicker) {
+            discPicker.addEventListener('change', () => {
+                liveSessionTracker.setDiscs(this.readDiscPicker('live'));
+            });
+        }
+        
+        const conditionsFields = document.getElementById('liveConditions');
+        if (conditionsFields) {
+            conditionsFields.addEventListener('change', () => {
+                liveSessionTracker.setConditions(this.readConditions('live'));
+            });
+        }
+        
+        const recordPutt = (made) => {
+            if (this.state.savingLiveSession) return;
+            liveSessionTracker.recordPutt(made);
+            this.render();
+        };
+        
+        const makeBtn = document.getElementById('liveMakeBtn');
+        if (makeBtn) {
+            makeBtn.addEventListener('click', () => recordPutt(true));
+        }
+        
+        const missBtn = document.getElementById('liveMissBtn');
+        if (missBtn) {
+            missBtn.addEventListener('click', () => recordPutt(false));
+        }
+        
+        document.querySelectorAll('.live-miss-direction-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                liveSessionTracker.setMissDirection(e.currentTarget.dataset.direction);
+                this.render();
+            });
+        });
+        
+        const undoBtn = document.getElementById('liveUndoBtn');
+        if (undoBtn) {
+            undoBtn.addEventListener('click', () => {
+                liveSessionTracker.undo();
+                this.render();
+            });
+        }
+        
+        const finishBtn = document.getElementById('finishLiveSessionBtn');
+        if (finishBtn) {
+            finishBtn.addEventListener('click', () => this.handleFinishLiveSession());
+        }
+        
+        const closeBtn = document.getElementById('closeLiveSessionBtn');
+        if (closeBtn) {
+            closeBtn.addEventListener('click', () => {
+                if (this.state.savingLiveSession) return;
+                if (liveSessionTracker.getSummary().attempts > 0 &&
+                    !confirm('Discard this live session? Your putts will not be saved.')) {
+                    return;
                 }
-                
-                await storageManager.saveUser(targetUser);
-            }
+                liveSessionTracker.cancel();
+                this.render();
+            });
         }
+    }
+    
+    /**
+     * Save the live session (or live streak game) and refresh stats
+     */
+    async handleFinishLiveSession() {
+        const live = liveSessionTracker.getCurrent();
+        if (!live) return;
         
-        return session;
+        try {
+            this.state.savingLiveSession = true;
+            this.render();
+            
+            const game = live.game;
+            const result = await liveSessionTracker.finish();
+            
+            await this.loadLeaderboard();
+            await this.loadRecentPractice();
+            
+            const newAchievements = await achievementManager.checkAchievements();
+            
+            this.state.savingLiveSession = false;
+            this.render();
+            
+            if (newAchievements && newAchievements.length > 0) {
+                this.showAchievementSplash(newAchievements[0]);
+            }
+            
+            if (game) {
+                this.showCustomAlert(`Score logged for ${game.name}! Best streak: ${result.streak} (+${result.points} points)`, 'success');
+            } else {
+                this.showCustomAlert(`Session saved: ${result.makes}/${result.attempts} (+${result.points} points)`, 'success');
+            }
+        } catch (error) {
+            console.error('Error saving live session:', error);
+            this.state.savingLiveSession = false;
+            this.render();
+            this.showCustomAlert('Failed to save session: ' + error.message, 'error');
+        }
     }
     
     /**
@@ -2518,7 +4562,7 @@ class App {
                     input.disabled = !e.target.checked;
                     if (e.target.checked && !input.value && input.type === 'number') {
                         // Set default values when enabled
-                        if (input.dataset.field === 'distance') input.value = '20';
+                        if (input.dataset.field === 'distance') input.value = toDistanceInputValue(20, userManager.getUnits());
                         if (input.dataset.field === 'attempts') input.value = '20';
                     }
                 });
@@ -2590,10 +4634,10 @@ class App {
                     case 'distance':
                         gameFields = `
                             <div class="form-group-inline">
-                                <label>Max Dist (ft)</label>
+                                <label>Max Dist (${getDistanceUnit(userManager.getUnits()).short})</label>
                                 <input type="number" class="bulk-input" 
                                        data-player-id="${playerId}" data-field="maxDistance"
-                                       min="10" max="100" step="5">
+                                       ${this.renderDistanceInputLimits(userManager.getUnits(), 10, 100, 5)}>
                             </div>
                             <div class="form-group-inline">
                                 <label>Rounds</label>
@@ -2673,7 +4717,9 @@ class App {
             }
             
             const activityType = this.state.bulkActivityType || 'session';
-            const requireApproval = document.getElementById('requireApproval')?.checked || false;
+            // Activities logged for other players always wait for their approval
+            // (firestore.rules only allows pending writes into another user's account)
+            const requireApproval = true;
             const currentUserId = userManager.getCurrentUser()?.id;
             let successCount = 0;
             
@@ -2684,7 +4730,7 @@ class App {
                 try {
                     if (activityType === 'session') {
                         // Get individual stats for this player
-                        const distance = parseInt(document.querySelector(`.bulk-input[data-player-id="${playerId}"][data-field="distance"]`).value);
+                        const distance = fromDisplayDistance(document.querySelector(`.bulk-input[data-player-id="${playerId}"][data-field="distance"]`).value, userManager.getUnits());
                         const makes = parseInt(document.querySelector(`.bulk-input[data-player-id="${playerId}"][data-field="makes"]`).value);
                         const attempts = parseInt(document.querySelector(`.bulk-input[data-player-id="${playerId}"][data-field="attempts"]`).value);
                         
@@ -2750,47 +4796,18 @@ class App {
                             continue;
                         }
                         
-                        // Extract score data based on game type
-                        let scoreData = {};
-                        
-                        switch (game.scoring.type) {
-                            case 'time':
-                                scoreData.time = parseFloat(document.querySelector(`.bulk-input[data-player-id="${playerId}"][data-field="time"]`)?.value);
-                                scoreData.score = scoreData.time;
-                                break;
-                            case 'strokes':
-                                scoreData.strokes = parseInt(document.querySelector(`.bulk-input[data-player-id="${playerId}"][data-field="strokes"]`)?.value);
-                                scoreData.score = scoreData.strokes;
-                                break;
-                            case 'points':
-                                scoreData.points = parseInt(document.querySelector(`.bulk-input[data-player-id="${playerId}"][data-field="points"]`)?.value);
-                                scoreData.putts = parseInt(document.querySelector(`.bulk-input[data-player-id="${playerId}"][data-field="putts"]`)?.value || 0);
-                                scoreData.score = scoreData.points;
-                                break;
-                            case 'distance':
-                                scoreData.maxDistance = parseInt(document.querySelector(`.bulk-input[data-player-id="${playerId}"][data-field="maxDistance"]`)?.value);
-                                scoreData.rounds = parseInt(document.querySelector(`.bulk-input[data-player-id="${playerId}"][data-field="rounds"]`)?.value || 0);
-                                scoreData.score = scoreData.maxDistance;
-                                break;
-                            case 'streak':
-                                scoreData.streak = parseInt(document.querySelector(`.bulk-input[data-player-id="${playerId}"][data-field="streak"]`)?.value);
-                                scoreData.attempts = parseInt(document.querySelector(`.bulk-input[data-player-id="${playerId}"][data-field="attempts"]`)?.value || 0);
-                                scoreData.score = scoreData.streak;
-                                break;
-                            case 'elimination':
-                                const wonValue = document.querySelector(`.bulk-input[data-player-id="${playerId}"][data-field="won"]`)?.value;
-                                scoreData.won = wonValue === 'true';
-                                scoreData.score = scoreData.won ? 1 : 0;
-                                break;
-                            case 'rotations':
-                                scoreData.totalMakes = parseInt(document.querySelector(`.bulk-input[data-player-id="${playerId}"][data-field="totalMakes"]`)?.value || 0);
-                                scoreData.totalAttempts = parseInt(document.querySelector(`.bulk-input[data-player-id="${playerId}"][data-field="totalAttempts"]`)?.value || 0);
-                                scoreData.distance = parseInt(document.querySelector(`.bulk-input[data-player-id="${playerId}"][data-field="distance"]`)?.value || 20);
-                                scoreData.percentage = scoreData.totalAttempts > 0 ? (scoreData.totalMakes / scoreData.totalAttempts * 100) : 0;
-                                scoreData.score = scoreData.totalMakes;
-                                break;
-                            default:
-                                scoreData.score = parseInt(document.querySelector(`.bulk-input[data-player-id="${playerId}"][data-field="score"]`)?.value || 0);
+                        // Everyone logged together played each other; their scores rate the game
+                        const scoreData = this.readBulkGameScore(game, playerId);
+                        const opponents = [...checkedBoxes]
+                            .filter(other => other.dataset.playerId !== playerId)
+                            .map(other => ({
+                                userId: other.dataset.playerId,
+                                displayName: other.dataset.playerName || null,
+                                score: this.readBulkGameScore(game, other.dataset.playerId).score
+                            }))
+                            .filter(opponent => Number.isFinite(opponent.score));
+                        if (opponents.length > 0) {
+                            scoreData.opponents = opponents;
                         }
                         
                         if (isCurrentUser) {
@@ -2833,6 +4850,58 @@ class App {
         }
     }
     
+    /**
+     * Read one player's score from the bulk log form
+     * @param {Object} game - Game definition
+     * @param {string} playerId - Player's user ID
+     * @returns {Object} Score data for addGameForUser
+     */
+    readBulkGameScore(game, playerId) {
+        const scoreData = {};
+        
+        switch (game.scoring.type) {
+            case 'time':
+                scoreData.time = parseFloat(document.querySelector(`.bulk-input[data-player-id="${playerId}"][data-field="time"]`)?.value);
+                scoreData.score = scoreData.time;
+                break;
+            case 'strokes':
+                scoreData.strokes = parseInt(document.querySelector(`.bulk-input[data-player-id="${playerId}"][data-field="strokes"]`)?.value);
+                scoreData.score = scoreData.strokes;
+                break;
+            case 'points':
+                scoreData.points = parseInt(document.querySelector(`.bulk-input[data-player-id="${playerId}"][data-field="points"]`)?.value);
+                scoreData.putts = parseInt(document.querySelector(`.bulk-input[data-player-id="${playerId}"][data-field="putts"]`)?.value || 0);
+                scoreData.score = scoreData.points;
+                break;
+            case 'distance':
+                scoreData.maxDistance = fromDisplayDistance(document.querySelector(`.bulk-input[data-player-id="${playerId}"][data-field="maxDistance"]`)?.value, userManager.getUnits());
+                scoreData.rounds = parseInt(document.querySelector(`.bulk-input[data-player-id="${playerId}"][data-field="rounds"]`)?.value || 0);
+                scoreData.score = scoreData.maxDistance;
+                break;
+            case 'streak':
+                scoreData.streak = parseInt(document.querySelector(`.bulk-input[data-player-id="${playerId}"][data-field="streak"]`)?.value);
+                scoreData.attempts = parseInt(document.querySelector(`.bulk-input[data-player-id="${playerId}"][data-field="attempts"]`)?.value || 0);
+                scoreData.score = scoreData.streak;
+                break;
+            case 'elimination':
+                const wonValue = document.querySelector(`.bulk-input[data-player-id="${playerId}"][data-field="won"]`)?.value;
+                scoreData.won = wonValue === 'true';
+                scoreData.score = scoreData.won ? 1 : 0;
+                break;
+            case 'rotations':
+                scoreData.totalMakes = parseInt(document.querySelector(`.bulk-input[data-player-id="${playerId}"][data-field="totalMakes"]`)?.value || 0);
+                scoreData.totalAttempts = parseInt(document.querySelector(`.bulk-input[data-player-id="${playerId}"][data-field="totalAttempts"]`)?.value || 0);
+                scoreData.distance = fromDisplayDistance(document.querySelector(`.bulk-input[data-player-id="${playerId}"][data-field="distance"]`)?.value || toDistanceInputValue(20, userManager.getUnits()), userManager.getUnits());
+                scoreData.percentage = scoreData.totalAttempts > 0 ? (scoreData.totalMakes / scoreData.totalAttempts * 100) : 0;
+                scoreData.score = scoreData.totalMakes;
+                break;
+            default:
+                scoreData.score = parseInt(document.querySelector(`.bulk-input[data-player-id="${playerId}"][data-field="score"]`)?.value || 0);
+        }
+        
+        return scoreData;
+    }
+    
     /**
      * Add routine for another user
      */
@@ -2845,8 +4914,11 @@ class App {
         const totalAttempts = drillResults.reduce((sum, d) => sum + d.attempts, 0);
         const overallPercentage = totalAttempts > 0 ? (totalMakes / totalAttempts * 100) : 0;
         
-        // Calculate points based on performance
-        const points = Math.round(totalMakes * 2); // 2 points per make
+        // Scored like a routine logged by the player, from its drills
+        const points = calculateRoutinePoints(getActivityPutts('routine', { drillResults }));
+        
+        const timestamp = new Date().toISOString();
+        const timeZone = this.getPlayerTimeZone(userId);
         
         const routineCompletion = {
             id: `routine_${Date.now()}_${userId}`,
@@ -2859,26 +4931,22 @@ class App {
                 overallPercentage
             },
             duration: duration,
-            date: new Date().toISOString().split('T')[0],
-            timestamp: new Date().toISOString(),
+            date: toLocalDate(timestamp, timeZone),
+            timestamp,
+            timeZone,
             points: points,
+            pointsVersion: CURRENT_POINTS_VERSION,
             loggedBy: userManager.getCurrentUser().id,
             loggedByName: userManager.getCurrentUser().displayName,
             pending: requireApproval
         };
         
-        // Save routine for target user
-        await storageManager.saveRoutineCompletion(userId, routineCompletion);
-        
-        // Update user stats if not pending
-        if (!requireApproval) {
-            const targetUser = await storageManager.getUser(userId);
-            if (targetUser) {
-                targetUser.totalPoints = (targetUser.totalPoints || 0) + points;
-                targetUser.totalRoutines = (targetUser.totalRoutines || 0) + 1;
-                await storageManager.saveUser(targetUser);
-            }
-        }
+        // Save routine for target user, updating their stats in the same commit if not pending
+        await storageManager.saveRoutineCompletion(userId, routineCompletion, requireApproval ? null : {
+            totalPoints: increment(points),
+            totalRoutines: increment(1),
+            ...userManager.getPuttStatsUpdate('routine', routineCompletion)
+        });
         
         return routineCompletion;
     }
@@ -2893,17 +4961,17 @@ class App {
         // Score is either a number or an object with detailed data
         const score = typeof scoreData === 'object' ? scoreData.score : scoreData;
         
-        // Calculate points based on score (simplified)
-        const points = Math.round(score * 10); // Simplified
+        const endTime = new Date().toISOString();
+        const timeZone = this.getPlayerTimeZone(userId);
         
         const gameCompletion = {
             id: `game_${Date.now()}_${userId}`,
             gameId: game.id,
             gameName: game.name,
             score: score,
-            points: points,
-            date: new Date().toISOString().split('T')[0],
-            endTime: new Date().toISOString(),
+            date: toLocalDate(endTime, timeZone),
+            endTime,
+            timeZone,
             loggedBy: userManager.getCurrentUser().id,
             loggedByName: userManager.getCurrentUser().displayName,
             pending: requireApproval
@@ -2919,20 +4987,25 @@ class App {
             if (scoreData.rounds) gameCompletion.rounds = scoreData.rounds;
             if (scoreData.streak) gameCompletion.streak = scoreData.streak;
             if (scoreData.attempts) gameCompletion.attempts = scoreData.attempts;
+            // Putt 100 keeps what its points are calculated from
+            if (scoreData.totalAttempts) gameCompletion.attempts = scoreData.totalAttempts;
+            if (scoreData.distance) gameCompletion.distance = scoreData.distance;
+            // Head-to-head results for the skill rating
+            if (typeof scoreData.won === 'boolean') gameCompletion.won = scoreData.won;
+            if (scoreData.opponents) gameCompletion.opponents = scoreData.opponents;
         }
         
-        // Save game for target user
-        await storageManager.saveGameCompletion(userId, gameCompletion);
+        // Scored like a game played on this device (a Putt 100 missing its
+        // attempts or distance can't be scored and earns nothing)
+        const points = calculateActivityPoints('game', gameCompletion) ?? 0;
+        gameCompletion.points = points;
+        gameCompletion.pointsVersion = CURRENT_POINTS_VERSION;
         
-        // Update user stats if not pending
-        if (!requireApproval) {
-            const targetUser = await storageManager.getUser(userId);
-            if (targetUser) {
-                targetUser.totalPoints = (targetUser.totalPoints || 0) + points;
-                targetUser.totalGames = (targetUser.totalGames || 0) + 1;
-                await storageManager.saveUser(targetUser);
-            }
-        }
+        // Save game for target user, updating their stats in the same commit if not pending
+        await storageManager.saveGameCompletion(userId, gameCompletion, requireApproval ? null : {
+            totalPoints: increment(points),
+            totalGames: increment(1)
+        });
         
         return gameCompletion;
     }
@@ -2942,6 +5015,7 @@ class App {
      */
     async handleSharePerformance() {
         const user = userManager.getCurrentUser();
+        await userManager.ensureSessions();
         const stats = userManager.getStatistics();
         
         const avgAccuracy = stats.totalPutts > 0 
@@ -2954,7 +5028,7 @@ class App {
 • Avg Accuracy: ${avgAccuracy}%
 • Total Makes: ${stats.totalMakes}
 • Total Attempts: ${stats.totalPutts}
-• Best Session: ${stats.bestSession ? `${stats.bestSession.percentage.toFixed(1)}% at ${stats.bestSession.distance}ft` : 'N/A'}
+• Best Session: ${stats.bestSession ? `${stats.bestSession.percentage.toFixed(1)}% at ${this.formatSessionDistance(stats.bestSession)}` : 'N/A'}
 • Longest Streak: ${stats.longestStreak || 0} days
 
 🎯 Total Sessions: ${user.totalSessions || 0}
@@ -3023,7 +5097,7 @@ class App {
             id: achievement.id,
             name: achievement.name,
             icon: achievement.icon,
-            desc: achievement.desc,
+            desc: localizeDistanceText(achievement.desc, userManager.getUnits()),
             points: achievement.points
         };
         
@@ -3050,6 +5124,30 @@ class App {
         }, 3000);
     }
     
+    /**
+     * Load your full history (every session, routine and game) for the Stats view
+     */
+    async loadStatsHistory() {
+        try {
+            const user = userManager.getCurrentUser();
+            if (!user) return;
+            
+            const [, routines, games] = await Promise.all([
+                userManager.ensureSessions(),
+                storageManager.getRoutineCompletions(user.id),
+                storageManager.getGameCompletions(user.id)
+            ]);
+            this.statsHistory = { routines, games };
+        } catch (error) {
+            console.error('❌ Error loading stats history:', error);
+            // Show what's loaded rather than retrying on every render
+            this.statsHistory = { routines: [], games: [] };
+        } finally {
+            this.state.statsHistoryLoading = false;
+            this.render();
+        }
+    }
+    
     /**
      * Load and calculate stats for another player
      */
@@ -3082,7 +5180,7 @@ class App {
                 : 0;
             
             // Calculate average distance
-            const totalDistance = sessions.reduce((sum, s) => sum + (s.distance * s.attempts), 0);
+            const totalDistance = sessions.flatMap(getSessionStations).reduce((sum, s) => sum + (s.distance * s.attempts), 0);
             const avgDistance = totalPutts > 0 ? (totalDistance / totalPutts).toFixed(1) : 0;
             
             // Cache the calculated stats
@@ -3096,7 +5194,8 @@ class App {
                     bestAccuracy,
                     avgDistance,
                     currentStreak: 0, // Would need date-based calculation
-                    longestStreak: 0  // Would need date-based calculation
+                    longestStreak: 0, // Would need date-based calculation
+                    styleBreakdown: calculateStyleBreakdown(sessions, userManager.getUnits())
                 }
             };
             
@@ -3163,6 +5262,22 @@ class App {
                 form.addEventListener('submit', (e) => this.handleGameScoreSubmit(e));
             }
             
+            // Streak games can be played live instead of typing in the result
+            const playLiveBtn = document.getElementById('playGameLiveBtn');
+            if (playLiveBtn) {
+                playLiveBtn.addEventListener('click', () => {
+                    const game = PUTTING_GAMES.find(g => g.id === gameId);
+                    this.state.showGameScoreModal = false;
+                    this.state.selectedGameForScore = null;
+                    liveSessionTracker.start({
+                        distance: 15,
+                        game,
+                        style: document.getElementById('gameStyle')?.value || null
+                    });
+                    this.render();
+                });
+            }
+            
             // Close on overlay click
             const overlay = document.getElementById('gameScoreModal');
             if (overlay) {
@@ -3193,6 +5308,12 @@ class App {
         const game = PUTTING_GAMES.find(g => g.id === this.state.selectedGameForScore);
         if (!game) return;
         
+        const playedAt = this.readPlayedAt('game');
+        if (!playedAt.isValid) {
+            alert(playedAt.error);
+            return;
+        }
+        
         try {
             let scoreData = {};
             
@@ -3223,8 +5344,8 @@ class App {
                     
                 case 'distance':
                     scoreData = {
-                        score: parseInt(document.getElementById('maxDistance').value),
-                        maxDistance: parseInt(document.getElementById('maxDistance').value),
+                        score: fromDisplayDistance(document.getElementById('maxDistance').value, userManager.getUnits()),
+                        maxDistance: fromDisplayDistance(document.getElementById('maxDistance').value, userManager.getUnits()),
                         targetDistance: 40,
                         totalRounds: parseInt(document.getElementById('totalRounds')?.value || 0)
                     };
@@ -3244,7 +5365,7 @@ class App {
                     scoreData = {
                         score: won ? 1 : 0,
                         won: won,
-                        opponent: document.getElementById('opponentName')?.value || 'Unknown'
+                        opponent: document.getElementById('opponentName')?.value.trim() || null
                     };
                     break;
                     
@@ -3275,7 +5396,7 @@ class App {
                         totalAttempts += attempts;
                     }
                     
-                    const distance = parseInt(document.getElementById('puttingDistance').value);
+                    const distance = fromDisplayDistance(document.getElementById('puttingDistance').value, userManager.getUnits());
                     const overallPercentage = totalAttempts > 0 ? (totalMakes / totalAttempts * 100) : 0;
                     
                     scoreData = {
@@ -3296,6 +5417,11 @@ class App {
                 scoreData.notes = notes;
             }
             
+            scoreData.style = document.getElementById('gameStyle')?.value || null;
+            scoreData.conditions = this.readConditions('game');
+            scoreData.playedAt = playedAt.timestamp;
+            scoreData.tags = this.readTags('game');
+            
             // Start and complete game in one go
             gameTracker.startGame(game);
             const completedGame = await gameTracker.completeGame(scoreData);
@@ -3355,10 +5481,12 @@ class App {
                                 </select>
                             </div>
                             
+                            ${this.renderPlayedAtFields('routine')}
+                            
                             ${routine.drills.map((drill, idx) => `
                                 <div class="drill-completion-group">
-                                    <h4>Drill ${idx + 1}: ${drill.distance}ft - ${drill.attempts} attempts</h4>
-                                    <p class="drill-desc">${drill.description}</p>
+                                    <h4>Drill ${idx + 1}: ${formatDistance(drill.distance, userManager.getUnits())} - ${drill.attempts} attempts</h4>
+                                    <p class="drill-desc">${localizeDistanceText(drill.description, userManager.getUnits())}</p>
                                     <div class="form-row">
                                         <div class="form-group">
                                             <label for="drill${idx}Makes">Makes</label>
@@ -3368,6 +5496,7 @@ class App {
                                             <label for="drill${idx}Attempts">Attempts</label>
                                             <input type="number" id="drill${idx}Attempts" value="${drill.attempts}" min="1" max="100" required>
                                         </div>
+                                        ${this.renderStyleSelect(`drill${idx}Style`, this.getDefaultPuttingStyle(), 'Style')}
                                     </div>
                                 </div>
                             `).join('')}
@@ -3377,6 +5506,10 @@ class App {
                                 <input type="number" id="routineDuration" min="1" max="120" placeholder="How long did it take?">
                             </div>
                             
+                            ${this.renderConditionsFields('routine')}
+                            
+                            ${this.renderTagsField('routine')}
+                            
                             <div class="form-group">
                                 <label for="routineNotes">Notes (optional)</label>
                                 <textarea id="routineNotes" rows="3" placeholder="How did it go? Which drills were challenging?"></textarea>
@@ -3479,12 +5612,7 @@ class App {
                                 ${availablePlayers.map(player => this.renderBulkPlayerCard(player, activityType)).join('')}
                             </div>
                             
-                            <div class="form-group">
-                                <label>
-                                    <input type="checkbox" id="requireApproval" checked>
-                                    Require player approval before adding to stats
-                                </label>
-                            </div>
+                            <p class="profile-hint">Other players accept or reject what you log for them before it counts toward their stats.</p>
                             
                             <div class="form-actions">
                                 <button type="submit" class="btn btn-primary">Log for All Selected</button>
@@ -3510,6 +5638,7 @@ class App {
         const currentUserId = userManager.getCurrentUser()?.id;
         const isCurrentUser = player.id === currentUserId;
         const playerLabel = isCurrentUser ? `${player.displayName} (You)` : player.displayName;
+        const units = userManager.getUnits();
         
         if (activityType === 'session') {
             return `
@@ -3526,14 +5655,13 @@ class App {
                     </div>
                     <div class="bulk-player-stats">
                         <div class="form-group-inline">
-                            <label>Distance (ft)</label>
+                            <label>Distance (${getDistanceUnit(units).short})</label>
                             <input type="number" 
                                    class="bulk-input" 
                                    data-player-id="${player.id}"
                                    data-field="distance"
-                                   min="5" 
-                                   max="100" 
-                                   value="20"
+                                   ${this.renderDistanceInputLimits(units, 5)}
+                                   value="${toDistanceInputValue(20, units)}"
                                    disabled>
                         </div>
                         <div class="form-group-inline">
@@ -3601,7 +5729,7 @@ class App {
                         ${routine.drills.map((drill, idx) => `
                             <div class="bulk-drill-group">
                                 <div class="bulk-drill-header">
-                                    <strong>Drill ${idx + 1}:</strong> ${drill.distance}ft - ${drill.attempts} attempts
+                                    <strong>Drill ${idx + 1}:</strong> ${formatDistance(drill.distance, units)} - ${drill.attempts} attempts
                                 </div>
                                 <div class="bulk-drill-inputs">
                                     <div class="form-group-inline">
@@ -3732,14 +5860,12 @@ class App {
                 case 'distance':
                     gameFields = `
                         <div class="form-group-inline">
-                            <label>Max Dist (ft)</label>
+                            <label>Max Dist (${getDistanceUnit(units).short})</label>
                             <input type="number" 
                                    class="bulk-input" 
                                    data-player-id="${player.id}"
                                    data-field="maxDistance"
-                                   min="10" 
-                                   max="100"
-                                   step="5"
+                                   ${this.renderDistanceInputLimits(units, 10, 100, 5)}
                                    disabled>
                         </div>
                         <div class="form-group-inline">
@@ -3816,14 +5942,13 @@ class App {
                                    disabled>
                         </div>
                         <div class="form-group-inline full-width">
-                            <label>Distance (ft)</label>
+                            <label>Distance (${getDistanceUnit(units).short})</label>
                             <input type="number" 
                                    class="bulk-input" 
                                    data-player-id="${player.id}"
                                    data-field="distance"
-                                   min="10" 
-                                   max="100"
-                                   value="20"
+                                   ${this.renderDistanceInputLimits(units, 10)}
+                                   value="${toDistanceInputValue(20, units)}"
                                    disabled>
                         </div>
                     `;
@@ -3977,6 +6102,12 @@ class App {
         const routine = SUGGESTED_ROUTINES.find(r => r.id === this.state.selectedRoutineForCompletion);
         if (!routine) return;
         
+        const playedAt = this.readPlayedAt('routine');
+        if (!playedAt.isValid) {
+            alert(playedAt.error);
+            return;
+        }
+        
         try {
             // Collect drill data
             const drills = routine.drills.map((drill, idx) => {
@@ -3991,6 +6122,7 @@ class App {
                     makes,
                     attempts,
                     percentage: (makes / attempts) * 100,
+                    style: document.getElementById(`drill${idx}Style`)?.value || null,
                     completed: true
                 };
             });
@@ -4006,15 +6138,21 @@ class App {
             const duration = parseInt(document.getElementById('routineDuration')?.value || 0);
             const notes = document.getElementById('routineNotes')?.value;
             
-            // Create completion record
+            // Create completion record, dated when it was played
+            const endTime = playedAt.timestamp;
+            const timeZone = userManager.getTimeZone();
             const completion = {
                 routineId: routine.id,
                 routineName: routine.name,
-                startTime: new Date(Date.now() - duration * 60000).toISOString(), // Estimate start time
-                endTime: new Date().toISOString(),
+                startTime: new Date(new Date(endTime).getTime() - duration * 60000).toISOString(), // Estimate start time
+                endTime,
+                date: toLocalDate(endTime, timeZone),
+                timeZone,
+                loggedAt: new Date().toISOString(),
                 duration,
                 drills,
                 points: routinePoints,
+                pointsVersion: CURRENT_POINTS_VERSION,
                 totalStats: {
                     totalDrills: drills.length,
                     completedDrills: drills.length,
@@ -4022,19 +6160,22 @@ class App {
                     totalAttempts,
                     overallPercentage: Math.round(overallPercentage * 10) / 10
                 },
-                notes: notes || null,
+                notes: userManager.normalizeNotes(notes),
+                tags: userManager.normalizeTags(this.readTags('routine')),
+                conditions: userManager.normalizeConditions(this.readConditions('routine')),
                 completed: true
             };
             
             // Save to Firestore
             const user = userManager.getCurrentUser();
             if (user) {
-                await storageManager.saveRoutineCompletion(user.id, completion);
-                
-                // Increment totalRoutines counter and add points
-                user.totalRoutines = (user.totalRoutines || 0) + 1;
-                user.totalPoints = (user.totalPoints || 0) + routinePoints;
-                await storageManager.saveUser(user);
+                // Save the routine and increment totalRoutines/points in the same commit
+                await storageManager.saveRoutineCompletion(user.id, completion, {
+                    totalRoutines: increment(1),
+                    totalPoints: increment(routinePoints),
+                    ...userManager.getPuttStatsUpdate('routine', completion)
+                });
+                await userManager.reloadUser();
             }
             
             // Check achievements and show splash
@@ -4127,28 +6268,40 @@ class App {
                                 </div>
                                 
                                 <div class="profile-field">
-                                    <label>Favorite Putter</label>
+                                    <label>Putting Style</label>
                                     ${isOwnProfile 
-                                        ? `<input type="text" id="profilePutter" value="${user.favoritePutter || ''}" placeholder="e.g., Aviar, Luna, Berg" class="profile-input">`
-                                        : `<div class="profile-value">${user.favoritePutter || 'Not set'}</div>`
+                                        ? `<select id="profilePuttingStyle" class="profile-input">
+                                            <option value="">No preference</option>
+                                            ${PUTTING_STYLES.map(style => `
+                                                <option value="${style.id}" ${user.defaultPuttingStyle === style.id ? 'selected' : ''}>${style.icon} ${style.label}</option>
+                                            `).join('')}
+                                           </select>
+                                           <p class="profile-hint">Pre-selected when you log sessions, drills and games</p>`
+                                        : `<div class="profile-value">${this.renderStyleBadge(user.defaultPuttingStyle) || 'Not set'}</div>`
                                     }
                                 </div>
                                 
-                                <div class="profile-field">
-                                    <label>Favorite Midrange</label>
-                                    ${isOwnProfile 
-                                        ? `<input type="text" id="profileMidrange" value="${user.favoriteMidrange || ''}" placeholder="e.g., Buzzz, Roc, Mako3" class="profile-input">`
-                                        : `<div class="profile-value">${user.favoriteMidrange || 'Not set'}</div>`
-                                    }
-                                </div>
-                                
-                                <div class="profile-field">
-                                    <label>Favorite Driver</label>
-                                    ${isOwnProfile 
-                                        ? `<input type="text" id="profileDriver" value="${user.favoriteDriver || ''}" placeholder="e.g., Destroyer, Teebird, Wraith" class="profile-input">`
-                                        : `<div class="profile-value">${user.favoriteDriver || 'Not set'}</div>`
-                                    }
-                                </div>
+                                ${isOwnProfile ? `
+                                    <div class="profile-field">
+                                        <label for="profileTimeZone">Time Zone</label>
+                                        <select id="profileTimeZone" class="profile-input">
+                                            ${getTimeZoneOptions().map(zone => `
+                                                <option value="${zone}" ${zone === userManager.getTimeZone() ? 'selected' : ''}>${zone.replace(/_/g, ' ')}</option>
+                                            `).join('')}
+                                        </select>
+                                        <p class="profile-hint">Decides which day your practice counts for, your streaks and the weekly challenge. Past sessions keep the time zone they were logged in.</p>
+                                    </div>
+                                    
+                                    <div class="profile-field">
+                                        <label for="profileUnits">Distance Units</label>
+                                        <select id="profileUnits" class="profile-input">
+                                            ${DISTANCE_UNITS.map(unit => `
+                                                <option value="${unit.id}" ${unit.id === userManager.getUnits() ? 'selected' : ''}>${unit.label} (${unit.short})</option>
+                                            `).join('')}
+                                        </select>
+                                        <p class="profile-hint">Used for every distance you see and enter. Sessions are stored the same way either way, so you can switch at any time.</p>
+                                    </div>
+                                ` : ''}
                                 
                                 ${isOwnProfile ? `
                                     <div class="profile-field">
@@ -4169,6 +6322,9 @@ class App {
                                 ` : ''}
                             </div>
                             
+                            <!-- Disc Bag Section -->
+                            ${this.renderDiscBag(user, isOwnProfile)}
+                            
                             <!-- Personal Goals Section -->
                             ${isOwnProfile ? `
                             <div class="profile-disc-section">
@@ -4234,11 +6390,24 @@ class App {
                                         <div class="profile-stat-label">Games</div>
                                     </div>
                                 </div>
+                                <div class="profile-stats-grid profile-circle-stats">
+                                    ${PUTTING_CIRCLES.map(circle => `
+                                        <div class="profile-stat" title="${circle.name}: ${this.formatCircleRange(circle)}">
+                                            <div class="profile-stat-value">${this.formatCircleAccuracy(user.circleStats, circle)}</div>
+                                            <div class="profile-stat-label">${circle.label} · ${user.circleStats?.[circle.id]?.makes || 0}/${user.circleStats?.[circle.id]?.attempts || 0}</div>
+                                        </div>
+                                    `).join('')}
+                                </div>
+                                ${this.renderRatingHistory(user)}
                                 <div class="profile-member-since">
                                     Member since: ${new Date(user.createdAt || Date.now()).toLocaleDateString()}
                                 </div>
                             </div>
                             
+                            ${isOwnProfile ? this.renderDataTools() : ''}
+                            
+                            ${isOwnProfile && user.isAdmin ? this.renderAdminTools() : ''}
+                            
                             ${isOwnProfile ? `
                                 <div class="profile-actions">
                                     <button type="button" class="btn btn-primary" id="saveProfileBtn">💾 Save Changes</button>
@@ -4252,11 +6421,327 @@ class App {
         `;
     }
     
+    /**
+     * Render data export tools (shown in your own profile)
+     * @returns {string} HTML string
+     */
+    renderDataTools() {
+        const exporting = this.state.exportingData;
+        
+        return `
+            <div class="profile-disc-section data-tools">
+                <h4>📦 Your Data</h4>
+                <p class="profile-hint">Download your profile and full practice history as a backup or for spreadsheets</p>
+                <div class="data-tools-actions">
+                    <button type="button" class="btn btn-secondary" id="exportJsonBtn" ${exporting ? 'disabled' : ''}>
+                        ${exporting ? '⏳ Exporting...' : '💾 Export JSON'}
+                    </button>
+                    <button type="button" class="btn btn-secondary" id="exportCsvBtn" ${exporting ? 'disabled' : ''}>
+                        📊 Export CSV
+                    </button>
+                    <button type="button" class="btn btn-secondary" id="importSessionsBtn">
+                        📥 Import Sessions
+                    </button>
+                    <input type="file" id="importSessionsFile" accept=".csv,.json,text/csv,application/json" hidden>
+                </div>
+                <p class="profile-hint">Import a CSV with date, distance (in feet), makes and attempts columns (routine and notes are optional), or a JSON export from this app</p>
+                <div class="danger-zone">
+                    <button type="button" class="btn btn-danger btn-small" id="deleteAccountBtn">🗑️ Delete My Account</button>
+                </div>
+            </div>
+        `;
+    }
+    
+    /**
+     * Render the delete account confirmation modal
+     * @returns {string} HTML string
+     */
+    renderDeleteAccountModal() {
+        const { summary, deleting } = this.state.accountDeletion;
+        const plural = (count, word, pluralWord = `${word}s`) => `${count} ${count === 1 ? word : pluralWord}`;
+        
+        return `
+            <div class="modal-overlay" id="deleteAccountModal">
+                <div class="modal delete-account-modal">
+                    <div class="modal-header">
+                        <h3>🗑️ Delete My Account</h3>
+                        <button type="button" class="close-modal-btn" id="closeDeleteAccountBtn" ${deleting ? 'disabled' : ''}>✕</button>
+                    </div>
+                    <div class="modal-body">
+                        ${!summary ? '<p>Checking what will be removed...</p>' : `
+                            <p>This permanently removes your account. It can't be undone - export your data first if you want a copy.</p>
+                            <ul class="deletion-summary">
+                                <li>Your profile, points and achievements</li>
+                                <li>${plural(summary.sessions, 'practice session')}</li>
+                                <li>${plural(summary.routineCompletions, 'routine')}</li>
+                                <li>${plural(summary.gameCompletions, 'game')}</li>
+                                <li>${plural(summary.friends, 'friend')} from your friends list</li>
+                                ${summary.challenges > 0 ? `<li>Your completion of ${plural(summary.challenges, 'challenge')}</li>` : ''}
+                                ${summary.communityRoutines > 0 ? `<li>${plural(summary.communityRoutines, 'community routine')} you created</li>` : ''}
+                                ${summary.loggedForOthers > 0 ? `<li>Your name on ${plural(summary.loggedForOthers, 'activity', 'activities')} you logged for other players (they keep the results)</li>` : ''}
+                                ${summary.pendingForOthers > 0 ? `<li>${plural(summary.pendingForOthers, 'pending activity', 'pending activities')} you logged that haven't been accepted yet</li>` : ''}
+                            </ul>
+                            <div class="form-group">
+                                <label for="deleteAccountConfirmInput">Type DELETE to confirm</label>
+                                <input type="text" id="deleteAccountConfirmInput" autocomplete="off" ${deleting ? 'disabled' : ''}>
+                            </div>
+                            <p class="profile-hint">You'll be asked to sign in again before anything is deleted.</p>
+                        `}
+                        <div class="form-actions">
+                            <button type="button" class="btn btn-secondary" id="cancelDeleteAccountBtn" ${deleting ? 'disabled' : ''}>Cancel</button>
+                            <button type="button" class="btn btn-danger" id="confirmDeleteAccountBtn" ${!summary || deleting ? 'disabled' : ''}>
+                                ${deleting ? '⏳ Deleting...' : 'Delete Everything'}
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+    
+    /**
+     * Render the import preview modal
+     * @returns {string} HTML string
+     */
+    renderImportPreviewModal() {
+        const { fileName, rows, readyCount } = this.state.importPreview;
+        const progress = this.state.importProgress;
+        const duplicateCount = rows.filter(row => row.duplicate).length;
+        const errorCount = rows.filter(row => row.errors.length > 0).length;
+        
+        return `
+            <div class="modal-overlay" id="importPreviewModal">
+                <div class="modal import-preview-modal">
+                    <div class="modal-header">
+                        <h3>📥 Import Sessions</h3>
+                        <button type="button" class="close-modal-btn" id="closeImportPreviewBtn" ${progress ? 'disabled' : ''}>✕</button>
+                    </div>
+                    <div class="modal-body">
+                        <p class="import-summary">
+                            <strong>${escapeHtml(fileName)}</strong>:
+                            ${readyCount} ready to import,
+                            ${duplicateCount} duplicate${duplicateCount !== 1 ? 's' : ''},
+                            ${errorCount} with errors
+                        </p>
+                        <div class="import-preview-table-wrapper">
+                            <table class="import-preview-table">
+                                <thead>
+                                    <tr>
+                                        <th>Row</th>
+                                        <th>Date</th>
+                                        <th>Distance</th>
+                                        <th>Makes</th>
+                                        <th>Attempts</th>
+                                        <th>Routine</th>
+                                        <th>Status</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    ${rows.map(row => `
+                                        <tr class="${row.errors.length > 0 ? 'import-row-error' : row.duplicate ? 'import-row-duplicate' : ''}">
+                                            <td>${row.line}</td>
+                                            <td>${escapeHtml(row.date)}</td>
+                                            <td>${isNaN(row.distance) ? '—' : formatDistance(row.distance, userManager.getUnits())}</td>
+                                            <td>${isNaN(row.makes) ? '—' : row.makes}</td>
+                                            <td>${isNaN(row.attempts) ? '—' : row.attempts}</td>
+                                            <td>${escapeHtml(row.routineName || '')}</td>
+                                            <td>
+                                                ${row.errors.length > 0
+                                                    ? `✕ ${row.errors.map(escapeHtml).join('<br>')}`
+                                                    : row.duplicate ? '⚠️ Duplicate (skipped)' : '✓ Ready'}
+                                            </td>
+                                        </tr>
+                                    `).join('')}
+                                </tbody>
+                            </table>
+                        </div>
+                        <div class="form-actions">
+                            <button type="button" class="btn btn-secondary" id="cancelImportBtn" ${progress ? 'disabled' : ''}>Cancel</button>
+                            <button type="button" class="btn btn-primary" id="confirmImportBtn" ${readyCount === 0 || progress ? 'disabled' : ''}>
+                                ${progress
+                                    ? `⏳ Importing ${progress.saved} / ${progress.total}...`
+                                    : `Import ${readyCount} Session${readyCount !== 1 ? 's' : ''}`}
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+    
+    /**
+     * Render a player's skill rating with a chart of how it has moved
+     * @param {Object} user - Profile being shown
+     * @returns {string} HTML string
+     */
+    renderRatingHistory(user) {
+        if (typeof user.rating !== 'number') {
+            return `
+                <div class="profile-rating">
+                    <h4>♟️ Skill Rating</h4>
+                    <p class="profile-hint">Unrated: a head-to-head game or a week with 20+ putts starts a rating</p>
+                </div>
+            `;
+        }
+        
+        const history = user.ratingHistory || [];
+        const width = 320;
+        const height = 140;
+        const pad = { top: 10, right: 10, bottom: 22, left: 40 };
+        // The band shows rating ± RD; the axis runs between round hundreds around it
+        const low = Math.floor(Math.min(...history.map(point => point.rating - point.rd), user.rating) / 100) * 100;
+        const high = Math.ceil(Math.max(...history.map(point => point.rating + point.rd), user.rating) / 100) * 100;
+        const x = (i) => (pad.left + (history.length > 1 ? i / (history.length - 1) : 0.5) * (width - pad.left - pad.right)).toFixed(1);
+        const y = (rating) => (pad.top + (high - rating) / Math.max(high - low, 1) * (height - pad.top - pad.bottom)).toFixed(1);
+        const band = [
+            ...history.map((point, i) => `${x(i)},${y(point.rating + point.rd)}`),
+            ...history.map((point, i) => `${x(i)},${y(point.rating - point.rd)}`).reverse()
+        ].join(' ');
+        
+        return `
+            <div class="profile-rating">
+                <h4>♟️ Skill Rating</h4>
+                <div class="profile-rating-value">
+                    ${formatRating(user.rating, user.ratingDeviation)}
+                    ${user.ratingDeviation > RATING_MAX_RD ? '<span class="rating-provisional">Provisional</span>' : ''}
+                </div>
+                ${history.length > 0 ? `
+                    <svg class="rating-chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="Skill rating by week">
+                        ${[low, (low + high) / 2, high].map(rating => `
+                            <line class="make-curve-grid" x1="${pad.left}" x2="${width - pad.right}" y1="${y(rating)}" y2="${y(rating)}"></line>
+                            <text class="make-curve-axis" x="${pad.left - 4}" y="${y(rating)}" dy="3" text-anchor="end">${rating}</text>
+                        `).join('')}
+                        <text class="make-curve-axis" x="${x(0)}" y="${height - 6}" text-anchor="${history.length > 1 ? 'start' : 'middle'}">${formatDate(history[0].period, { month: 'short', day: 'numeric' })}</text>
+                        ${history.length > 1 ? `
+                            <text class="make-curve-axis" x="${x(history.length - 1)}" y="${height - 6}" text-anchor="end">${formatDate(history[history.length - 1].period, { month: 'short', day: 'numeric' })}</text>
+                        ` : ''}
+                        <polygon class="rating-band" points="${band}"></polygon>
+                        <path class="make-curve-line" d="${history.map((point, i) => `${i === 0 ? 'M' : 'L'}${x(i)},${y(point.rating)}`).join(' ')}"></path>
+                        ${history.map((point, i) => `
+                            <circle class="rating-point" cx="${x(i)}" cy="${y(point.rating)}" r="2.5">
+                                <title>Week of ${formatDate(point.period, { month: 'short', day: 'numeric' })}: ${formatRating(point.rating, point.rd)}</title>
+                            </circle>
+                        `).join('')}
+                    </svg>
+                    <p class="profile-hint">Weeks with results; the shaded band is the ± uncertainty, which shrinks with more games and practice</p>
+                ` : ''}
+            </div>
+        `;
+    }
+    
+    /**
+     * Render admin tools (shown in an admin's own profile)
+     * @returns {string} HTML string
+     */
+    renderAdminTools() {
+        const reports = this.state.reconciliationReports;
+        const formatValue = (value) => {
+            if (value === null || value === undefined) return '—';
+            if (typeof value === 'object') return `${value.points} pts (${value.date})`;
+            return value;
+        };
+        
+        return `
+            <div class="profile-disc-section admin-tools">
+                <h4>🛠️ Admin Tools</h4>
+                <p class="profile-hint">Recompute every player's totals from their session, routine and game history</p>
+                <button type="button" class="btn btn-secondary" id="reconcileAllBtn" ${this.state.reconciling ? 'disabled' : ''}>
+                    ${this.state.reconciling ? '🔄 Reconciling...' : '🔧 Reconcile All Users'}
+                </button>
+                ${reports ? `
+                    <div class="reconciliation-results">
+                        ${reports.length === 0 ? '<p>✅ All totals already match history.</p>' : reports.map(report => `
+                            <div class="reconciliation-report">
+                                <strong>${report.displayName}</strong>
+                                ${report.error ? `<div class="sync-error">⚠️ ${report.error}</div>` : `
+                                    <ul>
+                                        ${report.differences.map(diff => `
+                                            <li>${diff.field}: ${formatValue(diff.current)} → ${formatValue(diff.expected)}</li>
+                                        `).join('')}
+                                    </ul>
+                                `}
+                            </div>
+                        `).join('')}
+                    </div>
+                ` : ''}
+                ${this.renderRescoreTools()}
+                <h4>📊 Community Stats</h4>
+                <p class="profile-hint">Refit the strokes gained baseline to every player's putts, update the strokes gained and circle leaderboards, re-rate and reconcile the totals of players with new results and award the weekly volume or streak challenge${communityStatsManager.getUpdatedAt() ? ` (last updated ${formatDate(toLocalDate(communityStatsManager.getUpdatedAt(), userManager.getTimeZone()), { month: 'short', day: 'numeric', year: 'numeric' })})` : ''}</p>
+                <button type="button" class="btn btn-secondary" id="recomputeCommunityStatsBtn" ${this.state.recomputingCommunityStats ? 'disabled' : ''}>
+                    ${this.state.recomputingCommunityStats ? '🔄 Recomputing...' : '📊 Recompute Community Stats'}
+                </button>
+            </div>
+        `;
+    }
+    
+    /**
+     * Render the points formula admin tools: the current formula and a
+     * preview of re-scoring all history with it
+     * @returns {string} HTML string
+     */
+    renderRescoreTools() {
+        const formula = POINTS_FORMULAS.find(f => f.version === CURRENT_POINTS_VERSION);
+        const preview = this.state.rescorePreview;
+        const changed = preview ? preview.filter(plan => plan.changes.length > 0 || plan.error) : [];
+        const activities = changed.reduce((sum, plan) => sum + plan.changes.length, 0);
+        const skipped = preview ? preview.reduce((sum, plan) => sum + plan.skipped, 0) : 0;
+        const rankClass = (plan) => {
+            if (plan.oldRank === null || plan.newRank === plan.oldRank) return '';
+            return plan.newRank < plan.oldRank ? 'rank-up' : 'rank-down';
+        };
+        const formatMove = (plan) => {
+            if (plan.oldRank === null) return 'hidden';
+            const move = plan.oldRank - plan.newRank;
+            if (move === 0) return `#${plan.newRank}`;
+            return `#${plan.oldRank} → #${plan.newRank} ${move > 0 ? `↑${move}` : `↓${-move}`}`;
+        };
+        
+        return `
+            <h4>🧮 Points Formula</h4>
+            <p class="profile-hint">Current formula: v${CURRENT_POINTS_VERSION} — ${formula.description}</p>
+            <p class="profile-hint">Re-score every session, routine and game with it and recompute totals. Preview the rank changes first.</p>
+            <div class="rescore-actions">
+                <button type="button" class="btn btn-secondary" id="previewRescoreBtn" ${this.state.rescoring ? 'disabled' : ''}>
+                    ${this.state.rescoring ? '🔄 Working...' : '👀 Preview Rescore'}
+                </button>
+                ${activities > 0 ? `
+                    <button type="button" class="btn btn-primary" id="applyRescoreBtn" ${this.state.rescoring ? 'disabled' : ''}>
+                        🧮 Re-score ${activities} Activit${activities !== 1 ? 'ies' : 'y'}
+                    </button>
+                ` : ''}
+            </div>
+            ${preview ? `
+                <div class="reconciliation-results">
+                    ${changed.length === 0 ? `<p>✅ All history is already scored with v${CURRENT_POINTS_VERSION}.</p>` : `
+                        <table class="rescore-table">
+                            <thead>
+                                <tr><th>Player</th><th>Points</th><th>Rank</th><th>Activities</th></tr>
+                            </thead>
+                            <tbody>
+                                ${changed.map(plan => `
+                                    <tr>
+                                        <td>${plan.displayName}</td>
+                                        ${plan.error ? `<td colspan="3" class="sync-error">⚠️ ${plan.error}</td>` : `
+                                            <td>${plan.currentTotal} → ${plan.newTotal}</td>
+                                            <td class="${rankClass(plan)}">${formatMove(plan)}</td>
+                                            <td>${plan.changes.length}</td>
+                                        `}
+                                    </tr>
+                                `).join('')}
+                            </tbody>
+                        </table>
+                    `}
+                    ${skipped > 0 ? `<p class="profile-hint">${skipped} activit${skipped !== 1 ? 'ies' : 'y'} can't be re-scored (missing what their score was calculated from) and keep their points.</p>` : ''}
+                </div>
+            ` : ''}
+        `;
+    }
+    
     /**
      * Render edit routine modal
      */
     renderEditRoutineModal() {
-        const routine = this.state.recentRoutines.find(r => r.id === this.state.editingRoutine);
+        const routine = this.findLoadedActivity('routine', this.state.editingRoutine);
         if (!routine) return '';
         
         return `
@@ -4272,6 +6757,11 @@ class App {
                                 <label for="editRoutineDuration">Duration (minutes)</label>
                                 <input type="number" id="editRoutineDuration" min="1" max="180" value="${routine.duration}" required>
                             </div>
+                            ${this.renderTagsField('editRoutine', routine.tags)}
+                            <div class="form-group">
+                                <label for="editRoutineNotes">Notes (optional)</label>
+                                <textarea id="editRoutineNotes" rows="3" maxlength="${CONSTANTS.VALIDATION.MAX_NOTES_LENGTH}">${escapeHtml(routine.notes || '')}</textarea>
+                            </div>
                             <div class="form-actions">
                                 <button type="submit" class="btn btn-primary">Update Routine</button>
                                 <button type="button" class="btn btn-secondary" onclick="app.closeEditRoutineModal()">Cancel</button>
@@ -4287,8 +6777,10 @@ class App {
      * Render edit game modal
      */
     renderEditGameModal() {
-        const game = this.state.recentGames.find(g => g.id === this.state.editingGame);
+        const game = this.findLoadedActivity('game', this.state.editingGame);
         if (!game) return '';
+        const units = userManager.getUnits();
+        const isDistanceGame = this.isDistanceGame(game);
         
         return `
             <div class="modal-overlay" id="editGameModal">
@@ -4300,9 +6792,15 @@ class App {
                     <div class="modal-body">
                         <form id="editGameForm">
                             <div class="form-group">
-                                <label for="editGameScore">Score</label>
-                                <input type="number" id="editGameScore" min="0" max="1000" value="${game.score}" required>
+                                ${isDistanceGame ? `
+                                    <label for="editGameScore">Maximum Distance Reached (${getDistanceUnit(units).long})</label>
+                                    <input type="number" id="editGameScore" ${this.renderDistanceInputLimits(units, 10, 100, 5)} value="${toDistanceInputValue(game.score, units)}" required>
+                                ` : `
+                                    <label for="editGameScore">Score</label>
+                                    <input type="number" id="editGameScore" min="0" max="1000" value="${game.score}" required>
+                                `}
                             </div>
+                            ${this.renderTagsField('editGame', game.tags)}
                             <div class="form-actions">
                                 <button type="submit" class="btn btn-primary">Update Game</button>
                                 <button type="button" class="btn btn-secondary" onclick="app.closeEditGameModal()">Cancel</button>
@@ -4339,18 +6837,24 @@ class App {
         e.preventDefault();
         
         try {
-            const routine = this.state.recentRoutines.find(r => r.id === this.state.editingRoutine);
+            const routine = this.findLoadedActivity('routine', this.state.editingRoutine);
             if (!routine) return;
             
             const newDuration = parseInt(document.getElementById('editRoutineDuration').value);
+            const tags = userManager.normalizeTags(this.readTags('editRoutine'));
+            const notes = userManager.normalizeNotes(document.getElementById('editRoutineNotes')?.value);
             const oldPoints = routine.points || 0;
             
             // Update routine
             routine.duration = newDuration;
+            routine.tags = tags;
+            routine.notes = notes;
             
             const user = userManager.getCurrentUser();
             await storageManager.updateRoutineCompletion(user.id, this.state.editingRoutine, {
-                duration: newDuration
+                duration: newDuration,
+                tags,
+                notes
             });
             
             // Reload data
@@ -4373,32 +6877,39 @@ class App {
         e.preventDefault();
         
         try {
-            const game = this.state.recentGames.find(g => g.id === this.state.editingGame);
+            const game = this.findLoadedActivity('game', this.state.editingGame);
             if (!game) return;
             
-            const newScore = parseInt(document.getElementById('editGameScore').value);
+            // Distance games are scored in feet whatever units the player enters
+            const scoreInput = document.getElementById('editGameScore').value;
+            const newScore = this.isDistanceGame(game)
+                ? fromDisplayDistance(scoreInput, userManager.getUnits())
+                : parseInt(scoreInput);
+            const tags = userManager.normalizeTags(this.readTags('editGame'));
             const oldPoints = game.points || 0;
             
-            // Recalculate points with new score
-            const { calculateGamePoints } = await import('./utils/calculations.js');
-            const gameDefinition = PUTTING_GAMES.find(g => g.name === game.gameName);
-            const newPoints = calculateGamePoints(gameDefinition, { score: newScore });
+            // Time, strokes, distance and streak games keep their score in its
+            // own field too; keep them in step so a rescore uses the new score
+            const updatedData = { score: newScore, tags };
+            ['time', 'strokes', 'maxDistance', 'streak']
+                .filter(field => game[field] !== undefined && game[field] === game.score)
+                .forEach(field => { updatedData[field] = newScore; });
+            
+            // Recalculate points with new score under the current formula
+            const newPoints = calculateActivityPoints('game', { ...game, ...updatedData }) ?? oldPoints;
+            updatedData.points = newPoints;
+            updatedData.pointsVersion = CURRENT_POINTS_VERSION;
             
             const pointsDiff = newPoints - oldPoints;
             
             // Update game
-            game.score = newScore;
-            game.points = newPoints;
+            Object.assign(game, updatedData);
             
+            // Update game and the user's points together
             const user = userManager.getCurrentUser();
-            await storageManager.updateGameCompletion(user.id, this.state.editingGame, {
-                score: newScore,
-                points: newPoints
-            });
-            
-            // Update user points
-            user.totalPoints = (user.totalPoints || 0) + pointsDiff;
-            await storageManager.saveUser(user);
+            await storageManager.updateGameCompletion(user.id, this.state.editingGame, updatedData,
+                game.pending ? null : { totalPoints: increment(pointsDiff) });
+            await userManager.reloadUser();
             
             // Reload data
             await this.loadRecentPractice();
@@ -4427,46 +6938,97 @@ class App {
             
             this.state.selectedUserProfile = user;
             this.state.showProfileModal = true;
-            this.render();
-            
-            // Attach event listeners after render
-            setTimeout(() => {
-                const closeBtn = document.getElementById('closeProfileModal');
-                if (closeBtn) {
-                    closeBtn.addEventListener('click', () => this.closeProfileModal());
-                }
-                
-                const cancelBtn = document.getElementById('cancelProfileBtn');
-                if (cancelBtn) {
-                    cancelBtn.addEventListener('click', () => this.closeProfileModal());
-                }
-                
-                const saveBtn = document.getElementById('saveProfileBtn');
-                if (saveBtn) {
-                    saveBtn.addEventListener('click', () => this.handleProfileSave());
-                }
-                
-                const changePhotoBtn = document.getElementById('changeProfilePicBtn');
-                if (changePhotoBtn) {
-                    changePhotoBtn.addEventListener('click', () => this.handleProfilePictureChange());
-                }
-                
-                // Close on overlay click
-                const overlay = document.getElementById('profileModal');
-                if (overlay) {
-                    overlay.addEventListener('click', (e) => {
-                        if (e.target === overlay) {
-                            this.closeProfileModal();
-                        }
-                    });
-                }
-            }, 100);
+            this.render(); // attaches the modal's listeners
         } catch (error) {
             console.error('Error opening profile:', error);
             alert('Failed to load profile');
         }
     }
     
+    /**
+     * Attach profile modal event listeners
+     */
+    attachProfileModalListeners() {
+        const closeBtn = document.getElementById('closeProfileModal');
+        if (closeBtn) {
+            closeBtn.addEventListener('click', () => this.closeProfileModal());
+        }
+        
+        const cancelBtn = document.getElementById('cancelProfileBtn');
+        if (cancelBtn) {
+            cancelBtn.addEventListener('click', () => this.closeProfileModal());
+        }
+        
+        const saveBtn = document.getElementById('saveProfileBtn');
+        if (saveBtn) {
+            saveBtn.addEventListener('click', () => this.handleProfileSave());
+        }
+        
+        this.attachDiscBagListeners();
+        
+        const changePhotoBtn = document.getElementById('changeProfilePicBtn');
+        if (changePhotoBtn) {
+            changePhotoBtn.addEventListener('click', () => this.handleProfilePictureChange());
+        }
+        
+        const exportJsonBtn = document.getElementById('exportJsonBtn');
+        if (exportJsonBtn) {
+            exportJsonBtn.addEventListener('click', () => this.handleDataExport('json'));
+        }
+        
+        const exportCsvBtn = document.getElementById('exportCsvBtn');
+        if (exportCsvBtn) {
+            exportCsvBtn.addEventListener('click', () => this.handleDataExport('csv'));
+        }
+        
+        const importSessionsBtn = document.getElementById('importSessionsBtn');
+        const importSessionsFile = document.getElementById('importSessionsFile');
+        if (importSessionsBtn && importSessionsFile) {
+            importSessionsBtn.addEventListener('click', () => importSessionsFile.click());
+            importSessionsFile.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                if (file) {
+                    this.handleImportFile(file);
+                }
+            });
+        }
+        
+        const deleteAccountBtn = document.getElementById('deleteAccountBtn');
+        if (deleteAccountBtn) {
+            deleteAccountBtn.addEventListener('click', () => this.openDeleteAccountModal());
+        }
+        
+        const reconcileAllBtn = document.getElementById('reconcileAllBtn');
+        if (reconcileAllBtn) {
+            reconcileAllBtn.addEventListener('click', () => this.handleReconcileAll());
+        }
+        
+        const previewRescoreBtn = document.getElementById('previewRescoreBtn');
+        if (previewRescoreBtn) {
+            previewRescoreBtn.addEventListener('click', () => this.handlePreviewRescore());
+        }
+        
+        const applyRescoreBtn = document.getElementById('applyRescoreBtn');
+        if (applyRescoreBtn) {
+            applyRescoreBtn.addEventListener('click', () => this.handleApplyRescore());
+        }
+        
+        const recomputeCommunityStatsBtn = document.getElementById('recomputeCommunityStatsBtn');
+        if (recomputeCommunityStatsBtn) {
+            recomputeCommunityStatsBtn.addEventListener('click', () => this.handleRecomputeCommunityStats());
+        }
+        
+        // Close on overlay click
+        const overlay = document.getElementById('profileModal');
+        if (overlay) {
+            overlay.addEventListener('click', (e) => {
+                if (e.target === overlay) {
+                    this.closeProfileModal();
+                }
+            });
+        }
+    }
+    
     /**
      * Close profile modal
      */
@@ -4476,6 +7038,450 @@ class App {
         this.render();
     }
     
+    /**
+     * Export the current user's data
+     * @param {string} format - 'json' or 'csv'
+     */
+    async handleDataExport(format) {
+        const user = userManager.getCurrentUser();
+        if (!user) return;
+        
+        try {
+            this.state.exportingData = true;
+            this.render();
+            
+            const archive = format === 'csv'
+                ? await dataExportManager.exportCsv(user.id)
+                : await dataExportManager.exportJson(user.id);
+            
+            const count = archive.sessions.length + archive.routineCompletions.length + archive.gameCompletions.length;
+            this.showCustomAlert(`Exported ${count} activit${count !== 1 ? 'ies' : 'y'}`, 'success');
+        } catch (error) {
+            console.error('Error exporting data:', error);
+            this.showCustomAlert('Export failed: ' + error.message, 'error');
+        } finally {
+            this.state.exportingData = false;
+            this.render();
+        }
+    }
+    
+    /**
+     * Read an import file and show the preview
+     * @param {File} file - File chosen by the user
+     */
+    async handleImportFile(file) {
+        try {
+            const text = await file.text();
+            // Duplicates are checked against every session you've logged
+            const sessions = await userManager.ensureSessions();
+            this.state.importPreview = dataImportManager.buildPreview(file.name, text, sessions);
+            this.state.showProfileModal = false;
+            this.state.selectedUserProfile = null;
+            this.render();
+        } catch (error) {
+            console.error('Error reading import file:', error);
+            this.showCustomAlert('Could not read file: ' + error.message, 'error');
+        }
+    }
+    
+    /**
+     * Attach import preview modal listeners
+     */
+    attachImportPreviewListeners() {
+        const closeImport = () => {
+            if (this.state.importProgress) return;
+            this.state.importPreview = null;
+            this.render();
+        };
+        
+        const closeBtn = document.getElementById('closeImportPreviewBtn');
+        if (closeBtn) {
+            closeBtn.addEventListener('click', closeImport);
+        }
+        
+        const cancelBtn = document.getElementById('cancelImportBtn');
+        if (cancelBtn) {
+            cancelBtn.addEventListener('click', closeImport);
+        }
+        
+        const confirmBtn = document.getElementById('confirmImportBtn');
+        if (confirmBtn) {
+            confirmBtn.addEventListener('click', () => this.handleConfirmImport());
+        }
+    }
+    
+    /**
+     * Save the valid, non-duplicate rows of the import preview as sessions
+     */
+    async handleConfirmImport() {
+        const rows = dataImportManager.getImportableRows(this.state.importPreview);
+        if (rows.length === 0) return;
+        
+        try {
+            this.state.importProgress = { saved: 0, total: rows.length };
+            this.render();
+            
+            const added = await userManager.addSessions(rows, (saved, total) => {
+                this.state.importProgress = { saved, total };
+                // Re-render every so often rather than on every row
+                if (saved % 10 === 0 || saved === total) this.render();
+            });
+            
+            // Imported sessions count toward achievements like any other
+            await achievementManager.checkAchievements(added);
+            await this.loadLeaderboard();
+            this.historyFeed = null;
+            
+            this.state.importPreview = null;
+            this.showCustomAlert(`Imported ${added.length} session${added.length !== 1 ? 's' : ''}`, 'success');
+        } catch (error) {
+            console.error('Error importing sessions:', error);
+            this.state.importPreview = null;
+            this.showCustomAlert(`Import stopped after ${this.state.importProgress?.saved || 0} sessions: ${error.message}`, 'error');
+        } finally {
+            this.state.importProgress = null;
+            this.render();
+        }
+    }
+    
+    /**
+     * Open the delete account dialog and load what will be removed
+     */
+    async openDeleteAccountModal() {
+        const user = userManager.getCurrentUser();
+        if (!user) return;
+        
+        try {
+            accountDeletionManager.assertCanDelete();
+        } catch (error) {
+            this.showCustomAlert(error.message, 'error');
+            return;
+        }
+        
+        this.state.showProfileModal = false;
+        this.state.selectedUserProfile = null;
+        this.state.accountDeletion = { summary: null, deleting: false };
+        this.render();
+        
+        try {
+            const summary = await accountDeletionManager.getDeletionSummary(user.id);
+            if (!this.state.accountDeletion) return; // Closed while loading
+            this.state.accountDeletion = { summary, deleting: false };
+            this.render();
+        } catch (error) {
+            console.error('Error loading account data:', error);
+            this.state.accountDeletion = null;
+            this.showCustomAlert('Could not load your account data: ' + error.message, 'error');
+        }
+    }
+    
+    /**
+     * Attach delete account modal listeners
+     */
+    attachDeleteAccountListeners() {
+        const closeModal = () => {
+            if (this.state.accountDeletion?.deleting) return;
+            this.state.accountDeletion = null;
+            this.render();
+        };
+        
+        const closeBtn = document.getElementById('closeDeleteAccountBtn');
+        if (closeBtn) {
+            closeBtn.addEventListener('click', closeModal);
+        }
+        
+        const cancelBtn = document.getElementById('cancelDeleteAccountBtn');
+        if (cancelBtn) {
+            cancelBtn.addEventListener('click', closeModal);
+        }
+        
+        const confirmBtn = document.getElementById('confirmDeleteAccountBtn');
+        if (confirmBtn) {
+            confirmBtn.addEventListener('click', () => this.handleDeleteAccount());
+        }
+    }
+    
+    /**
+     * Delete the current user's data and authentication account
+     */
+    async handleDeleteAccount() {
+        const user = userManager.getCurrentUser();
+        const confirmation = document.getElementById('deleteAccountConfirmInput')?.value.trim();
+        if (!user) return;
+        
+        if (confirmation !== 'DELETE') {
+            this.showCustomAlert('Type DELETE to confirm', 'error');
+            return;
+        }
+        
+        try {
+            accountDeletionManager.assertCanDelete();
+            this.state.accountDeletion = { ...this.state.accountDeletion, deleting: true };
+            this.render();
+            
+            // Confirm identity before touching any data, so a cancelled
+            // sign-in leaves the account exactly as it was
+            await authManager.reauthenticate();
+            // Resolves once the server has confirmed every delete; only
+            // then is the sign-in itself removed
+            await accountDeletionManager.deleteUserData(user.id);
+            await authManager.deleteCurrentUser();
+            
+            this.state.accountDeletion = null;
+            alert('Your account and all of your data have been deleted.');
+            // onAuthStateChange takes it from here (back to the sign-in screen)
+        } catch (error) {
+            console.error('Error deleting account:', error);
+            this.state.accountDeletion = { ...this.state.accountDeletion, deleting: false };
+            this.showCustomAlert('Account deletion failed: ' + error.message, 'error');
+        }
+    }
+    
+    /**
+     * Reconcile every user's totals with their history (admin action)
+     */
+    async handleReconcileAll() {
+        if (!confirm('Recompute and fix totals for every player from their history?')) {
+            return;
+        }
+        
+        try {
+            this.state.reconciling = true;
+            this.render();
+            
+            this.state.reconciliationReports = await reconciliationManager.reconcileAllUsers();
+            
+            // Our own totals or the leaderboard may have changed
+            await userManager.reloadUser();
+            await this.loadLeaderboard();
+            
+            const fixed = this.state.reconciliationReports.filter(r => r.applied).length;
+            this.showCustomAlert(`Reconciliation complete: fixed totals for ${fixed} player${fixed !== 1 ? 's' : ''}`, 'success');
+        } catch (error) {
+            console.error('Error reconciling users:', error);
+            this.showCustomAlert('Reconciliation failed: ' + error.message, 'error');
+        } finally {
+            this.state.reconciling = false;
+            this.render();
+        }
+    }
+    
+    /**
+     * Preview re-scoring all history with the current points formula (admin action)
+     */
+    async handlePreviewRescore() {
+        try {
+            this.state.rescoring = true;
+            this.render();
+            
+            this.state.rescorePreview = await rescoringManager.previewRescore();
+        } catch (error) {
+            console.error('Error previewing rescore:', error);
+            this.showCustomAlert('Rescore preview failed: ' + error.message, 'error');
+        } finally {
+            this.state.rescoring = false;
+            this.render();
+        }
+    }
+    
+    /**
+     * Re-score all history with the current points formula (admin action)
+     */
+    async handleApplyRescore() {
+        if (!confirm(`Re-score every player's history with points formula v${CURRENT_POINTS_VERSION}? Totals and leaderboard ranks will change as previewed.`)) {
+            return;
+        }
+        
+        try {
+            this.state.rescoring = true;
+            this.render();
+            
+            const reports = await rescoringManager.applyRescore();
+            
+            // Our own points, history and the leaderboard have changed
+            await userManager.reloadUser();
+            await userManager.refreshSessions();
+            await this.loadRecentPractice();
+            await this.loadLeaderboard();
+            this.state.rescorePreview = null;
+            
+            const failed = reports.filter(r => r.error).length;
+            const updated = reports.reduce((sum, r) => sum + r.updated, 0);
+            this.showCustomAlert(
+                `Rescore complete: ${updated} activit${updated !== 1 ? 'ies' : 'y'} re-scored${failed > 0 ? `, ${failed} player${failed !== 1 ? 's' : ''} failed` : ''}`,
+                failed > 0 ? 'error' : 'success'
+            );
+        } catch (error) {
+            console.error('Error rescoring history:', error);
+            this.showCustomAlert('Rescore failed: ' + error.message, 'error');
+        } finally {
+            this.state.rescoring = false;
+            this.render();
+        }
+    }
+    
+    /**
+     * Recompute the community baseline and every player's leaderboard stats (admin action)
+     */
+    async handleRecomputeCommunityStats() {
+        if (!confirm('Recompute the strokes gained baseline, leaderboard stats and skill ratings from every player\'s history?')) {
+            return;
+        }
+        
+        try {
+            this.state.recomputingCommunityStats = true;
+            this.render();
+            
+            const { players, updated, rated, reconciled, awarded } = await communityStatsManager.recompute();
+            
+            // Our own rating, strokes gained, circle and rating ranks may have changed
+            await userManager.reloadUser();
+            await this.loadLeaderboard();
+            
+            this.showCustomAlert(`Community stats recomputed from ${players} player${players !== 1 ? 's' : ''}: ${updated} updated, ${rated} re-rated${reconciled > 0 ? `, ${reconciled} with totals reconciled` : ''}${awarded > 0 ? `, ${awarded} awarded the weekly challenge` : ''}`, 'success');
+        } catch (error) {
+            console.error('Error recomputing community stats:', error);
+            this.showCustomAlert('Community stats recompute failed: ' + error.message, 'error');
+        } finally {
+            this.state.recomputingCommunityStats = false;
+            this.render();
+        }
+    }
+    
+    /**
+     * Render a player's disc bag (editable on their own profile)
+     * @param {Object} user - Profile being shown
+     * @param {boolean} isOwnProfile - Whether the current user owns the profile
+     * @returns {string} HTML string
+     */
+    renderDiscBag(user, isOwnProfile) {
+        const discs = discBagManager.getDiscs(user, { includeRetired: isOwnProfile });
+        if (!isOwnProfile && discs.length === 0) return '';
+        
+        return `
+            <div class="profile-disc-section disc-bag">
+                <h4>🥏 Disc Bag</h4>
+                ${discs.length === 0 ? '<p class="profile-hint">Add the discs you throw so you can track which putters you make the most with</p>' : ''}
+                <ul class="disc-list">
+                    ${discs.map(disc => {
+                        const type = DISC_TYPES.find(t => t.id === disc.type);
+                        return `
+                        <li class="disc-item ${disc.retired ? 'retired' : ''}">
+                            <div class="disc-info">
+                                <span class="disc-name">${type?.icon || '🥏'} ${escapeHtml(discBagManager.getDiscLabel(disc))}</span>
+                                <span class="disc-type">${type?.label || disc.type}${disc.retired ? ' · Retired' : ''}</span>
+                                ${disc.wearNotes ? `<span class="disc-wear">${escapeHtml(disc.wearNotes)}</span>` : ''}
+                            </div>
+                            ${isOwnProfile ? `
+                                <div class="disc-actions">
+                                    <button type="button" class="btn btn-secondary btn-small retire-disc-btn" data-disc-id="${disc.id}" data-retired="${!disc.retired}">
+                                        ${disc.retired ? '↩️ Reactivate' : '📦 Retire'}
+                                    </button>
+                                    <button type="button" class="btn btn-danger btn-small remove-disc-btn" data-disc-id="${disc.id}">🗑️</button>
+                                </div>
+                            ` : ''}
+                        </li>
+                    `}).join('')}
+                </ul>
+                ${isOwnProfile ? `
+                    <div class="disc-add-form">
+                        <div class="form-row">
+                            <div class="form-group">
+                                <label for="discType">Type</label>
+                                <select id="discType" class="profile-input">
+                                    ${DISC_TYPES.map(type => `<option value="${type.id}">${type.icon} ${type.label}</option>`).join('')}
+                                </select>
+                            </div>
+                            <div class="form-group">
+                                <label for="discMold">Mold</label>
+                                <input type="text" id="discMold" maxlength="50" placeholder="e.g., Luna, Aviar, Berg" class="profile-input">
+                            </div>
+                        </div>
+                        <div class="form-row">
+                            <div class="form-group">
+                                <label for="discPlastic">Plastic</label>
+                                <input type="text" id="discPlastic" maxlength="50" placeholder="e.g., Neutron, DX" class="profile-input">
+                            </div>
+                            <div class="form-group">
+                                <label for="discWeight">Weight (g)</label>
+                                <input type="number" id="discWeight" min="${CONSTANTS.VALIDATION.MIN_DISC_WEIGHT}" max="${CONSTANTS.VALIDATION.MAX_DISC_WEIGHT}" class="profile-input">
+                            </div>
+                        </div>
+                        <div class="form-group">
+                            <label for="discWearNotes">Wear Notes</label>
+                            <input type="text" id="discWearNotes" maxlength="200" placeholder="e.g., beat in, flat top, new" class="profile-input">
+                        </div>
+                        <button type="button" class="btn btn-secondary btn-small" id="addDiscBtn">➕ Add Disc</button>
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    }
+    
+    /**
+     * Attach disc bag listeners (own profile only)
+     */
+    attachDiscBagListeners() {
+        // Disc changes save right away, then the profile is redrawn with the new bag
+        const refresh = () => {
+            this.state.selectedUserProfile = userManager.getCurrentUser();
+            this.render();
+        };
+        
+        const addDiscBtn = document.getElementById('addDiscBtn');
+        if (addDiscBtn) {
+            addDiscBtn.addEventListener('click', async () => {
+                try {
+                    await discBagManager.addDisc({
+                        type: document.getElementById('discType').value,
+                        mold: document.getElementById('discMold').value,
+                        plastic: document.getElementById('discPlastic').value,
+                        weight: document.getElementById('discWeight').value,
+                        wearNotes: document.getElementById('discWearNotes').value
+                    });
+                    
+                    const newAchievements = await achievementManager.checkAchievements();
+                    refresh();
+                    if (newAchievements && newAchievements.length > 0) {
+                        this.showAchievementSplash(newAchievements[0]);
+                    }
+                } catch (error) {
+                    console.error('Error adding disc:', error);
+                    this.showCustomAlert('Failed to add disc: ' + error.message, 'error');
+                }
+            });
+        }
+        
+        document.querySelectorAll('.retire-disc-btn').forEach(btn => {
+            btn.addEventListener('click', async (e) => {
+                const { discId, retired } = e.currentTarget.dataset;
+                try {
+                    await discBagManager.setRetired(discId, retired === 'true');
+                    refresh();
+                } catch (error) {
+                    console.error('Error updating disc:', error);
+                    this.showCustomAlert('Failed to update disc: ' + error.message, 'error');
+                }
+            });
+        });
+        
+        document.querySelectorAll('.remove-disc-btn').forEach(btn => {
+            btn.addEventListener('click', async (e) => {
+                const discId = e.currentTarget.dataset.discId;
+                if (!confirm('Remove this disc from your bag? Sessions that used it will no longer show it in your stats. Retire it instead to keep its stats.')) {
+                    return;
+                }
+                try {
+                    await discBagManager.removeDisc(discId);
+                    refresh();
+                } catch (error) {
+                    console.error('Error removing disc:', error);
+                    this.showCustomAlert('Failed to remove disc: ' + error.message, 'error');
+                }
+            });
+        });
+    }
+    
     /**
      * Handle profile save
      */
@@ -4484,30 +7490,42 @@ class App {
             const user = this.state.selectedUserProfile;
             
             // Update user data
-            user.displayName = document.getElementById('profileDisplayName').value;
-            user.gender = document.getElementById('profileGender').value;
-            user.birthday = document.getElementById('profileBirthday').value;
-            user.favoritePutter = document.getElementById('profilePutter').value;
-            user.favoriteMidrange = document.getElementById('profileMidrange').value;
-            user.favoriteDriver = document.getElementById('profileDriver').value;
-            user.hideFromLeaderboard = document.getElementById('profileHideFromLeaderboard').checked;
-            user.optOutSharedLogging = document.getElementById('profileOptOutSharedLogging')?.checked || false;
-            
-            // Update goals
-            user.goals = {
-                putts: parseInt(document.getElementById('goalPutts')?.value || 0),
-                sessions: parseInt(document.getElementById('goalSessions')?.value || 0),
-                routines: parseInt(document.getElementById('goalRoutines')?.value || 0),
-                games: parseInt(document.getElementById('goalGames')?.value || 0)
+            const updates = {
+                displayName: document.getElementById('profileDisplayName').value,
+                gender: document.getElementById('profileGender').value,
+                birthday: document.getElementById('profileBirthday').value,
+                defaultPuttingStyle: document.getElementById('profilePuttingStyle')?.value || null,
+                timeZone: document.getElementById('profileTimeZone')?.value || user.timeZone || null,
+                units: document.getElementById('profileUnits')?.value || user.units || null,
+                hideFromLeaderboard: document.getElementById('profileHideFromLeaderboard').checked,
+                optOutSharedLogging: document.getElementById('profileOptOutSharedLogging')?.checked || false,
+                
+                // Update goals
+                goals: {
+                    putts: parseInt(document.getElementById('goalPutts')?.value || 0),
+                    sessions: parseInt(document.getElementById('goalSessions')?.value || 0),
+                    routines: parseInt(document.getElementById('goalRoutines')?.value || 0),
+                    games: parseInt(document.getElementById('goalGames')?.value || 0)
+                }
             };
             
-            // Save to database
-            await storageManager.saveUser(user);
+            if (updates.timeZone && !isValidTimeZone(updates.timeZone)) {
+                throw new Error(`Unknown time zone: ${updates.timeZone}`);
+            }
+            if (updates.units && !isValidUnits(updates.units)) {
+                throw new Error(`Unknown units: ${updates.units}`);
+            }
+            Object.assign(user, updates);
+            
+            // Save only the profile fields so aggregate counters aren't overwritten
+            await storageManager.updateUser(user.id, updates);
             
             // Update current user if it's own profile
             const currentUser = userManager.getCurrentUser();
             if (currentUser && user.id === currentUser.id) {
                 Object.assign(currentUser, user);
+                // Cached stats label their distance bands in the units they were loaded in
+                this.state.otherPlayerStats = null;
             }
             
             // Reload leaderboard to reflect changes
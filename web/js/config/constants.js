@@ -3,13 +3,35 @@
  * All magic numbers and configuration values in one place
  */
 
+// Points formulas by version. Every session, routine and game records the
+// version that scored it (pointsVersion). Never change a formula that has
+// shipped: add the next version, point CURRENT_POINTS_VERSION at it and
+// re-score history from the admin tools.
+export const POINTS_FORMULAS = [
+    {
+        version: 1,
+        description: 'Makes × distance/10 × accuracy/100 × 10; routines add up their drills; games score 50 plus a performance bonus',
+        session: {
+            distanceDivisor: 10,
+            accuracyDivisor: 100,
+            baseMultiplier: 10
+        },
+        game: {
+            basePoints: 50,
+            pointsPerMinuteUnderTarget: 20,
+            pointsPerStrokeUnderPar: 10,
+            scoreShare: 0.1,
+            pointsPerFoot: 2,
+            pointsPerStreakPutt: 5,
+            winBonus: 100
+        }
+    }
+];
+
+// Formula new activities are scored with
+export const CURRENT_POINTS_VERSION = 1;
+
 export const CONSTANTS = {
-    // Points calculation
-    POINTS: {
-        DISTANCE_DIVISOR: 10,
-        ACCURACY_DIVISOR: 100,
-        BASE_MULTIPLIER: 10
-    },
 
     // Weekly challenge duration
     CHALLENGE: {
@@ -32,7 +54,9 @@ export const CONSTANTS = {
     // UI Configuration
     UI: {
         DEFAULT_DISTANCE: '10',
-        AVATAR_SIZE: 48
+        AVATAR_SIZE: 48,
+        // Newest activities on the Practice tab, loaded per type instead of the full history
+        RECENT_PRACTICE_ITEMS: 20
     },
 
     // Storage keys
@@ -43,7 +67,10 @@ export const CONSTANTS = {
         FRIENDS_PREFIX: 'friends:',
         FRIEND_REQUEST_PREFIX: 'friend_request:',
         ROUTINES_PREFIX: 'routines:',
-        COMMUNITY_ROUTINE_PREFIX: 'community_routine:'
+        COMMUNITY_ROUTINE_PREFIX: 'community_routine:',
+        STORAGE_MODE: 'putting_improver_storage_mode',
+        LOCAL_DATABASE: 'putting_improver_local_db',
+        LOCAL_AUTH_USER: 'putting_improver_local_user'
     },
 
     // Validation
@@ -51,7 +78,19 @@ export const CONSTANTS = {
         MIN_MAKES: 0,
         MIN_ATTEMPTS: 1,
         MIN_DISTANCE: 1,
-        MAX_DISTANCE: 100
+        MAX_DISTANCE: 100,
+        MAX_WIND_SPEED: 60,
+        MIN_TEMPERATURE: -20,
+        MAX_TEMPERATURE: 130,
+        MAX_BASKET_MODEL_LENGTH: 50,
+        MAX_DISCS: 100,
+        MAX_SESSION_DISCS: 10,
+        MIN_DISC_WEIGHT: 100,
+        MAX_DISC_WEIGHT: 200,
+        MAX_STATIONS: 10,
+        MAX_TAGS: 10,
+        MAX_TAG_LENGTH: 30,
+        MAX_NOTES_LENGTH: 500
     }
 };
 
@@ -60,7 +99,85 @@ export const CHALLENGE_TYPES = [
     { type: 'distance', target: 30, desc: 'Make 5+ putts from 30+ feet', reward: 400 },
     { type: 'volume', target: 50, desc: 'Make 50+ total putts this week', reward: 600 },
     { type: 'streak', target: 5, desc: 'Practice 5 days this week', reward: 700 },
-    { type: 'points', target: 500, desc: 'Score 500+ points in one session', reward: 800 }
+    { type: 'points', target: 500, desc: 'Score 500+ points in one session', reward: 800 },
+    // Style challenges only count sessions tagged with that putting style
+    { type: 'accuracy', style: 'straddle', target: 70, desc: 'Straddle week: 70%+ accuracy in a straddle session', reward: 600 },
+    { type: 'volume', style: 'turbo', target: 30, desc: 'Turbo week: make 30+ turbo putts this week', reward: 600 }
+];
+
+// Putting styles/stances a session, drill or game can be tagged with
+export const PUTTING_STYLES = [
+    { id: 'spin', icon: '🌀', label: 'Spin' },
+    { id: 'push', icon: '👉', label: 'Push' },
+    { id: 'spush', icon: '🔄', label: 'Spush' },
+    { id: 'turbo', icon: '🚀', label: 'Turbo' },
+    { id: 'straddle', icon: '🦵', label: 'Straddle' }
+];
+
+// Where a missed putt went (optional, recorded per session)
+export const MISS_DIRECTIONS = [
+    { id: 'left', icon: '⬅️', label: 'Left' },
+    { id: 'right', icon: '➡️', label: 'Right' },
+    { id: 'high', icon: '⬆️', label: 'High' },
+    { id: 'low', icon: '⬇️', label: 'Low' },
+    { id: 'spit_out', icon: '💥', label: 'Cage / spit-out' },
+    { id: 'chains_through', icon: '⛓️', label: 'Through chains' }
+];
+
+// Practice conditions (all optional) recorded with a session, routine or game.
+// Wind direction is relative to the putt, not the compass.
+export const WIND_DIRECTIONS = [
+    { id: 'headwind', icon: '⬇️', label: 'Headwind' },
+    { id: 'tailwind', icon: '⬆️', label: 'Tailwind' },
+    { id: 'left_to_right', icon: '➡️', label: 'Left to right' },
+    { id: 'right_to_left', icon: '⬅️', label: 'Right to left' }
+];
+
+export const PRACTICE_SETTINGS = [
+    { id: 'outdoor', icon: '🌳', label: 'Outdoor' },
+    { id: 'indoor', icon: '🏠', label: 'Indoor' }
+];
+
+export const ELEVATIONS = [
+    { id: 'flat', icon: '➖', label: 'Flat' },
+    { id: 'uphill', icon: '↗️', label: 'Uphill' },
+    { id: 'downhill', icon: '↘️', label: 'Downhill' }
+];
+
+// Suggestions for the basket model field (any model can be typed)
+export const BASKET_MODELS = [
+    'MVP Black Hole Pro',
+    'DGA Mach III',
+    'DGA Mach X',
+    'Innova DISCatcher Pro',
+    'Dynamic Discs Recruit',
+    'Prodigy T2',
+    'Latitude 64 ProBasket'
+];
+
+// Putting circles as used in PDGA stats, in feet (stored distances are whole
+// feet, so C2 starts at 34). C1X leaves out tap-ins; some stat sites start it
+// at 10ft. minAttempts is how many putts a player needs in a circle before
+// they rank on its leaderboard, so one lucky 40-footer can't top the chart.
+export const PUTTING_CIRCLES = [
+    { id: 'c1', label: 'C1', name: 'Circle 1', minDistance: 0, maxDistance: 33, minAttempts: 100 },
+    { id: 'c1x', label: 'C1X', name: 'Circle 1 (outside 10ft)', minDistance: 11, maxDistance: 33, minAttempts: 100 },
+    { id: 'c2', label: 'C2', name: 'Circle 2', minDistance: 34, maxDistance: 66, minAttempts: 50 }
+];
+
+// Units a player can see and enter distances in. Distances are always
+// stored in whole feet (see js/utils/units.js).
+export const DISTANCE_UNITS = [
+    { id: 'imperial', label: 'Feet', short: 'ft', long: 'feet' },
+    { id: 'metric', label: 'Meters', short: 'm', long: 'meters' }
+];
+
+// Disc types in a player's bag
+export const DISC_TYPES = [
+    { id: 'putter', icon: '🥏', label: 'Putter' },
+    { id: 'approach', icon: '🎯', label: 'Approach' },
+    { id: 'midrange', icon: '💿', label: 'Midrange' },
+    { id: 'driver', icon: '🚀', label: 'Driver' }
 ];
 
 export const ACHIEVEMENTS_CONFIG = [
@@ -70,7 +187,7 @@ export const ACHIEVEMENTS_CONFIG = [
     { id: 'night_owl', icon: '🦉', name: 'Night Owl', desc: 'Practice after 8pm', points: 75 },
     
     // Accuracy Achievements
-    { id: 'perfect_10', icon: '💯', name: 'Perfect 10', desc: 'Make 10 putts in a row at 100%', points: 100 },
+    { id: 'perfect_10', icon: '💯', name: 'Perfect 10', desc: 'Make 10 putts in a row', points: 100 },
     { id: 'ninety_percent_club', icon: '🎖️', name: '90% Club', desc: 'Achieve 90%+ accuracy in a session', points: 125 },
     { id: 'flawless', icon: '✨', name: 'Flawless', desc: 'Complete a 50-putt session at 100%', points: 250 },
     { id: 'sharpshooter', icon: '🎪', name: 'Sharpshooter', desc: 'Hit 95%+ accuracy from 20+ feet', points: 200 },
@@ -145,7 +262,7 @@ export const ACHIEVEMENTS_CONFIG = [
     // Special Achievements
     { id: 'comeback_kid', icon: '💪', name: 'Comeback Kid', desc: 'Return to practice after 30+ day break', points: 150 },
     { id: 'profile_complete', icon: '📝', name: 'Profile Complete', desc: 'Fill out all profile fields', points: 100 },
-    { id: 'disc_collector', icon: '🥏', name: 'Disc Collector', desc: 'Add all 3 favorite discs to profile', points: 75 },
+    { id: 'disc_collector', icon: '🥏', name: 'Disc Collector', desc: 'Have a putter, midrange and driver in your disc bag', points: 75 },
     { id: 'early_adopter', icon: '🌱', name: 'Early Adopter', desc: 'Join in the first month', points: 500 }
 ];
 
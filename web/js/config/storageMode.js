@@ -0,0 +1,37 @@
+/**
+ * Storage Mode
+ * Chooses between the Firestore backend and the local (demo) backend at startup
+ */
+
+import { CONSTANTS } from './constants.js';
+
+export const STORAGE_MODES = {
+    FIRESTORE: 'firestore',
+    LOCAL: 'local'
+};
+
+/**
+ * Get the storage mode for this page load.
+ * `?demo` or `?storage=local` switches to local mode and `?storage=firestore`
+ * switches back; the choice is remembered until changed.
+ * @returns {string} One of STORAGE_MODES
+ */
+export function getStorageMode() {
+    const params = new URLSearchParams(window.location.search);
+
+    if (params.has('demo')) {
+        setStorageMode(STORAGE_MODES.LOCAL);
+    } else if (Object.values(STORAGE_MODES).includes(params.get('storage'))) {
+        setStorageMode(params.get('storage'));
+    }
+
+    return localStorage.getItem(CONSTANTS.STORAGE_KEYS.STORAGE_MODE) || STORAGE_MODES.FIRESTORE;
+}
+
+/**
+ * Remember the storage mode for future page loads
+ * @param {string} mode - One of STORAGE_MODES
+ */
+export function setStorageMode(mode) {
+    localStorage.setItem(CONSTANTS.STORAGE_KEYS.STORAGE_MODE, mode);
+}
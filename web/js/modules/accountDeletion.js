@@ -0,0 +1,123 @@
+/**
+ * Account Deletion Module
+ * Removes everything stored for a user: their profile, all of their
+ * subcollections, their entries in shared documents, and their name on
+ * activities they logged for other players.
+ * Reads and writes go straight to the server, never through the offline
+ * cache and queue, so nothing is missed and every delete is confirmed.
+ */
+
+import { storageManager, arrayRemove } from './storage.js';
+
+// Subcollections under users/{userId}
+export const USER_SUBCOLLECTIONS = ['sessions', 'routineCompletions', 'gameCompletions', 'friends'];
+
+// Subcollections where other players may have activities this user logged for them
+const LOGGED_ACTIVITY_COLLECTIONS = ['sessions', 'routineCompletions', 'gameCompletions'];
+
+// Shown instead of the name of a player who deleted their account
+const DELETED_PLAYER_NAME = 'Deleted player';
+
+class AccountDeletionManager {
+    /**
+     * Find everything that belongs to or mentions a user
+     * @param {string} userId - User ID
+     * @returns {Promise<Object>} Documents grouped by what will happen to them
+     */
+    async collectUserData(userId) {
+        const server = storageManager.getServerBackend();
+
+        const subcollections = {};
+        for (const name of USER_SUBCOLLECTIONS) {
+            subcollections[name] = await server.list(`users/${userId}/${name}`);
+        }
+
+        // Activities this user logged in other players' accounts
+        const loggedForOthers = [];
+        for (const collectionId of LOGGED_ACTIVITY_COLLECTIONS) {
+            const docs = await server.listGroup(collectionId, { where: [['loggedBy', '==', userId]] });
+            loggedForOthers.push(...docs.filter(doc => doc.parentPath !== `users/${userId}/${collectionId}`));
+        }
+
+        const [challenges, communityRoutines] = await Promise.all([
+            server.list('challenges', { where: [['completedBy', 'array-contains', userId]] }),
+            server.list('routines', { where: [['createdBy', '==', userId]] })
+        ]);
+
+        return { subcollections, loggedForOthers, challenges, communityRoutines };
+    }
+
+    /**
+     * Summarize what deleting an account will remove, for the confirmation step
+     * @param {string} userId - User ID
+     * @returns {Promise<Object>} Counts per kind of data
+     */
+    async getDeletionSummary(userId) {
+        const data = await this.collectUserData(userId);
+
+        return {
+            sessions: data.subcollections.sessions.length,
+            routineCompletions: data.subcollections.routineCompletions.length,
+            gameCompletions: data.subcollections.gameCompletions.length,
+            friends: data.subcollections.friends.length,
+            challenges: data.challenges.length,
+            communityRoutines: data.communityRoutines.length,
+            loggedForOthers: data.loggedForOthers.filter(doc => !doc.pending).length,
+            pendingForOthers: data.loggedForOthers.filter(doc => doc.pending).length
+        };
+    }
+
+    /**
+     * Check that deleting an account can see and reach everything: we're
+     * online and the server has every write this device has made
+     * @throws {Error} If it can't
+     */
+    assertCanDelete() {
+        if (!storageManager.isInSyncWithServer()) {
+            throw new Error('You need to be online, with all of your changes synced, to delete your account');
+        }
+    }
+
+    /**
+     * Delete all of a user's data. The user document goes last, so if
+     * anything fails part way the account still exists and can be retried.
+     * Resolves only once the server has confirmed every batch.
+     * @param {string} userId - User ID
+     * @returns {Promise<number>} Number of documents written or deleted
+     */
+    async deleteUserData(userId) {
+        this.assertCanDelete();
+
+        const data = await this.collectUserData(userId);
+        const writes = [];
+
+        // Activities logged for other players: accepted ones stay in their
+        // history without this user's name, pending ones are withdrawn
+        data.loggedForOthers.forEach(doc => {
+            writes.push(doc.pending
+                ? { type: 'delete', path: doc.parentPath, id: doc.id }
+                : { type: 'update', path: doc.parentPath, id: doc.id, data: { loggedBy: null, loggedByName: DELETED_PLAYER_NAME } });
+        });
+
+        data.challenges.forEach(challenge => {
+            writes.push({ type: 'update', path: 'challenges', id: challenge.id, data: { completedBy: arrayRemove(userId) } });
+        });
+
+        data.communityRoutines.forEach(routine => {
+            writes.push({ type: 'delete', path: 'routines', id: routine.id });
+        });
+
+        Object.entries(data.subcollections).forEach(([name, docs]) => {
+            docs.forEach(doc => writes.push({ type: 'delete', path: `users/${userId}/${name}`, id: doc.id }));
+        });
+
+        await storageManager.commitInBatches(writes, { toServer: true });
+        await storageManager.getServerBackend().delete('users', userId);
+
+        console.log(`🗑️ Deleted account data for ${userId} (${writes.length + 1} documents)`);
+        return writes.length + 1;
+    }
+}
+
+// Export singleton instance
+export const accountDeletionManager = new AccountDeletionManager();
@@ -6,7 +6,14 @@
 import { ACHIEVEMENTS_CONFIG, CONSTANTS } from '../config/constants.js';
 import { userManager } from './user.js';
 import { storageManager } from './storage.js';
-import { getUserRank } from '../utils/calculations.js';
+import { discBagManager } from './discBag.js';
+import { getUserRank, getLongestMakeStreak, getSessionStations, calculateStreaks } from '../utils/calculations.js';
+import { getLocalHour, toLocalTime, addDays } from '../utils/dates.js';
+
+// Longest streak an achievement asks for (Unstoppable), which bounds how far back streaks are read
+const LONGEST_STREAK_DAYS = 100;
+const STREAK_ACHIEVEMENTS = ['week_warrior', 'month_master', 'two_week_streak', 'iron_will', 'unstoppable'];
+const ROUTINE_ACHIEVEMENTS = ['routine_rookie', 'routine_regular', 'routine_master', 'ladder_climber', 'consistency_king'];
 
 class AchievementManager {
     constructor() {
@@ -14,28 +21,56 @@ class AchievementManager {
     }
 
     /**
-     * Check and unlock achievements based on user data
+     * Check and unlock achievements based on user data.
+     * Unlocked achievements stay unlocked, so instead of reading the whole
+     * history this checks the sessions just saved and the newest ones (which
+     * also catches sessions saved on another device), the stored totals, and
+     * bounded reads for streaks and routines.
+     * @param {Array} newSessions - Sessions just saved (e.g. backdated or imported ones
+     *   that may not be among the newest)
      * @returns {Promise<Array>} Newly unlocked achievement IDs
      */
-    async checkAchievements() {
+    async checkAchievements(newSessions = []) {
         const user = userManager.getCurrentUser();
         if (!user) return [];
 
-        const sessions = userManager.sessions;
-        const stats = userManager.getStatistics();
+        const sessions = [...newSessions, ...userManager.recentSessions]
+            .filter((session, index, all) => all.findIndex(s => s.id === session.id) === index);
+        // Distance-based achievements look at each station of a multi-station session
+        const stations = sessions.flatMap(getSessionStations);
         const currentAchievements = user.achievements || [];
+        const streaks = STREAK_ACHIEVEMENTS.every(id => currentAchievements.includes(id))
+            ? { current: 0, longest: 0 }
+            : await this.getStreaks(user, newSessions);
         const newlyUnlocked = [];
 
         // First Steps - Complete first session
-        if (sessions.length >= 1 && !currentAchievements.includes('first_steps')) {
+        if (user.totalSessions >= 1 && !currentAchievements.includes('first_steps')) {
             await userManager.addAchievement('first_steps');
             newlyUnlocked.push('first_steps');
         }
 
-        // Perfect 10 - Make 10 putts at 100%
+        // Early Bird / Night Owl - by the clock where the session was played.
+        // Date-only sessions (imported, or from before timestamps) are stamped at
+        // exactly midnight, so they don't say when they were played.
+        const sessionHours = sessions
+            .filter(s => s.timestamp && !(Date.parse(s.timestamp) % 60000 === 0 &&
+                toLocalTime(s.timestamp, s.timeZone || userManager.getTimeZone()) === '00:00'))
+            .map(s => getLocalHour(s.timestamp, s.timeZone || userManager.getTimeZone()));
+
+        if (sessionHours.some(hour => hour < 8) && !currentAchievements.includes('early_bird')) {
+            await userManager.addAchievement('early_bird');
+            newlyUnlocked.push('early_bird');
+        }
+
+        if (sessionHours.some(hour => hour >= 20) && !currentAchievements.includes('night_owl')) {
+            await userManager.addAchievement('night_owl');
+            newlyUnlocked.push('night_owl');
+        }
+
+        // Perfect 10 - Make 10 putts in a row
         const perfectSession = sessions.find(s => 
-            s.makes >= CONSTANTS.ACHIEVEMENTS.PERFECT_10_THRESHOLD && 
-            s.percentage === 100
+            getLongestMakeStreak(s) >= CONSTANTS.ACHIEVEMENTS.PERFECT_10_THRESHOLD
         );
         if (perfectSession && !currentAchievements.includes('perfect_10')) {
             await userManager.addAchievement('perfect_10');
@@ -52,21 +87,21 @@ class AchievementManager {
         }
 
         // Week Warrior - 7 day streak
-        if (stats.currentStreak >= CONSTANTS.ACHIEVEMENTS.WEEK_WARRIOR_DAYS && 
+        if (streaks.current >= CONSTANTS.ACHIEVEMENTS.WEEK_WARRIOR_DAYS && 
             !currentAchievements.includes('week_warrior')) {
             await userManager.addAchievement('week_warrior');
             newlyUnlocked.push('week_warrior');
         }
 
         // Month Master - 30 day streak
-        if (stats.longestStreak >= CONSTANTS.ACHIEVEMENTS.MONTH_MASTER_DAYS && 
+        if (streaks.longest >= CONSTANTS.ACHIEVEMENTS.MONTH_MASTER_DAYS && 
             !currentAchievements.includes('month_master')) {
             await userManager.addAchievement('month_master');
             newlyUnlocked.push('month_master');
         }
 
         // Distance Demon - Make 5+ putts from 40+ feet
-        const distanceSession = sessions.find(s => 
+        const distanceSession = stations.find(s => 
             s.distance >= CONSTANTS.ACHIEVEMENTS.DISTANCE_DEMON_FEET && 
             s.makes >= CONSTANTS.ACHIEVEMENTS.DISTANCE_DEMON_PUTTS
         );
@@ -100,7 +135,9 @@ class AchievementManager {
         }
 
         // Routine Rookie - Complete first routine
-        const routineSessions = sessions.filter(s => s.routineName);
+        const routineSessions = ROUTINE_ACHIEVEMENTS.every(id => currentAchievements.includes(id))
+            ? []
+            : await storageManager.getRoutineSessions(user.id);
         if (routineSessions.length >= 1 && !currentAchievements.includes('routine_rookie')) {
             await userManager.addAchievement('routine_rookie');
             newlyUnlocked.push('routine_rookie');
@@ -154,20 +191,20 @@ class AchievementManager {
         }
 
         // Sharpshooter - 95%+ from 20+ feet
-        const sharpshooter = sessions.find(s => s.distance >= 20 && s.percentage >= 95);
+        const sharpshooter = stations.find(s => s.distance >= 20 && s.percentage >= 95);
         if (sharpshooter && !currentAchievements.includes('sharpshooter')) {
             await userManager.addAchievement('sharpshooter');
             newlyUnlocked.push('sharpshooter');
         }
 
         // Half Century - 50 sessions
-        if (sessions.length >= 50 && !currentAchievements.includes('half_century')) {
+        if (user.totalSessions >= 50 && !currentAchievements.includes('half_century')) {
             await userManager.addAchievement('half_century');
             newlyUnlocked.push('half_century');
         }
 
         // Centurion - 100 sessions
-        if (sessions.length >= 100 && !currentAchievements.includes('centurion')) {
+        if (user.totalSessions >= 100 && !currentAchievements.includes('centurion')) {
             await userManager.addAchievement('centurion');
             newlyUnlocked.push('centurion');
         }
@@ -179,39 +216,39 @@ class AchievementManager {
         }
 
         // Two Week Streak
-        if (stats.longestStreak >= 14 && !currentAchievements.includes('two_week_streak')) {
+        if (streaks.longest >= 14 && !currentAchievements.includes('two_week_streak')) {
             await userManager.addAchievement('two_week_streak');
             newlyUnlocked.push('two_week_streak');
         }
 
         // Iron Will - 60 day streak
-        if (stats.longestStreak >= 60 && !currentAchievements.includes('iron_will')) {
+        if (streaks.longest >= 60 && !currentAchievements.includes('iron_will')) {
             await userManager.addAchievement('iron_will');
             newlyUnlocked.push('iron_will');
         }
 
         // Unstoppable - 100 day streak
-        if (stats.longestStreak >= 100 && !currentAchievements.includes('unstoppable')) {
+        if (streaks.longest >= 100 && !currentAchievements.includes('unstoppable')) {
             await userManager.addAchievement('unstoppable');
             newlyUnlocked.push('unstoppable');
         }
 
         // Long Ranger - Practice from 30+ feet
-        const longRange = sessions.find(s => s.distance >= 30);
+        const longRange = stations.find(s => s.distance >= 30);
         if (longRange && !currentAchievements.includes('long_ranger')) {
             await userManager.addAchievement('long_ranger');
             newlyUnlocked.push('long_ranger');
         }
 
         // Downtown Driver - Make putt from 50+ feet
-        const downtown = sessions.find(s => s.distance >= 50 && s.makes >= 1);
+        const downtown = stations.find(s => s.distance >= 50 && s.makes >= 1);
         if (downtown && !currentAchievements.includes('downtown_driver')) {
             await userManager.addAchievement('downtown_driver');
             newlyUnlocked.push('downtown_driver');
         }
 
         // Extreme Range - 3+ putts from 60+ feet
-        const extreme = sessions.find(s => s.distance >= 60 && s.makes >= 3);
+        const extreme = stations.find(s => s.distance >= 60 && s.makes >= 3);
         if (extreme && !currentAchievements.includes('extreme_range')) {
             await userManager.addAchievement('extreme_range');
             newlyUnlocked.push('extreme_range');
@@ -276,8 +313,12 @@ class AchievementManager {
             newlyUnlocked.push('number_one');
         }
 
-        // Distance Explorer - 10 different distances
-        const uniqueDistances = new Set(sessions.map(s => s.distance));
+        // Distance Explorer - 10 different distances (the stored per-distance
+        // totals cover the whole history; the sessions cover what's just been saved)
+        const practicedDistances = Object.entries(user.distanceStats || {})
+            .filter(([, totals]) => totals.attempts > 0)
+            .map(([distance]) => Number(distance));
+        const uniqueDistances = new Set([...practicedDistances, ...stations.map(s => s.distance)]);
         if (uniqueDistances.size >= 10 && !currentAchievements.includes('distance_explorer')) {
             await userManager.addAchievement('distance_explorer');
             newlyUnlocked.push('distance_explorer');
@@ -285,27 +326,39 @@ class AchievementManager {
 
         // All Ranges - Practice from 10, 20, 30, 40, 50 feet
         const requiredDistances = [10, 20, 30, 40, 50];
-        const hasAllRanges = requiredDistances.every(d => sessions.some(s => s.distance === d));
+        const hasAllRanges = requiredDistances.every(d => uniqueDistances.has(d));
         if (hasAllRanges && !currentAchievements.includes('all_ranges')) {
             await userManager.addAchievement('all_ranges');
             newlyUnlocked.push('all_ranges');
         }
 
-        // Disc Collector - All 3 favorite discs
-        if (user.favoritePutter && user.favoriteMidrange && user.favoriteDriver && 
-            !currentAchievements.includes('disc_collector')) {
+        // Disc Collector - A putter, midrange and driver in the bag
+        const hasFullBag = discBagManager.hasDiscTypes(user, ['putter', 'midrange', 'driver']);
+        if (hasFullBag && !currentAchievements.includes('disc_collector')) {
             await userManager.addAchievement('disc_collector');
             newlyUnlocked.push('disc_collector');
         }
 
         // Profile Complete - All profile fields
-        if (user.displayName && user.gender && user.birthday && 
-            user.favoritePutter && user.favoriteMidrange && user.favoriteDriver &&
+        if (user.displayName && user.gender && user.birthday && hasFullBag &&
             !currentAchievements.includes('profile_complete')) {
             await userManager.addAchievement('profile_complete');
             newlyUnlocked.push('profile_complete');
         }
 
+        // Perfect Streak - Make 10 in a row in a Perfect 10 Challenge played putt by putt
+        if (!currentAchievements.includes('perfect_streak')) {
+            const games = await storageManager.getGameCompletions(user.id);
+            const perfectGame = games.find(g => 
+                g.gameId === 'perfect_10' && !g.pending &&
+                getLongestMakeStreak(g) >= CONSTANTS.ACHIEVEMENTS.PERFECT_10_THRESHOLD
+            );
+            if (perfectGame) {
+                await userManager.addAchievement('perfect_streak');
+                newlyUnlocked.push('perfect_streak');
+            }
+        }
+
         // Game On - View Games tab (checked in app.js when view changes)
         // This is a simple achievement just for viewing the tab
         if (!currentAchievements.includes('game_on')) {
@@ -319,6 +372,25 @@ class AchievementManager {
         return newlyUnlocked;
     }
 
+    /**
+     * Practice streaks read from a window of days rather than the whole
+     * history: long enough for the longest streak achievement to end on
+     * any of the sessions just saved, or today
+     * @param {Object} user - Current user
+     * @param {Array} newSessions - Sessions just saved
+     * @returns {Promise<Object>} { current, longest } (both 0 if the read failed)
+     */
+    async getStreaks(user, newSessions) {
+        const firstDate = newSessions.reduce((first, s) => (s.date < first ? s.date : first), userManager.getToday());
+        try {
+            const sessions = await storageManager.getSessionsSince(user.id, addDays(firstDate, -(LONGEST_STREAK_DAYS - 1)));
+            return calculateStreaks(sessions, userManager.getTimeZone());
+        } catch (error) {
+            console.error('Error reading sessions for streaks:', error);
+            return { current: 0, longest: 0 };
+        }
+    }
+
     /**
      * Get all achievements with unlock status
      * @returns {Array} Achievements with isUnlocked flag
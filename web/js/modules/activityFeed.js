@@ -0,0 +1,169 @@
+/**
+ * Activity Feed Module
+ * Merges a user's sessions, routine completions and game completions into
+ * one newest-first feed, loading each source a page at a time
+ */
+
+import { storageManager } from './storage.js';
+import { getSessionStations } from '../utils/calculations.js';
+import { matchesActivitySearch } from '../utils/filters.js';
+
+export const ACTIVITY_TYPES = ['session', 'routine', 'game'];
+
+const PAGE_SIZE = 25;
+
+/**
+ * Get the time an activity happened, for ordering the merged feed
+ * @param {string} type - 'session', 'routine' or 'game'
+ * @param {Object} item - Activity data
+ * @returns {number} Milliseconds since epoch
+ */
+export function getActivityTime(type, item) {
+    if (type === 'session') {
+        return new Date(item.timestamp || item.date).getTime();
+    }
+    return new Date(item.endTime).getTime();
+}
+
+/**
+ * Check whether filters restrict activities by distance
+ * @param {Object} filters - { minDistance, maxDistance }
+ * @returns {boolean} True if either bound is set
+ */
+function hasDistanceFilter(filters) {
+    return !isNaN(parseInt(filters.minDistance)) || !isNaN(parseInt(filters.maxDistance));
+}
+
+/**
+ * Get a routine completion's drills (bulk-logged routines store drillResults)
+ * @param {Object} routine - Routine completion
+ * @returns {Array} Drills, empty if it has none
+ */
+function getRoutineDrills(routine) {
+    if (Array.isArray(routine.drills) && routine.drills.length > 0) return routine.drills;
+    if (Array.isArray(routine.drillResults)) return routine.drillResults;
+    return [];
+}
+
+/**
+ * Check an activity against the filters that can't be done in the query
+ * @param {string} type - 'session', 'routine' or 'game'
+ * @param {Object} item - Activity data
+ * @param {Object} filters - { minDistance, maxDistance, name, search }
+ * @returns {boolean} True if the activity should be shown
+ */
+export function matchesActivityFilters(type, item, filters = {}) {
+    const minDistance = parseInt(filters.minDistance);
+    const maxDistance = parseInt(filters.maxDistance);
+    const inRange = (distance) =>
+        (isNaN(minDistance) || distance >= minDistance) &&
+        (isNaN(maxDistance) || distance <= maxDistance);
+
+    if (hasDistanceFilter(filters)) {
+        // A multi-station session matches if any of its stations is in range
+        if (type === 'session' && !getSessionStations(item).some(station => inRange(station.distance))) return false;
+        // A routine matches if any of its drills is in range
+        if (type === 'routine' && !getRoutineDrills(item).some(drill => inRange(drill.distance))) return false;
+        // Games don't have a single distance
+        if (type === 'game') return false;
+    }
+
+    const name = (filters.name || '').trim().toLowerCase();
+    if (name) {
+        const activityName = type === 'game' ? item.gameName : item.routineName;
+        if (!(activityName || '').toLowerCase().includes(name)) return false;
+    }
+
+    // Notes and tags search
+    if (!matchesActivitySearch(item, filters.search)) return false;
+
+    return true;
+}
+
+export class ActivityFeed {
+    /**
+     * @param {string} userId - User whose history to load
+     * @param {Object} filters - { types, from, to, minDistance, maxDistance, name, search }
+     */
+    constructor(userId, filters = {}) {
+        this.userId = userId;
+        this.filters = filters;
+        this.items = [];
+
+        // Games never match a distance filter, so don't page through them
+        const types = (filters.types && filters.types.length > 0 ? filters.types : ACTIVITY_TYPES)
+            .filter(type => type !== 'game' || !hasDistanceFilter(filters));
+        const loaders = {
+            session: options => storageManager.getSessionsPage(userId, options),
+            routine: options => storageManager.getRoutineCompletionsPage(userId, options),
+            game: options => storageManager.getGameCompletionsPage(userId, options)
+        };
+
+        // Each source keeps its own cursor and a buffer of fetched, filtered items
+        this.sources = types.map(type => ({
+            type,
+            load: loaders[type],
+            buffer: [],
+            cursor: null,
+            hasMore: true
+        }));
+    }
+
+    /**
+     * Check whether there is anything left to load
+     * @returns {boolean} True if more items may be available
+     */
+    hasMore() {
+        return this.sources.some(source => source.buffer.length > 0 || source.hasMore);
+    }
+
+    /**
+     * Fetch the next page for a source
+     * @param {Object} source - Feed source
+     * @returns {Promise<void>}
+     */
+    async fetchPage(source) {
+        const page = await source.load({
+            limit: PAGE_SIZE,
+            cursor: source.cursor,
+            from: this.filters.from || null,
+            to: this.filters.to || null
+        });
+
+        source.cursor = page.cursor;
+        source.hasMore = page.hasMore;
+        source.buffer.push(...page.items
+            .filter(item => matchesActivityFilters(source.type, item, this.filters))
+            .map(item => ({ type: source.type, data: item, id: item.id, time: getActivityTime(source.type, item) })));
+    }
+
+    /**
+     * Load the next items of the merged feed
+     * @param {number} count - How many items to add
+     * @returns {Promise<Array>} Newly loaded items ({ type, data, id, time })
+     */
+    async loadMore(count = PAGE_SIZE) {
+        const loaded = [];
+
+        while (loaded.length < count) {
+            // Every source needs a buffered item (or to be finished) before we
+            // know which one has the newest next activity
+            for (const source of this.sources) {
+                while (source.buffer.length === 0 && source.hasMore) {
+                    await this.fetchPage(source);
+                }
+            }
+
+            const candidates = this.sources.filter(source => source.buffer.length > 0);
+            if (candidates.length === 0) break;
+
+            const newest = candidates.reduce((best, source) =>
+                source.buffer[0].time > best.buffer[0].time ? source : best
+            );
+            loaded.push(newest.buffer.shift());
+        }
+
+        this.items.push(...loaded);
+        return loaded;
+    }
+}
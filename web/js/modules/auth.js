@@ -15,9 +15,10 @@ class AuthManager {
     /**
      * Initialize authentication
      * @param {Function} onAuthChange - Callback for auth state changes
+     * @param {Object} auth - Auth provider to use (defaults to Firebase Auth)
      */
-    init(onAuthChange) {
-        this.auth = getAuth();
+    init(onAuthChange, auth = null) {
+        this.auth = auth || getAuth();
         this.onAuthChangeCallback = onAuthChange;
 
         // Listen for auth state changes
@@ -30,6 +31,24 @@ class AuthManager {
         });
     }
 
+    /**
+     * Check if we're using local demo auth instead of Firebase
+     * @returns {boolean} True in demo mode
+     */
+    isLocal() {
+        return Boolean(this.auth?.isLocal);
+    }
+
+    /**
+     * Sign in as the local demo user
+     * @returns {Promise<Object>} User credential
+     */
+    async signInLocal() {
+        const result = await this.auth.signIn();
+        console.log('✅ Demo sign-in successful');
+        return result;
+    }
+
     /**
      * Sign in with Google
      * @returns {Promise<Object>} User credential
@@ -106,6 +125,57 @@ class AuthManager {
         }
     }
 
+    /**
+     * Confirm the signed-in user's identity again. Firebase only allows
+     * sensitive actions like deleting the account shortly after sign-in.
+     * @returns {Promise<void>}
+     */
+    async reauthenticate() {
+        if (this.isLocal()) return;
+
+        const user = this.getCurrentUser();
+        if (!user) {
+            throw new Error('No user is currently signed in');
+        }
+
+        try {
+            const provider = new firebase.auth.GoogleAuthProvider();
+            provider.setCustomParameters({ login_hint: user.email || '' });
+            await user.reauthenticateWithPopup(provider);
+            console.log('✅ Re-authenticated:', user.email);
+        } catch (error) {
+            console.error('❌ Re-authentication error:', error);
+
+            switch (error.code) {
+                case 'auth/popup-blocked':
+                    throw new Error('Pop-up was blocked by your browser. Please allow pop-ups for this site and try again.');
+                case 'auth/popup-closed-by-user':
+                case 'auth/cancelled-popup-request':
+                    throw new Error('Sign-in was cancelled, so nothing was deleted.');
+                case 'auth/user-mismatch':
+                    throw new Error('Please sign in with the same Google account you want to delete.');
+                default:
+                    throw new Error(error.message || 'Could not confirm your identity. Please try again.');
+            }
+        }
+    }
+
+    /**
+     * Delete the signed-in user's authentication account.
+     * Call reauthenticate() first; the user is signed out afterwards.
+     * @returns {Promise<void>}
+     */
+    async deleteCurrentUser() {
+        const user = this.getCurrentUser();
+        if (!user) {
+            throw new Error('No user is currently signed in');
+        }
+
+        await user.delete();
+        this.currentUser = null;
+        console.log('✅ Authentication account deleted');
+    }
+
     /**
      * Get current user
      * @returns {Object|null} Current Firebase user
@@ -0,0 +1,162 @@
+/**
+ * Field Operations
+ * Sentinel values that let a write change a field relative to its current
+ * value on the server (like Firestore's FieldValue), so concurrent writers
+ * never overwrite each other's updates. Backends resolve them when the
+ * write is applied.
+ */
+
+const FIELD_OP = '__fieldOp';
+
+/**
+ * Add to a numeric field (missing fields count as 0)
+ * @param {number} amount - Amount to add (negative to subtract)
+ * @returns {Object} Field operation
+ */
+export function increment(amount) {
+    return { [FIELD_OP]: 'increment', value: amount };
+}
+
+/**
+ * Keep the larger of the current and new value.
+ * For objects, compare on the given key (e.g. bestSession by points).
+ * @param {any} value - Candidate value
+ * @param {string} key - Property to compare when the value is an object
+ * @returns {Object} Field operation
+ */
+export function maximum(value, key = null) {
+    return { [FIELD_OP]: 'maximum', value, key };
+}
+
+/**
+ * Make percentage of a { makes, attempts } map elsewhere in the same
+ * document once the rest of the write is applied, e.g. a circle
+ * leaderboard stat kept in step with the circle's totals. It needs the
+ * current totals, so like maximum it's resolved in a transaction.
+ * @param {string} field - Dotted path of the totals (e.g. 'circleStats.c1')
+ * @param {number} minAttempts - With fewer attempts than this the result is null
+ * @returns {Object} Field operation
+ */
+export function percentageOf(field, minAttempts = 1) {
+    return { [FIELD_OP]: 'percentageOf', value: field, minAttempts };
+}
+
+/**
+ * Add items to an array field, skipping ones already present
+ * @param {...any} items - Items to add
+ * @returns {Object} Field operation
+ */
+export function arrayUnion(...items) {
+    return { [FIELD_OP]: 'arrayUnion', value: items };
+}
+
+/**
+ * Remove items from an array field
+ * @param {...any} items - Items to remove
+ * @returns {Object} Field operation
+ */
+export function arrayRemove(...items) {
+    return { [FIELD_OP]: 'arrayRemove', value: items };
+}
+
+/**
+ * Check whether a value is a field operation
+ * @param {any} value - Value to check
+ * @returns {boolean} True for field operations
+ */
+export function isFieldOp(value) {
+    return value !== null && typeof value === 'object' && FIELD_OP in value;
+}
+
+/**
+ * Get the kind of a field operation
+ * @param {Object} op - Field operation
+ * @returns {string} 'increment', 'maximum', 'percentageOf', 'arrayUnion' or 'arrayRemove'
+ */
+export function getFieldOpKind(op) {
+    return op[FIELD_OP];
+}
+
+/**
+ * Check whether a write's data contains a field operation of the given kind
+ * @param {Object} data - Write data
+ * @param {string} kind - Operation kind (e.g. 'maximum')
+ * @returns {boolean} True if any field (at any depth) uses the operation
+ */
+export function hasFieldOp(data, kind) {
+    return Object.values(data || {}).some(value => {
+        if (isFieldOp(value)) return getFieldOpKind(value) === kind;
+        if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+            return hasFieldOp(value, kind);
+        }
+        return false;
+    });
+}
+
+/**
+ * Work out the new value of a field
+ * @param {any} current - Current field value (undefined if missing)
+ * @param {Object} op - Field operation
+ * @returns {any} New field value
+ */
+export function resolveFieldOp(current, op) {
+    switch (getFieldOpKind(op)) {
+        case 'increment':
+            return (typeof current === 'number' ? current : 0) + op.value;
+        case 'maximum': {
+            if (current === undefined || current === null) return op.value;
+            const currentScore = op.key ? current[op.key] || 0 : current;
+            const newScore = op.key ? op.value[op.key] || 0 : op.value;
+            return newScore > currentScore ? op.value : current;
+        }
+        case 'percentageOf':
+            // Depends on other fields, so it's worked out afterwards (resolvePercentages)
+            return current;
+        case 'arrayUnion': {
+            const existing = Array.isArray(current) ? current : [];
+            return [...existing, ...op.value.filter(item => !existing.includes(item))];
+        }
+        case 'arrayRemove':
+            return (Array.isArray(current) ? current : []).filter(item => !op.value.includes(item));
+        default:
+            throw new Error(`Unsupported field operation: ${getFieldOpKind(op)}`);
+    }
+}
+
+/**
+ * Replace every field operation in a write's data using a converter
+ * (e.g. to turn them into Firestore FieldValues, or into plain values)
+ * @param {Object} data - Write data
+ * @param {Function} convert - Receives (op, path) and returns the replacement
+ * @param {Array} path - Field path so far (used when recursing)
+ * @returns {Object} Data with operations replaced
+ */
+export function mapFieldOps(data, convert, path = []) {
+    const mapped = {};
+    Object.entries(data).forEach(([key, value]) => {
+        if (isFieldOp(value)) {
+            mapped[key] = convert(value, [...path, key]);
+        } else if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+            mapped[key] = mapFieldOps(value, convert, [...path, key]);
+        } else {
+            mapped[key] = value;
+        }
+    });
+    return mapped;
+}
+
+/**
+ * Replace percentageOf operations with their results
+ * @param {Object} data - Write data
+ * @param {Object} result - The document with the rest of the write applied
+ * @returns {Object} Data with percentageOf operations resolved (other operations are kept)
+ */
+export function resolvePercentages(data, result) {
+    return mapFieldOps(data, op => {
+        if (getFieldOpKind(op) !== 'percentageOf') return op;
+        const totals = op.value.split('.').reduce((value, key) => value?.[key], result);
+        return (totals?.attempts || 0) >= op.minAttempts
+            ? parseFloat(((totals.makes / totals.attempts) * 100).toFixed(1))
+            : null;
+    });
+}
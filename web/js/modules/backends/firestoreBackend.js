@@ -0,0 +1,232 @@
+/**
+ * Firestore Backend
+ * Storage backend that reads and writes Cloud Firestore directly
+ */
+
+import { getFirestore } from '../../config/firebase.js';
+import { getFieldOpKind, hasFieldOp, mapFieldOps, resolveFieldOp, resolvePercentages } from './fieldOps.js';
+import { applyWrite } from './localQuery.js';
+
+/**
+ * Check whether an error was caused by a missing network connection
+ * @param {Error} error - Error thrown by the Firestore SDK
+ * @returns {boolean} True if the request could not reach the server
+ */
+export function isNetworkError(error) {
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+        return true;
+    }
+    return error?.code === 'unavailable' || error?.code === 'deadline-exceeded';
+}
+
+export class FirestoreBackend {
+    constructor() {
+        this.db = null;
+    }
+
+    /**
+     * Initialize Firestore
+     */
+    init() {
+        this.db = getFirestore();
+    }
+
+    /**
+     * Get a collection reference
+     * @param {string} path - Collection path (e.g. users/abc/sessions)
+     * @returns {Object} Firestore collection reference
+     */
+    collection(path) {
+        if (!this.db) this.init();
+        return this.db.collection(path);
+    }
+
+    /**
+     * Get a document
+     * @param {string} path - Collection path
+     * @param {string} docId - Document ID
+     * @returns {Promise<Object|null>} Document data or null
+     */
+    async get(path, docId) {
+        const doc = await this.collection(path).doc(docId).get();
+        return doc.exists ? doc.data() : null;
+    }
+
+    /**
+     * Set a document
+     * @param {string} path - Collection path
+     * @param {string} docId - Document ID
+     * @param {Object} data - Data to store
+     * @param {Object} options - Firestore set options
+     * @returns {Promise<void>}
+     */
+    async set(path, docId, data, options = { merge: true }) {
+        await this.commit([{ type: 'set', path, id: docId, data, options }]);
+    }
+
+    /**
+     * Update fields on an existing document
+     * @param {string} path - Collection path
+     * @param {string} docId - Document ID
+     * @param {Object} data - Fields to update
+     * @returns {Promise<void>}
+     */
+    async update(path, docId, data) {
+        await this.commit([{ type: 'update', path, id: docId, data }]);
+    }
+
+    /**
+     * Delete a document
+     * @param {string} path - Collection path
+     * @param {string} docId - Document ID
+     * @returns {Promise<void>}
+     */
+    async delete(path, docId) {
+        await this.collection(path).doc(docId).delete();
+    }
+
+    /**
+     * Commit several writes atomically: either all of them apply or none do.
+     * Uses a batch, or a transaction when a write needs the current value
+     * of a field (maximum, percentageOf), which Firestore can't do server-side.
+     * @param {Array} writes - Write operations ({ type, path, id, data, options })
+     * @returns {Promise<void>}
+     */
+    async commit(writes) {
+        if (!this.db) this.init();
+
+        const needsCurrent = (write) => hasFieldOp(write.data, 'maximum') || hasFieldOp(write.data, 'percentageOf');
+        if (!writes.some(needsCurrent)) {
+            const batch = this.db.batch();
+            writes.forEach(write => this.addWrite(batch, write, write.data));
+            await batch.commit();
+            return;
+        }
+
+        await this.db.runTransaction(async (transaction) => {
+            // All reads have to happen before any writes in a transaction
+            const snapshots = await Promise.all(writes.map(write =>
+                needsCurrent(write)
+                    ? transaction.get(this.collection(write.path).doc(write.id))
+                    : null
+            ));
+
+            writes.forEach((write, index) => {
+                const current = snapshots[index]?.exists ? snapshots[index].data() : {};
+                const resolved = write.data && mapFieldOps(write.data, (op, path) =>
+                    getFieldOpKind(op) === 'maximum'
+                        ? resolveFieldOp(path.reduce((value, key) => value?.[key], current), op)
+                        : op
+                );
+                // percentageOf is worked out from the document as this write leaves it
+                const data = resolved && hasFieldOp(resolved, 'percentageOf')
+                    ? resolvePercentages(resolved, applyWrite(current, { ...write, data: resolved }))
+                    : resolved;
+                this.addWrite(transaction, write, data);
+            });
+        });
+    }
+
+    /**
+     * Add a write to a batch or transaction
+     * @param {Object} target - Firestore WriteBatch or Transaction
+     * @param {Object} write - Write operation
+     * @param {Object} data - Data to write (field operations allowed)
+     */
+    addWrite(target, write, data) {
+        const ref = this.collection(write.path).doc(write.id);
+
+        switch (write.type) {
+            case 'set':
+                target.set(ref, this.toFirestore(data), write.options || { merge: true });
+                break;
+            case 'update':
+                target.update(ref, this.toFirestore(data));
+                break;
+            case 'delete':
+                target.delete(ref);
+                break;
+            default:
+                throw new Error(`Unsupported write type: ${write.type}`);
+        }
+    }
+
+    /**
+     * Convert field operations to Firestore FieldValues
+     * @param {Object} data - Write data
+     * @returns {Object} Data ready for the Firestore SDK
+     */
+    toFirestore(data) {
+        const { FieldValue } = firebase.firestore;
+        return mapFieldOps(data, op => {
+            switch (getFieldOpKind(op)) {
+                case 'increment': return FieldValue.increment(op.value);
+                case 'arrayUnion': return FieldValue.arrayUnion(...op.value);
+                case 'arrayRemove': return FieldValue.arrayRemove(...op.value);
+                default:
+                    throw new Error(`Field operation ${getFieldOpKind(op)} must be resolved in a transaction`);
+            }
+        });
+    }
+
+    /**
+     * List documents in a collection
+     * @param {string} path - Collection path
+     * @param {Object} query - Query options
+     * @param {Array} query.where - List of [field, operator, value] clauses
+     * @param {string} query.orderBy - Field to order by
+     * @param {string} query.direction - 'asc' or 'desc'
+     * @param {number} query.limit - Maximum number of documents
+     * @param {Object} query.startAfter - Cursor { value, id } from the last document of the previous page
+     * @returns {Promise<Array>} Array of documents with their IDs
+     */
+    async list(path, query = {}) {
+        let ref = this.collection(path);
+
+        (query.where || []).forEach(([field, operator, value]) => {
+            ref = ref.where(field, operator, value);
+        });
+
+        if (query.orderBy) {
+            ref = ref.orderBy(query.orderBy, query.direction || 'asc');
+        }
+
+        if (query.startAfter) {
+            // Order by document ID as well so documents sharing a value page deterministically
+            ref = ref
+                .orderBy(firebase.firestore.FieldPath.documentId(), query.direction || 'asc')
+                .startAfter(query.startAfter.value, query.startAfter.id);
+        }
+
+        if (query.limit) {
+            ref = ref.limit(query.limit);
+        }
+
+        const snapshot = await ref.get();
+        return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    }
+
+    /**
+     * List documents across every collection with the given ID
+     * (e.g. all users' sessions). Each where field needs a collection
+     * group index in firestore.indexes.json.
+     * @param {string} collectionId - Last segment of the collection path (e.g. 'sessions')
+     * @param {Object} query - Query options (where, limit)
+     * @returns {Promise<Array>} Documents with their IDs and parentPath (the collection path)
+     */
+    async listGroup(collectionId, query = {}) {
+        if (!this.db) this.init();
+        let ref = this.db.collectionGroup(collectionId);
+
+        (query.where || []).forEach(([field, operator, value]) => {
+            ref = ref.where(field, operator, value);
+        });
+
+        if (query.limit) {
+            ref = ref.limit(query.limit);
+        }
+
+        const snapshot = await ref.get();
+        return snapshot.docs.map(doc => ({ id: doc.id, parentPath: doc.ref.parent.path, ...doc.data() }));
+    }
+}
@@ -0,0 +1,170 @@
+/**
+ * IndexedDB Store
+ * Local document cache and durable write queue for offline use
+ */
+
+const DB_NAME = 'putting-improver';
+const DB_VERSION = 1;
+const DOCS_STORE = 'docs';
+const QUEUE_STORE = 'writeQueue';
+
+export class IndexedDbStore {
+    constructor(name = DB_NAME) {
+        this.name = name;
+        this.dbPromise = null;
+    }
+
+    /**
+     * Open (and create if needed) the database
+     * @returns {Promise<IDBDatabase>} Open database
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.name, DB_VERSION);
+
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    const docs = db.createObjectStore(DOCS_STORE, { keyPath: 'key' });
+                    docs.createIndex('collection', 'collection');
+                    db.createObjectStore(QUEUE_STORE, { keyPath: 'seq', autoIncrement: true });
+                };
+
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Run a request against an object store inside a transaction
+     * @param {string} storeName - Object store name
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} callback - Receives the store, returns an IDBRequest (optional)
+     * @returns {Promise<any>} Result of the request once the transaction completes
+     */
+    async run(storeName, mode, callback) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = callback(transaction.objectStore(storeName));
+
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    // Document cache
+
+    /**
+     * Get a cached document
+     * @param {string} collection - Collection path
+     * @param {string} docId - Document ID
+     * @returns {Promise<Object|null>} Cached data or null
+     */
+    async getDoc(collection, docId) {
+        const record = await this.run(DOCS_STORE, 'readonly', store =>
+            store.get(`${collection}/${docId}`)
+        );
+        return record ? record.data : null;
+    }
+
+    /**
+     * Cache a document
+     * @param {string} collection - Collection path
+     * @param {string} docId - Document ID
+     * @param {Object} data - Document data
+     * @returns {Promise<void>}
+     */
+    async putDoc(collection, docId, data) {
+        await this.run(DOCS_STORE, 'readwrite', store =>
+            store.put({ key: `${collection}/${docId}`, collection, id: docId, data })
+        );
+    }
+
+    /**
+     * Remove a document from the cache
+     * @param {string} collection - Collection path
+     * @param {string} docId - Document ID
+     * @returns {Promise<void>}
+     */
+    async deleteDoc(collection, docId) {
+        await this.run(DOCS_STORE, 'readwrite', store =>
+            store.delete(`${collection}/${docId}`)
+        );
+    }
+
+    /**
+     * Get all cached documents in a collection
+     * @param {string} collection - Collection path
+     * @returns {Promise<Array>} Documents with their IDs
+     */
+    async listDocs(collection) {
+        const records = await this.run(DOCS_STORE, 'readonly', store =>
+            store.index('collection').getAll(collection)
+        );
+        return records.map(record => ({ ...record.data, id: record.id }));
+    }
+
+    /**
+     * Cache a list of documents fetched from the server
+     * @param {string} collection - Collection path
+     * @param {Array} docs - Documents with their IDs
+     * @param {boolean} replace - Drop cached documents that are not in the list
+     * @returns {Promise<void>}
+     */
+    async putDocs(collection, docs, replace = false) {
+        const stale = replace ? await this.listDocs(collection) : [];
+        const freshIds = new Set(docs.map(doc => doc.id));
+
+        await this.run(DOCS_STORE, 'readwrite', store => {
+            stale
+                .filter(doc => !freshIds.has(doc.id))
+                .forEach(doc => store.delete(`${collection}/${doc.id}`));
+
+            docs.forEach(({ id, ...data }) => {
+                store.put({ key: `${collection}/${id}`, collection, id, data });
+            });
+        });
+    }
+
+    // Write queue
+
+    /**
+     * Add a write to the end of the queue
+     * @param {Object} write - Write operation
+     * @returns {Promise<number>} Queue sequence number
+     */
+    async enqueue(write) {
+        return await this.run(QUEUE_STORE, 'readwrite', store => store.add(write));
+    }
+
+    /**
+     * Get all queued writes, oldest first
+     * @returns {Promise<Array>} Queued writes
+     */
+    async getQueue() {
+        return await this.run(QUEUE_STORE, 'readonly', store => store.getAll());
+    }
+
+    /**
+     * Replace a queued write (e.g. to record a failure)
+     * @param {Object} write - Queued write including its seq
+     * @returns {Promise<void>}
+     */
+    async updateQueued(write) {
+        await this.run(QUEUE_STORE, 'readwrite', store => store.put(write));
+    }
+
+    /**
+     * Remove a write from the queue
+     * @param {number} seq - Queue sequence number
+     * @returns {Promise<void>}
+     */
+    async dequeue(seq) {
+        await this.run(QUEUE_STORE, 'readwrite', store => store.delete(seq));
+    }
+}
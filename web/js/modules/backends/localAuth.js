@@ -0,0 +1,81 @@
+/**
+ * Local Auth
+ * Stand-in for Firebase Auth used in demo mode. Implements the parts of the
+ * firebase.auth() surface the app uses, with a single local demo account.
+ */
+
+import { CONSTANTS } from '../../config/constants.js';
+
+const DEMO_USER = {
+    uid: 'demo-user',
+    email: 'demo@puttingimprover.local',
+    displayName: 'Demo Putter',
+    photoURL: null,
+    emailVerified: true
+};
+
+export class LocalAuth {
+    constructor() {
+        this.isLocal = true;
+        this.listeners = [];
+        this.currentUser = null;
+
+        if (typeof localStorage !== 'undefined' && localStorage.getItem(CONSTANTS.STORAGE_KEYS.LOCAL_AUTH_USER)) {
+            this.currentUser = this.createUser();
+        }
+    }
+
+    /**
+     * Build a user object shaped like a Firebase user
+     * @returns {Object} Demo user
+     */
+    createUser() {
+        return {
+            ...DEMO_USER,
+            getIdToken: async () => 'local-demo-token',
+            delete: async () => this.signOut()
+        };
+    }
+
+    /**
+     * Listen for sign-in/sign-out (fires once immediately, like Firebase)
+     * @param {Function} callback - Receives the current user or null
+     * @returns {Function} Unsubscribe function
+     */
+    onAuthStateChanged(callback) {
+        this.listeners.push(callback);
+        setTimeout(() => callback(this.currentUser), 0);
+        return () => {
+            this.listeners = this.listeners.filter(listener => listener !== callback);
+        };
+    }
+
+    /**
+     * Sign in as the demo user
+     * @returns {Promise<Object>} Credential-like result with the user
+     */
+    async signIn() {
+        this.currentUser = this.createUser();
+        if (typeof localStorage !== 'undefined') {
+            localStorage.setItem(CONSTANTS.STORAGE_KEYS.LOCAL_AUTH_USER, this.currentUser.uid);
+        }
+        this.notify();
+        return { user: this.currentUser };
+    }
+
+    /**
+     * Sign out
+     * @returns {Promise<void>}
+     */
+    async signOut() {
+        this.currentUser = null;
+        if (typeof localStorage !== 'undefined') {
+            localStorage.removeItem(CONSTANTS.STORAGE_KEYS.LOCAL_AUTH_USER);
+        }
+        this.notify();
+    }
+
+    notify() {
+        this.listeners.forEach(callback => callback(this.currentUser));
+    }
+}
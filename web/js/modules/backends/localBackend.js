@@ -0,0 +1,170 @@
+/**
+ * Local Backend
+ * Storage backend that keeps every document in memory, optionally persisted
+ * to localStorage. Used for demo mode and for running the app's business
+ * logic without a Firebase project.
+ */
+
+import { CONSTANTS } from '../../config/constants.js';
+import { runLocalQuery, applyWrite } from './localQuery.js';
+
+export class LocalBackend {
+    /**
+     * @param {Object} options - Backend options
+     * @param {boolean} options.persist - Save data to localStorage between page loads
+     * @param {string} options.storageKey - localStorage key to persist under
+     * @param {Object} options.seed - Initial data as { 'collection/path': { docId: data } }
+     */
+    constructor({ persist = false, storageKey = CONSTANTS.STORAGE_KEYS.LOCAL_DATABASE, seed = {} } = {}) {
+        this.persist = persist && typeof localStorage !== 'undefined';
+        this.storageKey = storageKey;
+        this.collections = new Map();
+        this.load(seed);
+    }
+
+    /**
+     * Nothing to connect to - present for backend interface parity
+     */
+    init() {}
+
+    /**
+     * Load documents from localStorage (if persisting) or the seed data
+     * @param {Object} seed - Fallback data
+     */
+    load(seed) {
+        let data = seed;
+
+        if (this.persist) {
+            try {
+                const saved = localStorage.getItem(this.storageKey);
+                if (saved) data = JSON.parse(saved);
+            } catch (error) {
+                console.error('Error loading local data:', error);
+            }
+        }
+
+        Object.entries(data).forEach(([path, docs]) => {
+            this.collections.set(path, new Map(Object.entries(docs)));
+        });
+    }
+
+    /**
+     * Write all documents to localStorage
+     */
+    save() {
+        if (!this.persist) return;
+
+        const data = {};
+        this.collections.forEach((docs, path) => {
+            data[path] = Object.fromEntries(docs);
+        });
+        localStorage.setItem(this.storageKey, JSON.stringify(data));
+    }
+
+    /**
+     * Get the document map for a collection, creating it if needed
+     * @param {string} path - Collection path
+     * @returns {Map} Documents keyed by ID
+     */
+    collection(path) {
+        if (!this.collections.has(path)) {
+            this.collections.set(path, new Map());
+        }
+        return this.collections.get(path);
+    }
+
+    /**
+     * Copy data so callers can't mutate stored documents
+     * @param {Object} data - Document data
+     * @returns {Object} Deep copy
+     */
+    clone(data) {
+        return JSON.parse(JSON.stringify(data));
+    }
+
+    async get(path, docId) {
+        const data = this.collection(path).get(docId);
+        return data ? this.clone(data) : null;
+    }
+
+    async set(path, docId, data, options = { merge: true }) {
+        await this.applyWrite({ type: 'set', path, id: docId, data, options });
+    }
+
+    async update(path, docId, data) {
+        await this.applyWrite({ type: 'update', path, id: docId, data });
+    }
+
+    async delete(path, docId) {
+        await this.applyWrite({ type: 'delete', path, id: docId });
+    }
+
+    async list(path, query = {}) {
+        const docs = [...this.collection(path).entries()].map(([id, data]) => ({ id, ...this.clone(data) }));
+        return runLocalQuery(docs, query);
+    }
+
+    /**
+     * List documents across every collection with the given ID
+     * @param {string} collectionId - Last segment of the collection path (e.g. 'sessions')
+     * @param {Object} query - Query options (where, limit)
+     * @returns {Promise<Array>} Documents with their IDs and parentPath (the collection path)
+     */
+    async listGroup(collectionId, query = {}) {
+        const docs = [];
+        this.collections.forEach((collection, path) => {
+            if (path.split('/').pop() !== collectionId) return;
+            collection.forEach((data, id) => docs.push({ id, parentPath: path, ...this.clone(data) }));
+        });
+        return runLocalQuery(docs, query);
+    }
+
+    /**
+     * Commit several writes atomically
+     * @param {Array} writes - Write operations ({ type, path, id, data, options })
+     */
+    async commit(writes) {
+        // Work out every result first so a failing write leaves nothing half-applied
+        const results = new Map();
+        writes.forEach(write => {
+            const key = `${write.path}/${write.id}`;
+            const existing = results.has(key)
+                ? results.get(key).data
+                : this.collection(write.path).get(write.id) || null;
+
+            if (write.type === 'update' && !existing) {
+                throw new Error(`No document to update: ${key}`);
+            }
+
+            const data = applyWrite(existing, { ...write, data: write.data && this.clone(write.data) });
+            results.set(key, { write, data });
+        });
+
+        results.forEach(({ write, data }) => {
+            if (data) {
+                this.collection(write.path).set(write.id, data);
+            } else {
+                this.collection(write.path).delete(write.id);
+            }
+        });
+        this.save();
+    }
+
+    /**
+     * Apply a single write and persist the result
+     * @param {Object} write - Write operation ({ type, path, id, data, options })
+     */
+    applyWrite(write) {
+        return this.commit([write]);
+    }
+
+    /**
+     * Remove all data (and the persisted copy)
+     */
+    clear() {
+        this.collections.clear();
+        if (this.persist) {
+            localStorage.removeItem(this.storageKey);
+        }
+    }
+}
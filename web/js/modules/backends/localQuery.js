@@ -0,0 +1,164 @@
+/**
+ * Local Query Helpers
+ * Evaluates storage queries and writes against plain in-memory documents
+ */
+
+import { isFieldOp, hasFieldOp, resolveFieldOp, resolvePercentages, mapFieldOps } from './fieldOps.js';
+
+/**
+ * Compare a document field against a value using a Firestore-style operator
+ * @param {any} fieldValue - Value stored on the document
+ * @param {string} operator - Query operator (==, !=, <, <=, >, >=, array-contains, in)
+ * @param {any} value - Value to compare against
+ * @returns {boolean} True if the clause matches
+ */
+function matchesClause(fieldValue, operator, value) {
+    switch (operator) {
+        case '==': return fieldValue === value;
+        case '!=': return fieldValue !== value;
+        case '<': return fieldValue < value;
+        case '<=': return fieldValue <= value;
+        case '>': return fieldValue > value;
+        case '>=': return fieldValue >= value;
+        case 'array-contains': return Array.isArray(fieldValue) && fieldValue.includes(value);
+        case 'in': return Array.isArray(value) && value.includes(fieldValue);
+        default:
+            throw new Error(`Unsupported query operator: ${operator}`);
+    }
+}
+
+/**
+ * Read a field from a document, following dots into maps (e.g. 'styleStats.spin.points')
+ * @param {Object} doc - Document
+ * @param {string} field - Field path
+ * @returns {any} Field value, or undefined if missing
+ */
+function getFieldValue(doc, field) {
+    return field.split('.').reduce((value, key) => (isPlainObject(value) ? value[key] : undefined), doc);
+}
+
+/**
+ * Run a storage query over an array of documents
+ * @param {Array} docs - Documents (each with an id)
+ * @param {Object} query - Query options (where, orderBy, direction, limit, startAfter)
+ * @returns {Array} Matching documents, ordered and limited
+ */
+export function runLocalQuery(docs, query = {}) {
+    let results = docs.filter(doc =>
+        (query.where || []).every(([field, operator, value]) =>
+            matchesClause(getFieldValue(doc, field), operator, value)
+        )
+    );
+
+    if (query.orderBy) {
+        const field = query.orderBy;
+        const direction = query.direction === 'desc' ? -1 : 1;
+        // Ties are broken by document ID, matching Firestore's implicit ordering
+        const compare = (aValue, aId, bValue, bId) => {
+            if (aValue < bValue) return -direction;
+            if (aValue > bValue) return direction;
+            if (aId < bId) return -direction;
+            if (aId > bId) return direction;
+            return 0;
+        };
+
+        // Firestore leaves out documents that don't have the ordered field
+        results = results
+            .filter(doc => getFieldValue(doc, field) !== undefined)
+            .sort((a, b) => compare(getFieldValue(a, field), a.id, getFieldValue(b, field), b.id));
+
+        if (query.startAfter) {
+            const { value, id } = query.startAfter;
+            results = results.filter(doc => compare(getFieldValue(doc, field), doc.id, value, id) > 0);
+        }
+    }
+
+    if (query.limit) {
+        results = results.slice(0, query.limit);
+    }
+
+    return results;
+}
+
+/**
+ * Check whether a value is a plain object (a Firestore map)
+ * @param {any} value - Value to check
+ * @returns {boolean} True for plain objects
+ */
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Deep-merge data into a document the way Firestore's set({ merge: true }) does
+ * @param {Object} target - Existing data
+ * @param {Object} data - Data being written
+ * @returns {Object} Merged data
+ */
+function mergeFields(target, data) {
+    const merged = { ...target };
+    Object.entries(data).forEach(([key, value]) => {
+        if (isFieldOp(value)) {
+            merged[key] = resolveFieldOp(merged[key], value);
+        } else if (isPlainObject(value) && isPlainObject(merged[key])) {
+            merged[key] = mergeFields(merged[key], value);
+        } else {
+            merged[key] = resolveFieldOps(undefined, value);
+        }
+    });
+    return merged;
+}
+
+/**
+ * Resolve any field operations in written data against the existing document
+ * @param {Object} existing - Current data (or undefined)
+ * @param {any} data - Data being written
+ * @returns {any} Data with operations replaced by their results
+ */
+function resolveFieldOps(existing, data) {
+    if (!isPlainObject(data)) return data;
+    return mapFieldOps(data, (op, path) => {
+        const current = path.reduce((value, key) => (isPlainObject(value) ? value[key] : undefined), existing);
+        return resolveFieldOp(current, op);
+    });
+}
+
+/**
+ * Apply a write operation to a document
+ * @param {Object|null} existing - Current document data, or null
+ * @param {Object} write - Write operation ({ type, data, options })
+ * @returns {Object|null} New document data, or null if deleted
+ */
+export function applyWrite(existing, write) {
+    // percentageOf reads fields the same write changes, so it's worked out from a first pass
+    if (write.data && hasFieldOp(write.data, 'percentageOf')) {
+        const result = applyWriteData(existing, write, write.data);
+        return applyWriteData(existing, write, resolvePercentages(write.data, result));
+    }
+    return applyWriteData(existing, write, write.data);
+}
+
+/**
+ * Apply a write operation's data to a document
+ * @param {Object|null} existing - Current document data, or null
+ * @param {Object} write - Write operation ({ type, options })
+ * @param {Object} data - Data being written
+ * @returns {Object|null} New document data, or null if deleted
+ */
+function applyWriteData(existing, write, data) {
+    switch (write.type) {
+        case 'delete':
+            return null;
+        case 'update':
+            if (!existing) {
+                throw new Error('No document to update');
+            }
+            return { ...existing, ...resolveFieldOps(existing, data) };
+        case 'set':
+            return write.options?.merge === false
+                ? resolveFieldOps(undefined, data)
+                : mergeFields(existing || {}, data);
+        default:
+            throw new Error(`Unsupported write type: ${write.type}`);
+    }
+}
@@ -0,0 +1,419 @@
+/**
+ * Offline Backend
+ * Wraps a remote backend with an IndexedDB cache and a durable write queue.
+ * Reads fall back to the cache when the network is unavailable; writes made
+ * offline are queued and replayed in order once the connection comes back.
+ */
+
+import { IndexedDbStore } from './indexedDbStore.js';
+import { isNetworkError } from './firestoreBackend.js';
+import { runLocalQuery, applyWrite } from './localQuery.js';
+
+// How long a write waits for the server before it's queued instead. On a
+// flaky connection the browser still reports online but Firestore holds
+// the write without failing it.
+export const REMOTE_WRITE_TIMEOUT_MS = 10000;
+
+/**
+ * Wait for a promise, giving up after a timeout
+ * @param {Promise} promise - Promise to wait for
+ * @param {number} ms - Timeout in milliseconds
+ * @returns {Promise<boolean>} True if it settled in time, false if it timed out
+ *   (a rejection within the timeout is passed on)
+ */
+async function settlesWithin(promise, ms) {
+    let timer;
+    const timeout = new Promise(resolve => {
+        timer = setTimeout(() => resolve(false), ms);
+    });
+    try {
+        return await Promise.race([promise.then(() => true), timeout]);
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+export class OfflineBackend {
+    /**
+     * @param {Object} remote - Backend that talks to the server
+     * @param {IndexedDbStore} cache - Local cache and write queue
+     */
+    constructor(remote, cache = new IndexedDbStore()) {
+        this.remote = remote;
+        this.cache = cache;
+        this.listeners = new Set();
+        this.flushing = null;
+        this.pendingWrites = [];
+        // Queued writes still waiting on a server call that timed out, by seq
+        this.inFlight = new Map();
+
+        if (typeof window !== 'undefined') {
+            window.addEventListener('online', () => this.flush());
+            window.addEventListener('offline', () => this.notify());
+        }
+    }
+
+    /**
+     * Initialize the remote backend and replay anything left in the queue
+     */
+    init() {
+        this.remote.init();
+        this.flush();
+    }
+
+    /**
+     * Check if the browser reports a network connection
+     * @returns {boolean} True if online
+     */
+    isOnline() {
+        return typeof navigator === 'undefined' || navigator.onLine !== false;
+    }
+
+    // Reads
+
+    /**
+     * Get a document, falling back to the cache when offline
+     * @param {string} path - Collection path
+     * @param {string} docId - Document ID
+     * @returns {Promise<Object|null>} Document data or null
+     */
+    async get(path, docId) {
+        if (this.isOnline()) {
+            try {
+                const data = await this.remote.get(path, docId);
+                await this.cacheQuietly(() => data
+                    ? this.cache.putDoc(path, docId, data)
+                    : this.cache.deleteDoc(path, docId));
+                return this.overlayPending(path, data ? [{ id: docId, ...data }] : [], docId)
+                    .map(({ id, ...rest }) => rest)[0] || null;
+            } catch (error) {
+                if (!isNetworkError(error)) throw error;
+            }
+        }
+        return await this.cache.getDoc(path, docId);
+    }
+
+    /**
+     * List documents, falling back to the cache when offline
+     * @param {string} path - Collection path
+     * @param {Object} query - Query options
+     * @returns {Promise<Array>} Documents with their IDs
+     */
+    async list(path, query = {}) {
+        if (this.isOnline()) {
+            try {
+                const docs = await this.remote.list(path, query);
+                const isFullCollection = !query.where && !query.limit && !query.startAfter;
+                await this.cacheQuietly(() => this.cache.putDocs(path, docs, isFullCollection));
+                return runLocalQuery(this.overlayPending(path, docs), query);
+            } catch (error) {
+                if (!isNetworkError(error)) throw error;
+            }
+        }
+        return runLocalQuery(await this.cache.listDocs(path), query);
+    }
+
+    /**
+     * List documents across every collection with the given ID.
+     * Not cached: these span other users' data, so they need a connection.
+     * @param {string} collectionId - Last segment of the collection path
+     * @param {Object} query - Query options
+     * @returns {Promise<Array>} Documents with their IDs and parentPath
+     */
+    async listGroup(collectionId, query = {}) {
+        return await this.remote.listGroup(collectionId, query);
+    }
+
+    /**
+     * Apply queued writes on top of documents read from the server,
+     * so items that haven't synced yet don't disappear from the UI
+     * @param {string} path - Collection path
+     * @param {Array} docs - Documents read from the server
+     * @param {string} onlyId - Restrict to a single document ID
+     * @returns {Array} Documents with pending writes applied
+     */
+    overlayPending(path, docs, onlyId = null) {
+        const byId = new Map(docs.map(doc => [doc.id, doc]));
+
+        this.pendingWrites
+            .filter(write => !write.error)
+            .flatMap(write => this.expandWrite(write))
+            .filter(write => write.path === path && (!onlyId || write.id === onlyId))
+            .forEach(write => {
+                const { id, ...existing } = byId.get(write.id) || {};
+                const next = applyWrite(byId.has(write.id) ? existing : null, write);
+                if (next) {
+                    byId.set(write.id, { id: write.id, ...next });
+                } else {
+                    byId.delete(write.id);
+                }
+            });
+
+        return [...byId.values()];
+    }
+
+    // Writes
+
+    async set(path, docId, data, options = { merge: true }) {
+        await this.write({ type: 'set', path, id: docId, data, options });
+    }
+
+    async update(path, docId, data) {
+        await this.write({ type: 'update', path, id: docId, data });
+    }
+
+    async delete(path, docId) {
+        await this.write({ type: 'delete', path, id: docId });
+    }
+
+    /**
+     * Commit several writes atomically. Offline, they are queued as a single
+     * item so they reach the server together.
+     * @param {Array} writes - Write operations
+     * @returns {Promise<void>}
+     */
+    async commit(writes) {
+        await this.write({ type: 'batch', writes });
+    }
+
+    /**
+     * Split a queued batch into its individual writes
+     * @param {Object} write - Write operation (possibly a batch)
+     * @returns {Array} Individual writes
+     */
+    expandWrite(write) {
+        return write.type === 'batch' ? write.writes : [write];
+    }
+
+    /**
+     * Check for queued writes that are still waiting to be sent (writes the
+     * server rejected stay in the queue for the user but don't hold others back)
+     * @returns {boolean} True if any queued write hasn't been rejected
+     */
+    hasQueuedWrites() {
+        return this.pendingWrites.some(write => !write.error);
+    }
+
+    /**
+     * Send a write to the server, or queue it if we're offline.
+     * Writes go to the back of the queue while older writes are still
+     * waiting, so the server always sees them in the order they were made.
+     * A write the server doesn't answer within REMOTE_WRITE_TIMEOUT_MS is
+     * queued too, and leaves the queue once the server confirms it.
+     * @param {Object} write - Write operation ({ type, path, id, data, options })
+     * @returns {Promise<void>}
+     */
+    async write(write) {
+        let sending = null;
+        if (this.isOnline() && !this.hasQueuedWrites()) {
+            try {
+                sending = this.sendRemote(write);
+                if (await settlesWithin(sending, REMOTE_WRITE_TIMEOUT_MS)) {
+                    await this.cacheQuietly(() => this.applyToCache(write));
+                    return;
+                }
+            } catch (error) {
+                if (!isNetworkError(error)) throw error;
+                sending = null;
+            }
+        }
+
+        const queued = { ...write, queuedAt: new Date().toISOString() };
+        queued.seq = await this.cache.enqueue(queued);
+        this.pendingWrites.push(queued);
+        await this.applyToCache(write);
+        this.notify();
+
+        if (sending) {
+            this.trackInFlight(queued, sending);
+        } else if (this.isOnline()) {
+            this.flush();
+        }
+    }
+
+    /**
+     * Follow a queued write whose server call timed out but may still land.
+     * It isn't sent again while the call is pending (that could apply it
+     * twice); once the call settles it leaves the queue, or is flagged if
+     * the server rejected it, and the rest of the queue is replayed.
+     * @param {Object} queued - Queued write
+     * @param {Promise} sending - The server call
+     */
+    trackInFlight(queued, sending) {
+        this.inFlight.set(queued.seq, sending);
+        sending
+            .then(async () => {
+                await this.cache.dequeue(queued.seq);
+                this.pendingWrites = this.pendingWrites.filter(w => w.seq !== queued.seq);
+            })
+            .catch(async (error) => {
+                if (isNetworkError(error)) return;
+                console.error(`Server rejected ${queued.type} write:`, error);
+                queued.error = error.message || String(error);
+                await this.cache.updateQueued(queued);
+            })
+            .catch(error => console.error('Error updating the offline write queue:', error))
+            .finally(() => {
+                this.inFlight.delete(queued.seq);
+                this.notify();
+                this.flush();
+            });
+    }
+
+    /**
+     * Send a single write to the remote backend
+     * @param {Object} write - Write operation
+     * @returns {Promise<void>}
+     */
+    async sendRemote(write) {
+        switch (write.type) {
+            case 'set':
+                return await this.remote.set(write.path, write.id, write.data, write.options);
+            case 'update':
+                return await this.remote.update(write.path, write.id, write.data);
+            case 'delete':
+                return await this.remote.delete(write.path, write.id);
+            case 'batch':
+                return await this.remote.commit(write.writes);
+            default:
+                throw new Error(`Unsupported write type: ${write.type}`);
+        }
+    }
+
+    /**
+     * Apply a write to the cached copy of a document
+     * @param {Object} write - Write operation
+     * @returns {Promise<void>}
+     */
+    async applyToCache(write) {
+        for (const single of this.expandWrite(write)) {
+            const existing = await this.cache.getDoc(single.path, single.id);
+            // An update to a document we never cached can't be applied locally
+            if (single.type === 'update' && !existing) continue;
+
+            const next = applyWrite(existing, single);
+            if (next) {
+                await this.cache.putDoc(single.path, single.id, next);
+            } else {
+                await this.cache.deleteDoc(single.path, single.id);
+            }
+        }
+    }
+
+    /**
+     * Replay queued writes against the server, oldest first, including any
+     * queued while it runs.
+     * Stops at the first network error or a write still in flight; writes
+     * the server rejects are kept and flagged so the user can see they
+     * didn't sync.
+     * @returns {Promise<void>}
+     */
+    async flush() {
+        if (this.flushing) return this.flushing;
+
+        this.flushing = (async () => {
+            // Keep writes queued while the queue was being read
+            const stored = await this.cache.getQueue();
+            const storedSeqs = new Set(stored.map(w => w.seq));
+            this.pendingWrites = [...stored, ...this.pendingWrites.filter(w => !storedSeqs.has(w.seq))]
+                .sort((a, b) => a.seq - b.seq);
+            this.notify();
+
+            while (this.isOnline()) {
+                const write = this.pendingWrites.find(w => !w.error);
+                if (!write || this.inFlight.has(write.seq)) break;
+
+                try {
+                    const sending = this.sendRemote(write);
+                    if (!await settlesWithin(sending, REMOTE_WRITE_TIMEOUT_MS)) {
+                        this.trackInFlight(write, sending);
+                        break;
+                    }
+                    await this.cache.dequeue(write.seq);
+                    this.pendingWrites = this.pendingWrites.filter(w => w.seq !== write.seq);
+                } catch (error) {
+                    if (isNetworkError(error)) break;
+                    console.error(`Server rejected queued ${write.type} write:`, error);
+                    write.error = error.message || String(error);
+                    await this.cache.updateQueued(write);
+                }
+                this.notify();
+            }
+        })()
+            .catch(error => console.error('Error replaying offline writes:', error))
+            .finally(() => {
+                this.flushing = null;
+                this.notify();
+            });
+
+        return this.flushing;
+    }
+
+    /**
+     * Drop a queued write that the server rejected
+     * @param {number} seq - Queue sequence number
+     * @returns {Promise<void>}
+     */
+    async discardWrite(seq) {
+        await this.cache.dequeue(seq);
+        this.pendingWrites = this.pendingWrites.filter(w => w.seq !== seq);
+        this.notify();
+
+        // Writes queued behind it can go now
+        if (this.isOnline()) {
+            this.flush();
+        }
+    }
+
+    // Sync status
+
+    /**
+     * Get the current sync status
+     * @returns {Object} { online, syncing, pending: Array of queued writes }
+     */
+    getSyncStatus() {
+        // Batches are listed write by write, each carrying the batch's seq and error
+        const pending = this.pendingWrites.flatMap(queued =>
+            this.expandWrite(queued).map(write => ({
+                ...write,
+                seq: queued.seq,
+                queuedAt: queued.queuedAt,
+                error: queued.error
+            }))
+        );
+
+        return {
+            online: this.isOnline(),
+            syncing: this.flushing !== null,
+            pending
+        };
+    }
+
+    /**
+     * Subscribe to sync status changes
+     * @param {Function} callback - Receives the sync status
+     * @returns {Function} Unsubscribe function
+     */
+    onSyncChange(callback) {
+        this.listeners.add(callback);
+        return () => this.listeners.delete(callback);
+    }
+
+    notify() {
+        const status = this.getSyncStatus();
+        this.listeners.forEach(callback => callback(status));
+    }
+
+    /**
+     * Run a cache operation, logging instead of failing if IndexedDB is unavailable
+     * @param {Function} operation - Async cache operation
+     * @returns {Promise<void>}
+     */
+    async cacheQuietly(operation) {
+        try {
+            await operation();
+        } catch (error) {
+            console.warn('Offline cache unavailable:', error);
+        }
+    }
+}
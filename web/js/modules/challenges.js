@@ -6,6 +6,15 @@
 import { CHALLENGE_TYPES, CONSTANTS } from '../config/constants.js';
 import { storageManager } from './storage.js';
 import { userManager } from './user.js';
+import { getSessionStations, calculateStreaks } from '../utils/calculations.js';
+import { addDays, getToday } from '../utils/dates.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Goals that add up a week of sessions. The security rules can only check
+// a player's claim against one session, so an admin awards these instead
+// (awardWeekGoals).
+const WEEK_GOAL_TYPES = ['volume', 'streak'];
 
 class ChallengeManager {
     constructor() {
@@ -19,22 +28,31 @@ class ChallengeManager {
     async loadWeeklyChallenge() {
         const challenge = await storageManager.getWeeklyChallenge();
 
-        if (challenge) {
-            const challengeDate = new Date(challenge.startDate);
-            const now = new Date();
-            const daysDiff = Math.floor((now - challengeDate) / (1000 * 60 * 60 * 24));
-
-            // Check if challenge is still valid (less than 7 days old)
-            if (daysDiff < CONSTANTS.CHALLENGE.DURATION_DAYS) {
-                this.currentChallenge = challenge;
-                return challenge;
+        if (challenge && this.isRunning(challenge)) {
+            this.currentChallenge = challenge;
+            // Week goals are awarded by an admin, so the achievement comes with the next load
+            if (this.isCompletedByUser()) {
+                await userManager.addAchievement('challenge_accepted');
             }
+            return challenge;
         }
 
         // Create new challenge if none exists or old one expired
         return await this.createNewChallenge();
     }
 
+    /**
+     * Whether a challenge is still running (less than 7 days old).
+     * Challenges rotate a fixed time after they start (the same moment in every
+     * time zone, which is also what the security rules check), not at midnight.
+     * @param {Object} challenge - Challenge
+     * @returns {boolean} True if it hasn't expired
+     */
+    isRunning(challenge) {
+        const startedAt = challenge.startedAt || new Date(challenge.startDate).getTime();
+        return Math.floor((Date.now() - startedAt) / DAY_MS) < CONSTANTS.CHALLENGE.DURATION_DAYS;
+    }
+
     /**
      * Create a new weekly challenge
      * @returns {Promise<Object>} New challenge
@@ -47,6 +65,7 @@ class ChallengeManager {
         const newChallenge = {
             ...challengeType,
             startDate: new Date().toISOString(),
+            startedAt: Date.now(), // Milliseconds, so security rules can check the challenge has expired
             id: `challenge_${Date.now()}`,
             completed: false,
             completedBy: []
@@ -60,7 +79,9 @@ class ChallengeManager {
     }
 
     /**
-     * Check if session completes the current challenge
+     * Check if session completes the current challenge. Only one-session
+     * goals are claimed here, right after the session is saved: the security
+     * rules check the claim against the session the user doc last named.
      * @param {Object} session - Session to check
      * @returns {Promise<boolean>} True if challenge was completed
      */
@@ -77,6 +98,11 @@ class ChallengeManager {
             return false;
         }
 
+        // Style challenges (e.g. straddle week) only count sessions putted in that style
+        if (!this.matchesStyle(session) || WEEK_GOAL_TYPES.includes(this.currentChallenge.type)) {
+            return false;
+        }
+
         let completed = false;
 
         switch (this.currentChallenge.type) {
@@ -88,29 +114,8 @@ class ChallengeManager {
                 break;
 
             case 'distance':
-                // Make 5+ putts from target distance or higher
-                if (session.distance >= this.currentChallenge.target && session.makes >= 5) {
-                    completed = true;
-                }
-                break;
-
-            case 'volume':
-                // Make target number of putts this week
-                const weekAgo = new Date();
-                weekAgo.setDate(weekAgo.getDate() - 7);
-                const thisWeekSessions = userManager.sessions.filter(s => 
-                    new Date(s.date) >= weekAgo
-                );
-                const totalMakes = thisWeekSessions.reduce((sum, s) => sum + s.makes, 0);
-                if (totalMakes >= this.currentChallenge.target) {
-                    completed = true;
-                }
-                break;
-
-            case 'streak':
-                // Practice target number of days this week
-                const stats = userManager.getStatistics();
-                if (stats.currentStreak >= this.currentChallenge.target) {
+                // Make 5+ putts from target distance or higher (at one station)
+                if (getSessionStations(session).some(s => s.distance >= this.currentChallenge.target && s.makes >= 5)) {
                     completed = true;
                 }
                 break;
@@ -130,6 +135,85 @@ class ChallengeManager {
         return completed;
     }
 
+    /**
+     * Sessions played in the last 7 days: today and the 6 days before it,
+     * as calendar days in the player's time zone
+     * @param {Array} sessions - Sessions to filter
+     * @returns {Array} Sessions in the window
+     */
+    getThisWeekSessions(sessions) {
+        const since = this.getWeekStart();
+        return sessions.filter(s => s.date >= since);
+    }
+
+    /**
+     * First day of the 7-day window challenges count
+     * @param {string} today - Today as YYYY-MM-DD in the player's time zone
+     * @returns {string} Date as YYYY-MM-DD
+     */
+    getWeekStart(today = userManager.getToday()) {
+        return addDays(today, -(CONSTANTS.CHALLENGE.DURATION_DAYS - 1));
+    }
+
+    /**
+     * Whether a session counts toward a challenge's style, if it has one
+     * @param {Object} session - Session to check
+     * @param {Object} challenge - Challenge (defaults to the current one)
+     * @returns {boolean} True if the challenge has no style or the session matches it
+     */
+    matchesStyle(session, challenge = this.currentChallenge) {
+        const style = challenge?.style;
+        return !style || session.style === style;
+    }
+
+    /**
+     * Whether a player's last 7 days of sessions meet a volume or streak challenge
+     * @param {Object} challenge - Challenge
+     * @param {Array} sessions - Sessions in the window (see getWeekStart)
+     * @param {string} timeZone - Player's time zone
+     * @returns {boolean} True if the goal is met
+     */
+    hasMetWeekGoal(challenge, sessions, timeZone) {
+        const counted = sessions.filter(s => !s.pending && this.matchesStyle(s, challenge));
+        if (challenge.type === 'volume') {
+            // Make target number of putts this week
+            return counted.reduce((sum, s) => sum + s.makes, 0) >= challenge.target;
+        }
+        // Practice target number of days this week
+        return calculateStreaks(counted, timeZone).current >= challenge.target;
+    }
+
+    /**
+     * Award a running volume or streak challenge to every player whose
+     * last 7 days meet it (admin action, run with the community stats recompute).
+     * Each award is its own atomic write to the server.
+     * @param {Array} users - Every user doc
+     * @returns {Promise<number>} Number of players awarded
+     */
+    async awardWeekGoals(users) {
+        const challenge = await storageManager.getServerBackend().get('challenges', 'weekly');
+        if (!challenge || !WEEK_GOAL_TYPES.includes(challenge.type) || !this.isRunning(challenge)) {
+            return 0;
+        }
+
+        let awarded = 0;
+        for (const user of users) {
+            if (challenge.completedBy?.includes(user.id)) continue;
+
+            const since = this.getWeekStart(getToday(user.timeZone));
+            const sessions = await storageManager.getSessionsSinceFromServer(user.id, since, user.timeZone);
+            if (this.hasMetWeekGoal(challenge, sessions, user.timeZone)) {
+                await storageManager.recordChallengeCompletion(user.id, challenge, { toServer: true });
+                awarded++;
+            }
+        }
+
+        if (awarded > 0) {
+            console.log(`🎉 Weekly challenge awarded to ${awarded} player${awarded !== 1 ? 's' : ''}`);
+        }
+        return awarded;
+    }
+
     /**
      * Mark challenge as completed for current user
      * @returns {Promise<void>}
@@ -144,12 +228,10 @@ class ChallengeManager {
         }
 
         if (!this.currentChallenge.completedBy.includes(user.id)) {
+            // Record completion and award points together
+            await storageManager.recordChallengeCompletion(user.id, this.currentChallenge);
             this.currentChallenge.completedBy.push(user.id);
-            await storageManager.saveWeeklyChallenge(this.currentChallenge);
-
-            // Award points
-            user.totalPoints += this.currentChallenge.reward;
-            await storageManager.saveUser(user);
+            await userManager.reloadUser();
 
             // Check for challenge achievement
             await userManager.addAchievement('challenge_accepted');
@@ -187,7 +269,7 @@ class ChallengeManager {
         const user = userManager.getCurrentUser();
         if (!user) return null;
 
-        const sessions = userManager.sessions;
+        const sessions = userManager.sessions.filter(s => this.matchesStyle(s));
         const stats = userManager.getStatistics();
 
         let progress = 0;
@@ -200,16 +282,14 @@ class ChallengeManager {
                 break;
 
             case 'distance':
-                const longSessions = sessions.filter(s => s.distance >= target);
+                const longSessions = sessions.flatMap(getSessionStations).filter(s => s.distance >= target);
                 const maxMakes = Math.max(...longSessions.map(s => s.makes), 0);
                 progress = Math.min(maxMakes, 5);
                 target = 5;
                 break;
 
             case 'volume':
-                const weekAgo = new Date();
-                weekAgo.setDate(weekAgo.getDate() - 7);
-                const thisWeekSessions = sessions.filter(s => new Date(s.date) >= weekAgo);
+                const thisWeekSessions = this.getThisWeekSessions(sessions);
                 progress = thisWeekSessions.reduce((sum, s) => sum + s.makes, 0);
                 break;
 
@@ -0,0 +1,190 @@
+/**
+ * Community Stats Module
+ * Numbers that span every player rather than one: putt totals per distance
+ * summed over all users (stats/community), which the strokes gained
+ * baseline is fit to, each player's leaderboardStats (strokes gained
+ * and circle make rates) that those leaderboards are queried by, and
+ * skill ratings, which are measured against the baseline and opponents.
+ * Players read them; an admin recomputes them from every user doc and the
+ * histories of players with new activity, reconciling those players'
+ * totals on the way.
+ */
+
+import { storageManager } from './storage.js';
+import { challengeManager } from './challenges.js';
+import { reconciliationManager } from './reconciliation.js';
+import { PUTTING_CIRCLES } from '../config/constants.js';
+import { getCircleAccuracy } from '../utils/calculations.js';
+import { sumDistanceStats, buildCommunityBaseline, calculateStrokesGained, distanceStatsToPutts, SG_MIN_ATTEMPTS } from '../utils/strokesGained.js';
+import { collectRatingResults, calculateRating, getRatingPeriod } from '../utils/rating.js';
+import { getToday } from '../utils/dates.js';
+
+// Where the community totals are kept
+const STATS_COLLECTION = 'stats';
+const COMMUNITY_DOC = 'community';
+
+/**
+ * Whether two stored values are the same (missing counts as null)
+ * @param {any} a - Value
+ * @param {any} b - Value
+ * @returns {boolean} True if equal
+ */
+function isSameValue(a, b) {
+    return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+/**
+ * Leaderboard stats for one player. Only stats the player qualifies for
+ * are included, so a leaderboard query ordered by one leaves out everyone
+ * who doesn't rank on it.
+ * @param {Object} user - User document
+ * @param {Object|null} baseline - Community make curve
+ * @returns {Object} { strokesGained, c1, c1x, c2 } (any may be missing)
+ */
+export function getLeaderboardStats(user, baseline) {
+    const stats = {};
+
+    if (baseline) {
+        const { rate, attempts } = calculateStrokesGained(distanceStatsToPutts(user.distanceStats), baseline);
+        if (attempts >= SG_MIN_ATTEMPTS) stats.strokesGained = rate;
+    }
+
+    PUTTING_CIRCLES.forEach(circle => {
+        const totals = user.circleStats?.[circle.id];
+        if ((totals?.attempts || 0) >= circle.minAttempts) {
+            stats[circle.id] = getCircleAccuracy(totals);
+        }
+    });
+
+    return stats;
+}
+
+class CommunityStatsManager {
+    constructor() {
+        this.stats = null;
+        this.baseline = null;
+    }
+
+    /**
+     * Load the community stats and fit the strokes gained baseline to them
+     * @returns {Promise<Object|null>} { distanceStats, players, updatedAt }, or null if never computed
+     */
+    async loadCommunityStats() {
+        this.stats = await storageManager.get(STATS_COLLECTION, COMMUNITY_DOC);
+        this.baseline = this.stats ? buildCommunityBaseline(this.stats.distanceStats) : null;
+        return this.stats;
+    }
+
+    /**
+     * Community make curve that strokes gained is measured against
+     * @returns {Object|null} Make curve, or null until there's enough data
+     */
+    getBaseline() {
+        return this.baseline;
+    }
+
+    /**
+     * When the community stats were last recomputed
+     * @returns {string|null} ISO timestamp
+     */
+    getUpdatedAt() {
+        return this.stats?.updatedAt || null;
+    }
+
+    /**
+     * Recalculate a player's skill rating from their history
+     * @param {Object} user - User document
+     * @param {Object} history - The player's { sessions, routines, games }, read from the server
+     * @param {Array} players - Every user doc, to look opponents up in
+     * @param {Object|null} baseline - Community make curve
+     * @param {string} today - YYYY-MM-DD in the player's time zone
+     * @returns {Object} Rating fields for the user doc (null while unrated)
+     */
+    rateUser(user, history, players, baseline, today) {
+        const rating = calculateRating(
+            collectRatingResults(history, { baseline, players, playerId: user.id }),
+            today
+        );
+        return {
+            rating: rating ? rating.rating : null,
+            ratingDeviation: rating ? rating.rd : null,
+            ratingHistory: rating ? rating.history : null
+        };
+    }
+
+    /**
+     * Recompute the community totals from every user doc, then every
+     * player's leaderboard stats against the new baseline and the ratings
+     * of players who've logged activity or entered a new rating period
+     * since their last rating (admin action). Those players' aggregates are
+     * reconciled with the history read for their rating first (see
+     * reconciliationManager), so drift is fixed within the hour for anyone
+     * who's been active and within the week for everyone, and the baseline
+     * is only ever fit to distanceStats rebuilt from saved activities.
+     * Also awards a running volume or streak challenge to the players who've met it.
+     * Everything is read from the server; a failed read aborts before anything is written.
+     * @returns {Promise<Object>} { players, updated, rated, reconciled, awarded } counts
+     */
+    async recompute() {
+        const users = await storageManager.getServerBackend().list('users');
+        const awarded = await challengeManager.awardWeekGoals(users);
+
+        // A rating only moves with new results or (RD growing) a new week
+        const histories = new Map();
+        for (const user of users) {
+            const ratingUpdated = { writeId: user.lastActivity?.writeId ?? null, period: getRatingPeriod(getToday(user.timeZone)) };
+            if (!isSameValue(user.ratingUpdated, ratingUpdated)) {
+                // Compared with the user doc read alongside the history, so
+                // an activity saved since the list was read isn't counted twice
+                const history = await storageManager.getUserHistoryFromServer(user.id);
+                const expected = reconciliationManager.computeAggregates({ ...history, bonusPoints: history.user?.bonusPoints || 0 });
+                const differences = history.user ? reconciliationManager.findDifferences(history.user, expected) : [];
+                histories.set(user.id, { history, expected, differences, ratingUpdated });
+            }
+        }
+
+        const players = users.map(user => histories.has(user.id)
+            ? { ...user, ...histories.get(user.id).expected }
+            : user);
+        const distanceStats = sumDistanceStats(players);
+        const baseline = buildCommunityBaseline(distanceStats);
+
+        const writes = [];
+        let reconciled = 0;
+        users.forEach((user, index) => {
+            const player = players[index];
+            const updates = {};
+
+            if (histories.has(user.id)) {
+                const { history, differences, ratingUpdated } = histories.get(user.id);
+                if (differences.length > 0) {
+                    Object.assign(updates, reconciliationManager.getFixes(differences));
+                    reconciled++;
+                }
+                Object.assign(updates, this.rateUser(player, history, players, baseline, getToday(user.timeZone)), { ratingUpdated });
+            }
+
+            // Update replaces leaderboardStats whole, dropping stats a player no longer qualifies for
+            const leaderboardStats = getLeaderboardStats(player, baseline);
+            if (!isSameValue(user.leaderboardStats, leaderboardStats)) {
+                updates.leaderboardStats = leaderboardStats;
+            }
+
+            if (Object.keys(updates).length > 0) {
+                writes.push({ type: 'update', path: 'users', id: user.id, data: updates });
+            }
+        });
+
+        const stats = { distanceStats, players: users.length, updatedAt: new Date().toISOString() };
+        writes.push({ type: 'set', path: STATS_COLLECTION, id: COMMUNITY_DOC, data: stats, options: { merge: false } });
+        await storageManager.commitInBatches(writes, { toServer: true });
+
+        this.stats = stats;
+        this.baseline = baseline;
+        console.log(`📊 Community stats recomputed from ${users.length} players (${writes.length - 1} updated, ${histories.size} rated, ${reconciled} reconciled)`);
+        return { players: users.length, updated: writes.length - 1, rated: histories.size, reconciled, awarded };
+    }
+}
+
+// Export singleton instance
+export const communityStatsManager = new CommunityStatsManager();
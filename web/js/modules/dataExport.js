@@ -0,0 +1,251 @@
+/**
+ * Data Export Module
+ * Exports a user's account (profile, sessions, routine completions and
+ * game completions) as a versioned JSON archive or as per-collection CSVs
+ */
+
+import { storageManager } from './storage.js';
+import { getToday } from '../utils/dates.js';
+
+export const EXPORT_FORMAT = 'puttingimprover-export';
+
+// Bump when the archive layout changes so imports can tell old files apart
+export const EXPORT_VERSION = 1;
+
+/**
+ * Write a putt-by-putt sequence compactly for CSV, e.g. "MMXM"
+ * @param {Array<boolean>|null} sequence - Putts in order (true = make)
+ * @returns {string|null} M for a make, X for a miss
+ */
+export function formatPuttSequence(sequence) {
+    return Array.isArray(sequence) ? sequence.map(made => (made ? 'M' : 'X')).join('') : null;
+}
+
+/**
+ * CSV columns per collection. Headers are part of the export format:
+ * only ever append columns, never rename or reorder them.
+ */
+export const CSV_COLUMNS = {
+    sessions: [
+        { header: 'id', value: s => s.id },
+        { header: 'date', value: s => s.date },
+        { header: 'timestamp', value: s => s.timestamp },
+        { header: 'distance', value: s => s.distance },
+        { header: 'makes', value: s => s.makes },
+        { header: 'attempts', value: s => s.attempts },
+        { header: 'percentage', value: s => s.percentage },
+        { header: 'points', value: s => s.points },
+        { header: 'routineName', value: s => s.routineName },
+        { header: 'pending', value: s => s.pending },
+        { header: 'loggedBy', value: s => s.loggedBy },
+        { header: 'loggedByName', value: s => s.loggedByName },
+        { header: 'schemaVersion', value: s => s.schemaVersion },
+        { header: 'sequence', value: s => formatPuttSequence(s.sequence) },
+        { header: 'misses', value: s => s.misses },
+        { header: 'style', value: s => s.style },
+        { header: 'conditions', value: s => s.conditions },
+        { header: 'discIds', value: s => s.discIds },
+        { header: 'stations', value: s => s.stations },
+        { header: 'timeZone', value: s => s.timeZone },
+        { header: 'loggedAt', value: s => s.loggedAt },
+        { header: 'notes', value: s => s.notes },
+        { header: 'tags', value: s => s.tags },
+        { header: 'pointsVersion', value: s => s.pointsVersion }
+    ],
+    routineCompletions: [
+        { header: 'id', value: r => r.id },
+        { header: 'routineId', value: r => r.routineId },
+        { header: 'routineName', value: r => r.routineName },
+        { header: 'date', value: r => r.date },
+        { header: 'startTime', value: r => r.startTime },
+        { header: 'endTime', value: r => r.endTime },
+        { header: 'duration', value: r => r.duration },
+        { header: 'points', value: r => r.points },
+        { header: 'totalMakes', value: r => r.totalStats?.totalMakes },
+        { header: 'totalAttempts', value: r => r.totalStats?.totalAttempts },
+        { header: 'overallPercentage', value: r => r.totalStats?.overallPercentage },
+        { header: 'drills', value: r => r.drills || r.drillResults },
+        { header: 'notes', value: r => r.notes },
+        { header: 'pending', value: r => r.pending },
+        { header: 'loggedBy', value: r => r.loggedBy },
+        { header: 'loggedByName', value: r => r.loggedByName },
+        { header: 'schemaVersion', value: r => r.schemaVersion },
+        { header: 'conditions', value: r => r.conditions },
+        { header: 'timeZone', value: r => r.timeZone },
+        { header: 'loggedAt', value: r => r.loggedAt },
+        { header: 'tags', value: r => r.tags },
+        { header: 'pointsVersion', value: r => r.pointsVersion }
+    ],
+    gameCompletions: [
+        { header: 'id', value: g => g.id },
+        { header: 'gameId', value: g => g.gameId },
+        { header: 'gameName', value: g => g.gameName },
+        { header: 'date', value: g => g.date },
+        { header: 'endTime', value: g => g.endTime },
+        { header: 'score', value: g => g.score },
+        { header: 'points', value: g => g.points },
+        { header: 'goalAchieved', value: g => g.goalAchieved },
+        { header: 'time', value: g => g.time },
+        { header: 'strokes', value: g => g.strokes },
+        { header: 'gamePoints', value: g => g.gamePoints },
+        { header: 'totalPutts', value: g => g.totalPutts },
+        { header: 'maxDistance', value: g => g.maxDistance },
+        { header: 'rounds', value: g => g.rounds },
+        { header: 'streak', value: g => g.streak },
+        { header: 'attempts', value: g => g.attempts },
+        { header: 'pending', value: g => g.pending },
+        { header: 'loggedBy', value: g => g.loggedBy },
+        { header: 'loggedByName', value: g => g.loggedByName },
+        { header: 'schemaVersion', value: g => g.schemaVersion },
+        { header: 'sequence', value: g => formatPuttSequence(g.sequence) },
+        { header: 'style', value: g => g.style },
+        { header: 'conditions', value: g => g.conditions },
+        { header: 'timeZone', value: g => g.timeZone },
+        { header: 'loggedAt', value: g => g.loggedAt },
+        { header: 'notes', value: g => g.notes },
+        { header: 'tags', value: g => g.tags },
+        { header: 'distance', value: g => g.distance },
+        { header: 'turns', value: g => g.turns },
+        { header: 'pointsVersion', value: g => g.pointsVersion },
+        { header: 'won', value: g => g.won },
+        { header: 'opponent', value: g => g.opponent },
+        { header: 'opponents', value: g => g.opponents }
+    ]
+};
+
+/**
+ * Format one value as a CSV cell
+ * @param {any} value - Cell value (objects and arrays are written as JSON)
+ * @returns {string} Escaped cell
+ */
+export function toCsvCell(value) {
+    if (value === null || value === undefined) return '';
+
+    let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+
+    // Stop spreadsheets from running text (e.g. another player's name) as a formula
+    if (/^[=+\-@]/.test(text) && isNaN(Number(text))) {
+        text = `'${text}`;
+    }
+
+    if (/[",\r\n]/.test(text)) {
+        return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+}
+
+/**
+ * Build a CSV document
+ * @param {Array} rows - Documents to export
+ * @param {Array} columns - Column definitions ({ header, value })
+ * @returns {string} CSV text with a header row
+ */
+export function toCsv(rows, columns) {
+    const lines = [columns.map(column => column.header).join(',')];
+    rows.forEach(row => {
+        lines.push(columns.map(column => toCsvCell(column.value(row))).join(','));
+    });
+    return lines.join('\r\n') + '\r\n';
+}
+
+class DataExportManager {
+    /**
+     * Collect everything stored for a user into a versioned archive.
+     * Read from the server; a failed read throws rather than leaving a
+     * collection out, so an export is always complete.
+     * @param {string} userId - User ID
+     * @returns {Promise<Object>} Export archive
+     */
+    async buildArchive(userId) {
+        if (!storageManager.isInSyncWithServer()) {
+            throw new Error('Go online and let your changes sync before exporting');
+        }
+
+        const { user, sessions, routines: routineCompletions, games: gameCompletions } =
+            await storageManager.getUserHistoryFromServer(userId);
+        if (!user) {
+            throw new Error('User not found');
+        }
+
+        return {
+            format: EXPORT_FORMAT,
+            version: EXPORT_VERSION,
+            exportedAt: new Date().toISOString(),
+            user,
+            sessions,
+            routineCompletions,
+            gameCompletions
+        };
+    }
+
+    /**
+     * Build a file name for an export
+     * @param {Object} user - User document
+     * @param {string} suffix - Part after the user's name (e.g. 'sessions.csv')
+     * @returns {string} File name
+     */
+    getFileName(user, suffix) {
+        const name = (user.displayName || user.id).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+        const date = getToday(user.timeZone);
+        return `puttingimprover-${name || 'user'}-${date}-${suffix}`;
+    }
+
+    /**
+     * Save text as a file in the browser
+     * @param {string} fileName - File name
+     * @param {string} content - File contents
+     * @param {string} mimeType - MIME type
+     */
+    download(fileName, content, mimeType) {
+        const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        // Give the browser a moment to start the download before releasing the blob
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * Download a user's data as a JSON archive
+     * @param {string} userId - User ID
+     * @returns {Promise<Object>} The exported archive
+     */
+    async exportJson(userId) {
+        const archive = await this.buildArchive(userId);
+        this.download(
+            this.getFileName(archive.user, 'export.json'),
+            JSON.stringify(archive, null, 2),
+            'application/json'
+        );
+
+        console.log(`📦 Exported ${archive.sessions.length} sessions, ${archive.routineCompletions.length} routines, ${archive.gameCompletions.length} games`);
+        return archive;
+    }
+
+    /**
+     * Download a user's data as one CSV file per collection
+     * @param {string} userId - User ID
+     * @returns {Promise<Object>} The exported archive
+     */
+    async exportCsv(userId) {
+        const archive = await this.buildArchive(userId);
+
+        Object.entries(CSV_COLUMNS).forEach(([collection, columns]) => {
+            this.download(
+                this.getFileName(archive.user, `${collection}.csv`),
+                toCsv(archive[collection], columns),
+                'text/csv;charset=utf-8'
+            );
+        });
+
+        console.log('📦 Exported CSV files for', Object.keys(CSV_COLUMNS).join(', '));
+        return archive;
+    }
+}
+
+// Export singleton instance
+export const dataExportManager = new DataExportManager();
@@ -0,0 +1,391 @@
+/**
+ * Data Import Module
+ * Reads historical putting sessions from a CSV spreadsheet or from the
+ * app's own JSON export, validates each row and flags duplicates so the
+ * user can review everything before it's saved
+ */
+
+import { validateSessionInput, validateDate, sanitizeString, validatePuttSequence, validateMissCounts, isValidPuttingStyle, validateConditions, validateStations, parseTags, validateTags } from '../utils/validation.js';
+import { calculateStationTotals } from '../utils/calculations.js';
+import { isValidTimeZone } from '../utils/dates.js';
+import { PUTTING_STYLES } from '../config/constants.js';
+import { EXPORT_FORMAT, EXPORT_VERSION } from './dataExport.js';
+
+// Accepted CSV header names (lowercase, spaces/underscores removed) per field
+const CSV_HEADER_ALIASES = {
+    date: ['date', 'day', 'sessiondate'],
+    distance: ['distance', 'distanceft', 'feet', 'ft'],
+    makes: ['makes', 'made', 'make'],
+    attempts: ['attempts', 'putts', 'attempt', 'total'],
+    routineName: ['routine', 'routinename'],
+    notes: ['notes', 'note', 'comment', 'comments'],
+    sequence: ['sequence', 'puttsequence'],
+    misses: ['misses', 'missdirections'],
+    style: ['style', 'puttingstyle', 'stance'],
+    conditions: ['conditions'],
+    stations: ['stations'],
+    timeZone: ['timezone', 'tz'],
+    tags: ['tags', 'tag', 'labels']
+};
+
+/**
+ * Split CSV text into rows of cells (handles quoted cells, escaped quotes and CRLF)
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows of cells
+ */
+export function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    // Strip a byte order mark left by spreadsheet apps
+    const input = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    // Drop blank lines
+    return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+/**
+ * Undo the formula guard our CSV export adds to text cells
+ * @param {string} value - Cell value
+ * @returns {string} Original text
+ */
+function unescapeCell(value) {
+    return /^'[=+\-@]/.test(value) ? value.slice(1) : value;
+}
+
+/**
+ * Turn a date cell into YYYY-MM-DD
+ * @param {string} value - Date as written in the file
+ * @returns {string|null} Normalized date, or null if it can't be parsed
+ */
+function normalizeDate(value) {
+    const text = (value || '').trim();
+    if (/^\d{4}-\d{2}-\d{2}$/.test(text)) return text;
+
+    // Full timestamps keep their calendar date
+    if (/^\d{4}-\d{2}-\d{2}T/.test(text)) return text.split('T')[0];
+
+    // Other formats (e.g. 3/14/2024) are read in the local timezone
+    const date = new Date(text);
+    if (isNaN(date.getTime())) return null;
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Read a putt sequence as written by our CSV export ("MMXM") or JSON export (a list)
+ * @param {string|Array|null} value - Sequence from the file
+ * @returns {Array|null} Putts in order (true = make), or null if there is none.
+ *   Unknown characters are kept so validation can report them.
+ */
+function readPuttSequence(value) {
+    if (Array.isArray(value)) return value;
+
+    const text = String(value ?? '').trim().toUpperCase();
+    if (!text) return null;
+    return [...text].map(char => (char === 'M' ? true : char === 'X' ? false : char));
+}
+
+/**
+ * Read an object cell as written by our exports (JSON in CSV, already parsed in JSON),
+ * e.g. a miss breakdown or practice conditions
+ * @param {string|Object|null} value - Cell from the file
+ * @returns {Object|null} Parsed object, or null if the cell is empty
+ */
+function readObjectCell(value) {
+    if (value && typeof value === 'object') return value;
+
+    const text = String(value ?? '').trim();
+    if (!text) return null;
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        return text; // Reported by validation
+    }
+}
+
+/**
+ * Read tags as written by our CSV export (a JSON list), a JSON export (a list)
+ * or by hand ("new grip, league night")
+ * @param {string|Array|null} value - Tags from the file
+ * @returns {Array<string>} Tags (empty if there are none)
+ */
+function readTags(value) {
+    const parsed = readObjectCell(value);
+    return parseTags(Array.isArray(parsed) ? parsed : String(parsed ?? ''));
+}
+
+/**
+ * Read a putting style by id or label ("straddle", "Straddle")
+ * @param {string|null} value - Style from the file
+ * @returns {string|null} PUTTING_STYLES id, or null if untagged.
+ *   Unknown styles are kept so validation can report them.
+ */
+function readPuttingStyle(value) {
+    const text = String(value ?? '').trim().toLowerCase();
+    if (!text) return null;
+
+    const style = PUTTING_STYLES.find(s => s.id === text || s.label.toLowerCase() === text);
+    return style ? style.id : text;
+}
+
+/**
+ * Build the key used to spot duplicate sessions
+ * @param {Object} session - Session or import row
+ * @returns {string} Key from date, distance, makes and attempts
+ */
+export function getSessionKey(session) {
+    return [session.date, Number(session.distance), Number(session.makes), Number(session.attempts)].join('|');
+}
+
+class DataImportManager {
+    /**
+     * Read raw records from a CSV file
+     * @param {string} text - File contents
+     * @returns {Array} Records as { line, date, distance, makes, attempts, routineName, notes, sequence, misses, style, conditions, stations, timeZone, tags }
+     */
+    readCsv(text) {
+        const [headerRow, ...dataRows] = parseCsv(text);
+        if (!headerRow) {
+            throw new Error('The file is empty');
+        }
+
+        const normalizedHeaders = headerRow.map(header => header.trim().toLowerCase().replace(/[\s_()-]/g, ''));
+        const columnIndex = {};
+        Object.entries(CSV_HEADER_ALIASES).forEach(([field, aliases]) => {
+            const index = normalizedHeaders.findIndex(header => aliases.includes(header));
+            if (index !== -1) columnIndex[field] = index;
+        });
+
+        const missing = ['date', 'distance', 'makes', 'attempts'].filter(field => columnIndex[field] === undefined);
+        if (missing.length > 0) {
+            throw new Error(`Missing column${missing.length > 1 ? 's' : ''}: ${missing.join(', ')}`);
+        }
+
+        const cell = (cells, field) => columnIndex[field] === undefined
+            ? ''
+            : unescapeCell((cells[columnIndex[field]] || '').trim());
+
+        return dataRows.map((cells, index) => ({
+            line: index + 2, // 1-based, after the header row
+            date: cell(cells, 'date'),
+            distance: cell(cells, 'distance'),
+            makes: cell(cells, 'makes'),
+            attempts: cell(cells, 'attempts'),
+            routineName: cell(cells, 'routineName'),
+            notes: cell(cells, 'notes'),
+            sequence: cell(cells, 'sequence'),
+            misses: cell(cells, 'misses'),
+            style: cell(cells, 'style'),
+            conditions: cell(cells, 'conditions'),
+            stations: cell(cells, 'stations'),
+            timeZone: cell(cells, 'timeZone'),
+            tags: cell(cells, 'tags')
+        }));
+    }
+
+    /**
+     * Read raw records from the app's JSON export
+     * @param {string} text - File contents
+     * @returns {Array} Records as { line, date, distance, makes, attempts, routineName, notes, sequence, misses, style, conditions, stations, timeZone, tags, timestamp, pending }
+     */
+    readJson(text) {
+        let archive;
+        try {
+            archive = JSON.parse(text);
+        } catch (error) {
+            throw new Error('The file is not valid JSON');
+        }
+
+        if (archive?.format !== EXPORT_FORMAT || !Array.isArray(archive.sessions)) {
+            throw new Error('This JSON file is not a Putting Improver export');
+        }
+        if (archive.version > EXPORT_VERSION) {
+            throw new Error('This export was made by a newer version of the app');
+        }
+
+        return archive.sessions.map((session, index) => ({
+            line: index + 1,
+            date: session.date,
+            distance: session.distance,
+            makes: session.makes,
+            attempts: session.attempts,
+            routineName: session.routineName || '',
+            notes: session.notes || '',
+            sequence: session.sequence || null,
+            misses: session.misses || null,
+            style: session.style || null,
+            conditions: session.conditions || null,
+            stations: session.stations || null,
+            timeZone: session.timeZone || null,
+            tags: session.tags || null,
+            timestamp: session.timestamp || null,
+            pending: Boolean(session.pending)
+        }));
+    }
+
+    /**
+     * Validate a raw record
+     * @param {Object} record - Raw record from readCsv/readJson
+     * @returns {Object} Import row: the parsed session fields plus errors
+     */
+    validateRecord(record) {
+        const errors = [];
+        let makes = parseInt(record.makes);
+        let attempts = parseInt(record.attempts);
+        let distance = parseInt(record.distance);
+
+        // Multi-station sessions are scored from their stations; the totals follow them
+        const stations = readObjectCell(record.stations);
+        if (stations) {
+            const stationCheck = validateStations(stations);
+            errors.push(...stationCheck.errors);
+            if (stationCheck.isValid) {
+                ({ makes, attempts, distance } = calculateStationTotals(stations));
+            }
+        }
+
+        const date = normalizeDate(String(record.date ?? ''));
+        if (!date) {
+            errors.push('Invalid date format');
+        } else {
+            const dateCheck = validateDate(date);
+            if (!dateCheck.isValid) errors.push(dateCheck.error);
+        }
+
+        const sessionCheck = validateSessionInput(makes, attempts, distance);
+        errors.push(...sessionCheck.errors);
+
+        const sequence = readPuttSequence(record.sequence);
+        if (sequence && stations) {
+            errors.push('A putt sequence can only be recorded for a single-distance session');
+        } else if (sequence && sessionCheck.isValid) {
+            errors.push(...validatePuttSequence(sequence, makes, attempts).errors);
+        }
+
+        const misses = readObjectCell(record.misses);
+        if (misses && sessionCheck.isValid) {
+            errors.push(...validateMissCounts(misses, makes, attempts).errors);
+        }
+
+        const style = readPuttingStyle(record.style);
+        if (!isValidPuttingStyle(style)) {
+            errors.push(`Unknown putting style: ${style}`);
+        }
+
+        const conditions = readObjectCell(record.conditions);
+        if (conditions) {
+            errors.push(...validateConditions(conditions).errors);
+        }
+
+        const timeZone = String(record.timeZone ?? '').trim() || null;
+        if (timeZone && !isValidTimeZone(timeZone)) {
+            errors.push(`Unknown time zone: ${timeZone}`);
+        }
+
+        const tags = readTags(record.tags);
+        errors.push(...validateTags(tags).errors);
+
+        if (record.pending) {
+            errors.push('Logged by another player and never accepted');
+        }
+
+        return {
+            line: record.line,
+            date: date || String(record.date ?? ''),
+            distance,
+            makes,
+            attempts,
+            routineName: sanitizeString(record.routineName || '', 100) || null,
+            notes: sanitizeString(record.notes || '', 500) || null,
+            sequence,
+            misses,
+            style,
+            conditions,
+            stations,
+            timeZone,
+            tags: tags.length > 0 ? tags : null,
+            timestamp: record.timestamp || null,
+            errors,
+            duplicate: false
+        };
+    }
+
+    /**
+     * Parse a file and check every row, ready to show as a preview
+     * @param {string} fileName - Name of the chosen file (used to pick CSV or JSON)
+     * @param {string} text - File contents
+     * @param {Array} existingSessions - Sessions the user already has
+     * @returns {Object} { fileName, rows, readyCount }
+     */
+    buildPreview(fileName, text, existingSessions = []) {
+        const isJson = /\.json$/i.test(fileName) || text.trim().startsWith('{');
+        const records = isJson ? this.readJson(text) : this.readCsv(text);
+
+        // Duplicates of existing sessions, or of an earlier row in the same file
+        const seen = new Set(existingSessions.map(getSessionKey));
+        const rows = records.map(record => {
+            const row = this.validateRecord(record);
+            if (row.errors.length === 0) {
+                const key = getSessionKey(row);
+                row.duplicate = seen.has(key);
+                seen.add(key);
+            }
+            return row;
+        });
+
+        return {
+            fileName,
+            rows,
+            readyCount: rows.filter(row => row.errors.length === 0 && !row.duplicate).length
+        };
+    }
+
+    /**
+     * Get the rows from a preview that should be imported
+     * @param {Object} preview - Result of buildPreview
+     * @returns {Array} Valid, non-duplicate rows
+     */
+    getImportableRows(preview) {
+        return preview.rows.filter(row => row.errors.length === 0 && !row.duplicate);
+    }
+}
+
+// Export singleton instance
+export const dataImportManager = new DataImportManager();
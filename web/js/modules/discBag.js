@@ -0,0 +1,163 @@
+/**
+ * Disc Bag Module
+ * Manages the discs in the current user's bag (kept as a list on the user
+ * document) so sessions can record which putters were used
+ */
+
+import { storageManager } from './storage.js';
+import { userManager } from './user.js';
+import { validateDisc, sanitizeString } from '../utils/validation.js';
+import { CONSTANTS, DISC_TYPES } from '../config/constants.js';
+
+class DiscBagManager {
+    /**
+     * Get the discs in a player's bag
+     * @param {Object} user - User document (defaults to the current user)
+     * @param {Object} options - Options
+     * @param {string} options.type - Only discs of this DISC_TYPES id
+     * @param {boolean} options.includeRetired - Include retired discs
+     * @returns {Array} Discs, putters first
+     */
+    getDiscs(user = userManager.getCurrentUser(), { type = null, includeRetired = true } = {}) {
+        const typeOrder = DISC_TYPES.map(t => t.id);
+        return (user?.discs || [])
+            .filter(disc => (!type || disc.type === type) && (includeRetired || !disc.retired))
+            .sort((a, b) => typeOrder.indexOf(a.type) - typeOrder.indexOf(b.type));
+    }
+
+    /**
+     * Find a disc by ID
+     * @param {string} discId - Disc ID
+     * @param {Object} user - User document (defaults to the current user)
+     * @returns {Object|null} Disc or null
+     */
+    getDisc(discId, user = userManager.getCurrentUser()) {
+        return (user?.discs || []).find(disc => disc.id === discId) || null;
+    }
+
+    /**
+     * Get a short display name for a disc, e.g. "Luna (Neutron, 174g)"
+     * @param {Object} disc - Disc
+     * @returns {string} Display name
+     */
+    getDiscLabel(disc) {
+        const details = [disc.plastic, disc.weight ? `${disc.weight}g` : null].filter(Boolean);
+        return details.length > 0 ? `${disc.mold} (${details.join(', ')})` : disc.mold;
+    }
+
+    /**
+     * Validate disc input and clean up its fields
+     * @param {Object} discData - Disc input data
+     * @returns {Object} Disc fields ready to save (without id)
+     */
+    buildDisc(discData) {
+        const disc = {
+            type: discData.type,
+            mold: sanitizeString(discData.mold || '', 50),
+            plastic: sanitizeString(discData.plastic || '', 50) || null,
+            weight: discData.weight === '' || discData.weight == null ? null : parseFloat(discData.weight),
+            wearNotes: sanitizeString(discData.wearNotes || '', 200) || null,
+            retired: Boolean(discData.retired)
+        };
+
+        const validation = validateDisc(disc);
+        if (!validation.isValid) {
+            throw new Error(validation.errors.join('. '));
+        }
+
+        return disc;
+    }
+
+    /**
+     * Save the current user's bag
+     * @param {Array} discs - Full list of discs
+     * @returns {Promise<Array>} Saved discs
+     */
+    async saveDiscs(discs) {
+        const user = userManager.getCurrentUser();
+        if (!user) {
+            throw new Error('No user is currently set');
+        }
+
+        await storageManager.updateUser(user.id, { discs });
+        await userManager.reloadUser();
+        return discs;
+    }
+
+    /**
+     * Add a disc to the current user's bag
+     * @param {Object} discData - { type, mold, plastic, weight, wearNotes }
+     * @returns {Promise<Object>} Added disc
+     */
+    async addDisc(discData) {
+        const discs = this.getDiscs();
+        if (discs.length >= CONSTANTS.VALIDATION.MAX_DISCS) {
+            throw new Error(`Your bag can hold at most ${CONSTANTS.VALIDATION.MAX_DISCS} discs`);
+        }
+
+        const disc = { id: `disc_${Date.now()}`, ...this.buildDisc(discData) };
+        await this.saveDiscs([...discs, disc]);
+
+        console.log('🥏 Disc added:', this.getDiscLabel(disc));
+        return disc;
+    }
+
+    /**
+     * Update a disc in the current user's bag
+     * @param {string} discId - Disc ID
+     * @param {Object} updates - Fields to change
+     * @returns {Promise<Object>} Updated disc
+     */
+    async updateDisc(discId, updates) {
+        const existing = this.getDisc(discId);
+        if (!existing) {
+            throw new Error('Disc not found');
+        }
+
+        const disc = { id: discId, ...this.buildDisc({ ...existing, ...updates }) };
+        await this.saveDiscs(this.getDiscs().map(d => (d.id === discId ? disc : d)));
+
+        console.log('✅ Disc updated:', this.getDiscLabel(disc));
+        return disc;
+    }
+
+    /**
+     * Retire a disc (or bring it back). Retired discs keep their stats
+     * but aren't offered when logging sessions.
+     * @param {string} discId - Disc ID
+     * @param {boolean} retired - True to retire, false to reactivate
+     * @returns {Promise<Object>} Updated disc
+     */
+    async setRetired(discId, retired = true) {
+        return this.updateDisc(discId, { retired });
+    }
+
+    /**
+     * Remove a disc from the current user's bag.
+     * Sessions that used it keep its ID but it no longer shows in stats.
+     * @param {string} discId - Disc ID
+     * @returns {Promise<void>}
+     */
+    async removeDisc(discId) {
+        if (!this.getDisc(discId)) {
+            throw new Error('Disc not found');
+        }
+
+        await this.saveDiscs(this.getDiscs().filter(d => d.id !== discId));
+        console.log('🗑️ Disc removed:', discId);
+    }
+
+    /**
+     * Whether a player's bag has at least one active disc of every given type
+     * @param {Object} user - User document
+     * @param {Array} types - DISC_TYPES ids
+     * @returns {boolean} True if every type is covered
+     */
+    hasDiscTypes(user, types) {
+        const active = this.getDiscs(user, { includeRetired: false });
+        return types.every(type => active.some(disc => disc.type === type));
+    }
+}
+
+// Export singleton instance
+export const discBagManager = new DiscBagManager();
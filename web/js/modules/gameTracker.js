@@ -3,9 +3,11 @@
  * Tracks game sessions, scores, and achievements
  */
 
-import { storageManager } from './storage.js';
+import { storageManager, increment } from './storage.js';
 import { userManager } from './user.js';
 import { calculateGamePoints } from '../utils/calculations.js';
+import { CURRENT_POINTS_VERSION } from '../config/constants.js';
+import { toLocalDate } from '../utils/dates.js';
 
 class GameTracker {
     constructor() {
@@ -67,7 +69,8 @@ class GameTracker {
 
     /**
      * Complete the current game
-     * @param {Object} finalScore - Final score data
+     * @param {Object} finalScore - Final score data (playedAt: ISO timestamp when it was
+     *   played, if it's being logged later)
      * @returns {Promise<Object>} Completed game record
      */
     async completeGame(finalScore) {
@@ -76,25 +79,68 @@ class GameTracker {
         }
 
         this.currentGame.completed = true;
-        this.currentGame.endTime = new Date().toISOString();
+        this.currentGame.loggedAt = new Date().toISOString();
+        this.currentGame.endTime = this.currentGame.loggedAt;
         this.currentGame.duration = this.calculateDuration();
+
+        // A score logged after the fact is dated when the game was played
+        if (finalScore.playedAt) {
+            this.currentGame.endTime = finalScore.playedAt;
+            this.currentGame.startTime = new Date(new Date(finalScore.playedAt).getTime() - this.currentGame.duration * 60000).toISOString();
+        }
+
+        this.currentGame.timeZone = userManager.getTimeZone();
+        this.currentGame.date = toLocalDate(this.currentGame.endTime, this.currentGame.timeZone);
         this.currentGame.score = finalScore.score;
         this.currentGame.goalAchieved = this.checkGoalAchieved(finalScore);
+
+        // Games played putt by putt keep the sequence the streak came from
+        if (finalScore.sequence) {
+            this.currentGame.sequence = finalScore.sequence;
+            this.currentGame.streak = finalScore.streak;
+            this.currentGame.attempts = finalScore.totalAttempts;
+            this.currentGame.distance = finalScore.distance;
+        }
+
+        // Elimination results feed the skill rating (see utils/rating.js)
+        if (typeof finalScore.won === 'boolean') {
+            this.currentGame.won = finalScore.won;
+            this.currentGame.opponent = finalScore.opponent || null;
+        }
+
+        // Putt 100 keeps its turns so they count toward circle stats and strokes gained
+        if (finalScore.turns) {
+            this.currentGame.turns = finalScore.turns;
+            this.currentGame.distance = finalScore.distance;
+        }
+
+        // Putting style and practice conditions the game was played in (optional)
+        this.currentGame.style = finalScore.style || null;
+        this.currentGame.conditions = userManager.normalizeConditions(finalScore.conditions);
+
+        // Notes written with the score join any taken during the game
+        const notes = userManager.normalizeNotes(finalScore.notes);
+        if (notes) {
+            this.currentGame.notes.push({ timestamp: this.currentGame.loggedAt, text: notes });
+        }
+        this.currentGame.tags = userManager.normalizeTags(finalScore.tags);
         
         // Calculate points earned for this game
         const gameDefinition = { scoring: { type: this.currentGame.scoringType } };
         const gamePoints = calculateGamePoints(gameDefinition, { ...finalScore, ...this.currentGame });
         this.currentGame.points = gamePoints;
+        this.currentGame.pointsVersion = CURRENT_POINTS_VERSION;
 
         // Save to database
         const user = userManager.getCurrentUser();
         if (user) {
-            await storageManager.saveGameCompletion(user.id, this.currentGame);
-            
-            // Increment totalGames counter and add points
-            user.totalGames = (user.totalGames || 0) + 1;
-            user.totalPoints = (user.totalPoints || 0) + gamePoints;
-            await storageManager.saveUser(user);
+            // Save the game and increment totalGames/points in the same commit
+            await storageManager.saveGameCompletion(user.id, this.currentGame, {
+                totalGames: increment(1),
+                totalPoints: increment(gamePoints),
+                ...userManager.getPuttStatsUpdate('game', this.currentGame)
+            });
+            await userManager.reloadUser();
         }
 
         // Add to history
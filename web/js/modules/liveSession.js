@@ -0,0 +1,229 @@
+/**
+ * Live Session Module
+ * Records a practice session putt by putt as the player taps Make or Miss,
+ * keeping the ordered sequence so streaks can be checked for real, and
+ * optionally where each miss went
+ */
+
+import { userManager } from './user.js';
+import { gameTracker } from './gameTracker.js';
+import { summarizePuttSequence } from '../utils/calculations.js';
+
+class LiveSessionTracker {
+    constructor() {
+        this.currentSession = null;
+    }
+
+    /**
+     * Start a live session
+     * @param {Object} options - Session options
+     * @param {number} options.distance - Distance in feet
+     * @param {Object} options.game - Game from PUTTING_GAMES when playing a streak game live
+     * @param {string} options.style - PUTTING_STYLES id (optional)
+     * @returns {Object} Started live session
+     */
+    start({ distance, game = null, style = null }) {
+        this.currentSession = {
+            distance: parseInt(distance) || 10,
+            game,
+            style,
+            conditions: null,
+            discIds: null,
+            sequence: [],
+            missDirections: [], // Parallel to sequence: where each miss went, or null
+            startTime: new Date().toISOString()
+        };
+
+        console.log('🎯 Live session started:', game ? game.name : `${this.currentSession.distance} ft`);
+        return this.currentSession;
+    }
+
+    /**
+     * Whether a live session is in progress
+     * @returns {boolean} True if active
+     */
+    isActive() {
+        return this.currentSession !== null;
+    }
+
+    /**
+     * Get the live session in progress
+     * @returns {Object|null} Current live session or null
+     */
+    getCurrent() {
+        return this.currentSession;
+    }
+
+    /**
+     * Change the distance (only before the first putt)
+     * @param {number} distance - Distance in feet
+     */
+    setDistance(distance) {
+        if (!this.currentSession) {
+            throw new Error('No active live session');
+        }
+        if (this.currentSession.sequence.length > 0) {
+            throw new Error('Distance cannot change after the first putt');
+        }
+
+        this.currentSession.distance = parseInt(distance) || this.currentSession.distance;
+    }
+
+    /**
+     * Change the putting style (only before the first putt)
+     * @param {string|null} style - PUTTING_STYLES id, or null for untagged
+     */
+    setStyle(style) {
+        if (!this.currentSession) {
+            throw new Error('No active live session');
+        }
+        if (this.currentSession.sequence.length > 0) {
+            throw new Error('Style cannot change after the first putt');
+        }
+
+        this.currentSession.style = style || null;
+    }
+
+    /**
+     * Set the practice conditions for the live session
+     * @param {Object|null} conditions - { windSpeed, windDirection, temperature, setting, basketModel, elevation }
+     */
+    setConditions(conditions) {
+        if (!this.currentSession) {
+            throw new Error('No active live session');
+        }
+
+        this.currentSession.conditions = conditions;
+    }
+
+    /**
+     * Set the discs being putted with
+     * @param {Array|null} discIds - IDs of discs from the player's bag
+     */
+    setDiscs(discIds) {
+        if (!this.currentSession) {
+            throw new Error('No active live session');
+        }
+
+        this.currentSession.discIds = discIds && discIds.length > 0 ? discIds : null;
+    }
+
+    /**
+     * Record one putt
+     * @param {boolean} made - True for a make, false for a miss
+     */
+    recordPutt(made) {
+        if (!this.currentSession) {
+            throw new Error('No active live session');
+        }
+
+        this.currentSession.sequence.push(Boolean(made));
+        this.currentSession.missDirections.push(null);
+    }
+
+    /**
+     * Record where the last putt missed (optional)
+     * @param {string} direction - MISS_DIRECTIONS id
+     */
+    setMissDirection(direction) {
+        const live = this.currentSession;
+        if (!live || live.sequence.length === 0 || live.sequence[live.sequence.length - 1]) {
+            throw new Error('The last putt was not a miss');
+        }
+
+        live.missDirections[live.missDirections.length - 1] = direction;
+    }
+
+    /**
+     * Count the tagged misses by direction
+     * @returns {Object|null} Miss counts keyed by direction, or null if none were tagged
+     */
+    getMissCounts() {
+        const counts = {};
+        (this.currentSession?.missDirections || []).forEach(direction => {
+            if (direction) counts[direction] = (counts[direction] || 0) + 1;
+        });
+        return Object.keys(counts).length > 0 ? counts : null;
+    }
+
+    /**
+     * Remove the last recorded putt
+     * @returns {boolean|null} The removed putt, or null if there was none
+     */
+    undo() {
+        if (!this.currentSession || this.currentSession.sequence.length === 0) {
+            return null;
+        }
+
+        this.currentSession.missDirections.pop();
+        return this.currentSession.sequence.pop();
+    }
+
+    /**
+     * Get running totals for the live session
+     * @returns {Object} makes, attempts, percentage, currentStreak and longestStreak
+     */
+    getSummary() {
+        return summarizePuttSequence(this.currentSession?.sequence || []);
+    }
+
+    /**
+     * Save the live session as a practice session, or as a game completion
+     * when a streak game is being played
+     * @returns {Promise<Object>} Saved session or completed game
+     */
+    async finish() {
+        if (!this.currentSession) {
+            throw new Error('No active live session');
+        }
+
+        const { distance, game, sequence, style, conditions, discIds } = this.currentSession;
+        const summary = this.getSummary();
+        if (summary.attempts === 0) {
+            throw new Error('Record at least one putt before saving');
+        }
+
+        let result;
+        if (game) {
+            gameTracker.startGame(game);
+            result = await gameTracker.completeGame({
+                score: summary.longestStreak,
+                streak: summary.longestStreak,
+                targetStreak: 10,
+                totalAttempts: summary.attempts,
+                distance,
+                sequence: [...sequence],
+                style,
+                conditions
+            });
+        } else {
+            result = await userManager.addSession({
+                distance,
+                makes: summary.makes,
+                attempts: summary.attempts,
+                sequence: [...sequence],
+                misses: this.getMissCounts(),
+                style,
+                conditions,
+                discIds
+            });
+        }
+
+        console.log('✅ Live session saved:', summary);
+        this.currentSession = null;
+        return result;
+    }
+
+    /**
+     * Discard the live session
+     */
+    cancel() {
+        if (this.currentSession) {
+            console.log('❌ Live session canceled');
+            this.currentSession = null;
+        }
+    }
+}
+
+// Export singleton instance
+export const liveSessionTracker = new LiveSessionTracker();
@@ -0,0 +1,218 @@
+/**
+ * Reconciliation Module
+ * Rebuilds the aggregate totals on user documents from their session,
+ * routine and game history, reporting and fixing any drift
+ */
+
+import { storageManager, increment } from './storage.js';
+import { PUTTING_STYLES, PUTTING_CIRCLES } from '../config/constants.js';
+import { calculateCircleStats, calculateDistanceStats, toBestSession } from '../utils/calculations.js';
+
+// Aggregates that are kept as running counters
+const COUNTER_FIELDS = ['totalPoints', 'totalSessions', 'totalPutts', 'totalMakes', 'totalRoutines', 'totalGames'];
+
+// Counters kept per style in styleStats (see userManager.getStyleStatsUpdate)
+const STYLE_COUNTERS = ['sessions', 'putts', 'makes', 'points'];
+
+/**
+ * Per-style totals with every style present (styles without sessions at zero)
+ * @param {Object|null} styleStats - Totals keyed by style (missing styles count as zero)
+ * @returns {Object} Totals for every PUTTING_STYLES id
+ */
+function fillStyleStats(styleStats) {
+    return Object.fromEntries(PUTTING_STYLES.map(({ id }) => [
+        id,
+        Object.fromEntries(STYLE_COUNTERS.map(counter => [counter, styleStats?.[id]?.[counter] || 0]))
+    ]));
+}
+
+/**
+ * Per-circle totals with every circle present
+ * @param {Object|null} circleStats - Totals keyed by circle (missing circles count as zero)
+ * @returns {Object} { makes, attempts } for every PUTTING_CIRCLES id
+ */
+function fillCircleStats(circleStats) {
+    return Object.fromEntries(PUTTING_CIRCLES.map(({ id }) => [
+        id,
+        { makes: circleStats?.[id]?.makes || 0, attempts: circleStats?.[id]?.attempts || 0 }
+    ]));
+}
+
+/**
+ * Per-distance totals for just the distances that have putts. Fixes are
+ * written with an update, which replaces the whole map, so distances that
+ * no longer have putts are dropped rather than left at zero.
+ * @param {Object|null} distanceStats - Totals keyed by distance in feet
+ * @returns {Object} { makes, attempts } per distance, in distance order
+ */
+function fillDistanceStats(distanceStats) {
+    return Object.fromEntries(Object.entries(distanceStats || {})
+        .filter(([, totals]) => totals?.makes || totals?.attempts)
+        .map(([distance, totals]) => [distance, { makes: totals.makes || 0, attempts: totals.attempts || 0 }]));
+}
+
+// Aggregates compared with every key filled in
+const FILLED_FIELDS = { styleStats: fillStyleStats, circleStats: fillCircleStats, distanceStats: fillDistanceStats };
+
+class ReconciliationManager {
+    /**
+     * Compute what a user's aggregates should be from their history.
+     * Pending items (logged by someone else and not yet accepted) don't count.
+     * @param {Object} history - { sessions, routines, games, bonusPoints }
+     * @returns {Object} Expected aggregate values
+     */
+    computeAggregates({ sessions = [], routines = [], games = [], bonusPoints = 0 }) {
+        const countedSessions = sessions.filter(s => !s.pending);
+        const countedRoutines = routines.filter(r => !r.pending);
+        const countedGames = games.filter(g => !g.pending);
+
+        const sum = (items, field) => items.reduce((total, item) => total + (item[field] || 0), 0);
+
+        const styleStats = {};
+        countedSessions.filter(s => s.style).forEach(s => {
+            const totals = styleStats[s.style] || { sessions: 0, putts: 0, makes: 0, points: 0 };
+            styleStats[s.style] = {
+                sessions: totals.sessions + 1,
+                putts: totals.putts + (s.attempts || 0),
+                makes: totals.makes + (s.makes || 0),
+                points: totals.points + (s.points || 0)
+            };
+        });
+
+        const best = countedSessions.reduce((top, s) =>
+            !top || (s.points || 0) > (top.points || 0) ? s : top
+        , null);
+
+        return {
+            totalPoints: sum(countedSessions, 'points') + sum(countedRoutines, 'points') + sum(countedGames, 'points') + bonusPoints,
+            totalSessions: countedSessions.length,
+            totalPutts: sum(countedSessions, 'attempts'),
+            totalMakes: sum(countedSessions, 'makes'),
+            totalRoutines: countedRoutines.length,
+            totalGames: countedGames.length,
+            bestSession: best ? toBestSession(best) : null,
+            bestAccuracy: countedSessions.length > 0
+                ? Math.max(...countedSessions.map(s => s.percentage || 0))
+                : null,
+            styleStats: fillStyleStats(styleStats),
+            circleStats: fillCircleStats(calculateCircleStats({ sessions, routines, games })),
+            distanceStats: fillDistanceStats(calculateDistanceStats({ sessions, routines, games }))
+        };
+    }
+
+    /**
+     * Compare a user doc against the expected aggregates
+     * @param {Object} user - User document
+     * @param {Object} expected - Result of computeAggregates
+     * @returns {Array} Differences as { field, current, expected }
+     */
+    findDifferences(user, expected) {
+        return Object.entries(expected)
+            .map(([field, value]) => ({
+                field,
+                current: FILLED_FIELDS[field] ? FILLED_FIELDS[field](user[field]) : (user[field] ?? null),
+                expected: value
+            }))
+            .filter(({ field, current, expected: value }) => {
+                if (COUNTER_FIELDS.includes(field)) {
+                    return (current || 0) !== value;
+                }
+                return JSON.stringify(current) !== JSON.stringify(value);
+            });
+    }
+
+    /**
+     * User doc update that fixes the differences. Counters are corrected by
+     * the difference, so an activity logged while history was being read
+     * isn't wiped out by the fix; other aggregates are replaced whole.
+     * @param {Array} differences - Result of findDifferences
+     * @returns {Object} Fields to update (field operations included)
+     */
+    getFixes(differences) {
+        const updates = {};
+        differences.forEach(({ field, current, expected }) => {
+            updates[field] = COUNTER_FIELDS.includes(field)
+                ? increment(expected - (current || 0))
+                : expected;
+        });
+        return updates;
+    }
+
+    /**
+     * Reconcile one user's aggregates with their history.
+     * History is read from the server and any failed read aborts, so a
+     * partial or cached history can never overwrite the totals.
+     * @param {string} userId - User ID
+     * @param {Object} options - Options
+     * @param {boolean} options.apply - Write the fixes (false for a dry run)
+     * @returns {Promise<Object>} Report: { userId, displayName, differences, applied }
+     */
+    async reconcileUser(userId, { apply = true } = {}) {
+        if (!storageManager.isInSyncWithServer()) {
+            throw new Error('Cannot reconcile while offline or with writes waiting to sync');
+        }
+
+        const { user, sessions, routines, games } = await storageManager.getUserHistoryFromServer(userId);
+        if (!user) {
+            throw new Error(`User ${userId} not found`);
+        }
+
+        const expected = this.computeAggregates({
+            sessions,
+            routines,
+            games,
+            bonusPoints: user.bonusPoints || 0
+        });
+        const differences = this.findDifferences(user, expected);
+
+        const report = {
+            userId,
+            displayName: user.displayName || user.email || userId,
+            differences,
+            applied: false
+        };
+
+        if (apply && differences.length > 0) {
+            await storageManager.update('users', userId, this.getFixes(differences));
+            report.applied = true;
+            console.log(`🔧 Reconciled ${differences.length} aggregate(s) for ${report.displayName}`);
+        }
+
+        return report;
+    }
+
+    /**
+     * Reconcile every user (admin action)
+     * @param {Object} options - Options
+     * @param {boolean} options.apply - Write the fixes (false for a dry run)
+     * @returns {Promise<Array>} Reports for users whose aggregates differed or failed
+     */
+    async reconcileAllUsers({ apply = true } = {}) {
+        const users = await storageManager.getCollection('users');
+        const reports = [];
+
+        for (const user of users) {
+            try {
+                const report = await this.reconcileUser(user.id, { apply });
+                if (report.differences.length > 0) {
+                    reports.push(report);
+                }
+            } catch (error) {
+                console.error(`Error reconciling ${user.id}:`, error);
+                reports.push({
+                    userId: user.id,
+                    displayName: user.displayName || user.id,
+                    differences: [],
+                    applied: false,
+                    error: error.message
+                });
+            }
+        }
+
+        console.log(`✅ Reconciliation finished: ${reports.length} of ${users.length} users needed fixes`);
+        return reports;
+    }
+}
+
+// Export singleton instance
+export const reconciliationManager = new ReconciliationManager();
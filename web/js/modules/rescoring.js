@@ -0,0 +1,158 @@
+/**
+ * Rescoring Module
+ * Re-scores every session, routine and game under the current points
+ * formula, previewing how totals and leaderboard ranks would move first
+ */
+
+import { storageManager } from './storage.js';
+import { reconciliationManager } from './reconciliation.js';
+import { CURRENT_POINTS_VERSION } from '../config/constants.js';
+import { calculateActivityPoints } from '../utils/calculations.js';
+
+// How each kind of activity is written back
+const ACTIVITY_UPDATERS = {
+    session: (userId, id, data) => storageManager.updateSession(userId, id, data),
+    routine: (userId, id, data) => storageManager.updateRoutineCompletion(userId, id, data),
+    game: (userId, id, data) => storageManager.updateGameCompletion(userId, id, data)
+};
+
+/**
+ * Rank players by points (1 is top); players hidden from the leaderboard aren't ranked
+ * @param {Array} plans - User plans with userId, hidden and a points field
+ * @param {string} field - Points field to rank by
+ * @returns {Map} Rank keyed by user ID
+ */
+function rankBy(plans, field) {
+    const ranked = plans.filter(plan => !plan.hidden).sort((a, b) => b[field] - a[field]);
+    return new Map(ranked.map((plan, index) => [plan.userId, index + 1]));
+}
+
+class RescoringManager {
+    /**
+     * Work out what re-scoring one user's history would change
+     * @param {Object} user - User document
+     * @returns {Promise<Object>} Plan: { userId, displayName, hidden, currentTotal,
+     *   newTotal, changes, skipped } where changes are { type, id, oldPoints, newPoints, pending }
+     *   and skipped counts activities that can't be re-scored
+     * @throws {Error} If the history can't be read, so a failed read never
+     *   looks like a history with nothing to re-score
+     */
+    async planUser(user) {
+        const { sessions, routines, games } = await storageManager.getUserHistoryFromServer(user.id);
+
+        const changes = [];
+        let skipped = 0;
+        const rescore = (type, items) => items.map(item => {
+            const newPoints = calculateActivityPoints(type, item, CURRENT_POINTS_VERSION);
+            if (newPoints === null) {
+                // Doesn't keep what its score was calculated from
+                skipped++;
+                return item;
+            }
+            const oldPoints = item.points || 0;
+            if (newPoints !== oldPoints || item.pointsVersion !== CURRENT_POINTS_VERSION) {
+                changes.push({ type, id: item.id, oldPoints, newPoints, pending: !!item.pending });
+            }
+            return { ...item, points: newPoints };
+        });
+
+        // The total a rescore ends with is what reconciling the re-scored history gives
+        const { totalPoints } = reconciliationManager.computeAggregates({
+            sessions: rescore('session', sessions),
+            routines: rescore('routine', routines),
+            games: rescore('game', games),
+            bonusPoints: user.bonusPoints || 0
+        });
+
+        return {
+            userId: user.id,
+            displayName: user.displayName || user.email || user.id,
+            hidden: !!user.hideFromLeaderboard,
+            currentTotal: user.totalPoints || 0,
+            // Users with nothing to re-score aren't touched
+            newTotal: changes.length > 0 ? totalPoints : (user.totalPoints || 0),
+            changes,
+            skipped
+        };
+    }
+
+    /**
+     * Preview re-scoring every user's history (admin action)
+     * @returns {Promise<Array>} Plans (see planUser) with oldRank and newRank
+     *   (null for players hidden from the leaderboard), biggest new total first
+     */
+    async previewRescore() {
+        const users = await storageManager.getCollection('users');
+        const plans = [];
+
+        for (const user of users) {
+            try {
+                plans.push(await this.planUser(user));
+            } catch (error) {
+                console.error(`Error planning rescore for ${user.id}:`, error);
+                plans.push({
+                    userId: user.id,
+                    displayName: user.displayName || user.id,
+                    hidden: !!user.hideFromLeaderboard,
+                    currentTotal: user.totalPoints || 0,
+                    newTotal: user.totalPoints || 0,
+                    changes: [],
+                    skipped: 0,
+                    error: error.message
+                });
+            }
+        }
+
+        const oldRanks = rankBy(plans, 'currentTotal');
+        const newRanks = rankBy(plans, 'newTotal');
+        return plans
+            .map(plan => ({
+                ...plan,
+                oldRank: oldRanks.get(plan.userId) ?? null,
+                newRank: newRanks.get(plan.userId) ?? null
+            }))
+            .sort((a, b) => b.newTotal - a.newTotal);
+    }
+
+    /**
+     * Re-score every user's history under the current formula (admin action).
+     * Each activity gets its new points and formula version, then the user's
+     * aggregates (totalPoints, bestSession, styleStats) are reconciled.
+     * @returns {Promise<Array>} Reports as { userId, displayName, updated, error }
+     */
+    async applyRescore() {
+        const users = await storageManager.getCollection('users');
+        const reports = [];
+
+        for (const user of users) {
+            try {
+                const plan = await this.planUser(user);
+                for (const change of plan.changes) {
+                    await ACTIVITY_UPDATERS[change.type](user.id, change.id, {
+                        points: change.newPoints,
+                        pointsVersion: CURRENT_POINTS_VERSION
+                    });
+                }
+                if (plan.changes.length > 0) {
+                    await reconciliationManager.reconcileUser(user.id);
+                }
+                reports.push({ userId: user.id, displayName: plan.displayName, updated: plan.changes.length });
+            } catch (error) {
+                console.error(`Error rescoring ${user.id}:`, error);
+                reports.push({
+                    userId: user.id,
+                    displayName: user.displayName || user.id,
+                    updated: 0,
+                    error: error.message
+                });
+            }
+        }
+
+        const updated = reports.reduce((sum, report) => sum + report.updated, 0);
+        console.log(`🧮 Rescore finished: ${updated} activities re-scored with points formula v${CURRENT_POINTS_VERSION}`);
+        return reports;
+    }
+}
+
+// Export singleton instance
+export const rescoringManager = new RescoringManager();
@@ -5,6 +5,7 @@
 
 import { storageManager } from './storage.js';
 import { userManager } from './user.js';
+import { toLocalDate } from '../utils/dates.js';
 
 class RoutineTracker {
     constructor() {
@@ -86,6 +87,9 @@ class RoutineTracker {
 
         this.currentRoutine.completed = true;
         this.currentRoutine.endTime = new Date().toISOString();
+        this.currentRoutine.loggedAt = this.currentRoutine.endTime;
+        this.currentRoutine.timeZone = userManager.getTimeZone();
+        this.currentRoutine.date = toLocalDate(this.currentRoutine.endTime, this.currentRoutine.timeZone);
         this.currentRoutine.duration = this.calculateDuration();
         this.currentRoutine.totalStats = this.calculateRoutineStats();
 
@@ -1,22 +1,108 @@
 /**
  * Storage Module
- * Handles data persistence using Firebase Firestore
+ * Handles data persistence through a pluggable storage backend.
+ *
+ * A backend implements get/set/update/delete for single documents and
+ * list(path, { where, orderBy, direction, limit, startAfter }) for collections,
+ * plus listGroup(collectionId, { where, limit }) across same-named collections. The
+ * default backend is Firestore wrapped in an offline cache and write queue;
+ * LocalBackend keeps everything in the browser for demo mode.
+ *
+ * commit(writes) applies several writes atomically. Write data may contain
+ * field operations (increment, maximum, arrayUnion, arrayRemove) so that
+ * aggregate counters are updated on the stored value, never overwritten.
+ *
+ * User, session, routine and game documents are upgraded to the current
+ * schema (utils/migrations.js) when read, and written at the current version.
  */
 
 import { CONSTANTS } from '../config/constants.js';
-import { getFirestore } from '../config/firebase.js';
+import { FirestoreBackend } from './backends/firestoreBackend.js';
+import { OfflineBackend } from './backends/offlineBackend.js';
+
+import { increment, maximum, percentageOf, arrayUnion, arrayRemove } from './backends/fieldOps.js';
+import { DOCUMENT_KINDS, migrateDocument, needsMigration, getMigratedFields, getSchemaVersion } from '../utils/migrations.js';
+import { getDefaultTimeZone, fromLocalDateTime, addDays } from '../utils/dates.js';
+
+// Field operations for writes that depend on the stored value (counters etc.)
+export { increment, maximum, percentageOf, arrayUnion, arrayRemove };
+
+// Stay well under Firestore's 500-writes-per-batch limit
+const WRITE_BATCH_SIZE = 400;
+
+// Subcollections under users/{userId} that count toward the user's aggregates
+const ACTIVITY_COLLECTIONS = ['sessions', 'routineCompletions', 'gameCompletions'];
+
+// Document kind of each activity subcollection (for schema migrations)
+const ACTIVITY_KINDS = {
+    sessions: DOCUMENT_KINDS.SESSION,
+    routineCompletions: DOCUMENT_KINDS.ROUTINE_COMPLETION,
+    gameCompletions: DOCUMENT_KINDS.GAME_COMPLETION
+};
+
+/**
+ * Turn a YYYY-MM-DD date range into bounds on ISO timestamps, with each
+ * day running midnight to midnight in the owner's time zone
+ * @param {Object} options - Page options with from/to as YYYY-MM-DD dates
+ * @param {Object} context - Migration context of the owner ({ timeZone })
+ * @returns {Object} Page options with from/to as ISO timestamps
+ */
+function toTimestampRange(options, { timeZone } = {}) {
+    const zone = timeZone || getDefaultTimeZone();
+    const startOfDay = (date) => fromLocalDateTime(date, '00:00', zone);
+    return {
+        ...options,
+        from: options.from ? startOfDay(options.from) : null,
+        // The last millisecond before the next day starts
+        to: options.to ? new Date(Date.parse(startOfDay(addDays(options.to, 1))) - 1).toISOString() : null
+    };
+}
 
 class StorageManager {
     constructor() {
-        this.db = null;
+        this.backend = null;
+        // Migration context ({ timeZone }) of each user whose documents we've read
+        this.migrationContexts = new Map();
     }
 
     /**
-     * Initialize Firestore
+     * Initialize the storage backend
+     * @param {Object} backend - Backend to use (defaults to offline-capable Firestore)
      */
-    init() {
-        this.db = getFirestore();
-        console.log('✅ Storage initialized with Firestore');
+    init(backend = null) {
+        this.backend = backend || new OfflineBackend(new FirestoreBackend());
+        this.backend.init();
+        console.log('✅ Storage initialized with', this.backend.constructor.name);
+    }
+
+    /**
+     * Get the active backend, initializing the default one if needed
+     * @returns {Object} Storage backend
+     */
+    getBackend() {
+        if (!this.backend) this.init();
+        return this.backend;
+    }
+
+    /**
+     * Get the backend that talks to the server directly, bypassing the
+     * offline cache and write queue (the active backend if it has neither)
+     * @returns {Object} Storage backend
+     */
+    getServerBackend() {
+        const backend = this.getBackend();
+        return backend.remote || backend;
+    }
+
+    /**
+     * Check that the server has everything this device has written:
+     * we're online and no writes are waiting in the offline queue
+     * (writes the server rejected don't count, they'll never sync)
+     * @returns {boolean} True if server reads are up to date
+     */
+    isInSyncWithServer() {
+        const { online, pending } = this.getSyncStatus();
+        return online && pending.every(write => write.error);
     }
 
     /**
@@ -27,14 +113,7 @@ class StorageManager {
      */
     async get(collection, docId) {
         try {
-            if (!this.db) this.init();
-            const docRef = this.db.collection(collection).doc(docId);
-            const doc = await docRef.get();
-            
-            if (doc.exists) {
-                return doc.data();
-            }
-            return null;
+            return await this.getBackend().get(collection, docId);
         } catch (error) {
             console.error(`Error getting ${collection}/${docId}:`, error);
             return null;
@@ -50,8 +129,7 @@ class StorageManager {
      */
     async set(collection, docId, data) {
         try {
-            if (!this.db) this.init();
-            await this.db.collection(collection).doc(docId).set(data, { merge: true });
+            await this.getBackend().set(collection, docId, data, { merge: true });
         } catch (error) {
             console.error(`Error setting ${collection}/${docId}:`, error);
             throw error;
@@ -66,14 +144,91 @@ class StorageManager {
      */
     async delete(collection, docId) {
         try {
-            if (!this.db) this.init();
-            await this.db.collection(collection).doc(docId).delete();
+            await this.getBackend().delete(collection, docId);
         } catch (error) {
             console.error(`Error deleting ${collection}/${docId}:`, error);
             throw error;
         }
     }
 
+    /**
+     * Update fields on an existing document
+     * @param {string} collection - Collection name
+     * @param {string} docId - Document ID
+     * @param {Object} data - Fields to update
+     * @returns {Promise<void>}
+     */
+    async update(collection, docId, data) {
+        try {
+            await this.getBackend().update(collection, docId, data);
+        } catch (error) {
+            console.error(`Error updating ${collection}/${docId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Commit several writes atomically (all or nothing)
+     * @param {Array} writes - Write operations ({ type: 'set'|'update'|'delete', path, id, data, options })
+     * @returns {Promise<void>}
+     */
+    async commit(writes) {
+        try {
+            await this.getBackend().commit(writes);
+        } catch (error) {
+            console.error('Error committing writes:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Commit a large number of writes in batches. Each batch is atomic,
+     * but the batches aren't atomic with each other.
+     * @param {Array} writes - Write operations
+     * @param {Object} options - Options
+     * @param {boolean} options.toServer - Send each batch straight to the server
+     *   (see getServerBackend) and wait for it to confirm, instead of queueing offline
+     * @returns {Promise<void>}
+     */
+    async commitInBatches(writes, { toServer = false } = {}) {
+        for (let i = 0; i < writes.length; i += WRITE_BATCH_SIZE) {
+            const batch = writes.slice(i, i + WRITE_BATCH_SIZE);
+            if (toServer) {
+                await this.getServerBackend().commit(batch);
+            } else {
+                await this.commit(batch);
+            }
+        }
+    }
+
+    /**
+     * Commit a write together with an update to the owning user's document,
+     * so an activity and the aggregate counters that include it can't disagree.
+     * For the user's own activities, the user doc names the activity and a
+     * fresh writeId stamped on both (lastActivity), which is how the security
+     * rules tell that the counters moved along with it.
+     * @param {string} userId - User ID
+     * @param {Object} write - Activity write operation
+     * @param {Object} userUpdates - Fields to merge into the user doc (field operations allowed)
+     * @returns {Promise<void>}
+     */
+    async commitWithUserUpdates(userId, write, userUpdates = null) {
+        const writes = [write];
+        if (userUpdates) {
+            let updates = userUpdates;
+            const collection = ACTIVITY_COLLECTIONS.find(name => write.path === `users/${userId}/${name}`);
+            if (collection) {
+                const writeId = `write_${Date.now()}_${Math.random().toString(36).slice(2, 10)}`;
+                if (write.type !== 'delete') {
+                    writes[0] = { ...write, data: { ...write.data, writeId } };
+                }
+                updates = { ...userUpdates, lastActivity: { collection, id: write.id, writeId } };
+            }
+            writes.push({ type: 'set', path: 'users', id: userId, data: updates, options: { merge: true } });
+        }
+        await this.commit(writes);
+    }
+
     /**
      * Get all documents from a collection
      * @param {string} collection - Collection name
@@ -81,9 +236,7 @@ class StorageManager {
      */
     async getCollection(collection) {
         try {
-            if (!this.db) this.init();
-            const snapshot = await this.db.collection(collection).get();
-            return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+            return await this.getBackend().list(collection);
         } catch (error) {
             console.error(`Error getting collection ${collection}:`, error);
             return [];
@@ -100,11 +253,7 @@ class StorageManager {
      */
     async query(collection, field, operator, value) {
         try {
-            if (!this.db) this.init();
-            const snapshot = await this.db.collection(collection)
-                .where(field, operator, value)
-                .get();
-            return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+            return await this.getBackend().list(collection, { where: [[field, operator, value]] });
         } catch (error) {
             console.error(`Error querying ${collection}:`, error);
             return [];
@@ -119,7 +268,21 @@ class StorageManager {
      * @returns {Promise<void>}
      */
     async saveUser(user) {
-        await this.set('users', user.id, user);
+        this.migrationContexts.delete(user.id);
+        await this.set('users', user.id, migrateDocument(DOCUMENT_KINDS.USER, user));
+    }
+
+    /**
+     * Merge fields into a user profile without touching the rest of the document
+     * @param {string} userId - User ID
+     * @param {Object} updates - Fields to update (field operations allowed)
+     * @returns {Promise<void>}
+     */
+    async updateUser(userId, updates) {
+        if ('timeZone' in updates) {
+            this.migrationContexts.delete(userId);
+        }
+        await this.set('users', userId, updates);
     }
 
     /**
@@ -128,7 +291,131 @@ class StorageManager {
      * @returns {Promise<Object|null>} User object or null
      */
     async getUser(userId) {
-        return await this.get('users', userId);
+        return migrateDocument(DOCUMENT_KINDS.USER, await this.get('users', userId));
+    }
+
+    /**
+     * Get the context a user's activities are migrated with, so they're
+     * re-dated in the owner's time zone rather than the viewer's
+     * @param {string} userId - Owner's user ID
+     * @returns {Promise<Object>} { timeZone }
+     */
+    async getMigrationContext(userId) {
+        if (this.migrationContexts.has(userId)) {
+            return this.migrationContexts.get(userId);
+        }
+        const user = await this.getUser(userId);
+        const context = { timeZone: user?.timeZone };
+        // Not remembered if the read failed, so the next one tries again
+        if (user) this.migrationContexts.set(userId, context);
+        return context;
+    }
+
+    /**
+     * Get one page of a collection, newest first, with a cursor for the next page
+     * @param {string} path - Collection path
+     * @param {string} kind - Document kind (for schema migrations)
+     * @param {string} orderField - Field to order and range-filter on
+     * @param {Object} options - Page options
+     * @param {number} options.limit - Page size (null for the whole range)
+     * @param {Object} options.cursor - Cursor returned with the previous page
+     * @param {string} options.from - Lowest value of orderField to include
+     * @param {string} options.to - Highest value of orderField to include
+     * @param {Object} context - Migration context of the owner (see getMigrationContext)
+     * @returns {Promise<Object>} { items, cursor, hasMore }
+     */
+    async listPage(path, kind, orderField, { limit = 25, cursor = null, from = null, to = null } = {}, context = {}) {
+        const where = [];
+        if (from) where.push([orderField, '>=', from]);
+        if (to) where.push([orderField, '<=', to]);
+
+        try {
+            const docs = await this.getBackend().list(path, {
+                where: where.length > 0 ? where : undefined,
+                orderBy: orderField,
+                direction: 'desc',
+                limit,
+                startAfter: cursor
+            });
+
+            const last = docs[docs.length - 1];
+            return {
+                items: docs.map(doc => migrateDocument(kind, doc, context)),
+                cursor: last ? { value: last[orderField], id: last.id } : cursor,
+                hasMore: limit !== null && docs.length === limit
+            };
+        } catch (error) {
+            console.error(`Error getting page of ${path}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Schema version every activity subcollection is at once it's been migrated
+     * @returns {Object} Versions keyed by subcollection (stored on the user doc as activitySchemaVersions)
+     */
+    getActivitySchemaVersions() {
+        const versions = {};
+        ACTIVITY_COLLECTIONS.forEach(collection => {
+            versions[collection] = getSchemaVersion(ACTIVITY_KINDS[collection]);
+        });
+        return versions;
+    }
+
+    /**
+     * Write schema upgrades back for a user's own documents.
+     * Reads already return upgraded documents; persisting matters for
+     * fields that server-side queries depend on (e.g. endTime ordering).
+     * Subcollections are only scanned when the user doc's
+     * activitySchemaVersions says they're behind, so this reads nothing
+     * beyond the user doc once everything is current.
+     * @param {string} userId - User ID
+     * @returns {Promise<number>} Number of documents upgraded
+     */
+    async migrateUserData(userId) {
+        const backend = this.getBackend();
+        const writes = [];
+
+        const addUpgrade = (kind, path, id, doc, context) => {
+            if (!needsMigration(kind, doc)) return;
+            writes.push({
+                type: 'set',
+                path,
+                id,
+                data: getMigratedFields(doc, migrateDocument(kind, doc, context)),
+                options: { merge: true }
+            });
+        };
+
+        const user = await backend.get('users', userId);
+        addUpgrade(DOCUMENT_KINDS.USER, 'users', userId, user);
+
+        // Activities are re-dated in the owner's time zone
+        const context = { timeZone: migrateDocument(DOCUMENT_KINDS.USER, user)?.timeZone };
+        this.migrationContexts.set(userId, context);
+
+        const current = this.getActivitySchemaVersions();
+        const migrated = user?.activitySchemaVersions || {};
+        const behind = ACTIVITY_COLLECTIONS.filter(collection => (migrated[collection] || 0) < current[collection]);
+        for (const collection of behind) {
+            // No orderBy, so documents missing the ordered field are included
+            const path = `users/${userId}/${collection}`;
+            const docs = await backend.list(path);
+            docs.forEach(({ id, ...doc }) => addUpgrade(ACTIVITY_KINDS[collection], path, id, doc, context));
+        }
+
+        const upgraded = writes.length;
+
+        // Recorded in the last batch, so an interrupted migration is scanned again next time
+        if (behind.length > 0) {
+            writes.push({ type: 'set', path: 'users', id: userId, data: { activitySchemaVersions: current }, options: { merge: true } });
+        }
+        await this.commitInBatches(writes);
+
+        if (upgraded > 0) {
+            console.log(`✅ Upgraded ${upgraded} document(s) to the current schema`);
+        }
+        return upgraded;
     }
 
     // Session-specific methods
@@ -137,10 +424,17 @@ class StorageManager {
      * Save a practice session
      * @param {string} userId - User ID
      * @param {Object} session - Session object
+     * @param {Object} userUpdates - User doc changes to commit with it (e.g. counter increments)
      * @returns {Promise<void>}
      */
-    async saveSession(userId, session) {
-        await this.set(`users/${userId}/sessions`, session.id, session);
+    async saveSession(userId, session, userUpdates = null) {
+        await this.commitWithUserUpdates(userId, {
+            type: 'set',
+            path: `users/${userId}/sessions`,
+            id: session.id,
+            data: migrateDocument(DOCUMENT_KINDS.SESSION, session),
+            options: { merge: true }
+        }, userUpdates);
     }
 
     /**
@@ -150,29 +444,124 @@ class StorageManager {
      */
     async getUserSessions(userId) {
         try {
-            if (!this.db) this.init();
-            const snapshot = await this.db
-                .collection('users')
-                .doc(userId)
-                .collection('sessions')
-                .orderBy('date', 'desc')
-                .get();
-            
-            return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+            const context = await this.getMigrationContext(userId);
+            const sessions = await this.getBackend().list(`users/${userId}/sessions`, {
+                orderBy: 'date',
+                direction: 'desc'
+            });
+            return sessions.map(session => migrateDocument(DOCUMENT_KINDS.SESSION, session, context));
         } catch (error) {
             console.error(`Error getting sessions for ${userId}:`, error);
             return [];
         }
     }
 
+    /**
+     * Get one of a user's sessions
+     * @param {string} userId - User ID
+     * @param {string} sessionId - Session ID
+     * @returns {Promise<Object|null>} Session, or null if it doesn't exist
+     */
+    async getSession(userId, sessionId) {
+        const session = await this.get(`users/${userId}/sessions`, sessionId);
+        return session
+            ? migrateDocument(DOCUMENT_KINDS.SESSION, { id: sessionId, ...session }, await this.getMigrationContext(userId))
+            : null;
+    }
+
+    /**
+     * Get a page of a user's sessions, newest first
+     * @param {string} userId - User ID
+     * @param {Object} options - { limit, cursor, from, to } with from/to as YYYY-MM-DD dates
+     * @returns {Promise<Object>} { items, cursor, hasMore }
+     */
+    async getSessionsPage(userId, options = {}) {
+        return await this.listPage(`users/${userId}/sessions`, DOCUMENT_KINDS.SESSION, 'date', options,
+            await this.getMigrationContext(userId));
+    }
+
+    /**
+     * Get a page of a user's sessions, highest first by a score
+     * @param {string} userId - User ID
+     * @param {string} field - 'points' or 'percentage'
+     * @param {Object} options - { limit, cursor }
+     * @returns {Promise<Object>} { items, cursor, hasMore }
+     */
+    async getTopSessionsPage(userId, field, options = {}) {
+        return await this.listPage(`users/${userId}/sessions`, DOCUMENT_KINDS.SESSION, field, options,
+            await this.getMigrationContext(userId));
+    }
+
+    /**
+     * Get every session a user played on or after a date (a bounded read, e.g. this week's)
+     * @param {string} userId - User ID
+     * @param {string} from - First date to include (YYYY-MM-DD)
+     * @returns {Promise<Array>} Sessions, newest first
+     */
+    async getSessionsSince(userId, from) {
+        const { items } = await this.getSessionsPage(userId, { from, limit: null });
+        return items;
+    }
+
+    /**
+     * Get a user's sessions played on or after a date, straight from the
+     * server (for admin jobs that read other players' sessions)
+     * @param {string} userId - User ID
+     * @param {string} from - First date to include (YYYY-MM-DD)
+     * @param {string} timeZone - Owner's time zone (to migrate in)
+     * @returns {Promise<Array>} Array of session objects
+     */
+    async getSessionsSinceFromServer(userId, from, timeZone) {
+        const sessions = await this.getServerBackend().list(`users/${userId}/sessions`, {
+            where: [['date', '>=', from]]
+        });
+        return sessions.map(session => migrateDocument(DOCUMENT_KINDS.SESSION, session, { timeZone }));
+    }
+
+    /**
+     * Get a user's sessions played as part of a routine (the ones with a routineName)
+     * @param {string} userId - User ID
+     * @returns {Promise<Array>} Array of session objects
+     */
+    async getRoutineSessions(userId) {
+        try {
+            const context = await this.getMigrationContext(userId);
+            // Every name sorts after the empty string; sessions without one (null) don't match
+            const sessions = await this.getBackend().list(`users/${userId}/sessions`, {
+                where: [['routineName', '>', '']]
+            });
+            return sessions.map(session => migrateDocument(DOCUMENT_KINDS.SESSION, session, context));
+        } catch (error) {
+            console.error(`Error getting routine sessions for ${userId}:`, error);
+            return [];
+        }
+    }
+
+    /**
+     * Update fields on a session
+     * @param {string} userId - User ID
+     * @param {string} sessionId - Session ID
+     * @param {Object} updatedData - Fields to change
+     * @param {Object} userUpdates - User doc changes to commit with it (e.g. points difference)
+     * @returns {Promise<void>}
+     */
+    async updateSession(userId, sessionId, updatedData, userUpdates = null) {
+        await this.commitWithUserUpdates(userId, {
+            type: 'update', path: `users/${userId}/sessions`, id: sessionId, data: updatedData
+        }, userUpdates);
+    }
+
     /**
      * Delete a session
      * @param {string} userId - User ID
      * @param {string} sessionId - Session ID
+     * @param {Object} userUpdates - User doc changes to commit with it (e.g. counter decrements)
      * @returns {Promise<void>}
      */
-    async deleteSession(userId, sessionId) {
-        await this.delete(`users/${userId}/sessions`, sessionId);
+    async deleteSession(userId, sessionId, userUpdates = null) {
+        await this.commitWithUserUpdates(userId, {
+            type: 'delete', path: `users/${userId}/sessions`, id: sessionId
+        }, userUpdates);
     }
 
     // Challenge-specific methods
@@ -194,6 +583,39 @@ class StorageManager {
         return await this.get('challenges', 'weekly');
     }
 
+    /**
+     * Mark the weekly challenge completed for a user and award its bonus,
+     * in one atomic write. Bonuses are also tallied in bonusPoints because
+     * they aren't part of any session, routine or game, and the challenge
+     * is remembered in rewardedChallenge (by startedAt) so it can't pay twice.
+     * @param {string} userId - User ID
+     * @param {Object} challenge - Challenge completed
+     * @param {Object} options - Options
+     * @param {boolean} options.toServer - Write straight to the server (see getServerBackend)
+     * @returns {Promise<void>}
+     */
+    async recordChallengeCompletion(userId, challenge, { toServer = false } = {}) {
+        const writes = [
+            { type: 'set', path: 'challenges', id: 'weekly', data: { completedBy: arrayUnion(userId) }, options: { merge: true } },
+            {
+                type: 'set',
+                path: 'users',
+                id: userId,
+                data: {
+                    totalPoints: increment(challenge.reward),
+                    bonusPoints: increment(challenge.reward),
+                    rewardedChallenge: challenge.startedAt ?? null
+                },
+                options: { merge: true }
+            }
+        ];
+        if (toServer) {
+            await this.getServerBackend().commit(writes);
+        } else {
+            await this.commit(writes);
+        }
+    }
+
     // Friend-specific methods
 
     /**
@@ -213,14 +635,7 @@ class StorageManager {
      */
     async getUserFriends(userId) {
         try {
-            if (!this.db) this.init();
-            const snapshot = await this.db
-                .collection('users')
-                .doc(userId)
-                .collection('friends')
-                .get();
-            
-            return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+            return await this.getBackend().list(`users/${userId}/friends`);
         } catch (error) {
             console.error(`Error getting friends for ${userId}:`, error);
             return [];
@@ -260,11 +675,18 @@ class StorageManager {
      * Save a routine completion
      * @param {string} userId - User ID
      * @param {Object} completion - Routine completion object
+     * @param {Object} userUpdates - User doc changes to commit with it (e.g. counter increments)
      * @returns {Promise<void>}
      */
-    async saveRoutineCompletion(userId, completion) {
-        const completionId = `routine_${Date.now()}`;
-        await this.set(`users/${userId}/routineCompletions`, completionId, completion);
+    async saveRoutineCompletion(userId, completion, userUpdates = null) {
+        const completionId = completion.id || `routine_${Date.now()}`;
+        await this.commitWithUserUpdates(userId, {
+            type: 'set',
+            path: `users/${userId}/routineCompletions`,
+            id: completionId,
+            data: migrateDocument(DOCUMENT_KINDS.ROUTINE_COMPLETION, completion),
+            options: { merge: true }
+        }, userUpdates);
     }
 
     /**
@@ -274,36 +696,42 @@ class StorageManager {
      */
     async getRoutineCompletions(userId) {
         try {
-            if (!this.db) this.init();
-            const snapshot = await this.db
-                .collection('users')
-                .doc(userId)
-                .collection('routineCompletions')
-                .orderBy('endTime', 'desc')
-                .get();
-            
-            return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+            const context = await this.getMigrationContext(userId);
+            const completions = await this.getBackend().list(`users/${userId}/routineCompletions`, {
+                orderBy: 'endTime',
+                direction: 'desc'
+            });
+            return completions.map(completion => migrateDocument(DOCUMENT_KINDS.ROUTINE_COMPLETION, completion, context));
         } catch (error) {
             console.error(`Error getting routine completions for ${userId}:`, error);
             return [];
         }
     }
 
+    /**
+     * Get a page of a user's routine completions, newest first
+     * @param {string} userId - User ID
+     * @param {Object} options - { limit, cursor, from, to } with from/to as YYYY-MM-DD dates
+     * @returns {Promise<Object>} { items, cursor, hasMore }
+     */
+    async getRoutineCompletionsPage(userId, options = {}) {
+        const context = await this.getMigrationContext(userId);
+        return await this.listPage(`users/${userId}/routineCompletions`, DOCUMENT_KINDS.ROUTINE_COMPLETION, 'endTime',
+            toTimestampRange(options, context), context);
+    }
+
     /**
      * Delete a routine completion
      * @param {string} userId - User ID
      * @param {string} routineId - Routine completion ID
+     * @param {Object} userUpdates - User doc changes to commit with it (e.g. counter decrements)
      * @returns {Promise<void>}
      */
-    async deleteRoutineCompletion(userId, routineId) {
+    async deleteRoutineCompletion(userId, routineId, userUpdates = null) {
         try {
-            if (!this.db) this.init();
-            await this.db
-                .collection('users')
-                .doc(userId)
-                .collection('routineCompletions')
-                .doc(routineId)
-                .delete();
+            await this.commitWithUserUpdates(userId, {
+                type: 'delete', path: `users/${userId}/routineCompletions`, id: routineId
+            }, userUpdates);
             console.log(`Routine completion ${routineId} deleted for user ${userId}`);
         } catch (error) {
             console.error(`Error deleting routine completion:`, error);
@@ -316,17 +744,14 @@ class StorageManager {
      * @param {string} userId - User ID
      * @param {string} routineId - Routine completion ID
      * @param {Object} updatedData - Updated routine data
+     * @param {Object} userUpdates - User doc changes to commit with it (e.g. points difference)
      * @returns {Promise<void>}
      */
-    async updateRoutineCompletion(userId, routineId, updatedData) {
+    async updateRoutineCompletion(userId, routineId, updatedData, userUpdates = null) {
         try {
-            if (!this.db) this.init();
-            await this.db
-                .collection('users')
-                .doc(userId)
-                .collection('routineCompletions')
-                .doc(routineId)
-                .update(updatedData);
+            await this.commitWithUserUpdates(userId, {
+                type: 'update', path: `users/${userId}/routineCompletions`, id: routineId, data: updatedData
+            }, userUpdates);
             console.log(`Routine completion ${routineId} updated for user ${userId}`);
         } catch (error) {
             console.error(`Error updating routine completion:`, error);
@@ -338,11 +763,18 @@ class StorageManager {
      * Save a game completion
      * @param {string} userId - User ID
      * @param {Object} completion - Game completion object
+     * @param {Object} userUpdates - User doc changes to commit with it (e.g. counter increments)
      * @returns {Promise<void>}
      */
-    async saveGameCompletion(userId, completion) {
-        const completionId = `game_${Date.now()}`;
-        await this.set(`users/${userId}/gameCompletions`, completionId, completion);
+    async saveGameCompletion(userId, completion, userUpdates = null) {
+        const completionId = completion.id || `game_${Date.now()}`;
+        await this.commitWithUserUpdates(userId, {
+            type: 'set',
+            path: `users/${userId}/gameCompletions`,
+            id: completionId,
+            data: migrateDocument(DOCUMENT_KINDS.GAME_COMPLETION, completion),
+            options: { merge: true }
+        }, userUpdates);
     }
 
     /**
@@ -352,36 +784,42 @@ class StorageManager {
      */
     async getGameCompletions(userId) {
         try {
-            if (!this.db) this.init();
-            const snapshot = await this.db
-                .collection('users')
-                .doc(userId)
-                .collection('gameCompletions')
-                .orderBy('endTime', 'desc')
-                .get();
-            
-            return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+            const context = await this.getMigrationContext(userId);
+            const completions = await this.getBackend().list(`users/${userId}/gameCompletions`, {
+                orderBy: 'endTime',
+                direction: 'desc'
+            });
+            return completions.map(completion => migrateDocument(DOCUMENT_KINDS.GAME_COMPLETION, completion, context));
         } catch (error) {
             console.error(`Error getting game completions for ${userId}:`, error);
             return [];
         }
     }
 
+    /**
+     * Get a page of a user's game completions, newest first
+     * @param {string} userId - User ID
+     * @param {Object} options - { limit, cursor, from, to } with from/to as YYYY-MM-DD dates
+     * @returns {Promise<Object>} { items, cursor, hasMore }
+     */
+    async getGameCompletionsPage(userId, options = {}) {
+        const context = await this.getMigrationContext(userId);
+        return await this.listPage(`users/${userId}/gameCompletions`, DOCUMENT_KINDS.GAME_COMPLETION, 'endTime',
+            toTimestampRange(options, context), context);
+    }
+
     /**
      * Delete a game completion
      * @param {string} userId - User ID
      * @param {string} gameId - Game completion ID
+     * @param {Object} userUpdates - User doc changes to commit with it (e.g. counter decrements)
      * @returns {Promise<void>}
      */
-    async deleteGameCompletion(userId, gameId) {
+    async deleteGameCompletion(userId, gameId, userUpdates = null) {
         try {
-            if (!this.db) this.init();
-            await this.db
-                .collection('users')
-                .doc(userId)
-                .collection('gameCompletions')
-                .doc(gameId)
-                .delete();
+            await this.commitWithUserUpdates(userId, {
+                type: 'delete', path: `users/${userId}/gameCompletions`, id: gameId
+            }, userUpdates);
             console.log(`Game completion ${gameId} deleted for user ${userId}`);
         } catch (error) {
             console.error(`Error deleting game completion:`, error);
@@ -394,17 +832,14 @@ class StorageManager {
      * @param {string} userId - User ID
      * @param {string} gameId - Game completion ID
      * @param {Object} updatedData - Updated game data
+     * @param {Object} userUpdates - User doc changes to commit with it (e.g. points difference)
      * @returns {Promise<void>}
      */
-    async updateGameCompletion(userId, gameId, updatedData) {
+    async updateGameCompletion(userId, gameId, updatedData, userUpdates = null) {
         try {
-            if (!this.db) this.init();
-            await this.db
-                .collection('users')
-                .doc(userId)
-                .collection('gameCompletions')
-                .doc(gameId)
-                .update(updatedData);
+            await this.commitWithUserUpdates(userId, {
+                type: 'update', path: `users/${userId}/gameCompletions`, id: gameId, data: updatedData
+            }, userUpdates);
             console.log(`Game completion ${gameId} updated for user ${userId}`);
         } catch (error) {
             console.error(`Error updating game completion:`, error);
@@ -412,27 +847,106 @@ class StorageManager {
         }
     }
 
+    /**
+     * Read a user's profile and full history straight from the server.
+     * Unlike the getters above, a failed read throws instead of coming back
+     * empty, for callers that would act on missing history (e.g. rebuilding
+     * totals from it).
+     * @param {string} userId - User ID
+     * @returns {Promise<Object>} { user, sessions, routines, games }, newest
+     *   first (user is null if there's no profile)
+     */
+    async getUserHistoryFromServer(userId) {
+        const backend = this.getServerBackend();
+        const user = migrateDocument(DOCUMENT_KINDS.USER, await backend.get('users', userId));
+        const context = { timeZone: user?.timeZone };
+
+        // No orderBy, so documents missing the ordered field are included
+        const readAll = async (kind, collectionId, orderField) => {
+            const docs = await backend.list(`users/${userId}/${collectionId}`);
+            return docs
+                .map(doc => migrateDocument(kind, doc, context))
+                .sort((a, b) => String(b[orderField] ?? '').localeCompare(String(a[orderField] ?? '')));
+        };
+
+        const [sessions, routines, games] = await Promise.all([
+            readAll(DOCUMENT_KINDS.SESSION, 'sessions', 'date'),
+            readAll(DOCUMENT_KINDS.ROUTINE_COMPLETION, 'routineCompletions', 'endTime'),
+            readAll(DOCUMENT_KINDS.GAME_COMPLETION, 'gameCompletions', 'endTime')
+        ]);
+        return { user, sessions, routines, games };
+    }
+
     // Leaderboard methods
 
     /**
-     * Get all users for leaderboard
-     * @returns {Promise<Array>} Sorted array of users by points
+     * Get the top users on a leaderboard. Users without the field, or with
+     * it null (e.g. not enough putts for a leaderboardStats entry), are left out.
+     * @param {string} field - User field to rank by, dotted for maps (e.g. 'leaderboardStats.c1')
+     * @returns {Promise<Array>} Top 100 users by that field, highest first
      */
-    async getLeaderboard() {
+    async getLeaderboard(field = 'totalPoints') {
         try {
-            if (!this.db) this.init();
-            const snapshot = await this.db
-                .collection('users')
-                .orderBy('totalPoints', 'desc')
-                .limit(100)
-                .get();
-            
-            return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+            const users = await this.getBackend().list('users', {
+                orderBy: field,
+                direction: 'desc',
+                limit: 100
+            });
+            return users
+                .filter(user => field.split('.').reduce((value, key) => value?.[key], user) != null)
+                .map(user => migrateDocument(DOCUMENT_KINDS.USER, user));
         } catch (error) {
             console.error('Error getting leaderboard:', error);
             return [];
         }
     }
+
+    // Sync status methods
+
+    /**
+     * Get offline sync status
+     * @returns {Object} { online, syncing, pending } (pending is empty for backends without a queue)
+     */
+    getSyncStatus() {
+        const backend = this.getBackend();
+        if (!backend.getSyncStatus) {
+            return { online: true, syncing: false, pending: [] };
+        }
+        return backend.getSyncStatus();
+    }
+
+    /**
+     * Subscribe to sync status changes
+     * @param {Function} callback - Receives the sync status
+     * @returns {Function} Unsubscribe function
+     */
+    onSyncChange(callback) {
+        const backend = this.getBackend();
+        return backend.onSyncChange ? backend.onSyncChange(callback) : () => {};
+    }
+
+    /**
+     * Retry writes that are waiting to sync
+     * @returns {Promise<void>}
+     */
+    async syncNow() {
+        const backend = this.getBackend();
+        if (backend.flush) {
+            await backend.flush();
+        }
+    }
+
+    /**
+     * Drop a queued write that the server rejected
+     * @param {number} seq - Queue sequence number
+     * @returns {Promise<void>}
+     */
+    async discardPendingWrite(seq) {
+        const backend = this.getBackend();
+        if (backend.discardWrite) {
+            await backend.discardWrite(seq);
+        }
+    }
 }
 
 // Export singleton instance
@@ -3,15 +3,20 @@
  * Manages user data, sessions, and statistics
  */
 
-import { storageManager } from './storage.js';
-import { calculateSessionPoints, calculateStats } from '../utils/calculations.js';
-import { validateSessionInput } from '../utils/validation.js';
-import { CONSTANTS } from '../config/constants.js';
+import { storageManager, increment, maximum, percentageOf, arrayUnion } from './storage.js';
+import { calculateSessionPoints, calculateStationTotals, calculateStats, getActivityPutts, calculateCircleTotals, toBestSession } from '../utils/calculations.js';
+import { validateSessionInput, validateStations, validatePuttSequence, validateMissCounts, isValidPuttingStyle, validateConditions, sanitizeString, parseTags, validateTags } from '../utils/validation.js';
+import { DOCUMENT_KINDS, migrateDocument } from '../utils/migrations.js';
+import { getDefaultTimeZone, isValidTimeZone, toLocalDate, fromLocalDateTime } from '../utils/dates.js';
+import { isValidUnits } from '../utils/units.js';
+import { CONSTANTS, CURRENT_POINTS_VERSION, PUTTING_CIRCLES } from '../config/constants.js';
 
 class UserManager {
     constructor() {
         this.currentUser = null;
-        this.sessions = [];
+        this.sessions = []; // Full session history, read the first time it's needed (see ensureSessions)
+        this.sessionsLoaded = false;
+        this.recentSessions = []; // Newest sessions, for the Practice tab
     }
 
     /**
@@ -35,94 +40,88 @@ class UserManager {
                 ? gender.toLowerCase() 
                 : 'male'; // Default to male if invalid input
             
-            user = {
+            // Defaults for everything else come from the schema migrations
+            user = migrateDocument(DOCUMENT_KINDS.USER, {
                 id: firebaseUser.uid,
                 email: firebaseUser.email,
                 displayName: firebaseUser.displayName || firebaseUser.email?.split('@')[0] || 'User',
                 photoURL: firebaseUser.photoURL,
-                profilePictureURL: firebaseUser.photoURL || null,
                 gender: validGender,
-                birthday: null,
-                favoritePutter: null,
-                favoriteMidrange: null,
-                favoriteDriver: null,
-                hideFromLeaderboard: false,
-                totalPoints: 0,
-                totalSessions: 0,
-                totalRoutines: 0,
-                totalGames: 0,
-                achievements: [],
                 createdAt: new Date().toISOString(),
                 lastLogin: new Date().toISOString()
-            };
+            });
 
+            // Nothing to migrate yet (see storageManager.migrateUserData)
+            user.activitySchemaVersions = storageManager.getActivitySchemaVersions();
             await storageManager.saveUser(user);
             console.log('✅ New user created:', user.email, 'Gender:', user.gender);
         } else {
-            // Update last login
-            user.lastLogin = new Date().toISOString();
-            
-            // Initialize counters if they don't exist
-            if (user.totalRoutines === undefined) user.totalRoutines = 0;
-            if (user.totalGames === undefined) user.totalGames = 0;
-            
-            // Initialize gender if it doesn't exist (for existing users)
-            if (!user.gender) {
-                user.gender = 'male'; // Default for existing users
+            // Write any schema upgrades for this user's documents back to storage
+            try {
+                await storageManager.migrateUserData(user.id);
+            } catch (error) {
+                console.error('Error migrating user data:', error);
             }
             
-            // Initialize profile fields if they don't exist
-            if (user.profilePictureURL === undefined) user.profilePictureURL = user.photoURL || null;
-            if (user.birthday === undefined) user.birthday = null;
-            if (user.favoritePutter === undefined) user.favoritePutter = null;
-            if (user.favoriteMidrange === undefined) user.favoriteMidrange = null;
-            if (user.favoriteDriver === undefined) user.favoriteDriver = null;
-            if (user.hideFromLeaderboard === undefined) user.hideFromLeaderboard = false;
-            
-            await storageManager.saveUser(user);
+            // Update last login (only this field, so counters updated elsewhere aren't overwritten)
+            const lastLogin = new Date().toISOString();
+            await storageManager.updateUser(user.id, { lastLogin });
+            user = { ...user, lastLogin };
             console.log('✅ User loaded:', user.email);
         }
 
         this.currentUser = user;
-        await this.loadSessions();
-        
-        // Fix totalSessions count for existing users if it's wrong
-        if (this.currentUser.totalSessions === undefined || this.currentUser.totalSessions === 0) {
-            const actualSessionCount = this.sessions.length;
-            if (actualSessionCount > 0) {
-                this.currentUser.totalSessions = actualSessionCount;
-                await storageManager.saveUser(this.currentUser);
-                console.log('✅ Session count updated:', actualSessionCount);
-            }
-        }
-        
-        // Update totalRoutines and totalGames counts
-        await this.updateActivityCounts();
+        this.sessions = [];
+        this.sessionsLoaded = false;
+        await this.loadRecentSessions();
 
-        return user;
+        return this.currentUser;
     }
-    
+
     /**
-     * Update user's routine and game completion counts
+     * Re-read the current user's document (e.g. after counters were updated)
+     * @returns {Promise<Object>} Current user
      */
-    async updateActivityCounts() {
-        if (!this.currentUser) return;
-        
-        try {
-            const routines = await storageManager.getRoutineCompletions(this.currentUser.id);
-            const games = await storageManager.getGameCompletions(this.currentUser.id);
-            
-            this.currentUser.totalRoutines = routines.length;
-            this.currentUser.totalGames = games.length;
-            
-            await storageManager.saveUser(this.currentUser);
-        } catch (error) {
-            console.error('Error updating activity counts:', error);
+    async reloadUser() {
+        if (!this.currentUser) {
+            throw new Error('No user is currently set');
+        }
+
+        const user = await storageManager.getUser(this.currentUser.id);
+        if (user) {
+            this.currentUser = user;
         }
+        return this.currentUser;
     }
 
     /**
-     * Load user sessions
+     * Get the current user's time zone, used for every calendar-day calculation
+     * @returns {string} IANA time zone (the device's if none is configured)
+     */
+    getTimeZone() {
+        const timeZone = this.currentUser?.timeZone;
+        return isValidTimeZone(timeZone) ? timeZone : getDefaultTimeZone();
+    }
+
+    /**
+     * Get the units the current user sees and enters distances in
+     * @returns {string} 'imperial' or 'metric' (feet if none is configured)
+     */
+    getUnits() {
+        const units = this.currentUser?.units;
+        return isValidUnits(units) ? units : 'imperial';
+    }
+
+    /**
+     * Get today's date in the current user's time zone
+     * @returns {string} Date as YYYY-MM-DD
+     */
+    getToday() {
+        return toLocalDate(new Date(), this.getTimeZone());
+    }
+
+    /**
+     * Load the user's full session history
      * @returns {Promise<Array>} Array of sessions
      */
     async loadSessions() {
@@ -131,89 +130,498 @@ class UserManager {
         }
 
         this.sessions = await storageManager.getUserSessions(this.currentUser.id);
+        this.sessionsLoaded = true;
         return this.sessions;
     }
 
     /**
-     * Add a new practice session
-     * @param {Object} sessionData - Session input data
-     * @returns {Promise<Object>} Created session
+     * Load the full session history unless it's already loaded
+     * (stats, achievements and challenges need every session; the Practice tab doesn't)
+     * @returns {Promise<Array>} Array of sessions
      */
-    async addSession(sessionData) {
+    async ensureSessions() {
+        return this.sessionsLoaded ? this.sessions : await this.loadSessions();
+    }
+
+    /**
+     * Load the newest sessions for the Practice tab
+     * @returns {Promise<Array>} Newest sessions first
+     */
+    async loadRecentSessions() {
         if (!this.currentUser) {
             throw new Error('No user is currently set');
         }
 
-        const { makes, attempts, distance, date, routineName } = sessionData;
+        try {
+            const { items } = await storageManager.getSessionsPage(this.currentUser.id, {
+                limit: CONSTANTS.UI.RECENT_PRACTICE_ITEMS
+            });
+            this.recentSessions = items;
+        } catch (error) {
+            console.error('Error loading recent sessions:', error);
+        }
+        return this.recentSessions;
+    }
 
-        // Validate input
-        const validation = validateSessionInput(
-            parseInt(makes),
-            parseInt(attempts),
-            parseInt(distance)
-        );
+    /**
+     * Reload sessions after they changed: the newest ones, and the full
+     * history if it's been loaded
+     * @returns {Promise<void>}
+     */
+    async refreshSessions() {
+        await this.loadRecentSessions();
+        if (this.sessionsLoaded) {
+            await this.loadSessions();
+        }
+    }
 
-        if (!validation.isValid) {
-            throw new Error(validation.errors.join('. '));
+    /**
+     * Find one of the current user's sessions, reading it if it isn't loaded
+     * (e.g. an old session opened from the History tab)
+     * @param {string} sessionId - Session ID
+     * @returns {Promise<Object|null>} Session, or null if it doesn't exist
+     */
+    async findSession(sessionId) {
+        return this.sessions.find(s => s.id === sessionId)
+            || this.recentSessions.find(s => s.id === sessionId)
+            || await storageManager.getSession(this.currentUser.id, sessionId);
+    }
+
+    /**
+     * Validate session input and build the session document
+     * @param {Object} sessionData - Session input data
+     * @param {string} id - Session ID (defaults to one based on the current time)
+     * @returns {Object} Session ready to save
+     */
+    buildSession(sessionData, id = `session_${Date.now()}`) {
+        const { date, routineName, notes, tags, sequence, misses, style, conditions, discIds } = sessionData;
+        // timestamp is when it was played, which can be earlier than when it's logged
+        const loggedAt = new Date().toISOString();
+        const timestamp = sessionData.timestamp || loggedAt;
+        const timeZone = isValidTimeZone(sessionData.timeZone) ? sessionData.timeZone : this.getTimeZone();
+        const { distance, makes, attempts, percentage, points, stations } = this.scoreSession(sessionData);
+
+        if (!isValidPuttingStyle(style || null)) {
+            throw new Error(`Unknown putting style: ${style}`);
         }
 
-        // Calculate points and percentage
-        const { points, percentage } = calculateSessionPoints(
-            parseInt(makes),
-            parseInt(attempts),
-            parseInt(distance)
-        );
+        // Live sessions record every putt in order, at one distance
+        if (sequence) {
+            if (stations) {
+                throw new Error('A putt sequence can only be recorded for a single-distance session');
+            }
+            const sequenceValidation = validatePuttSequence(sequence, makes, attempts);
+            if (!sequenceValidation.isValid) {
+                throw new Error(sequenceValidation.errors.join('. '));
+            }
+        }
+
+        const missCounts = this.normalizeMisses(misses, makes, attempts);
+        const practiceConditions = this.normalizeConditions(conditions);
 
         // Create session object
-        const session = {
-            id: `session_${Date.now()}`,
-            date: date || new Date().toISOString().split('T')[0],
-            timestamp: new Date().toISOString(),
+        return {
+            id,
+            // The day it was played where the player is, not the UTC day
+            date: date || toLocalDate(timestamp, timeZone),
+            timestamp,
+            timeZone,
+            loggedAt,
+            distance,
+            makes,
+            attempts,
+            percentage,
+            points,
+            pointsVersion: CURRENT_POINTS_VERSION,
+            stations,
+            routineName: routineName || null,
+            notes: this.normalizeNotes(notes),
+            tags: this.normalizeTags(tags),
+            sequence: sequence || null,
+            misses: missCounts,
+            style: style || null,
+            conditions: practiceConditions,
+            discIds: this.normalizeDiscIds(discIds)
+        };
+    }
+
+    /**
+     * Validate a session's distance, makes and attempts and score it.
+     * With two or more stations, each station is validated and scored on its
+     * own and the session totals are their sums (distance is the longest station).
+     * @param {Object} sessionData - { distance, makes, attempts } or { stations }
+     * @returns {Object} { distance, makes, attempts, percentage, points, stations }
+     *   where stations is null for a single-distance session
+     */
+    scoreSession({ distance, makes, attempts, stations }) {
+        // A single station is just a regular session
+        if (Array.isArray(stations) && stations.length === 1) {
+            return this.scoreSession({ ...stations[0], stations: null });
+        }
+
+        if (Array.isArray(stations) && stations.length > 1) {
+            const validation = validateStations(stations);
+            if (!validation.isValid) {
+                throw new Error(validation.errors.join('. '));
+            }
+            return calculateStationTotals(stations);
+        }
+
+        const validation = validateSessionInput(parseInt(makes), parseInt(attempts), parseInt(distance));
+        if (!validation.isValid) {
+            throw new Error(validation.errors.join('. '));
+        }
+
+        const { points, percentage } = calculateSessionPoints(parseInt(makes), parseInt(attempts), parseInt(distance));
+        return {
             distance: parseInt(distance),
             makes: parseInt(makes),
             attempts: parseInt(attempts),
             percentage,
             points,
-            routineName: routineName || null
+            stations: null
         };
+    }
 
-        // Save session
-        await storageManager.saveSession(this.currentUser.id, session);
+    /**
+     * Validate a miss breakdown and drop directions with no misses
+     * @param {Object|null} misses - Miss counts keyed by direction
+     * @param {number} makes - Session makes
+     * @param {number} attempts - Session attempts
+     * @returns {Object|null} Miss counts, or null if no misses were tagged
+     */
+    normalizeMisses(misses, makes, attempts) {
+        if (!misses) return null;
 
-        // Update user points and session count
-        this.currentUser.totalPoints += points;
-        this.currentUser.totalSessions = (this.currentUser.totalSessions || 0) + 1;
-        
-        // Update aggregate performance stats
-        this.currentUser.totalPutts = (this.currentUser.totalPutts || 0) + parseInt(attempts);
-        this.currentUser.totalMakes = (this.currentUser.totalMakes || 0) + parseInt(makes);
-        
-        // Update best session if this one is better
-        if (!this.currentUser.bestSession || points > (this.currentUser.bestSession.points || 0)) {
-            this.currentUser.bestSession = {
-                distance: parseInt(distance),
-                makes: parseInt(makes),
-                attempts: parseInt(attempts),
-                percentage,
-                points,
-                date: session.date
-            };
+        const validation = validateMissCounts(misses, makes, attempts);
+        if (!validation.isValid) {
+            throw new Error(validation.errors.join('. '));
         }
-        
-        // Update best accuracy
-        if (!this.currentUser.bestAccuracy || percentage > this.currentUser.bestAccuracy) {
-            this.currentUser.bestAccuracy = percentage;
+
+        const counts = Object.fromEntries(Object.entries(misses).filter(([, count]) => count > 0));
+        return Object.keys(counts).length > 0 ? counts : null;
+    }
+
+    /**
+     * Validate practice conditions and drop the fields that weren't filled in
+     * (used for sessions, routine completions and game completions)
+     * @param {Object|null} conditions - { windSpeed, windDirection, temperature, setting, basketModel, elevation }
+     * @returns {Object|null} Conditions, or null if none were recorded
+     */
+    normalizeConditions(conditions) {
+        if (!conditions) return null;
+
+        const validation = validateConditions(conditions);
+        if (!validation.isValid) {
+            throw new Error(validation.errors.join('. '));
         }
-        
-        await storageManager.saveUser(this.currentUser);
 
-        // Reload sessions
-        await this.loadSessions();
+        const { windSpeed, windDirection, temperature, setting, basketModel, elevation } = conditions;
+        const recorded = Object.fromEntries(
+            Object.entries({
+                windSpeed,
+                windDirection,
+                temperature,
+                setting,
+                basketModel: sanitizeString(basketModel || '', CONSTANTS.VALIDATION.MAX_BASKET_MODEL_LENGTH) || null,
+                elevation
+            }).filter(([, value]) => value !== null && value !== undefined && value !== '')
+        );
+        return Object.keys(recorded).length > 0 ? recorded : null;
+    }
+
+    /**
+     * Check the discs used in a session
+     * @param {Array|null} discIds - IDs of discs from the player's bag
+     * @returns {Array|null} Unique disc IDs, or null if none were picked
+     */
+    normalizeDiscIds(discIds) {
+        if (!discIds) return null;
+
+        if (!Array.isArray(discIds) || discIds.some(id => typeof id !== 'string')) {
+            throw new Error('Discs used must be a list of disc IDs');
+        }
+
+        const unique = [...new Set(discIds.filter(Boolean))];
+        if (unique.length > CONSTANTS.VALIDATION.MAX_SESSION_DISCS) {
+            throw new Error(`Pick at most ${CONSTANTS.VALIDATION.MAX_SESSION_DISCS} discs for a session`);
+        }
+        return unique.length > 0 ? unique : null;
+    }
+
+    /**
+     * Check the tags on an activity
+     * @param {Array|string|null} tags - Tags, or comma-separated tag text
+     * @returns {Array|null} Lowercase unique tags, or null if there are none
+     */
+    normalizeTags(tags) {
+        if (!tags) return null;
+
+        const parsed = parseTags(tags);
+        const validation = validateTags(parsed);
+        if (!validation.isValid) {
+            throw new Error(validation.errors.join('. '));
+        }
+        return parsed.length > 0 ? parsed : null;
+    }
+
+    /**
+     * Clean up free-text notes on an activity
+     * @param {string|null} notes - Notes as typed
+     * @returns {string|null} Trimmed notes, or null if empty
+     */
+    normalizeNotes(notes) {
+        return sanitizeString(notes || '', CONSTANTS.VALIDATION.MAX_NOTES_LENGTH) || null;
+    }
+
+    /**
+     * Add a new practice session
+     * @param {Object} sessionData - Session input data
+     * @returns {Promise<Object>} Created session
+     */
+    async addSession(sessionData) {
+        if (!this.currentUser) {
+            throw new Error('No user is currently set');
+        }
+
+        const session = this.buildSession(sessionData);
+
+        // Save session and update the user's aggregates in the same commit
+        await storageManager.saveSession(this.currentUser.id, session, this.getSessionTotalsUpdate(session));
+
+        // Reload user and sessions
+        await this.reloadUser();
+        await this.refreshSessions();
 
         console.log('✅ Session added:', session);
         return session;
     }
 
+    /**
+     * Add several past sessions (e.g. from an import).
+     * Each one is saved with its totals update like addSession, but the
+     * user and sessions are only reloaded once at the end.
+     * @param {Array} sessionsData - Session input data (date is required)
+     * @param {Function} onProgress - Optional callback receiving (saved, total)
+     * @returns {Promise<Array>} Created sessions
+     */
+    async addSessions(sessionsData, onProgress = null) {
+        if (!this.currentUser) {
+            throw new Error('No user is currently set');
+        }
+
+        const batchId = Date.now();
+        const added = [];
+
+        try {
+            for (const [index, sessionData] of sessionsData.entries()) {
+                const session = this.buildSession({
+                    ...sessionData,
+                    // Past sessions are dated at the start of their day unless we know better
+                    timestamp: sessionData.timestamp || fromLocalDateTime(sessionData.date, '00:00',
+                        isValidTimeZone(sessionData.timeZone) ? sessionData.timeZone : this.getTimeZone())
+                }, `session_${batchId}_${index}`);
+
+                await storageManager.saveSession(this.currentUser.id, session, this.getSessionTotalsUpdate(session));
+                added.push(session);
+
+                if (onProgress) onProgress(added.length, sessionsData.length);
+            }
+        } finally {
+            // Reload even if a save failed part way, so totals match what was written
+            await this.reloadUser();
+            await this.refreshSessions();
+        }
+
+        console.log(`✅ ${added.length} sessions added`);
+        return added;
+    }
+
+    /**
+     * Build the user-doc update that adds a session to the aggregate stats
+     * @param {Object} session - Session being added
+     * @returns {Object} Fields with increment/maximum operations
+     */
+    getSessionTotalsUpdate(session) {
+        return {
+            totalPoints: increment(session.points),
+            totalSessions: increment(1),
+            totalPutts: increment(session.attempts),
+            totalMakes: increment(session.makes),
+            bestSession: maximum(toBestSession(session), 'points'),
+            bestAccuracy: maximum(session.percentage),
+            ...this.getStyleStatsUpdate(session),
+            ...this.getPuttStatsUpdate('session', session)
+        };
+    }
+
+    /**
+     * Build the user-doc update that adds (or removes) an activity's putts
+     * from the C1/C1X/C2 totals and the circle leaderboard stats ranked on
+     * them. The per-distance totals for strokes gained are rebuilt by the
+     * community stats recompute (firestore.rules only lets it write them).
+     * @param {string} type - 'session', 'routine' or 'game'
+     * @param {Object} item - Activity being counted
+     * @param {number} sign - 1 to add the activity, -1 to remove it
+     * @returns {Object} circleStats increments and leaderboardStats, or nothing when no circle changes
+     */
+    getPuttStatsUpdate(type, item, sign = 1) {
+        return this.withCircleRanks(this.toTotalsUpdate('circleStats', calculateCircleTotals(getActivityPutts(type, item)), sign));
+    }
+
+    /**
+     * Build the putt totals update for an edited activity
+     * @param {string} type - 'session', 'routine' or 'game'
+     * @param {Object} oldItem - Activity before the edit
+     * @param {Object} newItem - Activity after the edit
+     * @returns {Object} circleStats increments for what changed, with leaderboardStats
+     */
+    getPuttStatsDiff(type, oldItem, newItem) {
+        const before = calculateCircleTotals(getActivityPutts(type, oldItem));
+        const after = calculateCircleTotals(getActivityPutts(type, newItem));
+        return this.withCircleRanks(this.toTotalsUpdate('circleStats', Object.fromEntries(Object.keys(after).map(key => [key, {
+            makes: after[key].makes - before[key].makes,
+            attempts: after[key].attempts - before[key].attempts
+        }]))));
+    }
+
+    /**
+     * Add the circle leaderboard stats to a circleStats update, so the
+     * C1/C1X/C2 leaderboards move with every activity. Each is the circle's
+     * make percentage as the write leaves its totals (null until the
+     * player has the circle's minAttempts); strokes gained is left alone.
+     * @param {Object} update - circleStats update (empty when no circle changes)
+     * @returns {Object} The update, with leaderboardStats if circleStats changes
+     */
+    withCircleRanks(update) {
+        if (!update.circleStats) return update;
+
+        return {
+            ...update,
+            leaderboardStats: Object.fromEntries(PUTTING_CIRCLES.map(circle => [
+                circle.id,
+                percentageOf(`circleStats.${circle.id}`, circle.minAttempts)
+            ]))
+        };
+    }
+
+    /**
+     * Turn makes/attempts totals into increments on a user-doc map
+     * @param {string} field - Map field, e.g. 'circleStats'
+     * @param {Object} totals - Keyed by circle id or distance as { makes, attempts }
+     * @param {number} sign - 1 to add the totals, -1 to subtract them
+     * @returns {Object} Increments for the keys that change, or nothing
+     */
+    toTotalsUpdate(field, totals, sign = 1) {
+        const stats = {};
+        Object.entries(totals)
+            .filter(([, { makes, attempts }]) => makes !== 0 || attempts !== 0)
+            .forEach(([key, { makes, attempts }]) => {
+                stats[key] = {
+                    makes: increment(sign * makes),
+                    attempts: increment(sign * attempts)
+                };
+            });
+        return Object.keys(stats).length > 0 ? { [field]: stats } : {};
+    }
+
+    /**
+     * Build the user-doc update that adds (or removes) a session from the
+     * per-style totals used by the style leaderboards
+     * @param {Object} session - Session being counted
+     * @param {number} sign - 1 to add the session, -1 to remove it
+     * @returns {Object} styleStats increments, or nothing for an untagged session
+     */
+    getStyleStatsUpdate(session, sign = 1) {
+        if (!session.style) return {};
+
+        return {
+            styleStats: {
+                [session.style]: {
+                    sessions: increment(sign),
+                    putts: increment(sign * (session.attempts || 0)),
+                    makes: increment(sign * (session.makes || 0)),
+                    points: increment(sign * (session.points || 0))
+                }
+            }
+        };
+    }
+
+    /**
+     * Build the per-style totals update for an edited session: move it between
+     * styles if its tag changed, otherwise apply the difference
+     * @param {Object} oldSession - Session before the edit
+     * @param {Object} newSession - Session after the edit
+     * @returns {Object} styleStats increments, or nothing if neither version is tagged
+     */
+    getStyleStatsDiff(oldSession, newSession) {
+        const oldStyle = oldSession.style || null;
+        const newStyle = newSession.style || null;
+
+        if (oldStyle !== newStyle) {
+            const removed = this.getStyleStatsUpdate(oldSession, -1).styleStats || {};
+            const added = this.getStyleStatsUpdate(newSession).styleStats || {};
+            const styleStats = { ...removed, ...added };
+            return Object.keys(styleStats).length > 0 ? { styleStats } : {};
+        }
+
+        if (!newStyle) return {};
+
+        return {
+            styleStats: {
+                [newStyle]: {
+                    putts: increment(newSession.attempts - (oldSession.attempts || 0)),
+                    makes: increment(newSession.makes - (oldSession.makes || 0)),
+                    points: increment(newSession.points - (oldSession.points || 0))
+                }
+            }
+        };
+    }
+
+    /**
+     * Build the bestSession and bestAccuracy update for an edited or deleted
+     * session. A maximum isn't enough here: the session may have been the
+     * best and now score less (or be gone), so the best of the others is
+     * looked up and compared with the edited session.
+     * @param {Object} oldSession - Session before the edit or delete
+     * @param {Object|null} newSession - Session after the edit (null when deleted)
+     * @returns {Promise<Object>} { bestSession, bestAccuracy } (null when no session is left)
+     */
+    async getBestsUpdate(oldSession, newSession) {
+        const [topByPoints, topByAccuracy] = await Promise.all([
+            this.findBestSession('points', oldSession.id),
+            this.findBestSession('percentage', oldSession.id)
+        ]);
+
+        const best = !newSession || (topByPoints && topByPoints.points > newSession.points) ? topByPoints : newSession;
+        const accuracies = [topByAccuracy, newSession].filter(Boolean).map(s => s.percentage || 0);
+
+        return {
+            bestSession: best ? toBestSession(best) : null,
+            bestAccuracy: accuracies.length > 0 ? Math.max(...accuracies) : null
+        };
+    }
+
+    /**
+     * Find the current user's highest counted session by a score, reading
+     * a few at a time from the top (pending sessions don't count)
+     * @param {string} field - 'points' or 'percentage'
+     * @param {string} excludeId - Session to leave out
+     * @returns {Promise<Object|null>} Session, or null if there is none
+     */
+    async findBestSession(field, excludeId) {
+        let cursor = null;
+        let hasMore = true;
+        while (hasMore) {
+            const page = await storageManager.getTopSessionsPage(this.currentUser.id, field, { limit: 5, cursor });
+            const best = page.items.find(s => !s.pending && s.id !== excludeId);
+            if (best) return best;
+            cursor = page.cursor;
+            hasMore = page.hasMore;
+        }
+        return null;
+    }
+
     /**
      * Delete a session
      * @param {string} sessionId - Session ID to delete
@@ -224,23 +632,54 @@ class UserManager {
             throw new Error('No user is currently set');
         }
 
-        const session = this.sessions.find(s => s.id === sessionId);
+        const session = await this.findSession(sessionId);
         if (!session) {
             throw new Error('Session not found');
         }
 
-        // Remove points from user
-        this.currentUser.totalPoints = Math.max(0, this.currentUser.totalPoints - session.points);
-        this.currentUser.totalSessions = Math.max(0, (this.currentUser.totalSessions || 0) - 1);
-        await storageManager.saveUser(this.currentUser);
+        // Delete the session and remove it from the user's aggregates together
+        // (pending sessions were never counted)
+        await storageManager.deleteSession(this.currentUser.id, sessionId, session.pending ? null : {
+            totalPoints: increment(-(session.points || 0)),
+            totalSessions: increment(-1),
+            totalPutts: increment(-(session.attempts || 0)),
+            totalMakes: increment(-(session.makes || 0)),
+            ...await this.getBestsUpdate(session, null),
+            ...this.getStyleStatsUpdate(session, -1),
+            ...this.getPuttStatsUpdate('session', session, -1)
+        });
+
+        // Reload user and sessions
+        await this.reloadUser();
+        await this.refreshSessions();
 
-        // Delete session using the storage manager's deleteSession method
-        await storageManager.deleteSession(this.currentUser.id, sessionId);
+        console.log('✅ Session deleted:', sessionId);
+    }
 
-        // Reload sessions
-        await this.loadSessions();
+    /**
+     * Accept a session another player logged for the current user,
+     * adding it to their stats
+     * @param {string} sessionId - Pending session ID
+     * @returns {Promise<Object>} Accepted session
+     */
+    async acceptSession(sessionId) {
+        if (!this.currentUser) {
+            throw new Error('No user is currently set');
+        }
 
-        console.log('✅ Session deleted:', sessionId);
+        const session = await this.findSession(sessionId);
+        if (!session || !session.pending) {
+            throw new Error('Pending session not found');
+        }
+
+        const accepted = { ...session, pending: false };
+        await storageManager.saveSession(this.currentUser.id, accepted, this.getSessionTotalsUpdate(accepted));
+
+        await this.reloadUser();
+        await this.refreshSessions();
+
+        console.log('✅ Session accepted:', sessionId);
+        return accepted;
     }
 
     /**
@@ -254,64 +693,93 @@ class UserManager {
             throw new Error('No user is currently set');
         }
 
-        const oldSession = this.sessions.find(s => s.id === sessionId);
+        const oldSession = await this.findSession(sessionId);
         if (!oldSession) {
             throw new Error('Session not found');
         }
 
-        const { makes, attempts, distance } = sessionData;
-
-        // Validate input
-        const validation = validateSessionInput(
-            parseInt(makes),
-            parseInt(attempts),
-            parseInt(distance)
-        );
+        const { misses, style, conditions, discIds, timestamp, notes, tags } = sessionData;
+        const { distance, makes, attempts, percentage, points, stations } = this.scoreSession(sessionData);
 
-        if (!validation.isValid) {
-            throw new Error(validation.errors.join('. '));
+        if (!isValidPuttingStyle(style || null)) {
+            throw new Error(`Unknown putting style: ${style}`);
         }
 
-        // Calculate new points and percentage
-        const { points, percentage } = calculateSessionPoints(
-            parseInt(makes),
-            parseInt(attempts),
-            parseInt(distance)
-        );
-
         // Calculate points difference
         const pointsDiff = points - oldSession.points;
 
         // Update session object
         const updatedSession = {
             ...oldSession,
-            distance: parseInt(distance),
-            makes: parseInt(makes),
-            attempts: parseInt(attempts),
+            distance,
+            makes,
+            attempts,
             percentage,
-            points
+            points,
+            pointsVersion: CURRENT_POINTS_VERSION,
+            stations,
+            misses: misses === undefined
+                ? (oldSession.misses || null)
+                : this.normalizeMisses(misses, makes, attempts),
+            style: style === undefined ? (oldSession.style || null) : (style || null),
+            conditions: conditions === undefined
+                ? (oldSession.conditions || null)
+                : this.normalizeConditions(conditions),
+            discIds: discIds === undefined
+                ? (oldSession.discIds || null)
+                : this.normalizeDiscIds(discIds),
+            notes: notes === undefined ? (oldSession.notes || null) : this.normalizeNotes(notes),
+            tags: tags === undefined ? (oldSession.tags || null) : this.normalizeTags(tags)
         };
 
-        // Save updated session
-        await storageManager.saveSession(this.currentUser.id, updatedSession);
+        // Moving when it was played re-dates it in the time zone it was logged in
+        if (timestamp) {
+            updatedSession.timestamp = timestamp;
+            updatedSession.date = toLocalDate(timestamp, oldSession.timeZone || this.getTimeZone());
+        }
+
+        // A recorded putt sequence no longer describes the session once its totals are edited
+        if (updatedSession.sequence && (stations ||
+            updatedSession.makes !== oldSession.makes || updatedSession.attempts !== oldSession.attempts)) {
+            updatedSession.sequence = null;
+        }
 
-        // Update user's total points
-        this.currentUser.totalPoints = (this.currentUser.totalPoints || 0) + pointsDiff;
-        await storageManager.saveUser(this.currentUser);
+        // Save updated session and adjust the user's aggregates together
+        await storageManager.saveSession(this.currentUser.id, updatedSession, oldSession.pending ? null : {
+            totalPoints: increment(pointsDiff),
+            totalPutts: increment(updatedSession.attempts - (oldSession.attempts || 0)),
+            totalMakes: increment(updatedSession.makes - (oldSession.makes || 0)),
+            ...await this.getBestsUpdate(oldSession, updatedSession),
+            ...this.getStyleStatsDiff(oldSession, updatedSession),
+            ...this.getPuttStatsDiff('session', oldSession, updatedSession)
+        });
 
-        // Reload sessions
-        await this.loadSessions();
+        // Reload user and sessions
+        await this.reloadUser();
+        await this.refreshSessions();
 
         console.log('✅ Session updated:', updatedSession);
         return updatedSession;
     }
 
     /**
-     * Get user statistics
+     * Get user statistics. Until the full session history is loaded (see
+     * ensureSessions) only the stored totals and best session are known;
+     * streaks and the style breakdown need the history.
      * @returns {Object} User statistics
      */
     getStatistics() {
-        const stats = calculateStats(this.sessions);
+        const user = this.currentUser || {};
+        const stats = this.sessionsLoaded
+            ? calculateStats(this.sessions, this.getTimeZone(), this.getUnits())
+            : {
+                ...calculateStats([], this.getTimeZone(), this.getUnits()),
+                totalSessions: user.totalSessions || 0,
+                totalPutts: user.totalPutts || 0,
+                totalMakes: user.totalMakes || 0,
+                accuracy: user.totalPutts > 0 ? parseFloat(((user.totalMakes / user.totalPutts) * 100).toFixed(1)) : 0,
+                bestSession: user.bestSession || null
+            };
         
         return {
             ...stats,
@@ -332,7 +800,7 @@ class UserManager {
 
         if (!this.currentUser.achievements.includes(achievementId)) {
             this.currentUser.achievements.push(achievementId);
-            await storageManager.saveUser(this.currentUser);
+            await storageManager.updateUser(this.currentUser.id, { achievements: arrayUnion(achievementId) });
             console.log('🏆 Achievement unlocked:', achievementId);
         }
     }
@@ -355,12 +823,12 @@ class UserManager {
             throw new Error('No user is currently set');
         }
 
+        await storageManager.updateUser(this.currentUser.id, updates);
+
         this.currentUser = {
             ...this.currentUser,
             ...updates
         };
-
-        await storageManager.saveUser(this.currentUser);
         return this.currentUser;
     }
 
@@ -370,6 +838,8 @@ class UserManager {
     clearUser() {
         this.currentUser = null;
         this.sessions = [];
+        this.sessionsLoaded = false;
+        this.recentSessions = [];
     }
 }
 
@@ -3,20 +3,41 @@
  * Business logic for points, statistics, and other calculations
  */
 
-import { CONSTANTS } from '../config/constants.js';
+import { MISS_DIRECTIONS, PUTTING_CIRCLES, PUTTING_GAMES, POINTS_FORMULAS, CURRENT_POINTS_VERSION } from '../config/constants.js';
+import { getToday, daysBetween } from './dates.js';
+import { FEET_PER_METER } from './units.js';
+
+// Targets the score form plays the time and strokes games to
+const TIME_GAME_TARGET_MINUTES = 15;
+const STROKES_GAME_PAR = 18;
+
+/**
+ * Get a points formula
+ * @param {number} version - Formula version (the current one if omitted)
+ * @returns {Object} POINTS_FORMULAS entry
+ */
+export function getPointsFormula(version = CURRENT_POINTS_VERSION) {
+    const formula = POINTS_FORMULAS.find(f => f.version === version);
+    if (!formula) {
+        throw new Error(`Unknown points formula version: ${version}`);
+    }
+    return formula;
+}
 
 /**
  * Calculate session points
  * @param {number} makes - Number of successful putts
  * @param {number} attempts - Total number of attempts
  * @param {number} distance - Distance in feet
+ * @param {number} version - Points formula version
  * @returns {Object} Calculation results with points and percentage
  */
-export function calculateSessionPoints(makes, attempts, distance) {
+export function calculateSessionPoints(makes, attempts, distance, version = CURRENT_POINTS_VERSION) {
+    const { session: formula } = getPointsFormula(version);
     const percentage = ((makes / attempts) * 100).toFixed(1);
-    const distanceMultiplier = distance / CONSTANTS.POINTS.DISTANCE_DIVISOR;
-    const accuracyMultiplier = parseFloat(percentage) / CONSTANTS.POINTS.ACCURACY_DIVISOR;
-    const points = Math.round(makes * distanceMultiplier * accuracyMultiplier * CONSTANTS.POINTS.BASE_MULTIPLIER);
+    const distanceMultiplier = distance / formula.distanceDivisor;
+    const accuracyMultiplier = parseFloat(percentage) / formula.accuracyDivisor;
+    const points = Math.round(makes * distanceMultiplier * accuracyMultiplier * formula.baseMultiplier);
 
     return {
         points,
@@ -26,12 +47,175 @@ export function calculateSessionPoints(makes, attempts, distance) {
     };
 }
 
+/**
+ * Get the stations of a session. Single-distance sessions are one station.
+ * @param {Object} session - Session object
+ * @returns {Array} Stations as { distance, makes, attempts, percentage, points }
+ */
+export function getSessionStations(session) {
+    if (Array.isArray(session.stations) && session.stations.length > 0) {
+        return session.stations;
+    }
+    const { distance, makes, attempts, percentage, points } = session;
+    return [{ distance, makes, attempts, percentage, points }];
+}
+
+/**
+ * Calculate points and totals for a session made of stations.
+ * Each station is scored on its own, so mixing distances doesn't blur the multiplier.
+ * @param {Array} stations - Stations with distance, makes, attempts
+ * @param {number} version - Points formula version
+ * @returns {Object} { stations, distance, makes, attempts, percentage, points }
+ *   where distance is the longest station and stations carry their own points
+ */
+export function calculateStationTotals(stations, version = CURRENT_POINTS_VERSION) {
+    const scored = stations.map(station => {
+        const distance = parseInt(station.distance);
+        const makes = parseInt(station.makes);
+        const attempts = parseInt(station.attempts);
+        const { points, percentage } = calculateSessionPoints(makes, attempts, distance, version);
+        return { distance, makes, attempts, percentage, points };
+    });
+
+    const makes = scored.reduce((sum, station) => sum + station.makes, 0);
+    const attempts = scored.reduce((sum, station) => sum + station.attempts, 0);
+
+    return {
+        stations: scored,
+        distance: Math.max(...scored.map(station => station.distance)),
+        makes,
+        attempts,
+        percentage: parseFloat(((makes / attempts) * 100).toFixed(1)),
+        points: scored.reduce((sum, station) => sum + station.points, 0)
+    };
+}
+
+/**
+ * The summary of a session kept as a player's bestSession. It carries the
+ * session's id so the security rules can check it against the session.
+ * @param {Object} session - Session
+ * @returns {Object} { id, distance, makes, attempts, percentage, points, date }
+ */
+export function toBestSession(session) {
+    return {
+        id: session.id,
+        distance: session.distance ?? null,
+        makes: session.makes ?? null,
+        attempts: session.attempts ?? null,
+        percentage: session.percentage ?? null,
+        points: session.points ?? null,
+        date: session.date ?? null
+    };
+}
+
+/**
+ * The putts in an activity that were thrown from a known distance: a
+ * session's stations, a routine's drills or a Putt 100 game's turns
+ * @param {string} type - 'session', 'routine' or 'game'
+ * @param {Object} item - Activity
+ * @returns {Array} Groups of putts as { distance, makes, attempts }
+ */
+export function getActivityPutts(type, item) {
+    if (type === 'session') {
+        return getSessionStations(item);
+    }
+    if (type === 'routine') {
+        // Bulk-logged routines store drillResults; unfinished drills have no attempts
+        return (item.drills || item.drillResults || [])
+            .filter(drill => drill.distance && drill.attempts > 0);
+    }
+    // Every Putt 100 turn is thrown from the game's distance
+    if (Array.isArray(item.turns) && item.distance) {
+        return item.turns.map(turn => ({ distance: item.distance, makes: turn.makes, attempts: turn.attempts }));
+    }
+    return [];
+}
+
+/**
+ * Makes and attempts per putting circle (C1, C1X, C2)
+ * @param {Array} putts - Groups of putts as { distance, makes, attempts }
+ * @returns {Object} Keyed by PUTTING_CIRCLES id as { makes, attempts }
+ */
+export function calculateCircleTotals(putts) {
+    return Object.fromEntries(PUTTING_CIRCLES.map(circle => {
+        const inCircle = putts.filter(putt => putt.distance >= circle.minDistance && putt.distance <= circle.maxDistance);
+        return [circle.id, {
+            makes: inCircle.reduce((sum, putt) => sum + (putt.makes || 0), 0),
+            attempts: inCircle.reduce((sum, putt) => sum + (putt.attempts || 0), 0)
+        }];
+    }));
+}
+
+/**
+ * Makes and attempts at each whole-foot distance
+ * @param {Array} putts - Groups of putts as { distance, makes, attempts }
+ * @returns {Object} Keyed by distance in feet as { makes, attempts }
+ */
+export function calculateDistanceTotals(putts) {
+    const totals = {};
+    putts.forEach(putt => {
+        const key = String(Math.round(putt.distance));
+        const total = totals[key] || { makes: 0, attempts: 0 };
+        totals[key] = {
+            makes: total.makes + (putt.makes || 0),
+            attempts: total.attempts + (putt.attempts || 0)
+        };
+    });
+    return totals;
+}
+
+/**
+ * Every putt from a known distance across a player's history.
+ * Pending items don't count.
+ * @param {Object} history - { sessions, routines, games }
+ * @returns {Array} Groups of putts as { distance, makes, attempts }
+ */
+export function getHistoryPutts({ sessions = [], routines = [], games = [] }) {
+    const counted = (items, type) => items.filter(item => !item.pending).flatMap(item => getActivityPutts(type, item));
+    return [
+        ...counted(sessions, 'session'),
+        ...counted(routines, 'routine'),
+        ...counted(games, 'game')
+    ];
+}
+
+/**
+ * Circle totals across a player's history
+ * @param {Object} history - { sessions, routines, games }
+ * @returns {Object} Keyed by PUTTING_CIRCLES id as { makes, attempts }
+ */
+export function calculateCircleStats(history) {
+    return calculateCircleTotals(getHistoryPutts(history));
+}
+
+/**
+ * Per-distance totals across a player's history
+ * @param {Object} history - { sessions, routines, games }
+ * @returns {Object} Keyed by distance in feet as { makes, attempts }
+ */
+export function calculateDistanceStats(history) {
+    return calculateDistanceTotals(getHistoryPutts(history));
+}
+
+/**
+ * Make percentage in a circle
+ * @param {Object} totals - { makes, attempts } for the circle (missing counts as no putts)
+ * @returns {number|null} Percentage to one decimal, or null without any putts
+ */
+export function getCircleAccuracy(totals) {
+    return totals?.attempts > 0
+        ? parseFloat(((totals.makes / totals.attempts) * 100).toFixed(1))
+        : null;
+}
+
 /**
  * Calculate statistics from sessions
  * @param {Array} sessions - Array of session objects
+ * @param {string} timeZone - Player's time zone (decides what "today" is for streaks)
+ * @param {string} units - Unit system to label distance bands in
  * @returns {Object} Statistics summary
  */
-export function calculateStats(sessions) {
+export function calculateStats(sessions, timeZone, units = 'imperial') {
     if (!sessions || sessions.length === 0) {
         return {
             totalSessions: 0,
@@ -40,7 +224,8 @@ export function calculateStats(sessions) {
             accuracy: 0,
             bestSession: null,
             currentStreak: 0,
-            longestStreak: 0
+            longestStreak: 0,
+            styleBreakdown: {}
         };
     }
 
@@ -58,7 +243,7 @@ export function calculateStats(sessions) {
     });
 
     const accuracy = totalPutts > 0 ? ((totalMakes / totalPutts) * 100).toFixed(1) : 0;
-    const streaks = calculateStreaks(sessions);
+    const streaks = calculateStreaks(sessions, timeZone);
 
     return {
         totalSessions: sessions.length,
@@ -67,36 +252,36 @@ export function calculateStats(sessions) {
         accuracy: parseFloat(accuracy),
         bestSession,
         currentStreak: streaks.current,
-        longestStreak: streaks.longest
+        longestStreak: streaks.longest,
+        styleBreakdown: calculateStyleBreakdown(sessions, units)
     };
 }
 
 /**
- * Calculate practice streaks
- * @param {Array} sessions - Array of session objects sorted by date
+ * Calculate practice streaks.
+ * Session dates are already calendar days in the player's time zone, so
+ * they are compared as dates; only "today" depends on the time zone.
+ * @param {Array} sessions - Array of session objects
+ * @param {string} timeZone - Player's time zone
  * @returns {Object} Current and longest streak
  */
-export function calculateStreaks(sessions) {
+export function calculateStreaks(sessions, timeZone) {
     if (!sessions || sessions.length === 0) {
         return { current: 0, longest: 0 };
     }
 
-    const sortedSessions = [...sessions].sort((a, b) => new Date(b.date) - new Date(a.date));
-    const uniqueDates = [...new Set(sortedSessions.map(s => s.date))];
+    // Newest first (YYYY-MM-DD sorts as text)
+    const uniqueDates = [...new Set(sessions.map(s => s.date))].sort().reverse();
     
     let currentStreak = 0;
     let longestStreak = 0;
     let tempStreak = 1;
     
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
+    const today = getToday(timeZone);
     
     // Calculate current streak
     for (let i = 0; i < uniqueDates.length; i++) {
-        const sessionDate = new Date(uniqueDates[i]);
-        sessionDate.setHours(0, 0, 0, 0);
-        
-        const daysDiff = Math.floor((today - sessionDate) / (1000 * 60 * 60 * 24));
+        const daysDiff = daysBetween(uniqueDates[i], today);
         
         if (daysDiff === i) {
             currentStreak++;
@@ -107,9 +292,7 @@ export function calculateStreaks(sessions) {
     
     // Calculate longest streak
     for (let i = 1; i < uniqueDates.length; i++) {
-        const prevDate = new Date(uniqueDates[i - 1]);
-        const currDate = new Date(uniqueDates[i]);
-        const daysDiff = Math.floor((prevDate - currDate) / (1000 * 60 * 60 * 24));
+        const daysDiff = daysBetween(uniqueDates[i], uniqueDates[i - 1]);
         
         if (daysDiff === 1) {
             tempStreak++;
@@ -127,11 +310,12 @@ export function calculateStreaks(sessions) {
 /**
  * Calculate total points from routine drills
  * @param {Array} drills - Array of drill objects with distance, makes, attempts
+ * @param {number} version - Points formula version
  * @returns {number} Total points earned
  */
-export function calculateRoutinePoints(drills) {
+export function calculateRoutinePoints(drills, version = CURRENT_POINTS_VERSION) {
     return drills.reduce((total, drill) => {
-        const { points } = calculateSessionPoints(drill.makes, drill.attempts, drill.distance);
+        const { points } = calculateSessionPoints(drill.makes, drill.attempts, drill.distance, version);
         return total + points;
     }, 0);
 }
@@ -140,11 +324,14 @@ export function calculateRoutinePoints(drills) {
  * Calculate points for game completion
  * @param {Object} game - Game object with scoring info
  * @param {Object} scoreData - Score data from game
+ * @param {number} version - Points formula version
  * @returns {number} Points earned
  */
-export function calculateGamePoints(game, scoreData) {
+export function calculateGamePoints(game, scoreData, version = CURRENT_POINTS_VERSION) {
+    const { game: formula } = getPointsFormula(version);
+    
     // Base points for game completion
-    let basePoints = 50;
+    let basePoints = formula.basePoints;
     
     // Bonus points based on performance
     let bonusPoints = 0;
@@ -153,7 +340,7 @@ export function calculateGamePoints(game, scoreData) {
         case 'time':
             // Faster time = more points
             if (scoreData.timeInMinutes <= scoreData.targetTime) {
-                bonusPoints = Math.round((scoreData.targetTime - scoreData.timeInMinutes) * 20);
+                bonusPoints = Math.round((scoreData.targetTime - scoreData.timeInMinutes) * formula.pointsPerMinuteUnderTarget);
             }
             break;
             
@@ -161,28 +348,28 @@ export function calculateGamePoints(game, scoreData) {
             // Under par = more points
             const underPar = scoreData.par - scoreData.score;
             if (underPar > 0) {
-                bonusPoints = underPar * 10;
+                bonusPoints = underPar * formula.pointsPerStrokeUnderPar;
             }
             break;
             
         case 'points':
-            // Higher score = more points (10% of game score)
-            bonusPoints = Math.round(scoreData.score * 0.1);
+            // Higher score = more points (a share of the game score)
+            bonusPoints = Math.round(scoreData.score * formula.scoreShare);
             break;
             
         case 'distance':
             // Longer distance = more points
-            bonusPoints = Math.round(scoreData.maxDistance * 2);
+            bonusPoints = Math.round(scoreData.maxDistance * formula.pointsPerFoot);
             break;
             
         case 'streak':
             // Longer streak = more points
-            bonusPoints = scoreData.streak * 5;
+            bonusPoints = scoreData.streak * formula.pointsPerStreakPutt;
             break;
             
         case 'elimination':
             // Win = big bonus
-            bonusPoints = scoreData.won ? 100 : 0;
+            bonusPoints = scoreData.won ? formula.winBonus : 0;
             break;
             
         case 'rotations':
@@ -190,7 +377,8 @@ export function calculateGamePoints(game, scoreData) {
             const { points } = calculateSessionPoints(
                 scoreData.totalMakes, 
                 scoreData.totalAttempts, 
-                scoreData.distance
+                scoreData.distance,
+                version
             );
             return points; // Return full session points for Putt 100
     }
@@ -198,6 +386,244 @@ export function calculateGamePoints(game, scoreData) {
     return basePoints + bonusPoints;
 }
 
+/**
+ * Rebuild a game's score data from its stored completion
+ * @param {Object} completion - Game completion
+ * @returns {Object|null} Score data for calculateGamePoints, or null for a
+ *   Putt 100 that didn't store its attempts and distance
+ */
+export function getGameScoreData(completion) {
+    const turns = completion.turns || [];
+    const totalAttempts = turns.length > 0
+        ? turns.reduce((sum, turn) => sum + (turn.attempts || 0), 0)
+        : completion.attempts;
+    const scoringType = completion.scoringType ||
+        PUTTING_GAMES.find(g => g.id === completion.gameId || g.name === completion.gameName)?.scoring.type;
+
+    if (scoringType === 'rotations' && !(totalAttempts > 0 && completion.distance)) {
+        return null;
+    }
+
+    return {
+        score: completion.score,
+        timeInMinutes: completion.time ?? completion.score,
+        targetTime: TIME_GAME_TARGET_MINUTES,
+        par: STROKES_GAME_PAR,
+        maxDistance: completion.maxDistance ?? completion.score,
+        streak: completion.streak ?? completion.score,
+        won: completion.score === 1,
+        totalMakes: turns.length > 0 ? turns.reduce((sum, turn) => sum + (turn.makes || 0), 0) : completion.score,
+        totalAttempts,
+        distance: completion.distance
+    };
+}
+
+/**
+ * Score a stored activity under a points formula
+ * @param {string} type - 'session', 'routine' or 'game'
+ * @param {Object} item - Activity
+ * @param {number} version - Points formula version
+ * @returns {number|null} Points, or null if the activity doesn't keep what
+ *   its score was calculated from
+ */
+export function calculateActivityPoints(type, item, version = CURRENT_POINTS_VERSION) {
+    if (type === 'session') {
+        return Array.isArray(item.stations) && item.stations.length > 1
+            ? calculateStationTotals(item.stations, version).points
+            : calculateSessionPoints(item.makes, item.attempts, item.distance, version).points;
+    }
+    if (type === 'routine') {
+        return calculateRoutinePoints(getActivityPutts('routine', item), version);
+    }
+
+    const game = PUTTING_GAMES.find(g => g.id === item.gameId || g.name === item.gameName);
+    const scoreData = game ? getGameScoreData(item) : null;
+    return scoreData ? calculateGamePoints(game, scoreData, version) : null;
+}
+
+/**
+ * Summarize a putt-by-putt sequence
+ * @param {Array<boolean>} sequence - Putts in order (true = make, false = miss)
+ * @returns {Object} makes, attempts, percentage, currentStreak and longestStreak
+ */
+export function summarizePuttSequence(sequence = []) {
+    let makes = 0;
+    let currentStreak = 0;
+    let longestStreak = 0;
+
+    sequence.forEach(made => {
+        if (made) {
+            makes++;
+            currentStreak++;
+            longestStreak = Math.max(longestStreak, currentStreak);
+        } else {
+            currentStreak = 0;
+        }
+    });
+
+    return {
+        makes,
+        attempts: sequence.length,
+        percentage: sequence.length > 0 ? (makes / sequence.length) * 100 : 0,
+        currentStreak,
+        longestStreak
+    };
+}
+
+/**
+ * Get the longest run of consecutive makes in a session or game.
+ * Uses the recorded putt sequence when there is one; otherwise only a
+ * perfect session proves its makes were consecutive.
+ * @param {Object} record - Session or game completion
+ * @returns {number} Longest run of makes
+ */
+export function getLongestMakeStreak(record) {
+    if (Array.isArray(record.sequence)) {
+        return summarizePuttSequence(record.sequence).longestStreak;
+    }
+    return record.percentage === 100 ? (record.makes || 0) : 0;
+}
+
+/**
+ * Get the distance band a putt falls in (as used by the stats breakdowns):
+ * 5ft bands up to 60ft, or 2m bands up to 18m for metric players
+ * @param {number} distance - Distance in feet
+ * @param {string} units - Unit system the band is labelled in ('imperial' or 'metric')
+ * @returns {string} Band label, e.g. '25-30ft', '60ft+', '8-10m' or '18m+'
+ */
+export function getDistanceBand(distance, units = 'imperial') {
+    if (units === 'metric') {
+        const meters = distance / FEET_PER_METER;
+        if (meters >= 18) return '18m+';
+        const start = Math.floor(meters / 2) * 2;
+        return `${start}-${start + 2}m`;
+    }
+    if (distance >= 60) return '60ft+';
+    const start = Math.floor(distance / 5) * 5;
+    return `${start}-${start + 5}ft`;
+}
+
+/**
+ * Every distance band, nearest first
+ * @param {string} units - Unit system the bands are labelled in
+ * @returns {Array<string>} Band labels as returned by getDistanceBand
+ */
+export function getDistanceBands(units = 'imperial') {
+    const [width, last, unit] = units === 'metric' ? [2, 18, 'm'] : [5, 60, 'ft'];
+    const bands = [];
+    for (let start = 0; start < last; start += width) {
+        bands.push(`${start}-${start + width}${unit}`);
+    }
+    bands.push(`${last}${unit}+`);
+    return bands;
+}
+
+/**
+ * Where misses go at each distance, from sessions with a miss breakdown
+ * @param {Array} sessions - Array of session objects
+ * @param {string} units - Unit system to label bands in
+ * @returns {Array} Bands nearest first as { band, tagged, counts } (only bands with tagged misses)
+ */
+export function calculateMissPatterns(sessions, units = 'imperial') {
+    const bands = new Map();
+
+    sessions.forEach(session => {
+        // Misses aren't split by station, so only single-distance sessions place them
+        if (!session.misses || session.stations) return;
+
+        const band = getDistanceBand(session.distance, units);
+        if (!bands.has(band)) {
+            bands.set(band, {
+                band,
+                minDistance: Math.min(session.distance, 60),
+                tagged: 0,
+                counts: Object.fromEntries(MISS_DIRECTIONS.map(direction => [direction.id, 0]))
+            });
+        }
+
+        const entry = bands.get(band);
+        MISS_DIRECTIONS.forEach(direction => {
+            const count = session.misses[direction.id] || 0;
+            entry.counts[direction.id] += count;
+            entry.tagged += count;
+        });
+    });
+
+    return [...bands.values()]
+        .filter(entry => entry.tagged > 0)
+        .sort((a, b) => a.minDistance - b.minDistance)
+        .map(({ band, tagged, counts }) => ({ band, tagged, counts }));
+}
+
+/**
+ * Accuracy per group of sessions, overall and by distance band.
+ * A session can belong to several groups (e.g. two putters) and counts fully in each.
+ * @param {Array} sessions - Array of session objects
+ * @param {Function} getKeys - Returns the group keys for a session (empty for none)
+ * @param {string} units - Unit system to label bands in
+ * @returns {Object} Keyed by group as
+ *   { makes, attempts, accuracy, distances: { [band]: { makes, attempts, accuracy } } }
+ */
+export function calculateBreakdown(sessions, getKeys, units = 'imperial') {
+    const breakdown = {};
+    const accuracyOf = entry => entry.attempts > 0
+        ? parseFloat(((entry.makes / entry.attempts) * 100).toFixed(1))
+        : 0;
+
+    sessions.forEach(session => {
+        getKeys(session).forEach(key => {
+            if (!breakdown[key]) {
+                breakdown[key] = { makes: 0, attempts: 0, distances: {} };
+            }
+            const group = breakdown[key];
+
+            getSessionStations(session).forEach(station => {
+                const band = getDistanceBand(station.distance, units);
+                if (!group.distances[band]) {
+                    group.distances[band] = { makes: 0, attempts: 0, minDistance: Math.min(station.distance, 60) };
+                }
+                const distance = group.distances[band];
+
+                group.makes += station.makes;
+                group.attempts += station.attempts;
+                distance.makes += station.makes;
+                distance.attempts += station.attempts;
+            });
+        });
+    });
+
+    Object.values(breakdown).forEach(group => {
+        group.accuracy = accuracyOf(group);
+        group.distances = Object.fromEntries(
+            Object.entries(group.distances)
+                .sort(([, a], [, b]) => a.minDistance - b.minDistance)
+                .map(([band, { makes, attempts }]) => [band, { makes, attempts, accuracy: accuracyOf({ makes, attempts }) }])
+        );
+    });
+
+    return breakdown;
+}
+
+/**
+ * Accuracy per putting style, overall and by distance band
+ * @param {Array} sessions - Array of session objects
+ * @param {string} units - Unit system to label bands in
+ * @returns {Object} Keyed by PUTTING_STYLES id (tagged styles only), see calculateBreakdown
+ */
+export function calculateStyleBreakdown(sessions, units = 'imperial') {
+    return calculateBreakdown(sessions, session => (session.style ? [session.style] : []), units);
+}
+
+/**
+ * Accuracy per disc, overall and by distance band
+ * @param {Array} sessions - Array of session objects
+ * @param {string} units - Unit system to label bands in
+ * @returns {Object} Keyed by disc ID (discs used in at least one session), see calculateBreakdown
+ */
+export function calculateDiscBreakdown(sessions, units = 'imperial') {
+    return calculateBreakdown(sessions, session => session.discIds || [], units);
+}
+
 /**
  * Get user rank from leaderboard
  * @param {Array} leaderboard - Sorted leaderboard array
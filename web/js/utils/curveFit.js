@@ -0,0 +1,177 @@
+/**
+ * Make Curve Fitting
+ * Fits a logistic make-probability curve in distance to a player's putts:
+ *   P(make from d feet) = 1 / (1 + e^-(intercept + slope * d))
+ * Putts are grouped by distance first, so a fit only loops over the
+ * distinct distances a player has putted from, not every putt.
+ */
+
+import { getActivityPutts } from './calculations.js';
+import { addDays } from './dates.js';
+
+// Fewer putts than this (or a single distance) can't pin down a curve
+export const MIN_CURVE_ATTEMPTS = 30;
+
+// Rolling fits: each window covers WINDOW_DAYS and ends STEP_DAYS after the last
+export const CURVE_WINDOW_DAYS = 60;
+export const CURVE_STEP_DAYS = 30;
+export const CURVE_WINDOWS = 6;
+
+// A small ridge penalty keeps the fit finite for a player who has made
+// (or missed) everything so far
+const RIDGE = 0.01;
+const MAX_ITERATIONS = 50;
+
+/**
+ * Every putt in a player's history with the day it was thrown.
+ * Pending items (logged by someone else and not yet accepted) don't count.
+ * @param {Object} history - { sessions, routines, games }
+ * @returns {Array} Groups of putts as { date, distance, makes, attempts }
+ */
+export function collectCurvePutts({ sessions = [], routines = [], games = [] }) {
+    const dated = (items, type) => items
+        .filter(item => !item.pending)
+        .flatMap(item => getActivityPutts(type, item).map(putt => ({
+            date: item.date,
+            distance: putt.distance,
+            makes: putt.makes || 0,
+            attempts: putt.attempts || 0
+        })));
+
+    return [...dated(sessions, 'session'), ...dated(routines, 'routine'), ...dated(games, 'game')]
+        .filter(putt => putt.distance > 0 && putt.attempts > 0);
+}
+
+/**
+ * Total makes and attempts at each distance
+ * @param {Array} putts - Groups of putts as { distance, makes, attempts }
+ * @returns {Array} { distance, makes, attempts } sorted by distance
+ */
+export function groupPuttsByDistance(putts) {
+    const byDistance = new Map();
+    putts.forEach(putt => {
+        const group = byDistance.get(putt.distance) || { distance: putt.distance, makes: 0, attempts: 0 };
+        group.makes += putt.makes;
+        group.attempts += putt.attempts;
+        byDistance.set(putt.distance, group);
+    });
+    return [...byDistance.values()].sort((a, b) => a.distance - b.distance);
+}
+
+/**
+ * Fit a logistic make curve by Newton's method on the binomial likelihood.
+ * Distances are centered and scaled while fitting so the two parameters
+ * stay on similar scales.
+ * @param {Array} putts - Groups of putts as { distance, makes, attempts }
+ * @returns {Object|null} { intercept, slope, makes, attempts, points }, or null
+ *   with too few putts; points are the per-distance totals the curve was fit to
+ */
+export function fitMakeCurve(putts) {
+    const points = groupPuttsByDistance(putts);
+    const attempts = points.reduce((sum, point) => sum + point.attempts, 0);
+    const makes = points.reduce((sum, point) => sum + point.makes, 0);
+
+    if (points.length < 2 || attempts < MIN_CURVE_ATTEMPTS) {
+        return null;
+    }
+
+    const center = points.reduce((sum, point) => sum + point.distance * point.attempts, 0) / attempts;
+    const scale = Math.max(...points.map(point => Math.abs(point.distance - center))) || 1;
+    const xs = points.map(point => (point.distance - center) / scale);
+
+    let a = 0;
+    let b = 0;
+    for (let iteration = 0; iteration < MAX_ITERATIONS; iteration++) {
+        let g0 = -RIDGE * a;
+        let g1 = -RIDGE * b;
+        let h00 = RIDGE;
+        let h01 = 0;
+        let h11 = RIDGE;
+
+        points.forEach((point, i) => {
+            const p = 1 / (1 + Math.exp(-(a + b * xs[i])));
+            const residual = point.makes - point.attempts * p;
+            const weight = point.attempts * p * (1 - p);
+            g0 += residual;
+            g1 += residual * xs[i];
+            h00 += weight;
+            h01 += weight * xs[i];
+            h11 += weight * xs[i] * xs[i];
+        });
+
+        const determinant = h00 * h11 - h01 * h01;
+        const stepA = (h11 * g0 - h01 * g1) / determinant;
+        const stepB = (h00 * g1 - h01 * g0) / determinant;
+        a += stepA;
+        b += stepB;
+
+        if (Math.abs(stepA) < 1e-9 && Math.abs(stepB) < 1e-9) break;
+    }
+
+    return {
+        intercept: a - b * center / scale,
+        slope: b / scale,
+        makes,
+        attempts,
+        points
+    };
+}
+
+/**
+ * Chance of making a putt according to a fitted curve
+ * @param {Object} curve - Result of fitMakeCurve
+ * @param {number} distance - Distance in feet
+ * @returns {number} Probability between 0 and 1
+ */
+export function getMakeProbability(curve, distance) {
+    return 1 / (1 + Math.exp(-(curve.intercept + curve.slope * distance)));
+}
+
+/**
+ * Expected makes out of a number of putts from one distance
+ * @param {Object} curve - Result of fitMakeCurve
+ * @param {number} distance - Distance in feet
+ * @param {number} attempts - Putts thrown
+ * @returns {number} Expected makes to one decimal
+ */
+export function getExpectedMakes(curve, distance, attempts) {
+    return parseFloat((getMakeProbability(curve, distance) * attempts).toFixed(1));
+}
+
+/**
+ * Distance the curve says a player makes half their putts from
+ * @param {Object} curve - Result of fitMakeCurve
+ * @returns {number|null} Distance in feet to one decimal, or null if the
+ *   curve doesn't fall off with distance (too little spread in the data)
+ */
+export function getFiftyPercentDistance(curve) {
+    if (!curve || curve.slope >= 0) return null;
+    const distance = -curve.intercept / curve.slope;
+    return distance > 0 ? parseFloat(distance.toFixed(1)) : null;
+}
+
+/**
+ * Fit the curve over rolling windows to show how it moves over time
+ * @param {Array} putts - Result of collectCurvePutts
+ * @param {Object} options - { windowDays, stepDays, windows }
+ * @returns {Array} Oldest first as { from, to, curve } (windows without
+ *   enough putts to fit are left out)
+ */
+export function fitRollingCurves(putts, { windowDays = CURVE_WINDOW_DAYS, stepDays = CURVE_STEP_DAYS, windows = CURVE_WINDOWS } = {}) {
+    const dates = putts.map(putt => putt.date).filter(Boolean).sort();
+    if (dates.length === 0) return [];
+
+    const latest = dates[dates.length - 1];
+    const fits = [];
+    for (let i = windows - 1; i >= 0; i--) {
+        const to = addDays(latest, -i * stepDays);
+        const from = addDays(to, -(windowDays - 1));
+        if (to < dates[0]) continue;
+
+        const curve = fitMakeCurve(putts.filter(putt => putt.date >= from && putt.date <= to));
+        if (curve) {
+            fits.push({ from, to, curve });
+        }
+    }
+    return fits;
+}
@@ -0,0 +1,183 @@
+/**
+ * Date Utilities
+ * Calendar dates ('YYYY-MM-DD') are always worked out in a player's time
+ * zone, never from the UTC part of an ISO timestamp, so an evening
+ * session in Arizona stays on the day it was played.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get the device's time zone
+ * @returns {string} IANA time zone, e.g. 'America/Phoenix' (UTC if unknown)
+ */
+export function getDefaultTimeZone() {
+    try {
+        return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+    } catch (error) {
+        return 'UTC';
+    }
+}
+
+/**
+ * Check a time zone name
+ * @param {string} timeZone - IANA time zone
+ * @returns {boolean} True if the browser knows the time zone
+ */
+export function isValidTimeZone(timeZone) {
+    if (!timeZone || typeof timeZone !== 'string') return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Time zones a player can pick from
+ * @returns {Array<string>} IANA time zones (just the device's if the browser can't list them)
+ */
+export function getTimeZoneOptions() {
+    const zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+    const device = getDefaultTimeZone();
+    return zones.includes(device) ? zones : [device, ...zones];
+}
+
+/**
+ * Read the calendar fields of an instant in a time zone
+ * @param {Date|string|number} instant - Date, ISO timestamp or milliseconds
+ * @param {string} timeZone - IANA time zone
+ * @returns {Object} { year, month, day, hour, minute } as strings (hour is 00-23)
+ */
+function getZonedParts(instant, timeZone) {
+    const formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone: isValidTimeZone(timeZone) ? timeZone : 'UTC',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    });
+
+    const parts = {};
+    formatter.formatToParts(new Date(instant)).forEach(({ type, value }) => {
+        parts[type] = value;
+    });
+    return parts;
+}
+
+/**
+ * Get the calendar date of an instant in a time zone
+ * @param {Date|string|number} instant - Date, ISO timestamp or milliseconds
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} Date as YYYY-MM-DD
+ */
+export function toLocalDate(instant, timeZone) {
+    const { year, month, day } = getZonedParts(instant, timeZone);
+    return `${year}-${month}-${day}`;
+}
+
+/**
+ * Get the hour of the day of an instant in a time zone
+ * @param {Date|string|number} instant - Date, ISO timestamp or milliseconds
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} Hour from 0 to 23
+ */
+export function getLocalHour(instant, timeZone) {
+    return parseInt(getZonedParts(instant, timeZone).hour);
+}
+
+/**
+ * Get the time of day of an instant in a time zone
+ * @param {Date|string|number} instant - Date, ISO timestamp or milliseconds
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} Time as HH:MM (24-hour)
+ */
+export function toLocalTime(instant, timeZone) {
+    const { hour, minute } = getZonedParts(instant, timeZone);
+    return `${hour}:${minute}`;
+}
+
+/**
+ * Get the instant a local date and time in a time zone refers to
+ * @param {string} date - Date as YYYY-MM-DD
+ * @param {string} time - Time as HH:MM (24-hour)
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} ISO timestamp
+ */
+export function fromLocalDateTime(date, time, timeZone) {
+    const [year, month, day] = date.split('-').map(Number);
+    const [hour, minute] = time.split(':').map(Number);
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+
+    // How far the zone's clock is ahead of UTC at an instant
+    const offsetAt = (instant) => {
+        const parts = getZonedParts(instant, timeZone);
+        return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute) - instant;
+    };
+
+    // The offset at the first guess can be an hour out across a DST change,
+    // so take it again at the corrected instant
+    const guess = wallClock - offsetAt(wallClock);
+    return new Date(wallClock - offsetAt(guess)).toISOString();
+}
+
+/**
+ * Get today's date in a time zone
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} Date as YYYY-MM-DD
+ */
+export function getToday(timeZone) {
+    return toLocalDate(new Date(), timeZone);
+}
+
+/**
+ * Add days to a calendar date
+ * @param {string} date - Date as YYYY-MM-DD
+ * @param {number} days - Days to add (negative to go back)
+ * @returns {string} Date as YYYY-MM-DD
+ */
+export function addDays(date, days) {
+    const [year, month, day] = date.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day + days)).toISOString().split('T')[0];
+}
+
+/**
+ * Whole days from one calendar date to another
+ * @param {string} from - Date as YYYY-MM-DD
+ * @param {string} to - Date as YYYY-MM-DD
+ * @returns {number} Days (negative if to is earlier)
+ */
+export function daysBetween(from, to) {
+    const toUtc = (date) => {
+        const [year, month, day] = date.split('-').map(Number);
+        return Date.UTC(year, month - 1, day);
+    };
+    return Math.round((toUtc(to) - toUtc(from)) / DAY_MS);
+}
+
+/**
+ * Format a calendar date for display without shifting it a day
+ * @param {string} date - Date as YYYY-MM-DD
+ * @param {Object} options - Intl.DateTimeFormat options
+ * @returns {string} Localized date
+ */
+export function formatDate(date, options = {}) {
+    return new Date(`${date}T12:00:00Z`).toLocaleDateString(undefined, { ...options, timeZone: 'UTC' });
+}
+
+/**
+ * Format the time of day of an instant in a time zone
+ * @param {Date|string|number} instant - Date, ISO timestamp or milliseconds
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} Localized time, e.g. '7:45 PM'
+ */
+export function formatTime(instant, timeZone) {
+    return new Date(instant).toLocaleTimeString([], {
+        hour: 'numeric',
+        minute: '2-digit',
+        timeZone: isValidTimeZone(timeZone) ? timeZone : undefined
+    });
+}
@@ -0,0 +1,140 @@
+/**
+ * Session Filters
+ * Named groups of sessions the Stats view can compare against each other
+ * (e.g. windy vs calm). Each filter is a predicate over one session.
+ * Also the text search over activity notes and tags used by History and Stats.
+ */
+
+import { WIND_DIRECTIONS, PRACTICE_SETTINGS, ELEVATIONS } from '../config/constants.js';
+
+const WINDY_MPH = 10;
+const CALM_MPH = 5;
+const HOT_F = 90;
+const COLD_F = 60;
+
+/**
+ * Filters on the practice conditions recorded with a session.
+ * Sessions without the relevant condition never match (except 'all').
+ */
+export const CONDITION_FILTERS = [
+    { id: 'all', label: 'All sessions', test: () => true },
+    { id: 'calm', label: `Calm (under ${CALM_MPH} mph)`, test: s => s.conditions?.windSpeed != null && s.conditions.windSpeed < CALM_MPH },
+    { id: 'breezy', label: `Breezy (${CALM_MPH}-${WINDY_MPH} mph)`, test: s => s.conditions?.windSpeed >= CALM_MPH && s.conditions.windSpeed <= WINDY_MPH },
+    { id: 'windy', label: `Windy (over ${WINDY_MPH} mph)`, test: s => s.conditions?.windSpeed > WINDY_MPH },
+    ...WIND_DIRECTIONS.map(direction => ({
+        id: `wind_${direction.id}`,
+        label: `${direction.label} wind`,
+        test: s => s.conditions?.windDirection === direction.id
+    })),
+    { id: 'hot', label: `Hot (${HOT_F}°F+)`, test: s => s.conditions?.temperature >= HOT_F },
+    { id: 'mild', label: `Mild (${COLD_F}-${HOT_F - 1}°F)`, test: s => s.conditions?.temperature >= COLD_F && s.conditions.temperature < HOT_F },
+    { id: 'cold', label: `Cold (under ${COLD_F}°F)`, test: s => s.conditions?.temperature != null && s.conditions.temperature < COLD_F },
+    ...PRACTICE_SETTINGS.map(setting => ({
+        id: setting.id,
+        label: setting.label,
+        test: s => s.conditions?.setting === setting.id
+    })),
+    ...ELEVATIONS.map(elevation => ({
+        id: elevation.id,
+        label: elevation.label,
+        test: s => s.conditions?.elevation === elevation.id
+    }))
+];
+
+/**
+ * Get the filters that apply to a set of sessions: the fixed condition
+ * filters plus one per basket model that appears in them
+ * @param {Array} sessions - Sessions being compared
+ * @returns {Array} Filters as { id, label, test }
+ */
+export function getSessionFilters(sessions = []) {
+    const basketModels = [...new Set(sessions.map(s => s.conditions?.basketModel).filter(Boolean))].sort();
+    const tags = getUsedTags(sessions);
+
+    return [
+        ...CONDITION_FILTERS,
+        ...basketModels.map(model => ({
+            id: `basket:${model}`,
+            label: `Basket: ${model}`,
+            test: s => s.conditions?.basketModel === model
+        })),
+        { id: 'tagged', label: 'Tagged', test: s => s.tags?.length > 0 },
+        { id: 'untagged', label: 'Untagged', test: s => !(s.tags?.length > 0) },
+        ...tags.map(tag => ({
+            id: `tag:${tag}`,
+            label: `Tag: ${tag}`,
+            test: s => Boolean(s.tags?.includes(tag))
+        }))
+    ];
+}
+
+/**
+ * Every tag used on a set of activities
+ * @param {Array} activities - Sessions, routine completions or game completions
+ * @returns {Array<string>} Tags in alphabetical order
+ */
+export function getUsedTags(activities = []) {
+    return [...new Set(activities.flatMap(a => a.tags || []))].sort();
+}
+
+/**
+ * Get the notes on an activity as one piece of text. Sessions and routines
+ * store a string; games keep a list of { timestamp, text } notes.
+ * @param {Object} activity - Session, routine completion or game completion
+ * @returns {string} Notes text (empty if there are none)
+ */
+export function getActivityNotes(activity) {
+    if (Array.isArray(activity.notes)) {
+        return activity.notes.map(note => note?.text || '').filter(Boolean).join('\n');
+    }
+    return activity.notes || '';
+}
+
+/**
+ * Check an activity against a search over its notes and tags. Every word
+ * has to appear somewhere (case-insensitive), so "grip wind" finds a
+ * session tagged "new grip" with notes about the wind.
+ * @param {Object} activity - Session, routine completion or game completion
+ * @param {string} query - Search text
+ * @returns {boolean} True if the activity matches (always for an empty search)
+ */
+export function matchesActivitySearch(activity, query) {
+    const words = String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+    if (words.length === 0) return true;
+
+    const text = [getActivityNotes(activity), ...(activity.tags || [])].join('\n').toLowerCase();
+    return words.every(word => text.includes(word));
+}
+
+/**
+ * Sessions matching a filter
+ * @param {Array} sessions - Sessions to filter
+ * @param {string} filterId - Filter ID from getSessionFilters
+ * @returns {Array} Matching sessions (all of them for an unknown filter)
+ */
+export function applySessionFilter(sessions, filterId) {
+    const filter = getSessionFilters(sessions).find(f => f.id === filterId);
+    return filter ? sessions.filter(filter.test) : sessions;
+}
+
+/**
+ * Totals and accuracy for the sessions matching a filter
+ * @param {Array} sessions - Sessions to summarize
+ * @param {string} filterId - Filter ID from getSessionFilters
+ * @returns {Object} { filterId, label, sessions, makes, attempts, accuracy }
+ */
+export function summarizeSessionFilter(sessions, filterId) {
+    const filter = getSessionFilters(sessions).find(f => f.id === filterId);
+    const matching = applySessionFilter(sessions, filterId);
+    const makes = matching.reduce((sum, s) => sum + (s.makes || 0), 0);
+    const attempts = matching.reduce((sum, s) => sum + (s.attempts || 0), 0);
+
+    return {
+        filterId,
+        label: filter ? filter.label : 'All sessions',
+        sessions: matching.length,
+        makes,
+        attempts,
+        accuracy: attempts > 0 ? parseFloat(((makes / attempts) * 100).toFixed(1)) : 0
+    };
+}
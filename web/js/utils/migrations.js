@@ -0,0 +1,268 @@
+/**
+ * Schema Migrations
+ * Every user, session, routine completion and game completion document
+ * carries a schemaVersion. Older documents are upgraded by running the
+ * migrations for their kind in order, so defaulting logic lives here
+ * instead of being spread across the app.
+ *
+ * To change a schema, append a migration with the next version number.
+ * Never edit a migration that has shipped.
+ */
+
+import { getDefaultTimeZone, toLocalDate } from './dates.js';
+
+export const DOCUMENT_KINDS = {
+    USER: 'user',
+    SESSION: 'session',
+    ROUTINE_COMPLETION: 'routineCompletion',
+    GAME_COMPLETION: 'gameCompletion'
+};
+
+/**
+ * Set a field only if the document doesn't have it yet
+ * @param {Object} doc - Document being migrated
+ * @param {string} field - Field name
+ * @param {any} value - Default value
+ */
+function setDefault(doc, field, value) {
+    if (doc[field] === undefined) {
+        doc[field] = value;
+    }
+}
+
+/**
+ * Give an activity a time zone and re-derive its date in it.
+ * Activities without a time zone were dated from the UTC part of their
+ * timestamp, which puts evening practice in the Americas on the next day.
+ * @param {Object} doc - Document being migrated
+ * @param {string} when - ISO timestamp the activity happened at
+ * @param {string} timeZone - Owner's time zone (the device's if unknown)
+ */
+function setTimeZoneAndDate(doc, when, timeZone) {
+    if (doc.timeZone) return;
+
+    doc.timeZone = timeZone || getDefaultTimeZone();
+    if (when) {
+        doc.date = toLocalDate(when, doc.timeZone);
+    }
+}
+
+/**
+ * Ordered migrations per document kind.
+ * Each migration receives a copy of the document and a context
+ * ({ timeZone } of the owner, when known) and returns the upgraded copy.
+ */
+export const MIGRATIONS = {
+    [DOCUMENT_KINDS.USER]: [
+        {
+            version: 1,
+            description: 'Default counters, profile fields and privacy settings',
+            up: (user) => {
+                setDefault(user, 'totalPoints', 0);
+                setDefault(user, 'totalSessions', 0);
+                setDefault(user, 'totalRoutines', 0);
+                setDefault(user, 'totalGames', 0);
+                setDefault(user, 'bonusPoints', 0);
+                setDefault(user, 'achievements', []);
+                if (!user.gender) user.gender = 'male';
+                setDefault(user, 'profilePictureURL', user.photoURL || null);
+                setDefault(user, 'birthday', null);
+                setDefault(user, 'favoritePutter', null);
+                setDefault(user, 'favoriteMidrange', null);
+                setDefault(user, 'favoriteDriver', null);
+                setDefault(user, 'hideFromLeaderboard', false);
+                return user;
+            }
+        },
+        {
+            version: 2,
+            description: 'Disc bag inventory, seeded from the old favorite disc fields',
+            up: (user) => {
+                if (user.discs === undefined) {
+                    user.discs = [
+                        ['putter', user.favoritePutter],
+                        ['midrange', user.favoriteMidrange],
+                        ['driver', user.favoriteDriver]
+                    ]
+                        .filter(([, mold]) => typeof mold === 'string' && mold.trim() !== '')
+                        .map(([type, mold]) => ({
+                            id: `disc_favorite_${type}`,
+                            type,
+                            mold: mold.trim(),
+                            plastic: null,
+                            weight: null,
+                            wearNotes: null,
+                            retired: false
+                        }));
+                }
+                return user;
+            }
+        },
+        {
+            version: 3,
+            description: 'Time zone used for dates, streaks and weekly windows',
+            up: (user) => {
+                setDefault(user, 'timeZone', getDefaultTimeZone());
+                return user;
+            }
+        }
+    ],
+
+    [DOCUMENT_KINDS.SESSION]: [
+        {
+            version: 1,
+            description: 'Numeric stats, percentage and timestamp on every session',
+            up: (session) => {
+                ['distance', 'makes', 'attempts', 'points'].forEach(field => {
+                    if (typeof session[field] === 'string') {
+                        session[field] = parseInt(session[field]) || 0;
+                    }
+                });
+                if (session.percentage === undefined && session.attempts > 0) {
+                    session.percentage = (session.makes / session.attempts) * 100;
+                }
+                if (!session.timestamp && session.date) {
+                    session.timestamp = new Date(`${session.date}T00:00:00`).toISOString();
+                }
+                setDefault(session, 'routineName', null);
+                return session;
+            }
+        },
+        {
+            version: 2,
+            description: 'Time zone on every session, with the date re-derived from the timestamp in it',
+            up: (session, { timeZone } = {}) => {
+                setTimeZoneAndDate(session, session.timestamp, timeZone);
+                return session;
+            }
+        },
+        {
+            version: 3,
+            description: 'Points formula version on every session (all earlier ones were scored by version 1)',
+            up: (session) => {
+                setDefault(session, 'pointsVersion', 1);
+                return session;
+            }
+        }
+    ],
+
+    [DOCUMENT_KINDS.ROUTINE_COMPLETION]: [
+        {
+            version: 1,
+            description: 'endTime on every completion (bulk-logged routines only had timestamp)',
+            up: (routine) => {
+                if (!routine.endTime) {
+                    routine.endTime = routine.timestamp || routine.startTime || null;
+                }
+                setDefault(routine, 'points', 0);
+                return routine;
+            }
+        },
+        {
+            version: 2,
+            description: 'Time zone on every completion, with the date derived from endTime in it',
+            up: (routine, { timeZone } = {}) => {
+                setTimeZoneAndDate(routine, routine.endTime, timeZone);
+                return routine;
+            }
+        },
+        {
+            version: 3,
+            description: 'Points formula version on every completion (all earlier ones were scored by version 1)',
+            up: (routine) => {
+                setDefault(routine, 'pointsVersion', 1);
+                return routine;
+            }
+        }
+    ],
+
+    [DOCUMENT_KINDS.GAME_COMPLETION]: [
+        {
+            version: 1,
+            description: 'endTime and points on every completion',
+            up: (game) => {
+                if (!game.endTime) {
+                    game.endTime = game.timestamp || game.startTime || null;
+                }
+                setDefault(game, 'points', 0);
+                return game;
+            }
+        },
+        {
+            version: 2,
+            description: 'Time zone on every completion, with the date derived from endTime in it',
+            up: (game, { timeZone } = {}) => {
+                setTimeZoneAndDate(game, game.endTime, timeZone);
+                return game;
+            }
+        },
+        {
+            version: 3,
+            description: 'Points formula version on every completion (all earlier ones were scored by version 1)',
+            up: (game) => {
+                setDefault(game, 'pointsVersion', 1);
+                return game;
+            }
+        }
+    ]
+};
+
+/**
+ * Get the current schema version for a document kind
+ * @param {string} kind - One of DOCUMENT_KINDS
+ * @returns {number} Latest version
+ */
+export function getSchemaVersion(kind) {
+    const migrations = MIGRATIONS[kind];
+    if (!migrations) {
+        throw new Error(`Unknown document kind: ${kind}`);
+    }
+    return migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+}
+
+/**
+ * Check whether a document is older than the current schema
+ * @param {string} kind - One of DOCUMENT_KINDS
+ * @param {Object} doc - Document data
+ * @returns {boolean} True if migrations need to run
+ */
+export function needsMigration(kind, doc) {
+    return Boolean(doc) && (doc.schemaVersion || 0) < getSchemaVersion(kind);
+}
+
+/**
+ * Upgrade a document to the current schema. Also used on new documents
+ * before they are written, which fills in defaults and sets schemaVersion.
+ * @param {string} kind - One of DOCUMENT_KINDS
+ * @param {Object} doc - Document data (not modified)
+ * @param {Object} context - Passed to each migration, e.g. { timeZone } of the owner
+ * @returns {Object} Upgraded copy (or the original if already current)
+ */
+export function migrateDocument(kind, doc, context = {}) {
+    if (!needsMigration(kind, doc)) return doc;
+
+    const fromVersion = doc.schemaVersion || 0;
+    return MIGRATIONS[kind]
+        .filter(migration => migration.version > fromVersion)
+        .reduce((migrated, migration) => ({
+            ...migration.up(migrated, context),
+            schemaVersion: migration.version
+        }), { ...doc });
+}
+
+/**
+ * Get the fields a migration added or changed, for writing back
+ * without touching anything else on the document
+ * @param {Object} original - Document before migration
+ * @param {Object} migrated - Document after migration
+ * @returns {Object} Changed fields
+ */
+export function getMigratedFields(original, migrated) {
+    const changes = {};
+    Object.keys(migrated).forEach(field => {
+        if (JSON.stringify(original[field]) !== JSON.stringify(migrated[field])) {
+            changes[field] = migrated[field];
+        }
+    });
+    return changes;
+}
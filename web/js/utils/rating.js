@@ -0,0 +1,219 @@
+/**
+ * Skill Rating
+ * A Glicko-style rating: every player has a rating (1500 to start) and a
+ * rating deviation (RD) saying how sure we are of it. Results are grouped
+ * into weekly rating periods. Each period a player's RD grows a little
+ * (skill drifts when we don't see it), then shrinks with every result.
+ * Results come from:
+ *   - elimination games (HORSE) won or lost against a named opponent
+ *   - games logged for a group of players, one result per opponent
+ *   - practice: each week's putts scored against the community baseline
+ *     (see strokesGained.js), as a game against an average player
+ */
+
+import { PUTTING_GAMES } from '../config/constants.js';
+import { collectCurvePutts } from './curveFit.js';
+import { calculateStrokesGained } from './strokesGained.js';
+import { addDays } from './dates.js';
+
+export const RATING_START = 1500;
+export const RD_START = 350;
+
+// RD never drops below this, so a rating can always move
+const RD_MIN = 30;
+
+// RD added (in quadrature) each weekly period: about two idle years take
+// a well-known player back to a starting RD
+const RD_GROWTH = 35;
+
+// Players rank on the rating leaderboard once their RD is this low
+export const RATING_MAX_RD = 150;
+
+// Rating periods kept on the user doc for the history chart (a year)
+export const RATING_HISTORY_PERIODS = 52;
+
+// A week's practice counts once it has this many putts
+const PRACTICE_MIN_PUTTS = 20;
+
+// Lower scores win in these game types
+const LOWER_IS_BETTER = ['time', 'strokes'];
+
+// Opponents we can't find a rating for, and the community baseline
+const UNRATED_OPPONENT = { rating: RATING_START, rd: RD_START };
+const PRACTICE_OPPONENT = { rating: RATING_START, rd: RD_MIN };
+
+const Q = Math.LN10 / 400;
+
+/**
+ * Rating period (the Monday of its week) a date falls in
+ * @param {string} date - YYYY-MM-DD
+ * @returns {string} YYYY-MM-DD of the period's first day
+ */
+export function getRatingPeriod(date) {
+    const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+    return addDays(date, -((weekday + 6) % 7));
+}
+
+/**
+ * Find an opponent's rating by user ID, or by display name for a name typed
+ * in by hand
+ * @param {Array} players - User docs
+ * @param {Object} opponent - { userId, name }
+ * @param {string} playerId - Player being rated (never their own opponent)
+ * @returns {Object} { rating, rd }
+ */
+function findOpponentRating(players, { userId, name }, playerId) {
+    const key = typeof name === 'string' ? name.trim().toLowerCase() : '';
+    const player = players.find(p => p.id !== playerId && (userId
+        ? p.id === userId
+        : key !== '' && p.displayName?.trim().toLowerCase() === key));
+    return typeof player?.rating === 'number'
+        ? { rating: player.rating, rd: player.ratingDeviation ?? RD_START }
+        : UNRATED_OPPONENT;
+}
+
+/**
+ * Result of one score against another: 1 for a win, 0.5 for a tie, 0 for a loss
+ * @param {number} score - Player's score
+ * @param {number} opponentScore - Opponent's score
+ * @param {boolean} lowerIsBetter - Whether the lower score wins
+ * @returns {number} Result
+ */
+function compareScores(score, opponentScore, lowerIsBetter) {
+    if (score === opponentScore) return 0.5;
+    return (score < opponentScore) === lowerIsBetter ? 1 : 0;
+}
+
+/**
+ * Everything a player's rating is calculated from.
+ * Pending items (logged by someone else and not yet accepted) don't count.
+ * @param {Object} history - { sessions, routines, games }
+ * @param {Object} context - { baseline, players, playerId }: the community
+ *   baseline (null leaves practice out), user docs to look opponents up in
+ *   and the player being rated
+ * @returns {Array} Results as { date, opponent: { rating, rd }, score, source }
+ *   where score is between 0 (loss) and 1 (win) and source is 'game' or 'practice'
+ */
+export function collectRatingResults({ sessions = [], routines = [], games = [] }, { baseline = null, players = [], playerId = null } = {}) {
+    const results = [];
+
+    games.filter(game => !game.pending && game.date).forEach(game => {
+        const scoringType = game.scoringType ||
+            PUTTING_GAMES.find(g => g.id === game.gameId || g.name === game.gameName)?.scoring.type;
+
+        if (Array.isArray(game.opponents) && game.opponents.length > 0) {
+            game.opponents
+                .filter(opponent => Number.isFinite(opponent.score) && Number.isFinite(game.score))
+                .forEach(opponent => results.push({
+                    date: game.date,
+                    opponent: findOpponentRating(players, { userId: opponent.userId, name: opponent.displayName }, playerId),
+                    score: compareScores(game.score, opponent.score, LOWER_IS_BETTER.includes(scoringType)),
+                    source: 'game'
+                }));
+        } else if (typeof game.won === 'boolean') {
+            results.push({
+                date: game.date,
+                opponent: findOpponentRating(players, { name: game.opponent }, playerId),
+                score: game.won ? 1 : 0,
+                source: 'game'
+            });
+        }
+    });
+
+    if (baseline) {
+        const byPeriod = new Map();
+        collectCurvePutts({ sessions, routines, games }).forEach(putt => {
+            const period = getRatingPeriod(putt.date);
+            if (!byPeriod.has(period)) byPeriod.set(period, []);
+            byPeriod.get(period).push(putt);
+        });
+        byPeriod.forEach((putts, period) => {
+            const { strokesGained, attempts } = calculateStrokesGained(putts, baseline);
+            if (attempts < PRACTICE_MIN_PUTTS) return;
+            // Strokes gained per putt runs from -1 to 1; an average week scores 0.5
+            results.push({
+                date: period,
+                opponent: PRACTICE_OPPONENT,
+                score: 0.5 + strokesGained / attempts / 2,
+                source: 'practice'
+            });
+        });
+    }
+
+    return results;
+}
+
+/**
+ * Glicko update for one rating period
+ * @param {Object} player - { rating, rd } going into the period
+ * @param {Array} results - The period's results (see collectRatingResults)
+ * @returns {Object} { rating, rd } after the period
+ */
+export function updateRating(player, results) {
+    if (results.length === 0) return player;
+
+    let information = 0;
+    let surprise = 0;
+    results.forEach(({ opponent, score }) => {
+        const g = 1 / Math.sqrt(1 + 3 * Q * Q * opponent.rd * opponent.rd / (Math.PI * Math.PI));
+        const expected = 1 / (1 + Math.pow(10, -g * (player.rating - opponent.rating) / 400));
+        information += Q * Q * g * g * expected * (1 - expected);
+        surprise += g * (score - expected);
+    });
+
+    const precision = 1 / (player.rd * player.rd) + information;
+    return {
+        rating: player.rating + Q / precision * surprise,
+        rd: Math.max(Math.sqrt(1 / precision), RD_MIN)
+    };
+}
+
+/**
+ * Replay a player's results period by period
+ * @param {Array} results - Result of collectRatingResults
+ * @param {string} through - YYYY-MM-DD to carry the rating to (RD keeps
+ *   growing through weeks without results)
+ * @returns {Object|null} { rating, rd, results, history } with history as
+ *   { period, rating, rd } for the last RATING_HISTORY_PERIODS periods with
+ *   results, or null without any results
+ */
+export function calculateRating(results, through) {
+    const byPeriod = new Map();
+    results.forEach(result => {
+        const period = getRatingPeriod(result.date);
+        if (!byPeriod.has(period)) byPeriod.set(period, []);
+        byPeriod.get(period).push(result);
+    });
+    if (byPeriod.size === 0) return null;
+
+    const periods = [...byPeriod.keys()].sort();
+    const lastActive = periods[periods.length - 1];
+    const last = getRatingPeriod(through) > lastActive ? getRatingPeriod(through) : lastActive;
+    let player = { rating: RATING_START, rd: RD_START };
+    const history = [];
+
+    for (let period = periods[0]; period <= last; period = addDays(period, 7)) {
+        player = { rating: player.rating, rd: Math.min(Math.sqrt(player.rd * player.rd + RD_GROWTH * RD_GROWTH), RD_START) };
+        if (byPeriod.has(period)) {
+            player = updateRating(player, byPeriod.get(period));
+            history.push({ period, rating: Math.round(player.rating), rd: Math.round(player.rd) });
+        }
+    }
+
+    return {
+        rating: Math.round(player.rating),
+        rd: Math.round(player.rd),
+        results: results.length,
+        history: history.slice(-RATING_HISTORY_PERIODS)
+    };
+}
+
+/**
+ * Format a rating with its uncertainty, e.g. "1623 ±84"
+ * @param {number} rating - Rating
+ * @param {number} rd - Rating deviation
+ * @returns {string} Rating and RD
+ */
+export function formatRating(rating, rd) {
+    return `${rating} ±${rd}`;
+}
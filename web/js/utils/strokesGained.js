@@ -0,0 +1,143 @@
+/**
+ * Strokes Gained Putting
+ * Scores putts against the community's expected make rate at each distance,
+ * so a hard session at 35ft can beat a pile of tap-ins. A make counts
+ * 1 - P(make) strokes gained and a miss -P(make), so a putt the community
+ * almost always makes gains little when holed and costs a lot when missed.
+ * The baseline is a make curve (see curveFit.js) fit to every player's
+ * per-distance totals (the distanceStats aggregate on user docs, rebuilt
+ * from their history), summed into the community stats doc (see
+ * modules/communityStats.js).
+ */
+
+import { fitMakeCurve, getMakeProbability } from './curveFit.js';
+import { getSessionStations } from './calculations.js';
+
+// Players need this many putts before they rank on the strokes gained leaderboard
+export const SG_MIN_ATTEMPTS = 100;
+
+// Leaderboard and stats compare players per this many putts
+export const SG_RATE_PUTTS = 100;
+
+// Largest share of the community's putts at a distance one player's can be...
+export const SG_MAX_PLAYER_SHARE = 0.25;
+// ...though this many of theirs always count, so the first players at a distance do
+export const SG_PLAYER_MIN_ATTEMPTS = 100;
+
+/**
+ * Turn a distanceStats map into groups of putts
+ * @param {Object} distanceStats - Keyed by distance in feet as { makes, attempts }
+ * @returns {Array} Groups of putts as { distance, makes, attempts }
+ */
+export function distanceStatsToPutts(distanceStats) {
+    return Object.entries(distanceStats || {})
+        .map(([distance, totals]) => ({
+            distance: Number(distance),
+            makes: totals?.makes || 0,
+            attempts: totals?.attempts || 0
+        }))
+        .filter(putt => putt.distance > 0 && putt.attempts > 0);
+}
+
+/**
+ * Add up every player's per-distance totals. Where others have putted
+ * from a distance, one player's putts there count for at most
+ * SG_MAX_PLAYER_SHARE of the total (scaled down, keeping their make rate),
+ * so a single account can't drag the baseline for everyone.
+ * @param {Array} players - User docs with distanceStats
+ * @returns {Object} Community totals keyed by distance in feet as { makes, attempts }
+ */
+export function sumDistanceStats(players) {
+    const byDistance = {};
+    players.forEach(player => {
+        distanceStatsToPutts(player.distanceStats).forEach(putt => {
+            if (!byDistance[putt.distance]) byDistance[putt.distance] = [];
+            byDistance[putt.distance].push(putt);
+        });
+    });
+
+    const totals = {};
+    Object.entries(byDistance).forEach(([distance, putts]) => {
+        const attempts = putts.reduce((sum, putt) => sum + putt.attempts, 0);
+        const bounded = putts.map(putt => {
+            const others = attempts - putt.attempts;
+            const cap = Math.max(SG_PLAYER_MIN_ATTEMPTS, others * SG_MAX_PLAYER_SHARE / (1 - SG_MAX_PLAYER_SHARE));
+            const scale = Math.min(1, cap / putt.attempts);
+            return { makes: putt.makes * scale, attempts: putt.attempts * scale };
+        });
+        totals[distance] = {
+            makes: parseFloat(bounded.reduce((sum, putt) => sum + putt.makes, 0).toFixed(2)),
+            attempts: parseFloat(bounded.reduce((sum, putt) => sum + putt.attempts, 0).toFixed(2))
+        };
+    });
+    return totals;
+}
+
+/**
+ * Fit the community baseline to the community's per-distance totals
+ * @param {Object} distanceStats - Totals summed over every player (see sumDistanceStats)
+ * @returns {Object|null} Make curve, or null until the community has logged enough putts
+ */
+export function buildCommunityBaseline(distanceStats) {
+    return fitMakeCurve(distanceStatsToPutts(distanceStats));
+}
+
+/**
+ * Strokes gained by a set of putts against the baseline
+ * @param {Array} putts - Groups of putts as { distance, makes, attempts }
+ * @param {Object} baseline - Result of buildCommunityBaseline
+ * @returns {Object} { strokesGained, attempts, rate } where rate is per SG_RATE_PUTTS putts
+ */
+export function calculateStrokesGained(putts, baseline) {
+    let strokesGained = 0;
+    let attempts = 0;
+    putts.forEach(putt => {
+        strokesGained += (putt.makes || 0) - (putt.attempts || 0) * getMakeProbability(baseline, putt.distance);
+        attempts += putt.attempts || 0;
+    });
+    return {
+        strokesGained: parseFloat(strokesGained.toFixed(2)),
+        attempts,
+        rate: attempts > 0 ? parseFloat((strokesGained / attempts * SG_RATE_PUTTS).toFixed(2)) : null
+    };
+}
+
+/**
+ * Strokes gained in one session (each station at its own distance)
+ * @param {Object} session - Session
+ * @param {Object} baseline - Result of buildCommunityBaseline
+ * @returns {Object} See calculateStrokesGained
+ */
+export function getSessionStrokesGained(session, baseline) {
+    return calculateStrokesGained(getSessionStations(session), baseline);
+}
+
+/**
+ * Strokes gained per calendar month
+ * @param {Array} putts - Dated putts (see collectCurvePutts)
+ * @param {Object} baseline - Result of buildCommunityBaseline
+ * @returns {Array} Oldest first as { month: 'YYYY-MM', strokesGained, attempts, rate }
+ */
+export function calculateMonthlyStrokesGained(putts, baseline) {
+    const byMonth = new Map();
+    putts.filter(putt => putt.date).forEach(putt => {
+        const month = putt.date.slice(0, 7);
+        if (!byMonth.has(month)) byMonth.set(month, []);
+        byMonth.get(month).push(putt);
+    });
+    return [...byMonth.keys()].sort().map(month => ({
+        month,
+        ...calculateStrokesGained(byMonth.get(month), baseline)
+    }));
+}
+
+/**
+ * Format strokes gained with its sign, e.g. "+1.4" or "-0.6"
+ * @param {number} value - Strokes gained
+ * @returns {string} Signed value to one decimal
+ */
+export function formatStrokesGained(value) {
+    // "|| 0" turns -0 into 0 so a tiny loss doesn't show as "-0.0"
+    const rounded = parseFloat(value.toFixed(1)) || 0;
+    return rounded > 0 ? `+${rounded.toFixed(1)}` : rounded.toFixed(1);
+}
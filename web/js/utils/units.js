@@ -0,0 +1,148 @@
+/**
+ * Distance Units
+ * Distances are always stored in whole feet. Players who think in meters
+ * see and type meters; these helpers convert at the edges so stored
+ * sessions, routines, points and achievements never change.
+ */
+
+import { CONSTANTS, DISTANCE_UNITS } from '../config/constants.js';
+
+export const FEET_PER_METER = 3.28084;
+
+// Meters are shown to the nearest half meter (a field can't be paced out
+// finer than that). Form inputs keep one decimal instead, so editing a
+// session never moves it by a foot.
+const METER_STEP = 0.5;
+const METER_INPUT_STEP = 0.1;
+
+/**
+ * Check a unit system id
+ * @param {string} units - Unit system id
+ * @returns {boolean} True for a DISTANCE_UNITS id
+ */
+export function isValidUnits(units) {
+    return DISTANCE_UNITS.some(unit => unit.id === units);
+}
+
+/**
+ * Get a unit system's labels
+ * @param {string} units - Unit system id (feet if unknown)
+ * @returns {Object} DISTANCE_UNITS entry
+ */
+export function getDistanceUnit(units) {
+    return DISTANCE_UNITS.find(unit => unit.id === units) || DISTANCE_UNITS[0];
+}
+
+/**
+ * Round to a multiple of a step
+ * @param {number} value - Value to round
+ * @param {number} step - Step, e.g. 0.5
+ * @param {boolean} roundUp - Round up instead of to the nearest step
+ * @returns {number} Rounded value without float noise
+ */
+function roundToStep(value, step, roundUp = false) {
+    const steps = roundUp ? Math.ceil(value / step - 1e-9) : Math.round(value / step);
+    return parseFloat((steps * step).toFixed(1));
+}
+
+/**
+ * Convert a stored distance for display
+ * @param {number} feet - Distance in feet
+ * @param {string} units - Unit system id
+ * @param {Object} options - { step: meter rounding step, roundUp: round targets up
+ *   so reaching the shown distance also reaches the real one }
+ * @returns {number} Distance in the player's units
+ */
+export function toDisplayDistance(feet, units, { step = METER_STEP, roundUp = false } = {}) {
+    if (units !== 'metric') return feet;
+    return roundToStep(feet / FEET_PER_METER, step, roundUp);
+}
+
+/**
+ * Convert an entered distance to storage
+ * @param {number|string} value - Distance in the player's units
+ * @param {string} units - Unit system id
+ * @returns {number} Whole feet (NaN if the value isn't a number)
+ */
+export function fromDisplayDistance(value, units) {
+    const distance = parseFloat(value);
+    return Math.round(units === 'metric' ? distance * FEET_PER_METER : distance);
+}
+
+/**
+ * Format a stored distance, e.g. "20ft" or "6m"
+ * @param {number} feet - Distance in feet
+ * @param {string} units - Unit system id
+ * @param {Object} options - See toDisplayDistance
+ * @returns {string} Distance with its unit
+ */
+export function formatDistance(feet, units, options = {}) {
+    return `${toDisplayDistance(feet, units, options)}${getDistanceUnit(units).short}`;
+}
+
+/**
+ * Format a span of distances, e.g. "15-25ft" (or one distance if they match)
+ * @param {number} minFeet - Shortest distance in feet
+ * @param {number} maxFeet - Longest distance in feet
+ * @param {string} units - Unit system id
+ * @returns {string} Distance range with its unit
+ */
+export function formatDistanceRange(minFeet, maxFeet, units) {
+    const min = toDisplayDistance(minFeet, units);
+    const max = toDisplayDistance(maxFeet, units);
+    return min === max
+        ? `${max}${getDistanceUnit(units).short}`
+        : `${min}-${max}${getDistanceUnit(units).short}`;
+}
+
+/**
+ * Value to pre-fill a distance input with
+ * @param {number|string} feet - Distance in feet ('' for an empty input)
+ * @param {string} units - Unit system id
+ * @returns {number|string} Distance in the player's units
+ */
+export function toDistanceInputValue(feet, units) {
+    if (feet === '' || feet === null || feet === undefined || isNaN(feet)) return '';
+    return toDisplayDistance(Number(feet), units, { step: METER_INPUT_STEP });
+}
+
+/**
+ * Limits for a distance input, matching CONSTANTS.VALIDATION once converted
+ * @param {string} units - Unit system id
+ * @param {number} minFeet - Shortest allowed distance in feet
+ * @param {number} maxFeet - Longest allowed distance in feet
+ * @returns {Object} { min, max, step } in the player's units
+ */
+export function getDistanceInputLimits(units, minFeet = CONSTANTS.VALIDATION.MIN_DISTANCE, maxFeet = CONSTANTS.VALIDATION.MAX_DISTANCE) {
+    if (units !== 'metric') {
+        return { min: minFeet, max: maxFeet, step: 1 };
+    }
+    return {
+        min: roundToStep(minFeet / FEET_PER_METER, METER_INPUT_STEP, true),
+        max: parseFloat((Math.floor(maxFeet / FEET_PER_METER / METER_INPUT_STEP) * METER_INPUT_STEP).toFixed(1)),
+        step: METER_INPUT_STEP
+    };
+}
+
+/**
+ * Rewrite the distances in a piece of text (game instructions, challenge and
+ * achievement descriptions) in the player's units. Distances followed by "+"
+ * are targets and round up; everything else rounds to the nearest half meter.
+ * @param {string} text - Text with distances such as "15 feet", "10-30 feet" or "40ft+"
+ * @param {string} units - Unit system id
+ * @returns {string} Text in the player's units
+ */
+export function localizeDistanceText(text, units) {
+    if (units !== 'metric' || typeof text !== 'string') return text;
+
+    const unit = getDistanceUnit(units);
+    return text.replace(/(\d+)(?:\s*-\s*(\d+))?(\+?)(\s*)(feet|foot|ft)\b(\+?)/gi,
+        (match, from, to, plusBefore, space, word, plusAfter) => {
+            const roundUp = Boolean(plusBefore || plusAfter);
+            const label = word.toLowerCase() === 'ft' ? unit.short : unit.long;
+            const distance = to
+                ? `${toDisplayDistance(Number(from), units)}-${toDisplayDistance(Number(to), units)}`
+                : toDisplayDistance(Number(from), units, { roundUp });
+            return `${distance}${plusBefore}${space}${label}${plusAfter}`;
+        });
+}
@@ -3,7 +3,8 @@
  * Input validation and sanitization functions
  */
 
-import { CONSTANTS } from '../config/constants.js';
+import { CONSTANTS, MISS_DIRECTIONS, PUTTING_STYLES, WIND_DIRECTIONS, PRACTICE_SETTINGS, ELEVATIONS, DISC_TYPES } from '../config/constants.js';
+import { toLocalDate, getToday } from './dates.js';
 
 /**
  * Validate session input data
@@ -51,6 +52,228 @@ export function validateSessionInput(makes, attempts, distance) {
     };
 }
 
+/**
+ * Validate a putt-by-putt sequence against a session's totals
+ * @param {Array} sequence - Putts in order (true = make, false = miss)
+ * @param {number} makes - Session makes
+ * @param {number} attempts - Session attempts
+ * @returns {Object} Validation result with isValid flag and errors array
+ */
+export function validatePuttSequence(sequence, makes, attempts) {
+    const errors = [];
+
+    if (!Array.isArray(sequence) || sequence.some(putt => typeof putt !== 'boolean')) {
+        errors.push('Putt sequence must be a list of makes and misses');
+        return { isValid: false, errors };
+    }
+
+    if (sequence.length !== attempts) {
+        errors.push('Putt sequence length must match attempts');
+    }
+
+    if (sequence.filter(Boolean).length !== makes) {
+        errors.push('Putt sequence makes must match makes');
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors
+    };
+}
+
+/**
+ * Validate a session's miss breakdown
+ * @param {Object} misses - Miss counts keyed by MISS_DIRECTIONS id
+ * @param {number} makes - Session makes
+ * @param {number} attempts - Session attempts
+ * @returns {Object} Validation result with isValid flag and errors array
+ */
+export function validateMissCounts(misses, makes, attempts) {
+    const errors = [];
+    const directionIds = MISS_DIRECTIONS.map(direction => direction.id);
+
+    if (typeof misses !== 'object' || Array.isArray(misses)) {
+        errors.push('Miss breakdown must be counts per direction');
+        return { isValid: false, errors };
+    }
+
+    Object.entries(misses).forEach(([direction, count]) => {
+        if (!directionIds.includes(direction)) {
+            errors.push(`Unknown miss direction: ${direction}`);
+        } else if (!Number.isInteger(count) || count < 0) {
+            errors.push('Miss counts must be whole numbers');
+        }
+    });
+
+    const tagged = Object.values(misses).reduce((sum, count) => sum + (Number(count) || 0), 0);
+    if (tagged > attempts - makes) {
+        errors.push('Miss breakdown cannot add up to more than the missed putts');
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors
+    };
+}
+
+/**
+ * Check a putting style tag (null means untagged)
+ * @param {string|null} style - PUTTING_STYLES id
+ * @returns {boolean} True if untagged or a known style
+ */
+export function isValidPuttingStyle(style) {
+    return style === null || style === undefined || PUTTING_STYLES.some(s => s.id === style);
+}
+
+/**
+ * Validate practice conditions (every field is optional)
+ * @param {Object} conditions - { windSpeed, windDirection, temperature, setting, basketModel, elevation }
+ * @returns {Object} Validation result with isValid flag and errors array
+ */
+export function validateConditions(conditions) {
+    const errors = [];
+    const { MAX_WIND_SPEED, MIN_TEMPERATURE, MAX_TEMPERATURE, MAX_BASKET_MODEL_LENGTH } = CONSTANTS.VALIDATION;
+    const isKnown = (options, value) => !value || options.some(option => option.id === value);
+
+    if (typeof conditions !== 'object' || Array.isArray(conditions)) {
+        errors.push('Conditions must be a set of fields');
+        return { isValid: false, errors };
+    }
+
+    const { windSpeed, windDirection, temperature, setting, basketModel, elevation } = conditions;
+
+    if (windSpeed != null && (typeof windSpeed !== 'number' || isNaN(windSpeed) || windSpeed < 0 || windSpeed > MAX_WIND_SPEED)) {
+        errors.push(`Wind speed must be between 0 and ${MAX_WIND_SPEED} mph`);
+    }
+
+    if (temperature != null && (typeof temperature !== 'number' || isNaN(temperature) ||
+        temperature < MIN_TEMPERATURE || temperature > MAX_TEMPERATURE)) {
+        errors.push(`Temperature must be between ${MIN_TEMPERATURE} and ${MAX_TEMPERATURE}°F`);
+    }
+
+    if (!isKnown(WIND_DIRECTIONS, windDirection)) {
+        errors.push(`Unknown wind direction: ${windDirection}`);
+    }
+
+    if (!isKnown(PRACTICE_SETTINGS, setting)) {
+        errors.push(`Unknown setting: ${setting}`);
+    }
+
+    if (!isKnown(ELEVATIONS, elevation)) {
+        errors.push(`Unknown elevation: ${elevation}`);
+    }
+
+    if (basketModel != null && (typeof basketModel !== 'string' || basketModel.length > MAX_BASKET_MODEL_LENGTH)) {
+        errors.push(`Basket model must be at most ${MAX_BASKET_MODEL_LENGTH} characters`);
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors
+    };
+}
+
+/**
+ * Validate the stations of a multi-station session
+ * @param {Array} stations - Stations as { distance, makes, attempts }
+ * @returns {Object} Validation result with isValid flag and errors array
+ */
+export function validateStations(stations) {
+    const errors = [];
+    const { MAX_STATIONS } = CONSTANTS.VALIDATION;
+
+    if (!Array.isArray(stations) || stations.length < 2) {
+        errors.push('A multi-station session needs at least 2 stations');
+        return { isValid: false, errors };
+    }
+
+    if (stations.length > MAX_STATIONS) {
+        errors.push(`A session can have at most ${MAX_STATIONS} stations`);
+    }
+
+    stations.forEach((station, index) => {
+        const check = validateSessionInput(
+            parseInt(station?.makes),
+            parseInt(station?.attempts),
+            parseInt(station?.distance)
+        );
+        check.errors.forEach(error => errors.push(`Station ${index + 1}: ${error}`));
+    });
+
+    return {
+        isValid: errors.length === 0,
+        errors
+    };
+}
+
+/**
+ * Split tags typed as comma-separated text, e.g. "new grip, Tournament prep"
+ * @param {string|Array} value - Tag text, or a list of tags
+ * @returns {Array<string>} Trimmed, lowercase, unique tags
+ */
+export function parseTags(value) {
+    const tags = Array.isArray(value) ? value : String(value ?? '').split(',');
+    return [...new Set(tags
+        .map(tag => (typeof tag === 'string' ? tag.trim().replace(/\s+/g, ' ').toLowerCase() : tag))
+        .filter(tag => tag !== ''))];
+}
+
+/**
+ * Validate the tags on an activity
+ * @param {Array} tags - Tags from parseTags
+ * @returns {Object} Validation result with isValid flag and errors array
+ */
+export function validateTags(tags) {
+    const errors = [];
+    const { MAX_TAGS, MAX_TAG_LENGTH } = CONSTANTS.VALIDATION;
+
+    if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) {
+        errors.push('Tags must be a list of text');
+        return { isValid: false, errors };
+    }
+
+    if (tags.length > MAX_TAGS) {
+        errors.push(`Use at most ${MAX_TAGS} tags`);
+    }
+
+    tags.filter(tag => tag.length > MAX_TAG_LENGTH).forEach(tag => {
+        errors.push(`Tag "${tag}" is longer than ${MAX_TAG_LENGTH} characters`);
+    });
+
+    return {
+        isValid: errors.length === 0,
+        errors
+    };
+}
+
+/**
+ * Validate a disc in the player's bag
+ * @param {Object} disc - { type, mold, plastic, weight, wearNotes, retired }
+ * @returns {Object} Validation result with isValid flag and errors array
+ */
+export function validateDisc(disc) {
+    const errors = [];
+    const { MIN_DISC_WEIGHT, MAX_DISC_WEIGHT } = CONSTANTS.VALIDATION;
+
+    if (!DISC_TYPES.some(type => type.id === disc.type)) {
+        errors.push(`Unknown disc type: ${disc.type}`);
+    }
+
+    if (!disc.mold || typeof disc.mold !== 'string' || disc.mold.trim() === '') {
+        errors.push('Disc must have a mold');
+    }
+
+    if (disc.weight != null && (typeof disc.weight !== 'number' || isNaN(disc.weight) ||
+        disc.weight < MIN_DISC_WEIGHT || disc.weight > MAX_DISC_WEIGHT)) {
+        errors.push(`Weight must be between ${MIN_DISC_WEIGHT} and ${MAX_DISC_WEIGHT} grams`);
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors
+    };
+}
+
 /**
  * Validate routine drill data
  * @param {Object} drill - Drill object with distance and attempts
@@ -71,6 +294,10 @@ export function validateDrill(drill) {
         errors.push('Drill must have a description');
     }
 
+    if (!isValidPuttingStyle(drill.style)) {
+        errors.push(`Unknown putting style: ${drill.style}`);
+    }
+
     return {
         isValid: errors.length === 0,
         errors
@@ -88,6 +315,20 @@ export function sanitizeString(str, maxLength = 255) {
     return str.trim().substring(0, maxLength);
 }
 
+/**
+ * Escape text for use inside HTML
+ * @param {any} value - Text to escape
+ * @returns {string} HTML-safe string
+ */
+export function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
 /**
  * Validate email format
  * @param {string} email - Email address to validate
@@ -100,20 +341,31 @@ export function isValidEmail(email) {
 
 /**
  * Parse and validate date
- * @param {string} dateStr - Date string to validate
+ * @param {string} dateStr - Date (YYYY-MM-DD) or timestamp to validate
+ * @param {Object} options - { timeZone, earliest }: the time zone that decides what
+ *   "today" is, and an optional timestamp (e.g. account creation) whose day is the
+ *   first one allowed
  * @returns {Object} Validation result with parsed date
  */
-export function validateDate(dateStr) {
-    const date = new Date(dateStr);
+export function validateDate(dateStr, { timeZone, earliest } = {}) {
+    // A calendar date is a whole day where the player is, so it's compared
+    // with today there rather than with the current instant
+    const isCalendarDate = /^\d{4}-\d{2}-\d{2}$/.test(dateStr);
+    const date = new Date(isCalendarDate ? `${dateStr}T12:00:00Z` : dateStr);
     const now = new Date();
     
     if (isNaN(date.getTime())) {
         return { isValid: false, error: 'Invalid date format' };
     }
 
-    if (date > now) {
+    if (isCalendarDate ? dateStr > getToday(timeZone) : date > now) {
         return { isValid: false, error: 'Date cannot be in the future' };
     }
 
+    const localDate = isCalendarDate ? dateStr : toLocalDate(date, timeZone);
+    if (earliest && localDate < toLocalDate(earliest, timeZone)) {
+        return { isValid: false, error: 'Date cannot be before the account was created' };
+    }
+
     return { isValid: true, date };
 }
@@ -0,0 +1,44 @@
+/**
+ * Community Stats Job
+ * Runs the admin community stats recompute (communityStatsManager.recompute)
+ * outside the browser, so skill ratings, the strokes gained baseline and
+ * leaderboard, reconciled totals and week-long challenge awards follow new
+ * results without an admin pressing the button. Scheduled by .github/workflows/community-stats.yml.
+ *
+ * Signs in as an admin account with email and password:
+ *   FIREBASE_ADMIN_EMAIL=... FIREBASE_ADMIN_PASSWORD=... npm run recompute
+ */
+
+import firebase from 'firebase/compat/app';
+import 'firebase/compat/auth';
+import 'firebase/compat/firestore';
+import { firebaseConfig } from '../js/config/firebase.js';
+import { storageManager } from '../js/modules/storage.js';
+import { FirestoreBackend } from '../js/modules/backends/firestoreBackend.js';
+import { communityStatsManager } from '../js/modules/communityStats.js';
+
+// The app's modules use the compat SDK's global, as index.html loads it
+globalThis.firebase = firebase;
+
+const { FIREBASE_ADMIN_EMAIL, FIREBASE_ADMIN_PASSWORD } = process.env;
+if (!FIREBASE_ADMIN_EMAIL || !FIREBASE_ADMIN_PASSWORD) {
+    console.error('❌ Set FIREBASE_ADMIN_EMAIL and FIREBASE_ADMIN_PASSWORD to an admin account');
+    process.exit(1);
+}
+
+firebase.initializeApp(firebaseConfig);
+
+try {
+    await firebase.auth().signInWithEmailAndPassword(FIREBASE_ADMIN_EMAIL, FIREBASE_ADMIN_PASSWORD);
+
+    // Straight to the server: a one-off job has nothing to cache or queue
+    storageManager.init(new FirestoreBackend());
+
+    const { players, updated, rated, reconciled, awarded } = await communityStatsManager.recompute();
+    console.log(`✅ ${players} players: ${updated} updated, ${rated} re-rated, ${reconciled} reconciled, ${awarded} awarded the weekly challenge`);
+} catch (error) {
+    console.error('❌ Community stats job failed:', error);
+    process.exitCode = 1;
+} finally {
+    await firebase.app().delete();
+}
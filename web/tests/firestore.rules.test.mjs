@@ -0,0 +1,813 @@
+/**
+ * Firestore Security Rules Tests
+ * Run against the local emulator with `npm test`
+ * (firebase emulators:exec starts it and sets FIRESTORE_EMULATOR_HOST)
+ */
+
+import { readFileSync } from 'node:fs';
+import { after, before, beforeEach, describe, test } from 'node:test';
+import {
+    assertFails,
+    assertSucceeds,
+    initializeTestEnvironment
+} from '@firebase/rules-unit-testing';
+import firebase from 'firebase/compat/app';
+import 'firebase/compat/firestore';
+
+const { FieldValue } = firebase.firestore;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let testEnv;
+
+/**
+ * Firestore as a signed-in user (or signed out when uid is null)
+ * @param {string|null} uid - User ID
+ * @returns {Object} Compat Firestore instance
+ */
+function db(uid) {
+    return uid
+        ? testEnv.authenticatedContext(uid).firestore()
+        : testEnv.unauthenticatedContext().firestore();
+}
+
+/**
+ * Write documents directly, bypassing the rules
+ * @param {Object} docs - Data keyed by document path
+ */
+async function seed(docs) {
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+        const firestore = context.firestore();
+        for (const [path, data] of Object.entries(docs)) {
+            await firestore.doc(path).set(data);
+        }
+    });
+}
+
+function newUser(uid, extra = {}) {
+    return {
+        id: uid,
+        displayName: uid,
+        totalPoints: 0,
+        totalSessions: 0,
+        totalRoutines: 0,
+        totalGames: 0,
+        bonusPoints: 0,
+        achievements: [],
+        ...extra
+    };
+}
+
+// 7 of 10 from 15 ft: round(7 × 15 × 70 / 100) = 74 points
+function session(extra = {}) {
+    return {
+        date: '2026-01-01',
+        distance: 15,
+        makes: 7,
+        attempts: 10,
+        percentage: 70,
+        points: 74,
+        ...extra
+    };
+}
+
+// What the session above adds to its owner's aggregates (15 ft is in C1 and C1X)
+function sessionTotals(sign = 1) {
+    const putts = { makes: FieldValue.increment(sign * 7), attempts: FieldValue.increment(sign * 10) };
+    return {
+        totalPoints: FieldValue.increment(sign * 74),
+        totalSessions: FieldValue.increment(sign),
+        totalPutts: FieldValue.increment(sign * 10),
+        totalMakes: FieldValue.increment(sign * 7),
+        circleStats: { c1: putts, c1x: putts }
+    };
+}
+
+// Drills of 8/10 from 10 ft (64 points) and 5/10 from 20 ft (50 points)
+function routine(extra = {}) {
+    return {
+        routineName: 'Circle 1 Ladder',
+        drills: [
+            { distance: 10, makes: 8, attempts: 10, percentage: 80 },
+            { distance: 20, makes: 5, attempts: 10, percentage: 50 }
+        ],
+        points: 114,
+        ...extra
+    };
+}
+
+/**
+ * Write (or with null data, delete) an activity and its owner's aggregate
+ * updates in one batch, the way storageManager.commitWithUserUpdates does
+ * @param {string} uid - Owner's user ID
+ * @param {string} path - Activity path, e.g. 'users/alice/sessions/s1'
+ * @param {Object|null} data - Activity, or null to delete it
+ * @param {Object} userUpdates - Aggregate updates merged into the user doc
+ * @returns {Promise<void>} The batch commit
+ */
+function commitWithUserUpdates(uid, path, data, userUpdates) {
+    const firestore = db(uid);
+    const batch = firestore.batch();
+    const [collection, id] = path.split('/').slice(-2);
+    if (data) {
+        batch.set(firestore.doc(path), { ...data, writeId: 'w1' });
+    } else {
+        batch.delete(firestore.doc(path));
+    }
+    batch.set(firestore.doc(`users/${uid}`), {
+        ...userUpdates,
+        lastActivity: { collection, id, writeId: 'w1' }
+    }, { merge: true });
+    return batch.commit();
+}
+
+function weeklyChallenge(startedAt, extra = {}) {
+    return {
+        type: 'accuracy',
+        target: 80,
+        reward: 500,
+        startDate: new Date(startedAt).toISOString(),
+        startedAt,
+        completedBy: [],
+        ...extra
+    };
+}
+
+/**
+ * Seed a session as the one alice's user doc last named (lastActivity),
+ * which is what her challenge claims are checked against
+ * @param {Object} data - Session
+ */
+async function seedLastSession(data) {
+    await seed({ 'users/alice/sessions/last': { ...data, writeId: 'w0' } });
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+        await context.firestore().doc('users/alice').update({ lastActivity: { collection: 'sessions', id: 'last', writeId: 'w0' } });
+    });
+}
+
+before(async () => {
+    testEnv = await initializeTestEnvironment({
+        projectId: 'demo-putting-improver',
+        firestore: {
+            rules: readFileSync(new URL('../firestore.rules', import.meta.url), 'utf8')
+        }
+    });
+});
+
+beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await seed({
+        'users/alice': newUser('alice', {
+            totalPoints: 100,
+            totalSessions: 2,
+            totalPutts: 20,
+            totalMakes: 12,
+            circleStats: { c1: { makes: 12, attempts: 20 }, c1x: { makes: 12, attempts: 20 } }
+        }),
+        'users/bob': newUser('bob'),
+        'users/carol': newUser('carol', { optOutSharedLogging: true }),
+        'users/admin': newUser('admin', { isAdmin: true })
+    });
+});
+
+after(async () => {
+    await testEnv.cleanup();
+});
+
+describe('user documents', () => {
+    test('anyone signed in can read profiles, signed-out users cannot', async () => {
+        await assertSucceeds(db('bob').doc('users/alice').get());
+        await assertFails(db(null).doc('users/alice').get());
+    });
+
+    test('new users must start with empty aggregates', async () => {
+        await assertSucceeds(db('dave').doc('users/dave').set(newUser('dave')));
+        await assertFails(db('erin').doc('users/erin').set(newUser('erin', { totalPoints: 5000 })));
+        await assertFails(db('erin').doc('users/erin').set(newUser('erin', { achievements: ['sharpshooter'] })));
+    });
+
+    test('nobody can grant themselves admin', async () => {
+        await assertFails(db('dave').doc('users/dave').set({ ...newUser('dave'), isAdmin: true }));
+        await assertFails(db('alice').doc('users/alice').update({ isAdmin: true }));
+        await assertFails(db('admin').doc('users/bob').update({ isAdmin: true }));
+    });
+
+    test('owners can update their profile but not their aggregates on their own', async () => {
+        await assertSucceeds(db('alice').doc('users/alice').update({ displayName: 'Alice' }));
+        await assertSucceeds(db('alice').doc('users/alice').update({ totalPoints: 100, lastLogin: '2026-01-01T00:00:00Z' }));
+        await assertFails(db('alice').doc('users/alice').update({
+            totalPoints: FieldValue.increment(74),
+            totalSessions: FieldValue.increment(1),
+            totalPutts: FieldValue.increment(10),
+            totalMakes: FieldValue.increment(7)
+        }));
+        await assertFails(db('alice').doc('users/alice').update({ totalPoints: 1000000 }));
+        await assertFails(db('alice').doc('users/alice').update({ bonusPoints: 500 }));
+        await assertFails(db('alice').doc('users/alice').update({ bestAccuracy: 100 }));
+    });
+
+    test('aggregates must stay valid', async () => {
+        await assertFails(db('admin').doc('users/alice').update({ totalPoints: -1 }));
+        await assertFails(db('admin').doc('users/alice').update({ totalSessions: 'lots' }));
+        await assertFails(db('admin').doc('users/alice').update({ totalMakes: 50 }));
+        await assertFails(db('admin').doc('users/alice').update({ bestAccuracy: 120 }));
+    });
+
+    test('circle stats only hold C1, C1X and C2', async () => {
+        await assertSucceeds(db('admin').doc('users/alice').update({
+            circleStats: { c1: { makes: 40, attempts: 50 }, c1x: { makes: 30, attempts: 40 }, c2: { makes: 2, attempts: 10 } }
+        }));
+        await assertFails(db('admin').doc('users/alice').update({ circleStats: 'c1' }));
+        await assertFails(db('admin').doc('users/alice').update({ circleStats: { c3: { makes: 1, attempts: 1 } } }));
+    });
+
+    test('distance stats are a map of putt totals', async () => {
+        await assertSucceeds(db('admin').doc('users/alice').update({
+            distanceStats: { 10: { makes: 18, attempts: 20 }, 30: { makes: 6, attempts: 20 } }
+        }));
+        await assertFails(db('admin').doc('users/alice').update({ distanceStats: [10, 30] }));
+    });
+
+    test('the disc bag must be a bounded list', async () => {
+        await assertSucceeds(db('alice').doc('users/alice').update({
+            discs: [{ id: 'disc_1', type: 'putter', mold: 'Luna', retired: false }]
+        }));
+        await assertFails(db('alice').doc('users/alice').update({ discs: { luna: true } }));
+        await assertFails(db('alice').doc('users/alice').update({
+            discs: Array.from({ length: 101 }, (_, i) => ({ id: `disc_${i}`, type: 'putter', mold: 'Luna' }))
+        }));
+    });
+
+    test('other players cannot touch someone else\'s user doc', async () => {
+        await assertFails(db('bob').doc('users/alice').update({ totalPoints: 0 }));
+        await assertFails(db('bob').doc('users/alice').update({ displayName: 'Hacked' }));
+        await assertFails(db('bob').doc('users/alice').delete());
+    });
+
+    test('admins can correct another user\'s aggregates', async () => {
+        await assertSucceeds(db('admin').doc('users/alice').update({ totalPoints: FieldValue.increment(-10) }));
+    });
+
+    test('only admins set leaderboard stats', async () => {
+        await assertFails(db('alice').doc('users/alice').update({ leaderboardStats: { strokesGained: 9.9 } }));
+        await assertFails(db('carol').doc('users/carol').set(newUser('carol', { leaderboardStats: { c1: 100 } })));
+        await assertSucceeds(db('admin').doc('users/alice').update({ leaderboardStats: { strokesGained: 1.2, c1: 84.5 } }));
+    });
+
+    test('only admins set skill ratings', async () => {
+        await assertFails(db('alice').doc('users/alice').update({ rating: 2400, ratingDeviation: 30 }));
+        await assertFails(db('alice').doc('users/alice').update({ ratingHistory: [] }));
+        await assertFails(db('carol').doc('users/carol').set(newUser('carol', { rating: 2400 })));
+        await assertSucceeds(db('admin').doc('users/alice').update({ rating: 1620, ratingUpdated: { writeId: null, period: '2026-01-05' } }));
+    });
+
+    test('skill ratings stay in range', async () => {
+        const ref = db('admin').doc('users/alice');
+        await assertSucceeds(ref.update({ rating: 1620, ratingDeviation: 84, ratingHistory: [{ period: '2026-01-05', rating: 1620, rd: 84 }] }));
+        await assertSucceeds(ref.update({ rating: null, ratingDeviation: null, ratingHistory: null }));
+        await assertFails(ref.update({ rating: 9000 }));
+        await assertFails(ref.update({ ratingDeviation: -1 }));
+        await assertFails(ref.update({ ratingHistory: 'rising' }));
+    });
+});
+
+describe('sessions', () => {
+    test('owners can log valid sessions', async () => {
+        await assertSucceeds(db('alice').doc('users/alice/sessions/s1').set(session()));
+    });
+
+    test('session shape is validated', async () => {
+        const ref = db('alice').doc('users/alice/sessions/s1');
+        await assertFails(ref.set(session({ makes: 11, attempts: 10 })));
+        await assertFails(ref.set(session({ distance: 0 })));
+        await assertFails(ref.set(session({ distance: 101 })));
+        await assertFails(ref.set(session({ attempts: 0, makes: 0 })));
+        await assertFails(ref.set(session({ makes: '7' })));
+        await assertFails(ref.set(session({ points: -5 })));
+    });
+
+    test('a live session\'s putt sequence must cover every attempt', async () => {
+        const sequence = [true, true, false, true, true, true, false, true, false, true];
+        await assertSucceeds(db('alice').doc('users/alice/sessions/live1').set(session({ sequence })));
+        await assertFails(db('alice').doc('users/alice/sessions/live2').set(session({ sequence: sequence.slice(1) })));
+        await assertFails(db('alice').doc('users/alice/sessions/live3').set(session({ sequence: 'MMXMMMXMXM' })));
+    });
+
+    test('miss breakdowns only use known directions', async () => {
+        await assertSucceeds(db('alice').doc('users/alice/sessions/m1').set(session({ misses: { high: 2, right: 1 } })));
+        await assertFails(db('alice').doc('users/alice/sessions/m2').set(session({ misses: { sideways: 3 } })));
+        await assertFails(db('alice').doc('users/alice/sessions/m3').set(session({ misses: ['high', 'high'] })));
+    });
+
+    test('putting styles must be known', async () => {
+        await assertSucceeds(db('alice').doc('users/alice/sessions/st1').set(session({ style: 'straddle' })));
+        await assertSucceeds(db('alice').doc('users/alice/sessions/st2').set(session({ style: null })));
+        await assertFails(db('alice').doc('users/alice/sessions/st3').set(session({ style: 'backhand' })));
+    });
+
+    test('practice conditions are checked', async () => {
+        const ref = (id) => db('alice').doc(`users/alice/sessions/${id}`);
+        await assertSucceeds(ref('c1').set(session({ conditions: { windSpeed: 15, windDirection: 'headwind', temperature: 98, basketModel: 'DGA Mach III' } })));
+        await assertFails(ref('c2').set(session({ conditions: { windSpeed: 200 } })));
+        await assertFails(ref('c3').set(session({ conditions: { temperature: '98' } })));
+        await assertFails(ref('c4').set(session({ conditions: { humidity: 40 } })));
+    });
+
+    test('sessions record at most 10 discs', async () => {
+        const ref = (id) => db('alice').doc(`users/alice/sessions/${id}`);
+        await assertSucceeds(ref('d1').set(session({ discIds: ['disc_1', 'disc_2'] })));
+        await assertFails(ref('d2').set(session({ discIds: 'disc_1' })));
+        await assertFails(ref('d3').set(session({ discIds: Array.from({ length: 11 }, (_, i) => `disc_${i}`) })));
+    });
+
+    test('time zones are short strings', async () => {
+        const ref = (id) => db('alice').doc(`users/alice/sessions/${id}`);
+        await assertSucceeds(ref('tz1').set(session({ timeZone: 'America/Phoenix' })));
+        await assertFails(ref('tz2').set(session({ timeZone: -7 })));
+        await assertFails(ref('tz3').set(session({ timeZone: 'x'.repeat(65) })));
+        await assertFails(db('alice').doc('users/alice').update({ timeZone: 7 }));
+    });
+
+    test('players pick feet or meters', async () => {
+        const user = db('alice').doc('users/alice');
+        await assertSucceeds(user.update({ units: 'metric' }));
+        await assertSucceeds(user.update({ units: 'imperial' }));
+        await assertFails(user.update({ units: 'yards' }));
+    });
+
+    test('multi-station sessions have 2-10 stations', async () => {
+        const ref = (id) => db('alice').doc(`users/alice/sessions/${id}`);
+        const station = (distance) => ({ distance, makes: 7, attempts: 10, percentage: 70, points: Math.round(7 * distance * 0.7) });
+        await assertSucceeds(ref('m1').set(session({ attempts: 30, makes: 21, distance: 25, points: 295, stations: [station(15), station(20), station(25)] })));
+        await assertFails(ref('m2').set(session({ stations: [station(15)] })));
+        await assertFails(ref('m3').set(session({ stations: { first: station(15) } })));
+        await assertFails(ref('m4').set(session({ stations: Array.from({ length: 11 }, (_, i) => station(10 + i)) })));
+    });
+
+    test('activities carry at most 10 tags', async () => {
+        const ref = (id) => db('alice').doc(`users/alice/sessions/${id}`);
+        await assertSucceeds(ref('t1').set(session({ tags: ['new grip', 'tournament prep'], notes: 'Felt smoother' })));
+        await assertFails(ref('t2').set(session({ tags: 'new grip' })));
+        await assertFails(ref('t3').set(session({ tags: Array.from({ length: 11 }, (_, i) => `tag ${i}`) })));
+        await assertFails(db('alice').doc('users/alice/gameCompletions/g1').set({ points: 10, tags: 'league' }));
+    });
+
+    test('a session and its counter updates commit together', async () => {
+        const firestore = db('alice');
+        const batch = firestore.batch();
+        batch.set(firestore.doc('users/alice/sessions/s1'), session({ writeId: 'w1' }));
+        batch.set(firestore.doc('users/alice'), {
+            ...sessionTotals(),
+            lastActivity: { collection: 'sessions', id: 's1', writeId: 'w1' }
+        }, { merge: true });
+        await assertSucceeds(batch.commit());
+    });
+
+    test('counters move by exactly the points of the activity written with them', async () => {
+        const firestore = db('alice');
+        const inflated = firestore.batch();
+        inflated.set(firestore.doc('users/alice/sessions/s1'), session({ writeId: 'w1' }));
+        inflated.set(firestore.doc('users/alice'), {
+            totalPoints: FieldValue.increment(100000),
+            lastActivity: { collection: 'sessions', id: 's1', writeId: 'w1' }
+        }, { merge: true });
+        await assertFails(inflated.commit());
+
+        // Naming an activity that isn't part of the batch doesn't count
+        await seed({ 'users/alice/sessions/old': session({ writeId: 'w0' }) });
+        await assertFails(firestore.doc('users/alice').set({
+            totalPoints: FieldValue.increment(74),
+            lastActivity: { collection: 'sessions', id: 'old', writeId: 'w0' }
+        }, { merge: true }));
+    });
+
+    test('session points must be what the formula gives for the putts', async () => {
+        const ref = (id) => db('alice').doc(`users/alice/sessions/${id}`);
+        await assertFails(ref('p1').set(session({ makes: 1, attempts: 1, percentage: 100, points: 1e9 })));
+        await assertFails(ref('p2').set(session({ points: 75 })));
+        await assertFails(ref('p3').set(session({ percentage: 90 })));
+        await assertFails(ref('p4').set(session({ pointsVersion: 2 })));
+        await assertSucceeds(ref('p5').set(session({ makes: 2, attempts: 3, percentage: 66.7, points: 20 })));
+    });
+
+    test('station points add up to the session\'s', async () => {
+        const ref = (id) => db('alice').doc(`users/alice/sessions/${id}`);
+        const stations = [
+            { distance: 10, makes: 9, attempts: 10, percentage: 90, points: 81 },
+            { distance: 30, makes: 4, attempts: 10, percentage: 40, points: 48 }
+        ];
+        const totals = { distance: 30, makes: 13, attempts: 20, percentage: 65, points: 129 };
+        await assertSucceeds(ref('st1').set(session({ ...totals, stations })));
+        await assertFails(ref('st2').set(session({ ...totals, points: 5000, stations })));
+        await assertFails(ref('st3').set(session({ ...totals, distance: 100, stations })));
+        await assertFails(ref('st4').set(session({
+            ...totals,
+            points: 1048,
+            stations: [stations[0], { ...stations[1], points: 967 }]
+        })));
+    });
+
+    test('putt and make counters move by exactly the session written with them', async () => {
+        const path = 'users/alice/sessions/s1';
+        await assertFails(commitWithUserUpdates('alice', path, session(), { ...sessionTotals(), totalPutts: FieldValue.increment(1000) }));
+        await assertFails(commitWithUserUpdates('alice', path, session(), { ...sessionTotals(), totalMakes: FieldValue.increment(8) }));
+        await assertFails(commitWithUserUpdates('alice', path, session(), { ...sessionTotals(), totalRoutines: FieldValue.increment(5) }));
+        await assertSucceeds(commitWithUserUpdates('alice', path, session(), sessionTotals()));
+    });
+
+    test('circle and style totals move by exactly the session written with them', async () => {
+        const path = 'users/alice/sessions/s1';
+        const c1 = { makes: FieldValue.increment(70), attempts: FieldValue.increment(70) };
+        await assertFails(commitWithUserUpdates('alice', path, session(), { ...sessionTotals(), circleStats: { c1, c1x: c1 } }));
+        await assertFails(commitWithUserUpdates('alice', path, session(), {
+            ...sessionTotals(),
+            circleStats: { ...sessionTotals().circleStats, c2: { makes: 50, attempts: 50 } }
+        }));
+
+        const spin = { sessions: FieldValue.increment(1), putts: FieldValue.increment(10), makes: FieldValue.increment(7), points: FieldValue.increment(74) };
+        await assertFails(commitWithUserUpdates('alice', path, session({ style: 'spin' }), { ...sessionTotals(), styleStats: { push: spin } }));
+        await assertFails(commitWithUserUpdates('alice', path, session({ style: 'spin' }), {
+            ...sessionTotals(),
+            styleStats: { spin: { ...spin, points: FieldValue.increment(7400) } }
+        }));
+        await assertSucceeds(commitWithUserUpdates('alice', path, session({ style: 'spin' }), { ...sessionTotals(), styleStats: { spin } }));
+    });
+
+    test('circle leaderboard stats follow the circle totals written with them', async () => {
+        await testEnv.withSecurityRulesDisabled(async (context) => {
+            await context.firestore().doc('users/alice').update({
+                circleStats: { c1: { makes: 93, attempts: 100 }, c1x: { makes: 93, attempts: 100 } },
+                leaderboardStats: { strokesGained: 1.5, c1: 93, c1x: 93 }
+            });
+        });
+        const path = 'users/alice/sessions/s1';
+        // 100 of 110 once the session is added: 90.9%
+        const ranks = (c1, extra = {}) => ({ ...sessionTotals(), leaderboardStats: { c1, c1x: c1, c2: null, ...extra } });
+        await assertFails(commitWithUserUpdates('alice', path, session(), ranks(99)));
+        await assertFails(commitWithUserUpdates('alice', path, session(), ranks(90.9, { strokesGained: 9 })));
+        await assertSucceeds(commitWithUserUpdates('alice', path, session(), ranks(90.9)));
+        await assertFails(db('alice').doc('users/alice').update({ 'leaderboardStats.c1': 100 }));
+    });
+
+    test('owners cannot write their per-distance totals, even with an activity', async () => {
+        await assertFails(commitWithUserUpdates('alice', 'users/alice/sessions/s1', session(), {
+            ...sessionTotals(),
+            distanceStats: { 15: { makes: 7, attempts: 10 }, 60: { makes: 500, attempts: 500 } }
+        }));
+    });
+
+    test('the best session must be a real session and can only rise to the one written', async () => {
+        const best = (extra = {}) => ({ id: 's1', distance: 15, makes: 7, attempts: 10, percentage: 70, points: 74, date: '2026-01-01', ...extra });
+        const path = 'users/alice/sessions/s1';
+        await assertFails(commitWithUserUpdates('alice', path, session(), { ...sessionTotals(), bestSession: best({ points: 1e6 }) }));
+        await assertFails(commitWithUserUpdates('alice', path, session(), { ...sessionTotals(), bestSession: best({ id: 'elsewhere' }) }));
+        await assertFails(commitWithUserUpdates('alice', path, session(), { ...sessionTotals(), bestAccuracy: 100 }));
+        await assertSucceeds(commitWithUserUpdates('alice', path, session(), { ...sessionTotals(), bestSession: best(), bestAccuracy: 70 }));
+
+        // Deleting a session can move the best back to an older one that scored less
+        await seed({
+            'users/alice/sessions/older': session({ makes: 5, percentage: 50, points: 38 }),
+            'users/alice/sessions/better': session({ makes: 9, percentage: 90, points: 122 })
+        });
+        const older = best({ id: 'older', makes: 5, percentage: 50, points: 38 });
+        await assertSucceeds(commitWithUserUpdates('alice', path, null, { ...sessionTotals(-1), bestSession: older, bestAccuracy: 50 }));
+        await assertFails(commitWithUserUpdates('alice', 'users/alice/sessions/older', null, {
+            ...sessionTotals(-1),
+            totalPoints: FieldValue.increment(-38),
+            totalMakes: FieldValue.increment(-5),
+            circleStats: { c1: { makes: FieldValue.increment(-5), attempts: FieldValue.increment(-10) }, c1x: { makes: FieldValue.increment(-5), attempts: FieldValue.increment(-10) } },
+            bestSession: best({ id: 'better', makes: 9, percentage: 90, points: 122 })
+        }));
+    });
+
+    test('deleting a session takes its points back off', async () => {
+        await seed({ 'users/alice/sessions/s1': session() });
+        const firestore = db('alice');
+        const batch = firestore.batch();
+        batch.delete(firestore.doc('users/alice/sessions/s1'));
+        batch.set(firestore.doc('users/alice'), {
+            ...sessionTotals(-1),
+            lastActivity: { collection: 'sessions', id: 's1', writeId: 'w2' }
+        }, { merge: true });
+        await assertSucceeds(batch.commit());
+    });
+
+    test('other players can only log pending sessions in their own name', async () => {
+        const ref = db('bob').doc('users/alice/sessions/fromBob');
+        await assertSucceeds(ref.set(session({ loggedBy: 'bob', loggedByName: 'Bob', pending: true })));
+        await assertFails(db('bob').doc('users/alice/sessions/s2').set(session({ loggedBy: 'bob', pending: false })));
+        await assertFails(db('bob').doc('users/alice/sessions/s3').set(session({ pending: true })));
+        await assertFails(db('bob').doc('users/alice/sessions/s4').set(session({ loggedBy: 'alice', pending: true })));
+    });
+
+    test('cross-user logs are still validated', async () => {
+        await assertFails(db('bob').doc('users/alice/sessions/s1').set(
+            session({ makes: 20, attempts: 10, loggedBy: 'bob', pending: true })
+        ));
+    });
+
+    test('players who opted out cannot be logged for', async () => {
+        await assertFails(db('bob').doc('users/carol/sessions/s1').set(
+            session({ loggedBy: 'bob', pending: true })
+        ));
+    });
+
+    test('other players cannot update a counted session or someone\'s counters', async () => {
+        await seed({ 'users/alice/sessions/s1': session() });
+        await assertFails(db('bob').doc('users/alice/sessions/s1').update({ makes: 10 }));
+        await assertFails(db('bob').doc('users/alice').set({ totalPoints: FieldValue.increment(74) }, { merge: true }));
+    });
+
+    test('the owner accepts a pending session and counts it', async () => {
+        await seed({ 'users/alice/sessions/fromBob': session({ loggedBy: 'bob', pending: true }) });
+        const firestore = db('alice');
+        const batch = firestore.batch();
+        batch.update(firestore.doc('users/alice/sessions/fromBob'), { pending: false, writeId: 'w1' });
+        batch.set(firestore.doc('users/alice'), {
+            ...sessionTotals(),
+            lastActivity: { collection: 'sessions', id: 'fromBob', writeId: 'w1' }
+        }, { merge: true });
+        await assertSucceeds(batch.commit());
+    });
+
+    test('the owner can reject (delete) a pending session', async () => {
+        await seed({ 'users/alice/sessions/fromBob': session({ loggedBy: 'bob', pending: true }) });
+        await assertSucceeds(db('alice').doc('users/alice/sessions/fromBob').delete());
+    });
+
+    test('the logger cannot accept on the owner\'s behalf', async () => {
+        await seed({ 'users/alice/sessions/fromBob': session({ loggedBy: 'bob', pending: true }) });
+        await assertFails(db('bob').doc('users/alice/sessions/fromBob').update({ pending: false }));
+    });
+
+    test('sessions are private to their owner and admins', async () => {
+        await seed({ 'users/alice/sessions/s1': session() });
+        await assertSucceeds(db('alice').doc('users/alice/sessions/s1').get());
+        await assertSucceeds(db('admin').doc('users/alice/sessions/s1').get());
+        await assertFails(db('bob').doc('users/alice/sessions/s1').get());
+    });
+
+    test('a logger can find, scrub and withdraw what they logged for others', async () => {
+        await seed({
+            'users/alice/sessions/accepted': session({ loggedBy: 'bob', loggedByName: 'Bob', pending: false }),
+            'users/alice/sessions/pending': session({ loggedBy: 'bob', loggedByName: 'Bob', pending: true })
+        });
+        const firestore = db('bob');
+        await assertSucceeds(firestore.collectionGroup('sessions').where('loggedBy', '==', 'bob').get());
+        await assertSucceeds(firestore.doc('users/alice/sessions/accepted').update({ loggedBy: null, loggedByName: 'Deleted player' }));
+        await assertFails(firestore.doc('users/alice/sessions/accepted').delete());
+        await assertSucceeds(firestore.doc('users/alice/sessions/pending').delete());
+    });
+});
+
+describe('routine and game completions', () => {
+    test('other players can log pending completions only', async () => {
+        const completion = routine({ loggedBy: 'bob' });
+        await assertSucceeds(db('bob').doc('users/alice/routineCompletions/r1').set({ ...completion, pending: true }));
+        await assertFails(db('bob').doc('users/alice/routineCompletions/r2').set({ ...completion, pending: false }));
+        await assertSucceeds(db('bob').doc('users/alice/gameCompletions/g1').set({ gameId: 'horse', points: 50, loggedBy: 'bob', pending: true }));
+        await assertFails(db('bob').doc('users/carol/gameCompletions/g1').set({ gameId: 'horse', points: 50, loggedBy: 'bob', pending: true }));
+    });
+
+    test('points cannot be negative', async () => {
+        await assertFails(db('alice').doc('users/alice/gameCompletions/g1').set({ gameId: 'horse', points: -30 }));
+    });
+
+    test('putting styles must be known', async () => {
+        await assertSucceeds(db('alice').doc('users/alice/gameCompletions/g1').set({ gameId: 'perfect_10', score: 0, points: 50, style: 'spin' }));
+        await assertFails(db('alice').doc('users/alice/gameCompletions/g2').set({ gameId: 'perfect_10', score: 0, points: 50, style: 'backhand' }));
+    });
+
+    test('head-to-head results are validated', async () => {
+        const ref = db('alice').doc('users/alice/gameCompletions/g1');
+        await assertSucceeds(ref.set({ gameId: 'horse', points: 150, won: true, opponent: 'Bob' }));
+        await assertSucceeds(ref.set({ gameId: 'horse', points: 150, score: 1, opponents: [{ userId: 'bob', displayName: 'Bob', score: 0 }] }));
+        await assertFails(ref.set({ gameId: 'horse', points: 50, won: 'yes' }));
+        await assertFails(ref.set({ gameId: 'horse', points: 50, opponent: 'x'.repeat(51) }));
+        await assertFails(ref.set({ gameId: 'horse', points: 50, opponents: 'Bob' }));
+    });
+
+    test('the points formula version is a whole number', async () => {
+        await assertSucceeds(db('alice').doc('users/alice/gameCompletions/g1').set({ gameId: 'horse', points: 50, pointsVersion: 1 }));
+        await assertFails(db('alice').doc('users/alice/gameCompletions/g2').set({ gameId: 'horse', points: 50, pointsVersion: 'v1' }));
+        await assertFails(db('alice').doc('users/alice/routineCompletions/r1').set(routine({ pointsVersion: 0 })));
+    });
+
+    test('admins can re-score points and nothing else', async () => {
+        await seed({
+            'users/alice/sessions/s1': session({ pointsVersion: 1 }),
+            'users/alice/routineCompletions/r1': routine({ pointsVersion: 1 })
+        });
+        const firestore = db('admin');
+        await assertSucceeds(firestore.doc('users/alice/sessions/s1').update({ points: 50, pointsVersion: 2 }));
+        await assertSucceeds(firestore.doc('users/alice/routineCompletions/r1').update({ points: 90, pointsVersion: 2 }));
+        await assertFails(firestore.doc('users/alice/sessions/s1').update({ makes: 10, points: 60 }));
+        await assertFails(firestore.doc('users/alice/routineCompletions/r1').update({ points: -5, pointsVersion: 2 }));
+        await assertFails(db('bob').doc('users/alice/routineCompletions/r1').update({ points: 900, pointsVersion: 2 }));
+    });
+});
+
+describe('routine and game points', () => {
+    test('routine points add up what each drill scores', async () => {
+        const ref = (id) => db('alice').doc(`users/alice/routineCompletions/${id}`);
+        await assertSucceeds(ref('r1').set(routine()));
+        const { drills, ...bulkLogged } = routine();
+        await assertSucceeds(ref('r2').set({ ...bulkLogged, drillResults: drills }));
+        await assertFails(ref('r3').set(routine({ points: 5000 })));
+        await assertFails(ref('r4').set(routine({ drills: [{ distance: 10, makes: 12, attempts: 10 }], points: 144 })));
+    });
+
+    test('routine counters move by exactly the routine written with them', async () => {
+        const path = 'users/alice/routineCompletions/r1';
+        const putts = (makes, attempts) => ({ makes: FieldValue.increment(makes), attempts: FieldValue.increment(attempts) });
+        const totals = {
+            totalPoints: FieldValue.increment(114),
+            totalRoutines: FieldValue.increment(1),
+            circleStats: { c1: putts(13, 20), c1x: putts(5, 10) }
+        };
+        await assertFails(commitWithUserUpdates('alice', path, routine(), { ...totals, totalPutts: FieldValue.increment(20) }));
+        await assertFails(commitWithUserUpdates('alice', path, routine(), { ...totals, totalSessions: FieldValue.increment(1) }));
+        await assertSucceeds(commitWithUserUpdates('alice', path, routine(), totals));
+    });
+
+    test('game points follow the game\'s scoring', async () => {
+        const ref = (id) => db('alice').doc(`users/alice/gameCompletions/${id}`);
+        await assertSucceeds(ref('time').set({ gameId: 'around_the_world', score: 10, points: 150 }));
+        await assertFails(ref('time2').set({ gameId: 'around_the_world', score: 10, points: 1000 }));
+        await assertSucceeds(ref('par').set({ gameId: 'par_game', score: 15, points: 80 }));
+        await assertSucceeds(ref('poker').set({ gameId: 'points_poker', score: 125, points: 63 }));
+        await assertFails(ref('poker2').set({ gameId: 'points_poker', score: 100000, points: 10050 }));
+        await assertSucceeds(ref('ladder').set({ gameId: 'ladder_challenge', score: 40, points: 130 }));
+        await assertSucceeds(ref('p10').set({ gameId: 'perfect_10', score: 10, points: 100 }));
+        await assertFails(ref('p10b').set({ gameId: 'perfect_10', score: 500, points: 2550 }));
+        await assertFails(ref('horse').set({ gameId: 'horse', score: 0, won: false, points: 150 }));
+        await assertFails(ref('unknown').set({ gameName: 'Made up', points: 900 }));
+    });
+
+    test('Putt 100 scores its turns like a session', async () => {
+        const ref = (id) => db('alice').doc(`users/alice/gameCompletions/${id}`);
+        const turns = Array.from({ length: 10 }, () => ({ makes: 7, attempts: 10 }));
+        // 70 of 100 from 20 ft: round(70 × 20 × 70 / 100) = 980
+        await assertSucceeds(ref('g1').set({ gameId: 'putt_100', scoringType: 'rotations', score: 70, distance: 20, turns, points: 980 }));
+        await assertFails(ref('g2').set({ gameId: 'putt_100', scoringType: 'rotations', score: 70, distance: 20, turns, points: 9800 }));
+        await assertSucceeds(ref('g3').set({ gameId: 'putt_100', score: 70, points: 0 }));
+    });
+});
+
+describe('friends', () => {
+    test('friends lists are private', async () => {
+        await assertSucceeds(db('alice').doc('users/alice/friends/bob').set({ id: 'bob' }));
+        await assertFails(db('bob').doc('users/alice/friends/bob').get());
+        await assertFails(db('bob').doc('users/alice/friends/mallory').set({ id: 'mallory' }));
+    });
+});
+
+describe('challenges', () => {
+    test('a new challenge can be created when there is none', async () => {
+        await assertSucceeds(db('alice').doc('challenges/weekly').set(weeklyChallenge(Date.now())));
+    });
+
+    test('a running challenge cannot be replaced', async () => {
+        await seed({ 'challenges/weekly': weeklyChallenge(Date.now() - DAY_MS) });
+        await assertFails(db('alice').doc('challenges/weekly').set(weeklyChallenge(Date.now())));
+    });
+
+    test('an expired challenge can be replaced with a fresh one', async () => {
+        await seed({ 'challenges/weekly': weeklyChallenge(Date.now() - 8 * DAY_MS, { completedBy: ['bob'] }) });
+        await assertSucceeds(db('alice').doc('challenges/weekly').set(weeklyChallenge(Date.now())));
+    });
+
+    test('new challenges must start now, empty, with a sane reward', async () => {
+        await assertFails(db('alice').doc('challenges/weekly').set(weeklyChallenge(Date.now() - 8 * DAY_MS)));
+        await assertFails(db('alice').doc('challenges/weekly').set(weeklyChallenge(Date.now(), { completedBy: ['alice'] })));
+        await assertFails(db('alice').doc('challenges/weekly').set(weeklyChallenge(Date.now(), { reward: 1000000 })));
+    });
+
+    test('new challenges must be one of the challenge types', async () => {
+        await assertFails(db('alice').doc('challenges/weekly').set(weeklyChallenge(Date.now(), { target: 1 })));
+        await assertFails(db('alice').doc('challenges/weekly').set(weeklyChallenge(Date.now(), { type: 'made up' })));
+        await assertSucceeds(db('alice').doc('challenges/weekly').set(weeklyChallenge(Date.now(), { target: 70, reward: 600, style: 'straddle' })));
+    });
+
+    test('players can claim a challenge only with a session that meets its goal', async () => {
+        const startedAt = Date.now() - DAY_MS;
+        await seed({ 'challenges/weekly': weeklyChallenge(startedAt, { completedBy: ['bob'] }) });
+        const claim = () => db('alice').doc('challenges/weekly').update({ completedBy: FieldValue.arrayUnion('alice') });
+        const now = new Date().toISOString();
+        // 9 of 10 from 15 ft: 90%, round(9 × 15 × 90 / 100) = 122 points
+        const good = session({ makes: 9, percentage: 90, points: 122, timestamp: now });
+
+        await assertFails(claim());
+        await seedLastSession(session({ timestamp: now }));
+        await assertFails(claim());
+        await seedLastSession({ ...good, timestamp: new Date(startedAt - DAY_MS).toISOString() });
+        await assertFails(claim());
+        await seedLastSession({ ...good, pending: true });
+        await assertFails(claim());
+        await seedLastSession(good);
+        await assertFails(db('alice').doc('challenges/weekly').update({ completedBy: FieldValue.arrayUnion('mallory') }));
+        await assertSucceeds(claim());
+    });
+
+    test('style, points and distance goals are checked too; week goals are left to admins', async () => {
+        const startedAt = Date.now() - DAY_MS;
+        const claim = async (challenge, data) => {
+            await seed({ 'challenges/weekly': weeklyChallenge(startedAt, challenge) });
+            await seedLastSession({ ...data, timestamp: new Date().toISOString() });
+            return db('alice').doc('challenges/weekly').update({ completedBy: FieldValue.arrayUnion('alice') });
+        };
+        const straddle = { target: 70, reward: 600, style: 'straddle' };
+        await assertFails(claim(straddle, session({ makes: 9, percentage: 90, points: 122, style: 'spin' })));
+        await assertSucceeds(claim(straddle, session({ makes: 9, percentage: 90, points: 122, style: 'straddle' })));
+
+        const points = { type: 'points', target: 500, reward: 800 };
+        await assertFails(claim(points, session()));
+        // 8 of 10 from 30 ft: round(8 × 30 × 80 / 100) = 192, 7 of 10 from 50 ft: 245, 7 of 10 from 40 ft: 196
+        const stations = [
+            { distance: 30, makes: 8, attempts: 10, percentage: 80, points: 192 },
+            { distance: 50, makes: 7, attempts: 10, percentage: 70, points: 245 },
+            { distance: 40, makes: 7, attempts: 10, percentage: 70, points: 196 }
+        ];
+        const multi = { distance: 50, makes: 22, attempts: 30, percentage: 73.3, points: 633, stations };
+        await assertSucceeds(claim(points, multi));
+
+        const distance = { type: 'distance', target: 30, reward: 400 };
+        await assertFails(claim(distance, session({ makes: 9, percentage: 90, points: 122 })));
+        await assertFails(claim(distance, { ...multi, stations: stations.map(s => ({ ...s, distance: 20 })) }));
+        await assertSucceeds(claim(distance, multi));
+
+        await assertFails(claim({ type: 'volume', target: 50, reward: 600 }, multi));
+        await assertFails(claim({ type: 'streak', target: 5, reward: 700 }, multi));
+        await assertSucceeds(db('admin').doc('challenges/weekly').update({ completedBy: FieldValue.arrayUnion('alice') }));
+    });
+
+    test('expired challenges cannot be claimed', async () => {
+        await seed({ 'challenges/weekly': weeklyChallenge(Date.now() - 8 * DAY_MS) });
+        await seedLastSession(session({ makes: 9, percentage: 90, points: 122, timestamp: new Date().toISOString() }));
+        await assertFails(db('alice').doc('challenges/weekly').update({ completedBy: FieldValue.arrayUnion('alice') }));
+    });
+
+    test('players can take only themselves out of completedBy', async () => {
+        await seed({ 'challenges/weekly': weeklyChallenge(Date.now() - DAY_MS, { completedBy: ['alice', 'bob'] }) });
+        const ref = db('alice').doc('challenges/weekly');
+        await assertFails(ref.update({ completedBy: FieldValue.arrayRemove('bob') }));
+        await assertSucceeds(ref.update({ completedBy: FieldValue.arrayRemove('alice') }));
+        await assertFails(ref.update({ reward: 100000 }));
+    });
+
+    test('completing the challenge awards exactly its reward, once', async () => {
+        const startedAt = Date.now() - DAY_MS;
+        await seed({ 'challenges/weekly': weeklyChallenge(startedAt) });
+        await seedLastSession(session({ makes: 9, percentage: 90, points: 122, timestamp: new Date().toISOString() }));
+        const firestore = db('alice');
+        const claim = (points, rewardedChallenge = startedAt) => {
+            const batch = firestore.batch();
+            batch.update(firestore.doc('challenges/weekly'), { completedBy: FieldValue.arrayUnion('alice') });
+            batch.set(firestore.doc('users/alice'), {
+                totalPoints: FieldValue.increment(points),
+                bonusPoints: FieldValue.increment(points),
+                rewardedChallenge
+            }, { merge: true });
+            return batch.commit();
+        };
+        await assertFails(claim(5000));
+        await assertFails(claim(500, startedAt - DAY_MS));
+        await assertSucceeds(claim(500));
+
+        // Leaving and joining again doesn't pay a second time, and the record can't be reset
+        await assertSucceeds(firestore.doc('challenges/weekly').update({ completedBy: FieldValue.arrayRemove('alice') }));
+        await assertFails(claim(500));
+        await assertFails(firestore.doc('users/alice').update({ rewardedChallenge: null }));
+    });
+
+    test('only admins can delete challenges', async () => {
+        await seed({ 'challenges/weekly': weeklyChallenge(Date.now()) });
+        await assertFails(db('alice').doc('challenges/weekly').delete());
+        await assertSucceeds(db('admin').doc('challenges/weekly').delete());
+    });
+});
+
+describe('community routines', () => {
+    test('routines are created in the creator\'s name', async () => {
+        await assertSucceeds(db('alice').doc('routines/r1').set({ name: 'Alice Ladder', createdBy: 'alice' }));
+        await assertFails(db('alice').doc('routines/r2').set({ name: 'Fake', createdBy: 'bob' }));
+    });
+
+    test('only the creator can change or delete a routine', async () => {
+        await seed({ 'routines/r1': { name: 'Alice Ladder', createdBy: 'alice' } });
+        await assertFails(db('bob').doc('routines/r1').update({ name: 'Bob Ladder' }));
+        await assertFails(db('bob').doc('routines/r1').delete());
+        await assertFails(db('alice').doc('routines/r1').update({ createdBy: 'bob' }));
+        await assertSucceeds(db('alice').doc('routines/r1').update({ name: 'Alice Ladder v2' }));
+        await assertSucceeds(db('alice').doc('routines/r1').delete());
+    });
+});
+
+describe('community stats', () => {
+    test('everyone signed in reads them, only admins write them', async () => {
+        await seed({ 'stats/community': { distanceStats: {}, players: 0 } });
+        await assertSucceeds(db('alice').doc('stats/community').get());
+        await assertFails(db(null).doc('stats/community').get());
+        await assertFails(db('alice').doc('stats/community').set({ distanceStats: {}, players: 1 }));
+        await assertSucceeds(db('admin').doc('stats/community').set({ distanceStats: {}, players: 1 }));
+    });
+});
@@ -0,0 +1,117 @@
+/**
+ * Make Curve Fitting Tests
+ */
+
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import {
+    MIN_CURVE_ATTEMPTS,
+    collectCurvePutts,
+    groupPuttsByDistance,
+    fitMakeCurve,
+    getMakeProbability,
+    getExpectedMakes,
+    getFiftyPercentDistance,
+    fitRollingCurves
+} from '../../js/utils/curveFit.js';
+
+/**
+ * Putts made at exactly the rate a known curve predicts
+ * @param {Object} curve - { intercept, slope }
+ * @param {Array<number>} distances - Distances in feet
+ * @param {number} attempts - Putts at each distance
+ * @returns {Array} Groups of putts as { distance, makes, attempts }
+ */
+function puttsFromCurve(curve, distances, attempts) {
+    return distances.map(distance => ({
+        distance,
+        makes: Math.round(getMakeProbability(curve, distance) * attempts),
+        attempts
+    }));
+}
+
+describe('collectCurvePutts', () => {
+    test('gathers dated putts from sessions, routines and games, skipping pending ones', () => {
+        const putts = collectCurvePutts({
+            sessions: [
+                { date: '2026-10-01', stations: [{ distance: 15, makes: 9, attempts: 10 }, { distance: 30, makes: 4, attempts: 10 }] },
+                { date: '2026-10-02', distance: 20, makes: 5, attempts: 10, pending: true }
+            ],
+            routines: [{ date: '2026-10-03', drills: [{ distance: 25, makes: 6, attempts: 10 }, { distance: 30, attempts: 0 }] }],
+            games: [{ date: '2026-10-04', distance: 20, turns: [{ makes: 3, attempts: 5 }] }, { date: '2026-10-04', score: 3 }]
+        });
+        assert.deepEqual(putts, [
+            { date: '2026-10-01', distance: 15, makes: 9, attempts: 10 },
+            { date: '2026-10-01', distance: 30, makes: 4, attempts: 10 },
+            { date: '2026-10-03', distance: 25, makes: 6, attempts: 10 },
+            { date: '2026-10-04', distance: 20, makes: 3, attempts: 5 }
+        ]);
+    });
+
+    test('groups putts by distance', () => {
+        assert.deepEqual(groupPuttsByDistance([
+            { distance: 30, makes: 1, attempts: 5 },
+            { distance: 10, makes: 4, attempts: 5 },
+            { distance: 30, makes: 2, attempts: 5 }
+        ]), [
+            { distance: 10, makes: 4, attempts: 5 },
+            { distance: 30, makes: 3, attempts: 10 }
+        ]);
+    });
+});
+
+describe('fitMakeCurve', () => {
+    test('recovers the curve the putts were made on', () => {
+        const truth = { intercept: 3, slope: -0.1 };
+        const curve = fitMakeCurve(puttsFromCurve(truth, [10, 20, 30, 40, 50], 1000));
+
+        assert.ok(Math.abs(curve.intercept - truth.intercept) < 0.05, `intercept ${curve.intercept}`);
+        assert.ok(Math.abs(curve.slope - truth.slope) < 0.002, `slope ${curve.slope}`);
+        assert.equal(curve.attempts, 5000);
+        assert.equal(curve.points.length, 5);
+        assert.ok(Math.abs(getFiftyPercentDistance(curve) - 30) < 0.5);
+        assert.ok(Math.abs(getExpectedMakes(curve, 10, 100) - 88.1) < 0.5);
+    });
+
+    test('stays finite for a player who has made everything', () => {
+        const curve = fitMakeCurve([{ distance: 10, makes: 50, attempts: 50 }, { distance: 15, makes: 50, attempts: 50 }]);
+        assert.ok(Number.isFinite(curve.intercept) && Number.isFinite(curve.slope));
+        assert.ok(getMakeProbability(curve, 10) > 0.9);
+    });
+
+    test('needs enough putts from more than one distance', () => {
+        assert.equal(fitMakeCurve([{ distance: 10, makes: 50, attempts: 100 }]), null);
+        assert.equal(fitMakeCurve([
+            { distance: 10, makes: 5, attempts: MIN_CURVE_ATTEMPTS / 2 - 1 },
+            { distance: 20, makes: 5, attempts: MIN_CURVE_ATTEMPTS / 2 }
+        ]), null);
+    });
+
+    test('has no 50% distance when the curve doesn\'t fall off', () => {
+        assert.equal(getFiftyPercentDistance({ intercept: 0, slope: 0.1 }), null);
+        assert.equal(getFiftyPercentDistance({ intercept: -1, slope: -0.1 }), null);
+        assert.equal(getFiftyPercentDistance(null), null);
+    });
+});
+
+describe('fitRollingCurves', () => {
+    test('fits each window that has enough putts, oldest first', () => {
+        const month = (date) => puttsFromCurve({ intercept: 3, slope: -0.1 }, [10, 30], 20)
+            .map(putt => ({ date, ...putt }));
+        const putts = [...month('2026-06-15'), ...month('2026-09-15'), ...month('2026-10-15')];
+
+        const fits = fitRollingCurves(putts, { windowDays: 30, stepDays: 30, windows: 6 });
+        // Windows end every 30 days back from the latest putt; the ones in
+        // July and August have no putts and the one before June starts too early
+        assert.deepEqual(fits.map(fit => [fit.from, fit.to]), [
+            ['2026-05-19', '2026-06-17'],
+            ['2026-08-17', '2026-09-15'],
+            ['2026-09-16', '2026-10-15']
+        ]);
+        assert.ok(fits.every(fit => fit.curve.attempts === 40));
+    });
+
+    test('returns nothing without dated putts', () => {
+        assert.deepEqual(fitRollingCurves([]), []);
+    });
+});
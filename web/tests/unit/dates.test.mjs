@@ -0,0 +1,61 @@
+/**
+ * Date Helper Tests
+ * Calendar dates are always worked out in the player's time zone
+ */
+
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import {
+    isValidTimeZone,
+    toLocalDate,
+    getLocalHour,
+    toLocalTime,
+    fromLocalDateTime,
+    addDays,
+    daysBetween
+} from '../../js/utils/dates.js';
+
+describe('time zones', () => {
+    test('recognizes IANA time zones', () => {
+        assert.equal(isValidTimeZone('America/Phoenix'), true);
+        assert.equal(isValidTimeZone('Mars/Olympus_Mons'), false);
+        assert.equal(isValidTimeZone(''), false);
+        assert.equal(isValidTimeZone(null), false);
+    });
+
+    test('dates an instant by the local calendar', () => {
+        const instant = '2026-10-02T03:30:00.000Z';
+        assert.equal(toLocalDate(instant, 'UTC'), '2026-10-02');
+        assert.equal(toLocalDate(instant, 'America/Phoenix'), '2026-10-01');
+        assert.equal(toLocalDate(instant, 'Asia/Tokyo'), '2026-10-02');
+        assert.equal(getLocalHour(instant, 'America/Phoenix'), 20);
+        assert.equal(toLocalTime(instant, 'America/Phoenix'), '20:30');
+    });
+
+    test('turns a local date and time back into an instant', () => {
+        assert.equal(fromLocalDateTime('2026-10-01', '20:30', 'America/Phoenix'), '2026-10-02T03:30:00.000Z');
+        assert.equal(fromLocalDateTime('2026-01-15', '12:00', 'America/New_York'), '2026-01-15T17:00:00.000Z');
+    });
+
+    test('uses the offset in effect on the day across a DST change', () => {
+        // Clocks go forward at 2:00 on 8 March 2026 in New York
+        assert.equal(fromLocalDateTime('2026-03-07', '12:00', 'America/New_York'), '2026-03-07T17:00:00.000Z');
+        assert.equal(fromLocalDateTime('2026-03-08', '12:00', 'America/New_York'), '2026-03-08T16:00:00.000Z');
+        assert.equal(fromLocalDateTime('2026-03-08', '01:30', 'America/New_York'), '2026-03-08T06:30:00.000Z');
+    });
+});
+
+describe('calendar arithmetic', () => {
+    test('adds days across months, years and leap days', () => {
+        assert.equal(addDays('2026-01-31', 1), '2026-02-01');
+        assert.equal(addDays('2026-01-01', -1), '2025-12-31');
+        assert.equal(addDays('2028-02-28', 1), '2028-02-29');
+        assert.equal(addDays('2026-03-07', 1), '2026-03-08');
+    });
+
+    test('counts whole days between dates', () => {
+        assert.equal(daysBetween('2026-03-01', '2026-03-31'), 30);
+        assert.equal(daysBetween('2026-03-31', '2026-03-01'), -30);
+        assert.equal(daysBetween('2026-03-07', '2026-03-09'), 2);
+    });
+});
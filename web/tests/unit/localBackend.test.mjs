@@ -0,0 +1,165 @@
+/**
+ * Local Backend Tests
+ * The in-memory backend behind demo mode
+ */
+
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { LocalBackend } from '../../js/modules/backends/localBackend.js';
+import { increment, maximum, percentageOf, arrayUnion } from '../../js/modules/backends/fieldOps.js';
+
+/**
+ * Stand-in for the browser's localStorage
+ * @returns {Object} Storage keeping items in a Map
+ */
+function memoryStorage() {
+    const items = new Map();
+    return {
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key)
+    };
+}
+
+describe('documents', () => {
+    test('reads seeded documents', async () => {
+        const backend = new LocalBackend({ seed: { users: { alice: { displayName: 'Alice' } } } });
+        assert.deepEqual(await backend.get('users', 'alice'), { displayName: 'Alice' });
+        assert.equal(await backend.get('users', 'bob'), null);
+    });
+
+    test('returns copies that callers can change freely', async () => {
+        const backend = new LocalBackend({ seed: { users: { alice: { achievements: [] } } } });
+        const user = await backend.get('users', 'alice');
+        user.achievements.push('first_session');
+        assert.deepEqual((await backend.get('users', 'alice')).achievements, []);
+    });
+
+    test('merges sets by default and replaces them without merge', async () => {
+        const backend = new LocalBackend({ seed: { users: { alice: { displayName: 'Alice', prefs: { units: 'ft', theme: 'dark' } } } } });
+        await backend.set('users', 'alice', { prefs: { units: 'm' } });
+        assert.deepEqual(await backend.get('users', 'alice'), { displayName: 'Alice', prefs: { units: 'm', theme: 'dark' } });
+
+        await backend.set('users', 'alice', { displayName: 'Al' }, { merge: false });
+        assert.deepEqual(await backend.get('users', 'alice'), { displayName: 'Al' });
+    });
+
+    test('updates replace top-level fields and need an existing document', async () => {
+        const backend = new LocalBackend({ seed: { users: { alice: { prefs: { units: 'ft', theme: 'dark' } } } } });
+        await backend.update('users', 'alice', { prefs: { units: 'm' } });
+        assert.deepEqual(await backend.get('users', 'alice'), { prefs: { units: 'm' } });
+
+        await assert.rejects(backend.update('users', 'bob', { displayName: 'Bob' }), /No document to update/);
+    });
+
+    test('deletes documents', async () => {
+        const backend = new LocalBackend({ seed: { users: { alice: {} } } });
+        await backend.delete('users', 'alice');
+        assert.equal(await backend.get('users', 'alice'), null);
+    });
+
+    test('applies field operations against the stored value', async () => {
+        const backend = new LocalBackend({ seed: { users: { alice: { totalPoints: 10, achievements: ['a'] } } } });
+        await backend.update('users', 'alice', {
+            totalPoints: increment(5),
+            totalSessions: increment(1),
+            bestSession: maximum({ points: 7 }, 'points'),
+            achievements: arrayUnion('a', 'b')
+        });
+        assert.deepEqual(await backend.get('users', 'alice'), {
+            totalPoints: 15,
+            totalSessions: 1,
+            bestSession: { points: 7 },
+            achievements: ['a', 'b']
+        });
+    });
+
+    test('works percentages out from the totals as the same write leaves them', async () => {
+        const backend = new LocalBackend({ seed: { users: { alice: { circleStats: { c1: { makes: 90, attempts: 98 } } } } } });
+        const ranks = {
+            c1: percentageOf('circleStats.c1', 100),
+            c2: percentageOf('circleStats.c2', 50)
+        };
+        await backend.set('users', 'alice', {
+            circleStats: { c1: { makes: increment(1), attempts: increment(2) } },
+            leaderboardStats: ranks
+        });
+        assert.deepEqual((await backend.get('users', 'alice')).leaderboardStats, { c1: 91, c2: null });
+
+        await backend.set('users', 'alice', {
+            circleStats: { c1: { makes: increment(-1), attempts: increment(-1) } },
+            leaderboardStats: ranks
+        });
+        assert.deepEqual((await backend.get('users', 'alice')).leaderboardStats, { c1: null, c2: null });
+    });
+});
+
+describe('queries', () => {
+    const seed = {
+        'users/alice/sessions': {
+            s1: { date: '2026-10-01', points: 5 },
+            s2: { date: '2026-10-03', points: 9 },
+            s3: { date: '2026-10-02', points: 9 }
+        },
+        'users/bob/sessions': {
+            s1: { date: '2026-10-02', points: 1 }
+        }
+    };
+
+    test('lists a collection with filters, ordering and a limit', async () => {
+        const backend = new LocalBackend({ seed });
+        const sessions = await backend.list('users/alice/sessions', {
+            where: [['points', '>', 5]],
+            orderBy: 'date',
+            direction: 'desc',
+            limit: 1
+        });
+        assert.deepEqual(sessions, [{ id: 's2', date: '2026-10-03', points: 9 }]);
+    });
+
+    test('lists a collection group across every parent', async () => {
+        const backend = new LocalBackend({ seed });
+        const sessions = await backend.listGroup('sessions', { where: [['date', '==', '2026-10-02']] });
+        assert.deepEqual(sessions.map(s => s.parentPath).sort(), ['users/alice/sessions', 'users/bob/sessions']);
+    });
+});
+
+describe('commits', () => {
+    test('apply every write, including several to one document', async () => {
+        const backend = new LocalBackend({ seed: { users: { alice: { totalPoints: 0 } } } });
+        await backend.commit([
+            { type: 'set', path: 'users/alice/sessions', id: 's1', data: { points: 5 } },
+            { type: 'update', path: 'users', id: 'alice', data: { totalPoints: increment(5) } },
+            { type: 'update', path: 'users', id: 'alice', data: { totalPoints: increment(3) } }
+        ]);
+        assert.deepEqual(await backend.get('users/alice/sessions', 's1'), { points: 5 });
+        assert.equal((await backend.get('users', 'alice')).totalPoints, 8);
+    });
+
+    test('leave nothing applied when a write fails', async () => {
+        const backend = new LocalBackend({ seed: { users: { alice: { totalPoints: 0 } } } });
+        await assert.rejects(backend.commit([
+            { type: 'update', path: 'users', id: 'alice', data: { totalPoints: increment(5) } },
+            { type: 'update', path: 'users', id: 'bob', data: { totalPoints: increment(5) } }
+        ]));
+        assert.equal((await backend.get('users', 'alice')).totalPoints, 0);
+    });
+});
+
+describe('persistence', () => {
+    test('keeps data in localStorage between instances', async () => {
+        globalThis.localStorage = memoryStorage();
+        try {
+            const first = new LocalBackend({ persist: true, storageKey: 'test' });
+            await first.set('users', 'alice', { displayName: 'Alice' });
+
+            const second = new LocalBackend({ persist: true, storageKey: 'test', seed: { users: {} } });
+            assert.deepEqual(await second.get('users', 'alice'), { displayName: 'Alice' });
+
+            second.clear();
+            assert.equal(globalThis.localStorage.getItem('test'), null);
+        } finally {
+            delete globalThis.localStorage;
+        }
+    });
+});
@@ -0,0 +1,129 @@
+/**
+ * Local Query and Field Operation Tests
+ * How the local backends evaluate Firestore-style queries and writes
+ */
+
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { runLocalQuery, applyWrite } from '../../js/modules/backends/localQuery.js';
+import {
+    increment,
+    maximum,
+    arrayUnion,
+    arrayRemove,
+    isFieldOp,
+    hasFieldOp,
+    resolveFieldOp,
+    mapFieldOps
+} from '../../js/modules/backends/fieldOps.js';
+
+const docs = [
+    { id: 'a', name: 'Alice', points: 30, tags: ['spin'], styleStats: { spin: { points: 20 } } },
+    { id: 'b', name: 'Bob', points: 10, tags: [], styleStats: { push: { points: 10 } } },
+    { id: 'c', name: 'Cara', points: 30, tags: ['spin', 'push'], styleStats: { spin: { points: 5 } } },
+    { id: 'd', name: 'Dan' }
+];
+
+const ids = (results) => results.map(doc => doc.id);
+
+describe('runLocalQuery', () => {
+    test('filters with every supported operator', () => {
+        assert.deepEqual(ids(runLocalQuery(docs, { where: [['points', '==', 30]] })), ['a', 'c']);
+        assert.deepEqual(ids(runLocalQuery(docs, { where: [['points', '!=', 30]] })), ['b', 'd']);
+        assert.deepEqual(ids(runLocalQuery(docs, { where: [['points', '<', 30]] })), ['b']);
+        assert.deepEqual(ids(runLocalQuery(docs, { where: [['points', '<=', 30]] })), ['a', 'b', 'c']);
+        assert.deepEqual(ids(runLocalQuery(docs, { where: [['points', '>', 10]] })), ['a', 'c']);
+        assert.deepEqual(ids(runLocalQuery(docs, { where: [['points', '>=', 10]] })), ['a', 'b', 'c']);
+        assert.deepEqual(ids(runLocalQuery(docs, { where: [['tags', 'array-contains', 'push']] })), ['c']);
+        assert.deepEqual(ids(runLocalQuery(docs, { where: [['name', 'in', ['Bob', 'Dan']]] })), ['b', 'd']);
+    });
+
+    test('rejects unknown operators', () => {
+        assert.throws(() => runLocalQuery(docs, { where: [['points', 'like', 30]] }), /Unsupported query operator/);
+    });
+
+    test('orders by a field, breaking ties by ID and leaving out documents without it', () => {
+        assert.deepEqual(ids(runLocalQuery(docs, { orderBy: 'points' })), ['b', 'a', 'c']);
+        assert.deepEqual(ids(runLocalQuery(docs, { orderBy: 'points', direction: 'desc' })), ['c', 'a', 'b']);
+    });
+
+    test('reads dotted field paths in filters and ordering', () => {
+        assert.deepEqual(ids(runLocalQuery(docs, { where: [['styleStats.spin.points', '>', 10]] })), ['a']);
+        assert.deepEqual(ids(runLocalQuery(docs, { orderBy: 'styleStats.spin.points', direction: 'desc' })), ['a', 'c']);
+    });
+
+    test('pages with startAfter and limit', () => {
+        const query = { orderBy: 'points', direction: 'desc', limit: 2 };
+        const first = runLocalQuery(docs, query);
+        assert.deepEqual(ids(first), ['c', 'a']);
+
+        const last = first[first.length - 1];
+        const second = runLocalQuery(docs, { ...query, startAfter: { value: last.points, id: last.id } });
+        assert.deepEqual(ids(second), ['b']);
+    });
+});
+
+describe('applyWrite', () => {
+    test('deep-merges sets and resolves field operations inside maps', () => {
+        const existing = { prefs: { units: 'ft' }, styleStats: { spin: { points: 5 } } };
+        const result = applyWrite(existing, {
+            type: 'set',
+            data: { prefs: { theme: 'dark' }, styleStats: { spin: { points: increment(3) } } }
+        });
+        assert.deepEqual(result, { prefs: { units: 'ft', theme: 'dark' }, styleStats: { spin: { points: 8 } } });
+    });
+
+    test('resolves nested field operations against the existing value on update', () => {
+        const result = applyWrite({ styleStats: { spin: { points: 5 } } }, {
+            type: 'update',
+            data: { styleStats: { spin: { points: increment(3) } } }
+        });
+        assert.deepEqual(result, { styleStats: { spin: { points: 8 } } });
+    });
+
+    test('replaces the document when not merging and deletes it on delete', () => {
+        assert.deepEqual(applyWrite({ a: 1 }, { type: 'set', data: { b: 2 }, options: { merge: false } }), { b: 2 });
+        assert.equal(applyWrite({ a: 1 }, { type: 'delete' }), null);
+    });
+
+    test('rejects updates to missing documents and unknown write types', () => {
+        assert.throws(() => applyWrite(null, { type: 'update', data: {} }), /No document to update/);
+        assert.throws(() => applyWrite(null, { type: 'upsert', data: {} }), /Unsupported write type/);
+    });
+});
+
+describe('field operations', () => {
+    test('increment counts from zero when the field is missing', () => {
+        assert.equal(resolveFieldOp(undefined, increment(2)), 2);
+        assert.equal(resolveFieldOp(5, increment(-2)), 3);
+    });
+
+    test('maximum keeps the larger value, by key for objects', () => {
+        assert.equal(resolveFieldOp(undefined, maximum(4)), 4);
+        assert.equal(resolveFieldOp(7, maximum(4)), 7);
+        assert.deepEqual(resolveFieldOp({ points: 3, date: 'old' }, maximum({ points: 9, date: 'new' }, 'points')), { points: 9, date: 'new' });
+        assert.deepEqual(resolveFieldOp({ points: 9, date: 'old' }, maximum({ points: 3, date: 'new' }, 'points')), { points: 9, date: 'old' });
+    });
+
+    test('arrayUnion adds missing items and arrayRemove takes items out', () => {
+        assert.deepEqual(resolveFieldOp(['a'], arrayUnion('a', 'b')), ['a', 'b']);
+        assert.deepEqual(resolveFieldOp(undefined, arrayUnion('a')), ['a']);
+        assert.deepEqual(resolveFieldOp(['a', 'b'], arrayRemove('a')), ['b']);
+    });
+
+    test('finds and maps operations anywhere in write data', () => {
+        const data = { totalPoints: increment(1), styleStats: { spin: { points: increment(2) } }, name: 'Alice' };
+        assert.equal(isFieldOp(data.totalPoints), true);
+        assert.equal(isFieldOp(data.name), false);
+        assert.equal(hasFieldOp(data, 'increment'), true);
+        assert.equal(hasFieldOp(data, 'maximum'), false);
+
+        const paths = [];
+        const mapped = mapFieldOps(data, (op, path) => {
+            paths.push(path.join('.'));
+            return op.value;
+        });
+        assert.deepEqual(mapped, { totalPoints: 1, styleStats: { spin: { points: 2 } }, name: 'Alice' });
+        assert.deepEqual(paths, ['totalPoints', 'styleStats.spin.points']);
+    });
+});
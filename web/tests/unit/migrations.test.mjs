@@ -0,0 +1,107 @@
+/**
+ * Schema Migration Tests
+ */
+
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import {
+    DOCUMENT_KINDS,
+    MIGRATIONS,
+    getSchemaVersion,
+    needsMigration,
+    migrateDocument,
+    getMigratedFields
+} from '../../js/utils/migrations.js';
+
+describe('versions', () => {
+    test('each kind numbers its migrations 1, 2, 3... in order', () => {
+        Object.values(DOCUMENT_KINDS).forEach(kind => {
+            MIGRATIONS[kind].forEach((migration, i) => assert.equal(migration.version, i + 1, `${kind} migration ${i}`));
+            assert.equal(getSchemaVersion(kind), MIGRATIONS[kind].length);
+        });
+    });
+
+    test('unknown kinds are rejected', () => {
+        assert.throws(() => getSchemaVersion('team'), /Unknown document kind/);
+    });
+
+    test('documents without a version need migrating', () => {
+        assert.equal(needsMigration(DOCUMENT_KINDS.SESSION, { points: 5 }), true);
+        assert.equal(needsMigration(DOCUMENT_KINDS.SESSION, { schemaVersion: getSchemaVersion(DOCUMENT_KINDS.SESSION) }), false);
+        assert.equal(needsMigration(DOCUMENT_KINDS.SESSION, null), false);
+    });
+});
+
+describe('migrateDocument', () => {
+    test('upgrades an old session to the current schema without changing the original', () => {
+        const original = { date: '2026-10-02', timestamp: '2026-10-02T03:00:00.000Z', distance: '20', makes: '7', attempts: '10', points: '14' };
+        const session = migrateDocument(DOCUMENT_KINDS.SESSION, original, { timeZone: 'America/Phoenix' });
+
+        assert.equal(session.schemaVersion, getSchemaVersion(DOCUMENT_KINDS.SESSION));
+        assert.equal(session.distance, 20);
+        assert.equal(session.makes, 7);
+        assert.equal(session.percentage, 70);
+        assert.equal(session.routineName, null);
+        assert.equal(session.pointsVersion, 1);
+        // 03:00 UTC is the previous evening in Arizona
+        assert.equal(session.timeZone, 'America/Phoenix');
+        assert.equal(session.date, '2026-10-01');
+
+        assert.equal(original.distance, '20');
+        assert.equal(original.schemaVersion, undefined);
+    });
+
+    test('keeps an activity\'s own time zone and date', () => {
+        const routine = migrateDocument(DOCUMENT_KINDS.ROUTINE_COMPLETION, {
+            date: '2026-10-02',
+            timestamp: '2026-10-02T03:00:00.000Z',
+            timeZone: 'Europe/London'
+        }, { timeZone: 'America/Phoenix' });
+
+        assert.equal(routine.endTime, '2026-10-02T03:00:00.000Z');
+        assert.equal(routine.timeZone, 'Europe/London');
+        assert.equal(routine.date, '2026-10-02');
+        assert.equal(routine.points, 0);
+    });
+
+    test('only runs migrations newer than the document', () => {
+        const user = migrateDocument(DOCUMENT_KINDS.USER, { schemaVersion: 1, favoriteDriver: 'Destroyer', timeZone: 'UTC' });
+        assert.equal(user.schemaVersion, 3);
+        assert.equal(user.discs.length, 1);
+        assert.equal(user.totalPoints, undefined);
+    });
+
+    test('returns current documents as they are', () => {
+        const user = { schemaVersion: getSchemaVersion(DOCUMENT_KINDS.USER), displayName: 'Alice' };
+        assert.equal(migrateDocument(DOCUMENT_KINDS.USER, user), user);
+    });
+
+    test('fills in missing user counters and profile fields', () => {
+        const user = migrateDocument(DOCUMENT_KINDS.USER, { displayName: 'Alice', totalPoints: 40 });
+        assert.equal(user.totalPoints, 40);
+        assert.equal(user.totalSessions, 0);
+        assert.deepEqual(user.achievements, []);
+        assert.equal(user.hideFromLeaderboard, false);
+    });
+
+    test('seeds the disc bag from the old favorite disc fields', () => {
+        const user = migrateDocument(DOCUMENT_KINDS.USER, { favoritePutter: ' Aviar ', favoriteMidrange: '', timeZone: 'UTC' });
+        assert.deepEqual(user.discs.map(disc => [disc.type, disc.mold]), [['putter', 'Aviar']]);
+        assert.equal(user.totalPoints, 0);
+        assert.equal(user.timeZone, 'UTC');
+    });
+});
+
+describe('getMigratedFields', () => {
+    test('returns only the fields a migration added or changed', () => {
+        const original = { schemaVersion: 1, points: 3, endTime: '2026-10-02T03:00:00.000Z', opponents: [{ score: 1 }] };
+        const migrated = migrateDocument(DOCUMENT_KINDS.GAME_COMPLETION, original, { timeZone: 'America/Phoenix' });
+        assert.deepEqual(getMigratedFields(original, migrated), { schemaVersion: 3, timeZone: 'America/Phoenix', date: '2026-10-01', pointsVersion: 1 });
+    });
+
+    test('leaves out fields the migrations didn\'t touch', () => {
+        const original = { schemaVersion: 2, points: 3, opponents: [{ score: 1 }] };
+        const migrated = migrateDocument(DOCUMENT_KINDS.GAME_COMPLETION, original);
+        assert.deepEqual(getMigratedFields(original, migrated), { schemaVersion: 3, pointsVersion: 1 });
+    });
+});
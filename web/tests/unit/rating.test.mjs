@@ -0,0 +1,114 @@
+/**
+ * Skill Rating Tests
+ */
+
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import {
+    RATING_START,
+    RD_START,
+    getRatingPeriod,
+    collectRatingResults,
+    updateRating,
+    calculateRating,
+    formatRating
+} from '../../js/utils/rating.js';
+
+// Every putt is a coin flip: P(make) = 0.5 from any distance
+const EVEN_BASELINE = { intercept: 0, slope: 0 };
+
+const players = [
+    { id: 'alice', displayName: 'Alice' },
+    { id: 'bob', displayName: 'Bob', rating: 1700, ratingDeviation: 60 },
+    { id: 'cara', displayName: 'Cara' }
+];
+
+describe('getRatingPeriod', () => {
+    test('starts each period on a Monday', () => {
+        assert.equal(getRatingPeriod('2026-10-19'), '2026-10-19');
+        assert.equal(getRatingPeriod('2026-10-25'), '2026-10-19');
+        assert.equal(getRatingPeriod('2026-10-26'), '2026-10-26');
+        assert.equal(getRatingPeriod('2026-01-01'), '2025-12-29');
+    });
+});
+
+describe('collectRatingResults', () => {
+    test('counts HORSE wins and losses against the named opponent\'s rating', () => {
+        const results = collectRatingResults({ games: [
+            { date: '2026-10-20', gameName: 'HORSE', won: true, opponent: ' bob ' },
+            { date: '2026-10-21', gameName: 'HORSE', won: false, opponent: 'Someone new' },
+            { date: '2026-10-22', gameName: 'HORSE', won: true, opponent: 'Cara', pending: true }
+        ] }, { players, playerId: 'alice' });
+
+        assert.deepEqual(results, [
+            { date: '2026-10-20', opponent: { rating: 1700, rd: 60 }, score: 1, source: 'game' },
+            { date: '2026-10-21', opponent: { rating: RATING_START, rd: RD_START }, score: 0, source: 'game' }
+        ]);
+    });
+
+    test('gives one result per opponent in a group game, lower scores winning where they should', () => {
+        const results = collectRatingResults({ games: [{
+            date: '2026-10-20',
+            scoringType: 'strokes',
+            score: 30,
+            opponents: [
+                { userId: 'bob', displayName: 'Bob', score: 32 },
+                { displayName: 'Cara', score: 30 },
+                { displayName: 'Dan', score: 28 }
+            ]
+        }] }, { players, playerId: 'alice' });
+
+        assert.deepEqual(results.map(result => result.score), [1, 0.5, 0]);
+        assert.equal(results[0].opponent.rating, 1700);
+    });
+
+    test('scores a week of practice against the baseline once it has enough putts', () => {
+        const history = { sessions: [
+            { date: '2026-10-20', distance: 20, makes: 15, attempts: 20 },
+            { date: '2026-10-27', distance: 20, makes: 5, attempts: 10 }
+        ] };
+
+        assert.deepEqual(collectRatingResults(history, { baseline: EVEN_BASELINE }), [
+            { date: '2026-10-19', opponent: { rating: RATING_START, rd: 30 }, score: 0.625, source: 'practice' }
+        ]);
+        assert.deepEqual(collectRatingResults(history), []);
+    });
+});
+
+describe('calculateRating', () => {
+    test('starts everyone at the same rating and moves it with results', () => {
+        const win = { date: '2026-10-20', opponent: { rating: RATING_START, rd: RD_START }, score: 1 };
+        const loss = { ...win, score: 0 };
+
+        const winner = calculateRating([win], '2026-10-20');
+        const loser = calculateRating([loss], '2026-10-20');
+        assert.ok(winner.rating > RATING_START);
+        assert.ok(loser.rating < RATING_START);
+        assert.equal(winner.rating - RATING_START, RATING_START - loser.rating);
+        assert.ok(winner.rd < RD_START);
+        assert.deepEqual(winner.history, [{ period: '2026-10-19', rating: winner.rating, rd: winner.rd }]);
+    });
+
+    test('grows the deviation through weeks without results', () => {
+        const results = Array.from({ length: 10 }, () => ({ date: '2026-01-06', opponent: { rating: 1500, rd: 30 }, score: 0.5 }));
+        const then = calculateRating(results, '2026-01-06');
+        const later = calculateRating(results, '2026-10-20');
+        assert.equal(later.rating, then.rating);
+        assert.ok(later.rd > then.rd);
+        assert.ok(later.rd <= RD_START);
+        assert.deepEqual(later.history, then.history);
+    });
+
+    test('is null without results', () => {
+        assert.equal(calculateRating([], '2026-10-20'), null);
+    });
+
+    test('leaves the rating alone in a period without results', () => {
+        const player = { rating: 1620, rd: 80 };
+        assert.equal(updateRating(player, []), player);
+    });
+
+    test('formats the rating with its uncertainty', () => {
+        assert.equal(formatRating(1623, 84), '1623 ±84');
+    });
+});
@@ -0,0 +1,80 @@
+/**
+ * Session Bests Tests
+ * bestSession and bestAccuracy on the user doc as sessions are added,
+ * edited and deleted (demo mode's in-memory backend)
+ */
+
+import assert from 'node:assert/strict';
+import { beforeEach, describe, test } from 'node:test';
+import { LocalBackend } from '../../js/modules/backends/localBackend.js';
+import { storageManager } from '../../js/modules/storage.js';
+import { userManager } from '../../js/modules/user.js';
+
+let backend;
+
+/**
+ * Add a session for the test user with its own ID
+ * @param {string} id - Session ID
+ * @param {Object} sessionData - Session input
+ * @returns {Promise<Object>} Saved session
+ */
+async function addSession(id, sessionData) {
+    const session = userManager.buildSession(sessionData, id);
+    await storageManager.saveSession('u', session, userManager.getSessionTotalsUpdate(session));
+    return session;
+}
+
+beforeEach(async () => {
+    backend = new LocalBackend();
+    storageManager.init(backend);
+    await backend.set('users', 'u', { id: 'u', totalPoints: 0, schemaVersion: 2, achievements: [] });
+    userManager.currentUser = await storageManager.getUser('u');
+});
+
+describe('session bests', () => {
+    test('follow edits and deletes, down as well as up', async () => {
+        // 8 of 10 from 10 ft: 64 points. 9 of 10 from 15 ft (122) and 6 of 10 from 25 ft (90): 212 points
+        await addSession('s1', { distance: 10, makes: 8, attempts: 10 });
+        await addSession('s2', { stations: [
+            { distance: 15, makes: 9, attempts: 10 },
+            { distance: 25, makes: 6, attempts: 10 }
+        ] });
+        let user = await storageManager.getUser('u');
+        assert.equal(user.bestSession.id, 's2');
+        assert.equal(user.bestAccuracy, 80);
+
+        await userManager.updateSession('s1', { distance: 10, makes: 10, attempts: 10 });
+        user = await storageManager.getUser('u');
+        assert.equal(user.bestSession.id, 's2');
+        assert.equal(user.bestAccuracy, 100);
+
+        await userManager.deleteSession('s2');
+        user = await storageManager.getUser('u');
+        assert.deepEqual(user.bestSession, {
+            id: 's1', distance: 10, makes: 10, attempts: 10, percentage: 100, points: 100, date: user.bestSession.date
+        });
+        assert.equal(user.bestAccuracy, 100);
+
+        // Editing the best session down can hand the title to another one
+        await addSession('s3', { distance: 20, makes: 5, attempts: 10 });
+        await userManager.updateSession('s1', { distance: 10, makes: 3, attempts: 10 });
+        user = await storageManager.getUser('u');
+        assert.equal(user.bestSession.id, 's3');
+        assert.equal(user.bestAccuracy, 50);
+    });
+
+    test('leave out pending sessions and clear once nothing is left', async () => {
+        await addSession('s1', { distance: 10, makes: 8, attempts: 10 });
+        await backend.set('users/u/sessions', 'p1', { ...userManager.buildSession({ distance: 30, makes: 10, attempts: 10 }, 'p1'), pending: true });
+
+        await userManager.updateSession('s1', { distance: 10, makes: 6, attempts: 10 });
+        let user = await storageManager.getUser('u');
+        assert.equal(user.bestSession.id, 's1');
+        assert.equal(user.bestAccuracy, 60);
+
+        await userManager.deleteSession('s1');
+        user = await storageManager.getUser('u');
+        assert.equal(user.bestSession, null);
+        assert.equal(user.bestAccuracy, null);
+    });
+});
@@ -0,0 +1,114 @@
+/**
+ * Strokes Gained Tests
+ */
+
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import {
+    distanceStatsToPutts,
+    sumDistanceStats,
+    buildCommunityBaseline,
+    calculateStrokesGained,
+    getSessionStrokesGained,
+    calculateMonthlyStrokesGained,
+    formatStrokesGained
+} from '../../js/utils/strokesGained.js';
+
+// Every putt is a coin flip: P(make) = 0.5 from any distance
+const EVEN_BASELINE = { intercept: 0, slope: 0 };
+
+describe('community totals', () => {
+    test('read distanceStats as groups of putts, skipping empty distances', () => {
+        assert.deepEqual(distanceStatsToPutts({ 10: { makes: 8, attempts: 10 }, 20: { makes: 0, attempts: 0 } }), [
+            { distance: 10, makes: 8, attempts: 10 }
+        ]);
+        assert.deepEqual(distanceStatsToPutts(undefined), []);
+    });
+
+    test('add up every player\'s distanceStats', () => {
+        assert.deepEqual(sumDistanceStats([
+            { distanceStats: { 10: { makes: 8, attempts: 10 }, 30: { makes: 2, attempts: 10 } } },
+            { distanceStats: { 10: { makes: 6, attempts: 10 } } },
+            {}
+        ]), {
+            10: { makes: 14, attempts: 20 },
+            30: { makes: 2, attempts: 10 }
+        });
+    });
+
+    test('bound how much one player counts for at a distance', () => {
+        // Others' 600 putts at 20 ft let one player count for 200 (a quarter of 800), at their own make rate;
+        // alone at 40 ft they count for 100
+        assert.deepEqual(sumDistanceStats([
+            { distanceStats: { 20: { makes: 1000, attempts: 1000 }, 40: { makes: 300, attempts: 1000 } } },
+            { distanceStats: { 20: { makes: 180, attempts: 300 } } },
+            { distanceStats: { 20: { makes: 120, attempts: 300 } } }
+        ]), {
+            20: { makes: 500, attempts: 800 },
+            40: { makes: 30, attempts: 100 }
+        });
+    });
+
+    test('fit the baseline once the community has enough putts', () => {
+        assert.equal(buildCommunityBaseline({ 10: { makes: 8, attempts: 10 } }), null);
+
+        const baseline = buildCommunityBaseline(sumDistanceStats([
+            { distanceStats: { 10: { makes: 90, attempts: 100 }, 30: { makes: 50, attempts: 100 } } },
+            { distanceStats: { 50: { makes: 10, attempts: 100 } } }
+        ]));
+        assert.ok(baseline.slope < 0);
+        assert.equal(baseline.attempts, 300);
+    });
+});
+
+describe('calculateStrokesGained', () => {
+    test('counts makes above the expected rate, per 100 putts', () => {
+        assert.deepEqual(calculateStrokesGained([{ distance: 20, makes: 7, attempts: 10 }], EVEN_BASELINE), {
+            strokesGained: 2,
+            attempts: 10,
+            rate: 20
+        });
+        assert.deepEqual(calculateStrokesGained([{ distance: 20, makes: 3, attempts: 10 }], EVEN_BASELINE).strokesGained, -2);
+    });
+
+    test('has no rate without putts', () => {
+        assert.deepEqual(calculateStrokesGained([], EVEN_BASELINE), { strokesGained: 0, attempts: 0, rate: null });
+    });
+
+    test('scores a player putting at the community rate as even', () => {
+        const stats = { 10: { makes: 900, attempts: 1000 }, 30: { makes: 500, attempts: 1000 }, 50: { makes: 100, attempts: 1000 } };
+        const baseline = buildCommunityBaseline(stats);
+        const { rate } = calculateStrokesGained(distanceStatsToPutts(stats), baseline);
+        assert.ok(Math.abs(rate) < 0.1, `rate ${rate}`);
+    });
+
+    test('scores each station of a session at its own distance', () => {
+        const session = { distance: 30, makes: 10, attempts: 20, stations: [
+            { distance: 10, makes: 5, attempts: 10 },
+            { distance: 30, makes: 5, attempts: 10 }
+        ] };
+        const baseline = { intercept: 3, slope: -0.1 };
+        const expected = 10 - 10 / (1 + Math.exp(-2)) - 10 / (1 + Math.exp(0));
+        assert.equal(getSessionStrokesGained(session, baseline).strokesGained, parseFloat(expected.toFixed(2)));
+    });
+
+    test('groups dated putts by calendar month', () => {
+        assert.deepEqual(calculateMonthlyStrokesGained([
+            { date: '2026-10-02', distance: 20, makes: 6, attempts: 10 },
+            { date: '2026-09-30', distance: 20, makes: 4, attempts: 10 },
+            { date: '2026-10-20', distance: 20, makes: 8, attempts: 10 },
+            { distance: 20, makes: 10, attempts: 10 }
+        ], EVEN_BASELINE), [
+            { month: '2026-09', strokesGained: -1, attempts: 10, rate: -10 },
+            { month: '2026-10', strokesGained: 4, attempts: 20, rate: 20 }
+        ]);
+    });
+});
+
+describe('formatStrokesGained', () => {
+    test('shows the sign and one decimal', () => {
+        assert.equal(formatStrokesGained(1.44), '+1.4');
+        assert.equal(formatStrokesGained(-0.6), '-0.6');
+        assert.equal(formatStrokesGained(-0.04), '0.0');
+    });
+});